@@ -14,7 +14,15 @@ module.exports = {
   // Notes configuration
   notes: {
     directory: process.env.NOTES_DIR || '/app/notes',
-    storageType: process.env.STORAGE_TYPE || 'local'
+    storageType: process.env.STORAGE_TYPE || 'local',
+    sqlitePath: process.env.SQLITE_PATH,
+    s3: {
+      bucket: process.env.AWS_S3_BUCKET,
+      prefix: process.env.S3_PREFIX,
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.AWS_REGION
+    },
+    gcsBucket: process.env.GCS_BUCKET
   },
   
   // API configuration
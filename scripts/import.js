@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Import Command
+ * 
+ * Imports an Obsidian vault folder, a zip of one, or a JSON or JSON Lines
+ * dump of notes straight into the configured storage backend. Run with
+ * --dry-run first to see what would be imported.
+ * 
+ * Usage: npm run import -- <vault folder|archive.zip|dump.json|dump.jsonl> [--dry-run] [--category <path>]
+ */
+
+require('dotenv').config();
+
+const fs = require('fs').promises;
+const noteModel = require('../src/models/noteModel');
+const importModel = require('../src/models/importModel');
+
+/**
+ * Read the files to import from a folder, zip archive or JSON dump
+ */
+async function readSource(source) {
+  const stats = await fs.stat(source);
+  if (stats.isDirectory()) {
+    return importModel.readDirectorySource(source);
+  }
+  
+  const data = await fs.readFile(source);
+  if (/\.zip$/i.test(source)) {
+    return importModel.readZipSource(data);
+  }
+  if (/\.(jsonl|ndjson)$/i.test(source)) {
+    return importModel.readJsonSource(importModel.parseJsonLines(data.toString('utf8')));
+  }
+  if (/\.json$/i.test(source)) {
+    return importModel.readJsonSource(JSON.parse(data.toString('utf8')));
+  }
+  
+  throw new Error('Import a folder, a .zip archive or a .json/.jsonl dump');
+}
+
+(async () => {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const categoryIndex = args.indexOf('--category');
+  const category = categoryIndex === -1 ? undefined : args[categoryIndex + 1];
+  const source = args.find((arg, index) => !arg.startsWith('--') && (categoryIndex === -1 || index !== categoryIndex + 1));
+  
+  if (!source) {
+    console.error('Usage: npm run import -- <vault folder|archive.zip|dump.json|dump.jsonl> [--dry-run] [--category <path>]');
+    process.exit(1);
+  }
+  
+  try {
+    await noteModel.initializeStorage();
+    const files = await readSource(source);
+    const report = await importModel.importFiles('admin', files, 'import', { dryRun, category });
+    await noteModel.flushIndexes();
+    
+    for (const note of report.notes) {
+      console.log(`${dryRun ? 'Would import' : 'Imported'} ${note.source} -> ${note.relativePath}`);
+    }
+    for (const duplicate of report.duplicates) {
+      const original = duplicate.existing ? duplicate.existing.relativePath : duplicate.duplicateOf;
+      console.log(`Skipped ${duplicate.source}: duplicate of ${original} (${duplicate.reason})`);
+    }
+    for (const link of report.unresolvedLinks) {
+      console.log(`Unresolved link in ${link.source}: [[${link.target}]]`);
+    }
+    for (const failure of report.failed) {
+      console.error(`Failed ${failure.source}: ${failure.error}`);
+    }
+    
+    const { summary } = report;
+    console.log(`${dryRun ? 'Dry run: ' : ''}${summary.notes} notes, ${summary.attachments} attachments, ` +
+      `${summary.categories} new categories, ${summary.duplicates} duplicates skipped`);
+    
+    if (report.failed.length > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('Error importing notes:', error.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+/**
+ * Purge Trash Command
+ * 
+ * Permanently deletes notes that have been in the trash longer than
+ * TRASH_RETENTION_DAYS. The server does this on a timer; run this to purge
+ * without it, e.g. from cron.
+ * 
+ * Usage: npm run purge-trash
+ */
+
+require('dotenv').config();
+
+const noteModel = require('../src/models/noteModel');
+const { purgeOnce } = require('../src/jobs/trashPurge');
+
+(async () => {
+  try {
+    await noteModel.initializeStorage();
+    const { purged, remaining } = await purgeOnce();
+    await noteModel.flushIndexes();
+    console.log(`Purged ${purged.length} notes; ${remaining} left in the trash`);
+  } catch (error) {
+    console.error('Error purging trash:', error);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+/**
+ * Reindex Command
+ * 
+ * Rebuilds the full-text search index, note embeddings and note ID index
+ * from every note in storage, giving stable IDs to notes that lack one.
+ * Run this after notes are added, edited or moved outside the API.
+ * 
+ * Usage: npm run reindex
+ */
+
+require('dotenv').config();
+
+const noteModel = require('../src/models/noteModel');
+
+(async () => {
+  try {
+    await noteModel.initializeStorage();
+    const stats = await noteModel.reindexNotes('admin');
+    await noteModel.flushIndexes();
+    console.log(`Indexed ${stats.documents} notes (${stats.terms} terms)`);
+    console.log(`Embedded ${stats.embeddings.vectors} notes with ${stats.embeddings.provider}`);
+  } catch (error) {
+    console.error('Error rebuilding search index:', error);
+    process.exit(1);
+  }
+})();
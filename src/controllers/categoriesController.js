@@ -0,0 +1,134 @@
+/**
+ * Categories Controller
+ * 
+ * Handles the API endpoints for managing note categories.
+ */
+
+const categoryModel = require('../models/categoryModel');
+const { isValidTag } = require('../utils/tags');
+const { checkSchema } = require('../utils/jsonSchema');
+
+/**
+ * List all categories
+ */
+exports.getCategories = async (req, res, next) => {
+  try {
+    const categories = await categoryModel.listCategories(req.agent.role);
+    res.json(categories);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a specific category
+ */
+exports.getCategory = async (req, res, next) => {
+  try {
+    const category = await categoryModel.getCategory(req.agent.role, req.params.path);
+    
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    
+    res.json(category);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a new category
+ */
+exports.createCategory = async (req, res, next) => {
+  try {
+    const { path: categoryPath, description, defaultTags, schema } = req.body;
+    
+    if (!categoryPath) {
+      return res.status(400).json({ error: 'Category path is required' });
+    }
+    
+    if (!categoryModel.isValidCategoryPath(categoryPath)) {
+      return res.status(400).json({
+        error: 'Category paths are levels of letters, digits, - and _ separated by /, e.g. projects/alpha'
+      });
+    }
+    
+    const invalid = validateDetails({ description, defaultTags, schema });
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+    
+    const category = await categoryModel.createCategory(req.agent.role, categoryPath, { description, defaultTags, schema });
+    res.status(201).json(category);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a category's description, default tags or schema
+ */
+exports.updateCategory = async (req, res, next) => {
+  try {
+    const { description, defaultTags, schema } = req.body;
+    
+    if (description === undefined && defaultTags === undefined && schema === undefined) {
+      return res.status(400).json({ error: 'A description, defaultTags or schema is required' });
+    }
+    
+    const invalid = validateDetails({ description, defaultTags, schema });
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+    
+    const category = await categoryModel.updateCategory(req.agent.role, req.params.path, { description, defaultTags, schema });
+    
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    
+    res.json(category);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an empty category
+ */
+exports.deleteCategory = async (req, res, next) => {
+  try {
+    const result = await categoryModel.deleteCategory(req.agent.role, req.params.path);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check category metadata, returning an error response body if it is invalid
+ */
+function validateDetails({ description, defaultTags, schema }) {
+  if (description !== undefined && typeof description !== 'string') {
+    return { error: 'Description must be a string' };
+  }
+  
+  if (defaultTags !== undefined && (!Array.isArray(defaultTags) || !defaultTags.every(isValidTag))) {
+    return { error: 'Default tags must be an array of valid tags' };
+  }
+  
+  if (schema !== undefined && schema !== null) {
+    const problems = checkSchema(schema);
+    if (problems.length > 0) {
+      return { error: 'Schema is not a supported JSON Schema', problems };
+    }
+  }
+  
+  return null;
+}
@@ -0,0 +1,53 @@
+/**
+ * Export Controller
+ * 
+ * Handles exporting notes as archives, documents and static sites.
+ */
+
+const exportModel = require('../models/exportModel');
+
+// Writers, content types and file extensions for each export format
+const EXPORT_FORMATS = {
+  zip: { type: 'application/zip', extension: 'zip', write: exportModel.exportZip },
+  jsonl: { type: 'application/x-ndjson', extension: 'jsonl', write: exportModel.exportJsonLines },
+  markdown: { type: 'text/markdown; charset=utf-8', extension: 'md', write: exportModel.exportMarkdown },
+  html: { type: 'application/zip', extension: 'zip', write: exportModel.exportSite }
+};
+
+/**
+ * Stream the notes matching the listing filters in the requested format
+ */
+exports.exportNotes = async (req, res, next) => {
+  try {
+    const { tags, category, keyword, recursive, format = 'zip' } = req.query;
+    
+    const output = Object.hasOwn(EXPORT_FORMATS, format) ? EXPORT_FORMATS[format] : null;
+    if (!output) {
+      return res.status(400).json({
+        error: `Invalid format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+    
+    const date = new Date().toISOString().split('T')[0];
+    const name = format === 'html' ? `notes-site-${date}` : `notes-${date}`;
+    res.attachment(`${name}.${output.extension}`);
+    res.type(output.type);
+    
+    await output.write(req.agent.role, {
+      tags,
+      category,
+      keyword,
+      recursive: recursive === 'true' || recursive === '1'
+    }, res);
+    
+    res.end();
+  } catch (error) {
+    // Once streaming has started the status can no longer change, so the
+    // response is cut short and the client sees an incomplete download
+    if (res.headersSent) {
+      console.error('Export failed part way through:', error);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+};
@@ -0,0 +1,45 @@
+/**
+ * Graph Controller
+ * 
+ * Handles the knowledge graph endpoint.
+ */
+
+const graphModel = require('../models/graphModel');
+const { toDot, toGraphML } = require('../utils/graphFormats');
+
+// Serializers and content types for each output format
+const GRAPH_FORMATS = {
+  json: { type: 'application/json', serialize: null },
+  dot: { type: 'text/vnd.graphviz', serialize: toDot },
+  graphml: { type: 'application/graphml+xml', serialize: toGraphML }
+};
+
+/**
+ * Build the knowledge graph in the requested format
+ */
+exports.getGraph = async (req, res, next) => {
+  try {
+    const { tags, category, recursive, format = 'json' } = req.query;
+    
+    const output = GRAPH_FORMATS[format];
+    if (!output) {
+      return res.status(400).json({
+        error: `Invalid format. Use one of: ${Object.keys(GRAPH_FORMATS).join(', ')}`
+      });
+    }
+    
+    const graph = await graphModel.buildGraph(req.agent.role, {
+      tags,
+      category,
+      recursive: recursive === 'true' || recursive === '1'
+    });
+    
+    if (!output.serialize) {
+      return res.json(graph);
+    }
+    
+    res.type(output.type).send(output.serialize(graph));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -4,11 +4,8 @@
  * Handles health check endpoints for the API.
  */
 
-const fs = require('fs/promises');
-const path = require('path');
 const os = require('os');
-
-const NOTES_DIR = process.env.NOTES_DIR || './notes';
+const { getStorage } = require('../storage');
 
 /**
  * Health check endpoint
@@ -22,8 +19,7 @@ exports.getHealth = async (req, res) => {
       status: 'healthy',
       version: '1.0.0',
       storage: {
-        type: process.env.STORAGE_TYPE || 'local',
-        path: NOTES_DIR,
+        ...getStorage().describe(),
         ...stats
       },
       uptime: process.uptime(),
@@ -51,38 +47,21 @@ exports.getHealth = async (req, res) => {
  */
 async function getStorageStats() {
   try {
-    // Check if notes directory exists
-    try {
-      await fs.access(NOTES_DIR);
-    } catch (error) {
-      // Create directory if it doesn't exist
-      await fs.mkdir(NOTES_DIR, { recursive: true });
-    }
+    const storage = getStorage();
     
     // Count files and total size
     let totalFiles = 0;
     let totalSize = 0;
     
-    async function countFiles(dirPath) {
-      const entries = await fs.readdir(dirPath, { withFileTypes: true });
-      
-      for (const entry of entries) {
-        const fullPath = path.join(dirPath, entry.name);
-        
-        if (entry.isDirectory()) {
-          await countFiles(fullPath);
-        } else {
-          totalFiles++;
-          const stats = await fs.stat(fullPath);
-          totalSize += stats.size;
-        }
-      }
+    const keys = await storage.list();
+    for (const key of keys) {
+      totalFiles++;
+      const stats = await storage.stat(key);
+      totalSize += stats.size;
     }
     
-    await countFiles(NOTES_DIR);
-    
     // Get disk space information
-    const diskStats = await getDiskStats(NOTES_DIR);
+    const diskStats = await getDiskStats(storage.root);
     
     return {
       files: totalFiles,
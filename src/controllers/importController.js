@@ -0,0 +1,50 @@
+/**
+ * Import Controller
+ * 
+ * Handles importing notes from zipped Obsidian vaults and JSON dumps.
+ */
+
+const importModel = require('../models/importModel');
+const categoryModel = require('../models/categoryModel');
+
+/**
+ * Import notes from the request body
+ * A zip archive is sent as `application/zip`, a JSON dump as
+ * `application/json` and a JSON Lines dump as `application/x-ndjson`.
+ */
+exports.importNotes = async (req, res, next) => {
+  try {
+    const { dryRun, category } = req.query;
+    
+    if (category !== undefined && !categoryModel.isValidCategoryPath(category)) {
+      return res.status(400).json({
+        error: 'Category paths are levels of letters, digits, - and _ separated by /, e.g. projects/alpha'
+      });
+    }
+    
+    let files;
+    if (Buffer.isBuffer(req.body)) {
+      files = importModel.readZipSource(req.body);
+    } else if (typeof req.body === 'string') {
+      files = importModel.readJsonSource(importModel.parseJsonLines(req.body));
+    } else if (req.is('application/json')) {
+      files = importModel.readJsonSource(req.body);
+    } else {
+      return res.status(415).json({
+        error: 'Send a zip archive (application/zip), a JSON dump (application/json) or JSON Lines (application/x-ndjson)'
+      });
+    }
+    
+    const isDryRun = dryRun === 'true' || dryRun === '1';
+    const report = await importModel.importFiles(
+      req.agent.role,
+      files,
+      req.agent.name || req.agent.role,
+      { dryRun: isDryRun, category }
+    );
+    
+    res.status(isDryRun ? 200 : 201).json(report);
+  } catch (error) {
+    next(error);
+  }
+};
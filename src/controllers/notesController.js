@@ -5,15 +5,95 @@
  */
 
 const noteModel = require('../models/noteModel');
+const templateModel = require('../models/templateModel');
+const sessionModel = require('../models/sessionModel');
+const { matchesIfNoneMatch } = require('../utils/etag');
+const { isValidTag } = require('../utils/tags');
+const { parseMarkdownFile } = require('../utils/noteFormatter');
+const { toHtmlDocument } = require('../utils/noteRenderer');
+
+const SEARCH_MODES = ['keyword', 'semantic', 'hybrid'];
+
+// Patch formats PATCH /notes/:id accepts
+const PATCH_MEDIA_TYPES = ['application/merge-patch+json', 'application/json-patch+json', 'application/json'];
+
+// Representations of a note a read can return, the first being the default
+const NOTE_MEDIA_TYPES = ['application/json', 'text/markdown', 'text/html'];
+
+const SORT_FIELDS = ['date', 'lastModified', 'title'];
+const SORT_ORDERS = ['asc', 'desc'];
+
+// Fields a listing can be narrowed to; metadata fields are lifted to the top level
+const LIST_FIELDS = [
+  'id', 'title', 'path', 'relativePath', 'content', 'excerpt', 'metadata',
+  'date', 'lastModified', 'tags', 'related', 'author', 'html', 'outline'
+];
+
+// Largest page a listing returns
+const MAX_PAGE_SIZE = 500;
+
+// Operations a batch can contain
+const BATCH_OPERATIONS = ['create', 'update', 'append', 'delete', 'tag'];
+
+// Most operations a single batch may contain
+const MAX_BATCH_SIZE = 1000;
 
 /**
  * Get all notes with optional filtering
  */
 exports.getAllNotes = async (req, res, next) => {
   try {
-    const { tags, category, keyword } = req.query;
-    const notes = await noteModel.getAllNotes(req.agent.role, tags, category, keyword);
-    res.json(notes);
+    const { tags, category, recursive, keyword, sort = 'date', order, cursor, summary, render } = req.query;
+    
+    if (!SORT_FIELDS.includes(sort)) {
+      return res.status(400).json({ error: `Sort must be one of: ${SORT_FIELDS.join(', ')}` });
+    }
+    
+    if (order !== undefined && !SORT_ORDERS.includes(order)) {
+      return res.status(400).json({ error: `Order must be one of: ${SORT_ORDERS.join(', ')}` });
+    }
+    
+    let limit;
+    if (req.query.limit !== undefined) {
+      limit = parseLimit(req.query.limit);
+      if (!limit || limit > MAX_PAGE_SIZE) {
+        return res.status(400).json({ error: `Limit must be between 1 and ${MAX_PAGE_SIZE}` });
+      }
+    }
+    
+    let fields;
+    if (req.query.fields) {
+      fields = String(req.query.fields).split(',').map(field => field.trim()).filter(Boolean);
+      const unknown = fields.filter(field => !LIST_FIELDS.includes(field));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          error: `Unknown fields: ${unknown.join(', ')}. Use any of: ${LIST_FIELDS.join(', ')}`
+        });
+      }
+    }
+    
+    const page = await noteModel.listNotes(req.agent.role, {
+      tags,
+      category,
+      recursive: recursive === 'true' || recursive === '1',
+      keyword,
+      sort,
+      order,
+      limit,
+      cursor,
+      fields,
+      summary: summary === 'true' || summary === '1',
+      noteUrl: render === 'true' || render === '1' ? noteUrlFor(req) : undefined
+    });
+    
+    res.set('X-Total-Count', String(page.total));
+    if (page.nextCursor) {
+      const next = new URLSearchParams({ ...req.query, cursor: page.nextCursor });
+      res.set('X-Next-Cursor', page.nextCursor);
+      res.links({ next: `${req.baseUrl}${req.path === '/' ? '' : req.path}?${next}` });
+    }
+    
+    res.json(page.notes);
   } catch (error) {
     next(error);
   }
@@ -21,42 +101,121 @@ exports.getAllNotes = async (req, res, next) => {
 
 /**
  * Get a specific note by ID
+ * The Accept header picks the parsed note as JSON, the stored markdown file
+ * or the note rendered as an HTML page.
  */
 exports.getNoteById = async (req, res, next) => {
   try {
     const noteId = req.params.id;
-    const note = await noteModel.getNoteById(req.agent.role, noteId);
+    
+    res.vary('Accept');
+    const mediaType = req.accepts(NOTE_MEDIA_TYPES);
+    if (!mediaType) {
+      return res.status(406).json({ error: `Notes can be returned as: ${NOTE_MEDIA_TYPES.join(', ')}` });
+    }
+    
+    let note;
+    if (mediaType === 'text/markdown') {
+      note = await noteModel.getNoteSource(req.agent.role, noteId);
+    } else if (mediaType === 'text/html') {
+      note = await noteModel.renderNote(req.agent.role, noteId, { noteUrl: noteUrlFor(req) });
+    } else {
+      note = await noteModel.getNoteById(req.agent.role, noteId);
+    }
     
     if (!note) {
       return res.status(404).json({ error: 'Note not found' });
     }
     
+    res.set('ETag', note.etag);
+    
+    // Polling agents that already have this version get an empty response
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch && matchesIfNoneMatch(ifNoneMatch, note.etag)) {
+      return res.status(304).end();
+    }
+    
+    if (mediaType === 'text/markdown') {
+      return res.type('text/markdown; charset=utf-8').send(note.content);
+    }
+    
+    if (mediaType === 'text/html') {
+      return res.type('html').send(toHtmlDocument(note));
+    }
+    
     res.json(note);
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Render a note as sanitised HTML with a table of contents
+ */
+exports.renderNote = async (req, res, next) => {
+  try {
+    const result = await noteModel.renderNote(req.agent.role, req.params.id, { noteUrl: noteUrlFor(req) });
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    
+    res.set('ETag', result.etag);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Create a new note
+ * A note created with an X-Session-Id header is linked to that session.
  */
 exports.createNote = async (req, res, next) => {
   try {
-    const { title, content, tags = [], category = 'topics' } = req.body;
+    let fields = readNoteBody(req);
+    const sessionId = req.get('X-Session-Id');
+    
+    if (!hasValidTags(fields.tags)) {
+      return res.status(400).json({ error: 'Tags must be an array of tag names' });
+    }
+    
+    if (fields.template !== undefined) {
+      const { variables } = fields;
+      if (variables !== undefined && (!variables || typeof variables !== 'object' || Array.isArray(variables))) {
+        return res.status(400).json({ error: 'Variables must be an object of values by name' });
+      }
+      
+      fields = await templateModel.applyTemplate(req.agent.role, String(fields.template), {
+        ...fields,
+        agent: req.agent.name || req.agent.role
+      });
+    }
+    
+    const { title, content, tags = [], category = 'topics', metadata } = fields;
     
     if (!title || !content) {
       return res.status(400).json({ error: 'Title and content are required' });
     }
     
+    if (sessionId) {
+      await sessionModel.requireOpenSession(sessionId);
+    }
+    
     const result = await noteModel.createNote(
       req.agent.role, 
       title, 
       content, 
       tags, 
       category,
-      req.agent.name || req.agent.role
+      req.agent.name || req.agent.role,
+      { metadata: sessionId ? { ...metadata, session: sessionId } : metadata }
     );
     
+    if (sessionId) {
+      await sessionModel.linkNote(sessionId, result);
+    }
+    
     res.status(201).json(result);
   } catch (error) {
     next(error);
@@ -69,24 +228,64 @@ exports.createNote = async (req, res, next) => {
 exports.updateNote = async (req, res, next) => {
   try {
     const noteId = req.params.id;
-    const { title, content, tags } = req.body;
+    const { title, content, tags, metadata } = readNoteBody(req);
     
     if (!title && !content && !tags) {
       return res.status(400).json({ error: 'At least one field to update is required' });
     }
     
+    if (!hasValidTags(tags)) {
+      return res.status(400).json({ error: 'Tags must be an array of tag names' });
+    }
+    
     const result = await noteModel.updateNote(
       req.agent.role,
       noteId,
       title,
       content,
-      tags
+      tags,
+      req.agent.name || req.agent.role,
+      { ifMatch: req.get('If-Match'), metadata }
     );
     
     if (!result) {
       return res.status(404).json({ error: 'Note not found' });
     }
     
+    res.set('ETag', result.etag);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Patch a note with a JSON Merge Patch or a JSON Patch
+ * The patch type follows the Content-Type; plain JSON is a merge patch.
+ */
+exports.patchNote = async (req, res, next) => {
+  try {
+    const type = req.is('application/json-patch+json') ? 'json' : 'merge';
+    
+    if (!req.is(PATCH_MEDIA_TYPES)) {
+      return res.status(415).json({
+        error: `Send a patch as ${PATCH_MEDIA_TYPES.join(' or ')}`
+      });
+    }
+    
+    const result = await noteModel.patchNote(
+      req.agent.role,
+      req.params.id,
+      { type, document: req.body },
+      req.agent.name || req.agent.role,
+      { ifMatch: req.get('If-Match') }
+    );
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    
+    res.set('ETag', result.etag);
     res.json(result);
   } catch (error) {
     next(error);
@@ -99,25 +298,138 @@ exports.updateNote = async (req, res, next) => {
 exports.deleteNote = async (req, res, next) => {
   try {
     const noteId = req.params.id;
-    const { archive } = req.query;
+    const { archive, permanent } = req.query;
     const shouldArchive = archive === 'true';
     
     const result = await noteModel.deleteNote(
       req.agent.role,
       noteId,
-      shouldArchive
+      shouldArchive,
+      req.agent.name || req.agent.role,
+      { permanent: permanent === 'true', ifMatch: req.get('If-Match') }
+    );
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore an archived or deleted note
+ */
+exports.restoreNote = async (req, res, next) => {
+  try {
+    const noteId = req.params.id;
+    const { category } = req.body || {};
+    
+    if (category !== undefined && typeof category !== 'string') {
+      return res.status(400).json({ error: 'Category must be a string' });
+    }
+    
+    const result = await noteModel.restoreNote(
+      req.agent.role,
+      noteId,
+      req.agent.name || req.agent.role,
+      { category, ifMatch: req.get('If-Match') }
     );
     
     if (!result) {
       return res.status(404).json({ error: 'Note not found' });
     }
     
+    res.set('ETag', result.etag);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List archived notes
+ */
+exports.listArchive = async (req, res, next) => {
+  try {
+    const notes = await noteModel.listArchive(req.agent.role);
+    res.json(notes);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List deleted notes in the trash
+ */
+exports.listTrash = async (req, res, next) => {
+  try {
+    const notes = await noteModel.listTrash(req.agent.role);
+    res.json(notes);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Permanently delete a note from the trash
+ */
+exports.deleteTrashedNote = async (req, res, next) => {
+  try {
+    const result = await noteModel.deleteTrashedNote(req.agent.role, req.params.id);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Note not found in trash' });
+    }
+    
     res.json(result);
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Run several note operations in one request
+ */
+exports.executeBatch = async (req, res, next) => {
+  try {
+    const { operations, continueOnError = false } = req.body;
+    
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json({ error: 'Operations must be a non-empty array' });
+    }
+    
+    if (operations.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({ error: `A batch can contain at most ${MAX_BATCH_SIZE} operations` });
+    }
+    
+    if (typeof continueOnError !== 'boolean') {
+      return res.status(400).json({ error: 'continueOnError must be a boolean' });
+    }
+    
+    // Reject the whole batch before anything runs if an operation is malformed
+    for (const [index, operation] of operations.entries()) {
+      const problem = validateBatchOperation(operation);
+      if (problem) {
+        return res.status(400).json({ error: `Operation ${index}: ${problem}`, index });
+      }
+    }
+    
+    const result = await noteModel.executeBatch(
+      req.agent.role,
+      operations,
+      req.agent.name || req.agent.role,
+      { continueOnError }
+    );
+    
+    res.status(result.failed > 0 ? 207 : 200).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Append content to an existing note
  */
@@ -133,13 +445,284 @@ exports.appendToNote = async (req, res, next) => {
     const result = await noteModel.appendToNote(
       req.agent.role,
       noteId,
-      content
+      content,
+      req.agent.name || req.agent.role,
+      { ifMatch: req.get('If-Match') }
+    );
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    
+    res.set('ETag', result.etag);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List a note's sections as a tree of headings
+ */
+exports.getSections = async (req, res, next) => {
+  try {
+    const result = await noteModel.getSections(req.agent.role, req.params.id);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    
+    res.set('ETag', result.etag);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Read one section of a note
+ */
+exports.getSection = async (req, res, next) => {
+  try {
+    const headingPath = parseHeadingPath(req);
+    if (!headingPath) {
+      return res.status(400).json({ error: 'Section path must be URL-encoded headings separated by /' });
+    }
+    
+    const result = await noteModel.getSection(req.agent.role, req.params.id, headingPath);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    
+    res.set('ETag', result.etag);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace a section's content (PUT) or append to it (POST)
+ */
+exports.updateSection = async (req, res, next) => {
+  try {
+    const headingPath = parseHeadingPath(req);
+    if (!headingPath) {
+      return res.status(400).json({ error: 'Section path must be URL-encoded headings separated by /' });
+    }
+    
+    const { content } = req.body;
+    const append = req.method === 'POST';
+    
+    if (typeof content !== 'string' || (append && !content.trim())) {
+      return res.status(400).json({ error: 'Content is required' });
+    }
+    
+    const result = await noteModel.updateSection(
+      req.agent.role,
+      req.params.id,
+      headingPath,
+      content,
+      req.agent.name || req.agent.role,
+      { mode: append ? 'append' : 'replace', ifMatch: req.get('If-Match') }
+    );
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    
+    res.set('ETag', result.etag);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a new section to a note, after a named one or at the end
+ */
+exports.insertSection = async (req, res, next) => {
+  try {
+    const { heading, content = '', after, level } = req.body;
+    
+    if (typeof heading !== 'string' || !heading.trim() || /[\r\n]/.test(heading)) {
+      return res.status(400).json({ error: 'Heading is required and must be a single line' });
+    }
+    
+    if (typeof content !== 'string') {
+      return res.status(400).json({ error: 'Content must be a string' });
+    }
+    
+    if (level !== undefined && (!Number.isInteger(level) || level < 1 || level > 6)) {
+      return res.status(400).json({ error: 'Level must be a whole number from 1 to 6' });
+    }
+    
+    const afterPath = typeof after === 'string' ? [after] : after;
+    if (afterPath !== undefined && (!Array.isArray(afterPath) || afterPath.length === 0 || !afterPath.every(entry => typeof entry === 'string' && entry.trim()))) {
+      return res.status(400).json({ error: 'After must be a heading or an array of headings' });
+    }
+    
+    const result = await noteModel.insertSection(
+      req.agent.role,
+      req.params.id,
+      { heading, content, after: afterPath, level },
+      req.agent.name || req.agent.role,
+      { ifMatch: req.get('If-Match') }
+    );
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    
+    res.set('ETag', result.etag);
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move a note to another category and/or rename it
+ */
+exports.moveNote = async (req, res, next) => {
+  try {
+    const noteId = req.params.id;
+    const { category, title } = req.body;
+    
+    if (!category && !title) {
+      return res.status(400).json({ error: 'A target category or title is required' });
+    }
+    
+    if ((category && typeof category !== 'string') || (title && typeof title !== 'string')) {
+      return res.status(400).json({ error: 'Category and title must be strings' });
+    }
+    
+    const result = await noteModel.moveNote(
+      req.agent.role,
+      noteId,
+      { category, title },
+      req.agent.name || req.agent.role,
+      { ifMatch: req.get('If-Match') }
     );
     
     if (!result) {
       return res.status(404).json({ error: 'Note not found' });
     }
     
+    res.set('ETag', result.etag);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the notes that link to a note
+ */
+exports.getBacklinks = async (req, res, next) => {
+  try {
+    const result = await noteModel.getBacklinks(req.agent.role, req.params.id);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the revisions of a note
+ */
+exports.getRevisions = async (req, res, next) => {
+  try {
+    const result = await noteModel.getRevisions(req.agent.role, req.params.id);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one revision of a note
+ */
+exports.getRevision = async (req, res, next) => {
+  try {
+    const rev = parseRevision(req.params.rev);
+    
+    if (!rev) {
+      return res.status(400).json({ error: 'Revision must be a positive integer' });
+    }
+    
+    const revision = await noteModel.getRevision(req.agent.role, req.params.id, rev);
+    
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    
+    res.json(revision);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unified diff between two revisions of a note
+ */
+exports.diffRevisions = async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    const fromRev = from === undefined ? undefined : parseRevision(from, 0);
+    const toRev = to === undefined ? undefined : parseRevision(to);
+    
+    if (fromRev === null || toRev === null) {
+      return res.status(400).json({ error: 'Revisions must be positive integers' });
+    }
+    
+    const result = await noteModel.diffRevisions(req.agent.role, req.params.id, fromRev, toRev);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a note to an earlier revision
+ */
+exports.restoreRevision = async (req, res, next) => {
+  try {
+    const rev = parseRevision(req.params.rev);
+    
+    if (!rev) {
+      return res.status(400).json({ error: 'Revision must be a positive integer' });
+    }
+    
+    const result = await noteModel.restoreRevision(
+      req.agent.role,
+      req.params.id,
+      rev,
+      req.agent.name || req.agent.role,
+      { ifMatch: req.get('If-Match') }
+    );
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    
+    res.set('ETag', result.etag);
     res.json(result);
   } catch (error) {
     next(error);
@@ -151,20 +734,203 @@ exports.appendToNote = async (req, res, next) => {
  */
 exports.searchNotes = async (req, res, next) => {
   try {
-    const { query, filters = {} } = req.body;
+    const { query, filters = {}, mode = 'keyword', limit } = req.body;
     
     if (!query) {
       return res.status(400).json({ error: 'Search query is required' });
     }
     
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Search mode must be one of: ${SEARCH_MODES.join(', ')}` });
+    }
+    
     const results = await noteModel.searchNotes(
       req.agent.role,
       query,
-      filters
+      filters,
+      { mode, limit: parseLimit(limit) }
     );
     
     res.json(results);
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Check notes against their categories' schemas
+ */
+exports.validateNotes = async (req, res, next) => {
+  try {
+    const { category } = req.body || {};
+    
+    if (category !== undefined && typeof category !== 'string') {
+      return res.status(400).json({ error: 'Category must be a string' });
+    }
+    
+    const report = await noteModel.validateNotes(req.agent.role, { category });
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Find notes similar to a note
+ */
+exports.getSimilarNotes = async (req, res, next) => {
+  try {
+    const noteId = req.params.id;
+    
+    const result = await noteModel.getSimilarNotes(
+      req.agent.role,
+      noteId,
+      parseLimit(req.query.limit)
+    );
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Read the note fields from a JSON body or an uploaded markdown file
+ * A markdown file's title is its first heading and its tags come from the
+ * frontmatter; the category may be given in the frontmatter or as a query
+ * parameter. Its other frontmatter fields are returned as `metadata`.
+ */
+function readNoteBody(req) {
+  if (!req.is('text/markdown')) {
+    return req.body || {};
+  }
+  
+  const { metadata, title, content } = parseMarkdownFile(typeof req.body === 'string' ? req.body : '');
+  const { category, tags, ...fields } = metadata;
+  delete fields.title;
+  
+  return {
+    title: title || req.query.title,
+    content,
+    tags: tags === undefined || tags === null ? undefined : parseTagList(tags),
+    category: req.query.category || (category ? String(category) : undefined),
+    metadata: fields
+  };
+}
+
+/**
+ * Read the heading path after `/sections/` in the request URL
+ * Each heading is URL-encoded on its own, so a heading may contain a `/` as
+ * `%2F`. Returns null if the path is empty or badly encoded.
+ */
+function parseHeadingPath(req) {
+  try {
+    const headingPath = req.path.split('/').slice(3).filter(Boolean).map(decodeURIComponent);
+    return headingPath.length > 0 ? headingPath : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check optional note tags, which must be an array of tag names
+ */
+function hasValidTags(tags) {
+  return tags === undefined || (Array.isArray(tags) && tags.every(isValidTag));
+}
+
+/**
+ * Parse frontmatter tags written as a list or a comma-separated string
+ */
+function parseTagList(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return list.map(tag => String(tag).trim()).filter(Boolean);
+}
+
+/**
+ * Build the function that gives the URL of a note under this router
+ * Rendered links point at the note itself, such as `/notes/<id>`.
+ */
+function noteUrlFor(req) {
+  return note => `${req.baseUrl}/${encodeURIComponent(note.id)}`;
+}
+
+/**
+ * Parse an optional positive result limit
+ */
+function parseLimit(value) {
+  const limit = parseInt(value, 10);
+  return limit > 0 ? limit : undefined;
+}
+
+/**
+ * Parse a revision number, returning null if it is invalid
+ */
+function parseRevision(value, min = 1) {
+  if (!/^\d+$/.test(value)) {
+    return null;
+  }
+  
+  const rev = parseInt(value, 10);
+  return rev >= min ? rev : null;
+}
+
+/**
+ * Check a batch operation, returning what is wrong with it or null if it is valid
+ */
+function validateBatchOperation(operation) {
+  if (!operation || typeof operation !== 'object' || Array.isArray(operation)) {
+    return 'must be an object';
+  }
+  
+  const { op, id, title, content, tags, category, ifMatch, add, remove } = operation;
+  
+  if (!BATCH_OPERATIONS.includes(op)) {
+    return `op must be one of: ${BATCH_OPERATIONS.join(', ')}`;
+  }
+  
+  if (op !== 'create' && (typeof id !== 'string' || !id)) {
+    return 'id is required';
+  }
+  
+  if (ifMatch !== undefined && typeof ifMatch !== 'string') {
+    return 'ifMatch must be a string';
+  }
+  
+  if (tags !== undefined && (!Array.isArray(tags) || !tags.every(isValidTag))) {
+    return 'tags must be an array of tag names';
+  }
+  
+  switch (op) {
+    case 'create':
+      if (typeof title !== 'string' || !title || typeof content !== 'string' || !content) {
+        return 'title and content are required';
+      }
+      if (category !== undefined && typeof category !== 'string') {
+        return 'category must be a string';
+      }
+      return null;
+    case 'update':
+      return !title && !content && !tags ? 'at least one field to update is required' : null;
+    case 'append':
+      return typeof content !== 'string' || !content ? 'content is required' : null;
+    case 'delete':
+      if (operation.permanent) {
+        return 'permanent deletes cannot be rolled back and are not allowed in a batch';
+      }
+      return operation.archive !== undefined && typeof operation.archive !== 'boolean'
+        ? 'archive must be a boolean'
+        : null;
+    case 'tag':
+      for (const list of [add, remove]) {
+        if (list !== undefined && (!Array.isArray(list) || !list.every(isValidTag))) {
+          return 'add and remove must be arrays of tag names';
+        }
+      }
+      return (add || []).length + (remove || []).length === 0 ? 'add or remove is required' : null;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,220 @@
+/**
+ * Sessions Controller
+ * 
+ * Handles the API endpoints for conversation sessions.
+ */
+
+const sessionModel = require('../models/sessionModel');
+
+/**
+ * Open a session
+ */
+exports.createSession = async (req, res, next) => {
+  try {
+    const { topic, participants, status } = req.body;
+    
+    const invalid = validateDetails({ topic, participants, status });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    
+    const session = await sessionModel.createSession(
+      req.agent.role,
+      { topic, participants, status },
+      req.agent.name || req.agent.role
+    );
+    res.status(201).json(session);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List sessions
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const { status, participant } = req.query;
+    
+    if (status !== undefined && !sessionModel.SESSION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${sessionModel.SESSION_STATUSES.join(', ')}` });
+    }
+    
+    const sessions = await sessionModel.listSessions(req.agent.role, { status, participant });
+    res.json(sessions);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a specific session
+ */
+exports.getSession = async (req, res, next) => {
+  try {
+    const session = await sessionModel.getSession(req.agent.role, req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    res.json(session);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a session's topic, participants or status
+ */
+exports.updateSession = async (req, res, next) => {
+  try {
+    const { topic, participants, status } = req.body;
+    
+    if (topic === undefined && participants === undefined && status === undefined) {
+      return res.status(400).json({ error: 'A topic, participants or status is required' });
+    }
+    
+    const invalid = validateDetails({ topic, participants, status });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    
+    const session = await sessionModel.updateSession(req.agent.role, req.params.id, { topic, participants, status });
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    res.json(session);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a session and its turns
+ */
+exports.deleteSession = async (req, res, next) => {
+  try {
+    const result = await sessionModel.deleteSession(req.agent.role, req.params.id);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a turn to a session
+ */
+exports.appendTurn = async (req, res, next) => {
+  try {
+    const { speaker = req.agent.name || req.agent.role, content } = req.body;
+    
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'Turn content is required' });
+    }
+    
+    if (typeof speaker !== 'string' || !speaker.trim()) {
+      return res.status(400).json({ error: 'Speaker must be a non-empty string' });
+    }
+    
+    const turn = await sessionModel.appendTurn(req.agent.role, req.params.id, { speaker, content });
+    
+    if (!turn) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    res.status(201).json(turn);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List a session's turns
+ */
+exports.getTurns = async (req, res, next) => {
+  try {
+    const after = parseCount(req.query.after, 0);
+    const limit = parseCount(req.query.limit, 1);
+    
+    if (after === null || limit === null) {
+      return res.status(400).json({ error: 'after and limit must be whole numbers, and limit at least 1' });
+    }
+    
+    const result = await sessionModel.listTurns(req.agent.role, req.params.id, { after, limit });
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a session's notes and recent turns
+ */
+exports.getContext = async (req, res, next) => {
+  try {
+    const turns = parseCount(req.query.turns, 0);
+    
+    if (turns === null) {
+      return res.status(400).json({ error: 'turns must be a whole number' });
+    }
+    
+    const context = await sessionModel.getContext(req.agent.role, req.params.id, { turns });
+    
+    if (!context) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    res.json(context);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Parse an optional whole-number query parameter, returning null if it is invalid
+ */
+function parseCount(value, min) {
+  if (value === undefined) {
+    return undefined;
+  }
+  
+  if (!/^\d+$/.test(value)) {
+    return null;
+  }
+  
+  const count = parseInt(value, 10);
+  return count >= min ? count : null;
+}
+
+/**
+ * Check session metadata, returning an error message if it is invalid
+ */
+function validateDetails({ topic, participants, status }) {
+  if (topic !== undefined && typeof topic !== 'string') {
+    return 'Topic must be a string';
+  }
+  
+  if (participants !== undefined
+    && (!Array.isArray(participants) || !participants.every(name => typeof name === 'string' && name.trim()))) {
+    return 'Participants must be an array of names';
+  }
+  
+  if (status !== undefined && !sessionModel.SESSION_STATUSES.includes(status)) {
+    return `Status must be one of: ${sessionModel.SESSION_STATUSES.join(', ')}`;
+  }
+  
+  return null;
+}
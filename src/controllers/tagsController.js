@@ -0,0 +1,86 @@
+/**
+ * Tags Controller
+ * 
+ * Handles the API endpoints for listing and reorganizing tags.
+ */
+
+const noteModel = require('../models/noteModel');
+const { isValidTag } = require('../utils/tags');
+
+const INVALID_TAG_MESSAGE = 'Tags must be non-empty, without commas, leading or trailing spaces, or empty levels';
+
+/**
+ * List every tag with its usage counts
+ */
+exports.getTags = async (req, res, next) => {
+  try {
+    const tags = await noteModel.listTags(req.agent.role);
+    res.json(tags);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename a tag across all notes
+ */
+exports.renameTag = async (req, res, next) => {
+  try {
+    const from = req.params.tag;
+    const { to } = req.body;
+    
+    if (!to) {
+      return res.status(400).json({ error: 'New tag name (to) is required' });
+    }
+    
+    if (!isValidTag(from) || !isValidTag(to)) {
+      return res.status(400).json({ error: INVALID_TAG_MESSAGE });
+    }
+    
+    if (from === to) {
+      return res.status(400).json({ error: 'New tag name must differ from the current one' });
+    }
+    
+    const result = await noteModel.renameTag(req.agent.role, from, to, req.agent.name || req.agent.role);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+    
+    res.json({ from, to, ...result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Merge several tags into one across all notes
+ */
+exports.mergeTags = async (req, res, next) => {
+  try {
+    const { from, into } = req.body;
+    
+    if (!Array.isArray(from) || from.length === 0 || !into) {
+      return res.status(400).json({ error: 'Tags to merge (from) and a target tag (into) are required' });
+    }
+    
+    if (!from.every(isValidTag) || !isValidTag(into)) {
+      return res.status(400).json({ error: INVALID_TAG_MESSAGE });
+    }
+    
+    const sources = [...new Set(from)].filter(tag => tag !== into);
+    if (sources.length === 0) {
+      return res.status(400).json({ error: 'At least one tag other than the target is required' });
+    }
+    
+    const result = await noteModel.mergeTags(req.agent.role, sources, into, req.agent.name || req.agent.role);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'None of the tags are used' });
+    }
+    
+    res.json({ from: sources, into, ...result });
+  } catch (error) {
+    next(error);
+  }
+};
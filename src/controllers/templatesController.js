@@ -0,0 +1,151 @@
+/**
+ * Templates Controller
+ * 
+ * Handles the API endpoints for managing note templates.
+ */
+
+const templateModel = require('../models/templateModel');
+const categoryModel = require('../models/categoryModel');
+const { isValidTag } = require('../utils/tags');
+
+/**
+ * List all templates
+ */
+exports.getTemplates = async (req, res, next) => {
+  try {
+    const templates = await templateModel.listTemplates(req.agent.role);
+    res.json(templates);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a specific template
+ */
+exports.getTemplate = async (req, res, next) => {
+  try {
+    const template = await templateModel.getTemplate(req.agent.role, req.params.name);
+    
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    res.json(template);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a new template
+ */
+exports.createTemplate = async (req, res, next) => {
+  try {
+    const { name, ...details } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({ error: 'Template name is required' });
+    }
+    
+    if (!templateModel.isValidTemplateName(name)) {
+      return res.status(400).json({ error: 'Template names are letters, digits, - and _, e.g. meeting-summary' });
+    }
+    
+    const invalid = validateTemplate(details);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    
+    const template = await templateModel.createTemplate(req.agent.role, name, pickTemplateFields(details));
+    res.status(201).json(template);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a template
+ */
+exports.updateTemplate = async (req, res, next) => {
+  try {
+    const details = pickTemplateFields(req.body);
+    
+    if (Object.values(details).every(value => value === undefined)) {
+      return res.status(400).json({
+        error: 'A description, title, category, tags, metadata or body is required'
+      });
+    }
+    
+    const invalid = validateTemplate(details);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    
+    const template = await templateModel.updateTemplate(req.agent.role, req.params.name, details);
+    
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    res.json(template);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a template
+ */
+exports.deleteTemplate = async (req, res, next) => {
+  try {
+    const result = await templateModel.deleteTemplate(req.agent.role, req.params.name);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pick the template fields from a request body
+ */
+function pickTemplateFields({ description, title, category, tags, metadata, body }) {
+  return { description, title, category, tags, metadata, body };
+}
+
+/**
+ * Check template fields, returning an error message if they are invalid
+ * A title or category of null removes it from the template.
+ */
+function validateTemplate({ description, title, category, tags, metadata, body }) {
+  if (description !== undefined && typeof description !== 'string') {
+    return 'Description must be a string';
+  }
+  
+  if (title !== undefined && title !== null && (typeof title !== 'string' || /[\r\n]/.test(title))) {
+    return 'Title must be a single line of text';
+  }
+  
+  if (category !== undefined && category !== null && !categoryModel.isValidCategoryPath(category)) {
+    return 'Category must be a category path such as projects/alpha';
+  }
+  
+  if (tags !== undefined && (!Array.isArray(tags) || !tags.every(isValidTag))) {
+    return 'Tags must be an array of valid tags';
+  }
+  
+  if (metadata !== undefined && (!metadata || typeof metadata !== 'object' || Array.isArray(metadata))) {
+    return 'Metadata must be an object of frontmatter fields';
+  }
+  
+  if (body !== undefined && typeof body !== 'string') {
+    return 'Body must be a string';
+  }
+  
+  return null;
+}
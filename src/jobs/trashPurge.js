@@ -0,0 +1,43 @@
+/**
+ * Trash Purge Job
+ * 
+ * Periodically deletes notes that have been in the trash longer than
+ * TRASH_RETENTION_DAYS. Runs every TRASH_PURGE_INTERVAL_MINUTES while the
+ * server is up.
+ */
+
+const noteModel = require('../models/noteModel');
+
+// Minutes between purges
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+/**
+ * Purge expired notes from the trash once
+ * 
+ * @returns {Promise<Object>} IDs of the purged notes and the number left
+ */
+async function purgeOnce() {
+  const result = await noteModel.purgeTrash('admin');
+  if (result.purged.length > 0) {
+    console.log(`Purged ${result.purged.length} notes from the trash`);
+  }
+  return result;
+}
+
+/**
+ * Start purging the trash in the background
+ * The timer does not keep the process alive on its own.
+ * 
+ * @returns {Object} Timer handle, for clearInterval
+ */
+exports.startTrashPurge = () => {
+  const minutes = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+  
+  const run = () => purgeOnce().catch(error => console.error('Error purging trash:', error));
+  const timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+  
+  return timer;
+};
+
+exports.purgeOnce = purgeOnce;
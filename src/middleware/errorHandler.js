@@ -15,9 +15,15 @@ const errorHandler = (err, req, res, next) => {
   // Set appropriate status code
   const statusCode = err.statusCode || 500;
   
+  // Headers describing the failure, such as the current ETag on a 412
+  if (err.headers) {
+    res.set(err.headers);
+  }
+  
   // Send error response
   res.status(statusCode).json({
-    error: err.message || 'Internal server error'
+    error: err.message || 'Internal server error',
+    ...err.details
   });
 };
 
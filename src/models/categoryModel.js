@@ -0,0 +1,376 @@
+/**
+ * Category Model
+ * 
+ * Keeps the registry of categories notes can be filed under. Categories are
+ * folders in the notes store and may be nested (`projects/alpha`); each has a
+ * description, default tags for new notes and optionally a JSON Schema the
+ * frontmatter of its notes must match. The registry is saved at
+ * `.categories.json` in the active storage backend.
+ */
+
+const path = require('path');
+const { isAuthorized } = require('../utils/authorization');
+const { getStorage } = require('../storage');
+const { createPersistentStore } = require('../search/persistentStore');
+const { createKeyedQueue } = require('../utils/keyedQueue');
+
+// Category folders every notes store starts with
+const DEFAULT_CATEGORIES = ['topics', 'projects', 'references', 'archive'];
+
+// Categories the system itself writes to, which cannot be deleted or written into directly
+const PROTECTED_CATEGORIES = ['archive'];
+
+// Each level is letters, digits, '-' or '_', starting with a letter or digit
+const CATEGORY_PATTERN = /^[a-z0-9][a-z0-9_-]*(\/[a-z0-9][a-z0-9_-]*)*$/i;
+
+const REGISTRY_VERSION = 1;
+
+const store = createPersistentStore({
+  key: '.categories.json',
+  version: REGISTRY_VERSION,
+  revive: stored => new Map(Object.entries(stored.categories)),
+  serialize: categories => ({ categories: Object.fromEntries(categories) })
+});
+
+// Registry changes run one at a time
+const enqueue = createKeyedQueue();
+
+exports.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+
+/**
+ * Check that a category path is usable for a new category
+ * 
+ * @param {string} categoryPath - Category path such as `projects/alpha`
+ * @returns {boolean} True if the path is valid
+ */
+exports.isValidCategoryPath = (categoryPath) => {
+  return typeof categoryPath === 'string' && CATEGORY_PATTERN.test(categoryPath);
+};
+
+/**
+ * List all categories with their note counts
+ * 
+ * @param {string} role - Agent role for authorization
+ * @returns {Promise<Array>} Categories sorted by path
+ */
+exports.listCategories = async (role) => {
+  if (!isAuthorized(role, 'read')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const categories = await loadRegistry();
+  const folders = await countNotesByFolder(categories);
+  
+  return [...categories.keys()].sort().map(categoryPath => describeCategory(categoryPath, categories, folders));
+};
+
+/**
+ * Get a category
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} categoryPath - Category path
+ * @returns {Promise<Object>} Category or null if not found
+ */
+exports.getCategory = async (role, categoryPath) => {
+  if (!isAuthorized(role, 'read')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const categories = await loadRegistry();
+  if (!categories.has(categoryPath)) {
+    return null;
+  }
+  
+  return describeCategory(categoryPath, categories, await countNotesByFolder(categories));
+};
+
+/**
+ * Create a category
+ * Missing parent categories are created too.
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} categoryPath - Category path
+ * @param {Object} details - Category metadata
+ * @param {string} details.description - What belongs in the category
+ * @param {Array} details.defaultTags - Tags added to every note created in it
+ * @param {Object} details.schema - JSON Schema for the frontmatter of its notes (optional)
+ * @returns {Promise<Object>} Created category
+ */
+exports.createCategory = async (role, categoryPath, { description = '', defaultTags = [], schema } = {}) => {
+  if (!isAuthorized(role, 'create')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  return enqueue('registry', async () => {
+    const categories = await loadRegistry();
+    
+    if (categories.has(categoryPath)) {
+      const error = new Error(`Category ${categoryPath} already exists`);
+      error.statusCode = 409;
+      throw error;
+    }
+    
+    const created = new Date().toISOString();
+    registerWithParents(categories, categoryPath, created);
+    categories.set(categoryPath, { description, defaultTags, ...(schema && { schema }), created });
+    
+    await getStorage().init([categoryPath]);
+    await store.set(categories);
+    
+    return describeCategory(categoryPath, categories, await countNotesByFolder(categories));
+  });
+};
+
+/**
+ * Update a category's metadata
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} categoryPath - Category path
+ * @param {Object} details - Fields to change
+ * @param {string} details.description - What belongs in the category (optional)
+ * @param {Array} details.defaultTags - Tags added to every note created in it (optional)
+ * @param {Object} details.schema - JSON Schema for the frontmatter of its notes, or null to
+ *   remove it (optional)
+ * @returns {Promise<Object>} Updated category or null if not found
+ */
+exports.updateCategory = async (role, categoryPath, { description, defaultTags, schema } = {}) => {
+  if (!isAuthorized(role, 'update')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  return enqueue('registry', async () => {
+    const categories = await loadRegistry();
+    const category = categories.get(categoryPath);
+    if (!category) {
+      return null;
+    }
+    
+    const updated = {
+      ...category,
+      ...(description !== undefined && { description }),
+      ...(defaultTags !== undefined && { defaultTags }),
+      ...(schema && { schema }),
+      updated: new Date().toISOString()
+    };
+    if (schema === null) {
+      delete updated.schema;
+    }
+    categories.set(categoryPath, updated);
+    await store.set(categories);
+    
+    return describeCategory(categoryPath, categories, await countNotesByFolder(categories));
+  });
+};
+
+/**
+ * Delete an empty category
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} categoryPath - Category path
+ * @returns {Promise<Object>} Result information or null if not found
+ */
+exports.deleteCategory = async (role, categoryPath) => {
+  if (!isAuthorized(role, 'delete')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  return enqueue('registry', async () => {
+    const categories = await loadRegistry();
+    if (!categories.has(categoryPath)) {
+      return null;
+    }
+    
+    if (PROTECTED_CATEGORIES.includes(categoryPath)) {
+      const error = new Error(`Category ${categoryPath} is used by the system and cannot be deleted`);
+      error.statusCode = 409;
+      throw error;
+    }
+    
+    const { notes, totalNotes, subcategories } = describeCategory(categoryPath, categories, await countNotesByFolder(categories));
+    if (totalNotes > 0 || subcategories.length > 0) {
+      const error = new Error(`Category ${categoryPath} is not empty`);
+      error.statusCode = 409;
+      error.details = { notes, totalNotes, subcategories };
+      throw error;
+    }
+    
+    categories.delete(categoryPath);
+    await store.set(categories);
+    
+    return { message: 'Category deleted', path: categoryPath };
+  });
+};
+
+/**
+ * Check whether a category is one the system writes to, or nested in one
+ * 
+ * @param {string} categoryPath - Category path such as `archive`
+ * @returns {boolean} True if notes cannot be created in or moved into the category
+ */
+exports.isSystemCategory = (categoryPath) => {
+  return PROTECTED_CATEGORIES.some(system => categoryPath === system || categoryPath.startsWith(`${system}/`));
+};
+
+/**
+ * Look up a category without an authorization check, for use by other models
+ * 
+ * @param {string} categoryPath - Category path
+ * @returns {Promise<Object>} Category metadata or null if it is not registered
+ */
+exports.findCategory = async (categoryPath) => {
+  const categories = await loadRegistry();
+  const category = categories.get(categoryPath);
+  return category ? { path: categoryPath, ...category } : null;
+};
+
+/**
+ * Find the schemas that apply to notes in a category
+ * A note must match the schema of its own category and those of the
+ * categories it is nested in.
+ * 
+ * @param {string} categoryPath - Category path
+ * @returns {Promise<Array>} `{ category, schema }` for each schema, outermost category first
+ */
+exports.findSchemas = async (categoryPath) => {
+  const categories = await loadRegistry();
+  const segments = categoryPath.split('/');
+  const schemas = [];
+  
+  for (let i = 1; i <= segments.length; i++) {
+    const ancestor = segments.slice(0, i).join('/');
+    const category = categories.get(ancestor);
+    if (category && category.schema) {
+      schemas.push({ category: ancestor, schema: category.schema });
+    }
+  }
+  
+  return schemas;
+};
+
+/**
+ * Load the registry, creating it on first use
+ * 
+ * @returns {Promise<Map>} Category metadata by path
+ */
+exports.load = () => loadRegistry();
+
+/**
+ * List the storage keys of every note filed under a registered category
+ * Only the category folders are listed, so system data in hidden folders such
+ * as `.revisions/` is never enumerated.
+ * 
+ * @returns {Promise<Array>} Note keys, sorted by category folder
+ */
+exports.listNoteKeys = async () => listNoteKeys(await loadRegistry());
+
+/**
+ * Helper function to load the registry, creating it on first use
+ * A new registry holds the default categories and every folder that already
+ * contains notes.
+ */
+async function loadRegistry() {
+  const categories = await store.load();
+  if (categories) {
+    return categories;
+  }
+  
+  const seeded = new Map();
+  const created = new Date().toISOString();
+  const folders = await countNotesByFolder(null);
+  
+  for (const categoryPath of [...DEFAULT_CATEGORIES, ...folders.keys()]) {
+    if (categoryPath === '.' || categoryPath.split('/').some(segment => segment.startsWith('.'))) continue;
+    registerWithParents(seeded, categoryPath, created);
+  }
+  
+  await store.set(seeded);
+  return seeded;
+}
+
+/**
+ * Helper function to register a category and any missing parents
+ * 
+ * @param {Map} categories - Registry to add to
+ * @param {string} categoryPath - Category path
+ * @param {string} created - Creation timestamp for new entries
+ */
+function registerWithParents(categories, categoryPath, created) {
+  const segments = categoryPath.split('/');
+  
+  for (let i = 1; i <= segments.length; i++) {
+    const ancestor = segments.slice(0, i).join('/');
+    if (!categories.has(ancestor)) {
+      categories.set(ancestor, { description: '', defaultTags: [], created });
+    }
+  }
+}
+
+/**
+ * Helper function to list note keys below the top-level category folders
+ * 
+ * @param {Map|null} categories - Registry, or null to list the whole store
+ * @returns {Promise<Array>} Note keys
+ */
+async function listNoteKeys(categories) {
+  const storage = getStorage();
+  const prefixes = categories
+    ? [...categories.keys()].filter(categoryPath => !categoryPath.includes('/')).sort()
+    : [''];
+  
+  const keys = [];
+  for (const prefix of prefixes) {
+    for (const key of await storage.list(prefix)) {
+      if (!key.endsWith('.md') || key.split('/').some(segment => segment.startsWith('.'))) continue;
+      keys.push(key);
+    }
+  }
+  
+  return keys;
+}
+
+/**
+ * Helper function to count notes in each folder
+ * 
+ * @param {Map|null} categories - Registry, or null to count across the whole store
+ * @returns {Promise<Map>} Number of notes by folder path
+ */
+async function countNotesByFolder(categories) {
+  const counts = new Map();
+  
+  for (const key of await listNoteKeys(categories)) {
+    const folder = path.posix.dirname(key);
+    counts.set(folder, (counts.get(folder) || 0) + 1);
+  }
+  
+  return counts;
+}
+
+/**
+ * Helper function to describe a category with its counts and subcategories
+ * 
+ * @param {string} categoryPath - Category path
+ * @param {Map} categories - Registry
+ * @param {Map} folders - Note counts by folder
+ * @returns {Object} Category
+ */
+function describeCategory(categoryPath, categories, folders) {
+  const prefix = `${categoryPath}/`;
+  let totalNotes = 0;
+  for (const [folder, count] of folders) {
+    if (folder === categoryPath || folder.startsWith(prefix)) {
+      totalNotes += count;
+    }
+  }
+  
+  const subcategories = [...categories.keys()]
+    .filter(other => other.startsWith(prefix) && !other.slice(prefix.length).includes('/'))
+    .sort();
+  
+  return {
+    path: categoryPath,
+    ...categories.get(categoryPath),
+    notes: folders.get(categoryPath) || 0,
+    totalNotes,
+    subcategories
+  };
+}
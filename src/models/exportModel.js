@@ -0,0 +1,404 @@
+/**
+ * Export Model
+ * 
+ * Exports notes as a zip archive, JSON Lines, a single markdown document or
+ * a static HTML site. Every format is written to a stream note by note, so
+ * large stores are never held in memory at once.
+ */
+
+const path = require('path');
+const noteModel = require('./noteModel');
+const { createZipWriter } = require('../utils/zip');
+const { createLinkResolver, replaceWikilinks } = require('../utils/noteLinks');
+const { escapeHtml } = require('../utils/markdown');
+const { createNoteRenderer } = require('../utils/noteRenderer');
+const { tagAncestors } = require('../utils/tags');
+
+// Stylesheet shared by every page of a static site export
+const SITE_STYLESHEET = `body { font-family: system-ui, sans-serif; line-height: 1.6; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #222; }
+nav { border-bottom: 1px solid #ddd; margin-bottom: 1.5rem; padding-bottom: .5rem; }
+nav a { margin-right: 1rem; }
+a { color: #0b5cad; }
+.meta { color: #666; font-size: .9rem; }
+.tag { background: #eef3f8; border-radius: 3px; padding: 0 .4rem; margin-right: .3rem; text-decoration: none; }
+.wikilink.unresolved { color: #a33; }
+pre { background: #f5f5f5; padding: .75rem; overflow-x: auto; }
+code { font-family: ui-monospace, monospace; }
+blockquote { border-left: 3px solid #ddd; margin-left: 0; padding-left: 1rem; color: #555; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ddd; padding: .25rem .5rem; }
+img { max-width: 100%; }
+`;
+
+/**
+ * Export notes as a zip archive laid out like the notes store
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {Object} filters - Same filters as listing notes
+ * @param {stream.Writable} stream - Where to write the archive
+ * @returns {Promise<number>} Number of notes exported
+ */
+exports.exportZip = async (role, filters, stream) => {
+  const zip = createZipWriter(stream);
+  
+  const count = await noteModel.eachNote(role, filters, async (note, content) => {
+    await zip.addFile(note.relativePath, content, lastModified(note));
+  });
+  
+  await zip.finish();
+  return count;
+};
+
+/**
+ * Export notes as JSON Lines, one note per line with its parsed metadata
+ * The output can be imported again through POST /import.
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {Object} filters - Same filters as listing notes
+ * @param {stream.Writable} stream - Where to write the lines
+ * @returns {Promise<number>} Number of notes exported
+ */
+exports.exportJsonLines = async (role, filters, stream) => {
+  return noteModel.eachNote(role, filters, async (note) => {
+    await writeChunk(stream, `${JSON.stringify(toExportRecord(note))}\n`);
+  });
+};
+
+/**
+ * Export notes as one markdown document with a table of contents
+ * Each note's headings move down a level beneath its entry, and wikilinks
+ * between exported notes point at their sections in the document.
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {Object} filters - Same filters as listing notes
+ * @param {stream.Writable} stream - Where to write the document
+ * @returns {Promise<number>} Number of notes exported
+ */
+exports.exportMarkdown = async (role, filters, stream) => {
+  const entries = await listEntries(role, filters);
+  const resolve = createLinkResolver(entries);
+  const anchor = entry => `note-${anchorId(entry.id)}`;
+  
+  const toc = ['# Notes', '', `Exported ${new Date().toISOString()}`, '', '## Contents', ''];
+  for (const [category, notes] of groupByCategory(entries)) {
+    toc.push(`- ${category}`);
+    for (const entry of notes) {
+      toc.push(`  - [${escapeLinkText(entry.title)}](#${anchor(entry)})`);
+    }
+  }
+  await writeChunk(stream, `${toc.join('\n')}\n`);
+  
+  for (const entry of entries) {
+    const note = await noteModel.getNoteById(role, entry.id);
+    if (!note) continue;
+    
+    const content = replaceWikilinks(note.content, ({ embed, target, alias }) => {
+      const linked = embed ? null : resolve(target);
+      return linked ? `[${escapeLinkText(alias || linked.title)}](#${anchor(linked)})` : null;
+    });
+    
+    const details = [`Path: \`${entry.relativePath}\``];
+    if (entry.date) details.push(`Date: ${entry.date}`);
+    if (entry.tags.length) details.push(`Tags: ${entry.tags.join(', ')}`);
+    
+    await writeChunk(stream, [
+      '',
+      '---',
+      '',
+      `<a id="${anchor(entry)}"></a>`,
+      '',
+      demoteHeadings(withTitle(content, note.title)),
+      '',
+      `*${details.join(' · ')}*`,
+      ''
+    ].join('\n'));
+  }
+  
+  return entries.length;
+};
+
+/**
+ * Export notes as a static HTML site in a zip archive
+ * The site has a page per note, category and tag, and an index page linking
+ * to them; links between exported notes point at their pages.
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {Object} filters - Same filters as listing notes
+ * @param {stream.Writable} stream - Where to write the archive
+ * @returns {Promise<number>} Number of notes exported
+ */
+exports.exportSite = async (role, filters, stream) => {
+  const entries = await listEntries(role, filters);
+  const render = createNoteRenderer(entries, {
+    noteUrl: (linked, from) => relativeHref(notePage(from), notePage(linked))
+  });
+  const zip = createZipWriter(stream);
+  
+  for (const entry of entries) {
+    const note = await noteModel.getNoteById(role, entry.id);
+    if (!note) continue;
+    
+    const page = notePage(entry);
+    const body = render({ ...entry, content: note.content }).html;
+    
+    const tagLinks = entry.tags.map(tag => `<a class="tag" href="${relativeHref(page, tagPage(tag))}">${escapeHtml(tag)}</a>`);
+    const meta = [
+      entry.category !== '.' ? `<a href="${relativeHref(page, categoryPage(entry.category))}">${escapeHtml(entry.category)}</a>` : '',
+      entry.date ? escapeHtml(entry.date) : '',
+      note.metadata.author ? escapeHtml(String(note.metadata.author)) : ''
+    ].filter(Boolean).join(' · ');
+    
+    await zip.addFile(page, sitePage(page, entry.title, [
+      body.startsWith('<h1') ? '' : `<h1>${escapeHtml(entry.title)}</h1>`,
+      body,
+      `<footer>\n<p class="meta">${meta}</p>`,
+      tagLinks.length ? `<p>${tagLinks.join(' ')}</p>` : '',
+      '</footer>'
+    ].filter(Boolean).join('\n')), lastModified(note));
+  }
+  
+  const categories = groupByCategory(entries);
+  for (const [category, notes] of categories) {
+    if (category === '.') continue;
+    const page = categoryPage(category);
+    await zip.addFile(page, sitePage(page, category, `<h1>${escapeHtml(category)}</h1>\n${noteList(page, notes)}`));
+  }
+  
+  // A parent tag's page lists the notes of its child tags too
+  const tags = new Map();
+  for (const entry of entries) {
+    for (const tag of new Set(entry.tags.flatMap(tagAncestors))) {
+      if (!tags.has(tag)) tags.set(tag, []);
+      tags.get(tag).push(entry);
+    }
+  }
+  for (const [tag, notes] of tags) {
+    const page = tagPage(tag);
+    await zip.addFile(page, sitePage(page, `Tag: ${tag}`, `<h1>Tag: ${escapeHtml(tag)}</h1>\n${noteList(page, notes)}`));
+  }
+  
+  const categoryItems = [...categories.keys()]
+    .filter(category => category !== '.')
+    .map(category => `<li><a href="${relativeHref('index.html', categoryPage(category))}">${escapeHtml(category)}</a> (${categories.get(category).length})</li>`);
+  const tagItems = [...tags.keys()]
+    .sort()
+    .map(tag => `<li><a href="${relativeHref('index.html', tagPage(tag))}">${escapeHtml(tag)}</a> (${tags.get(tag).length})</li>`);
+  
+  await zip.addFile('index.html', sitePage('index.html', 'Notes', [
+    '<h1>Notes</h1>',
+    '<h2>Categories</h2>',
+    categoryItems.length ? `<ul>\n${categoryItems.join('\n')}\n</ul>` : '<p>No categories.</p>',
+    '<h2>Tags</h2>',
+    tagItems.length ? `<ul>\n${tagItems.join('\n')}\n</ul>` : '<p>No tags.</p>',
+    '<h2>All notes</h2>',
+    noteList('index.html', entries)
+  ].join('\n')));
+  await zip.addFile('style.css', SITE_STYLESHEET);
+  await zip.finish();
+  
+  return entries.length;
+};
+
+/**
+ * Helper function to list the notes to export, without their content
+ * Sorted by path, so notes are grouped by category and ordered by date.
+ */
+async function listEntries(role, filters) {
+  const entries = [];
+  
+  await noteModel.eachNote(role, filters, async (note) => {
+    entries.push({
+      id: note.id,
+      title: note.title,
+      relativePath: note.relativePath,
+      category: path.posix.dirname(note.relativePath),
+      date: note.metadata.date ? formatDate(note.metadata.date) : null,
+      tags: Array.isArray(note.metadata.tags) ? note.metadata.tags.map(String) : []
+    });
+  });
+  
+  return entries.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+}
+
+/**
+ * Helper function to shape a note as a JSON Lines record
+ * Mirrors the fields POST /import reads back.
+ */
+function toExportRecord(note) {
+  const category = path.posix.dirname(note.relativePath);
+  return {
+    id: note.id,
+    title: note.title,
+    relativePath: note.relativePath,
+    category: category === '.' ? null : category,
+    tags: Array.isArray(note.metadata.tags) ? note.metadata.tags.map(String) : [],
+    metadata: note.metadata,
+    content: note.content
+  };
+}
+
+/**
+ * Helper function to group sorted entries by category
+ */
+function groupByCategory(entries) {
+  const groups = new Map();
+  for (const entry of entries) {
+    if (!groups.has(entry.category)) groups.set(entry.category, []);
+    groups.get(entry.category).push(entry);
+  }
+  return groups;
+}
+
+/**
+ * Helper function to render a list of links to note pages
+ */
+function noteList(fromPage, entries) {
+  if (!entries.length) {
+    return '<p>No notes.</p>';
+  }
+  
+  const items = entries.map(entry => {
+    const date = entry.date ? ` <span class="meta">${escapeHtml(entry.date)}</span>` : '';
+    return `<li><a href="${relativeHref(fromPage, notePage(entry))}">${escapeHtml(entry.title)}</a>${date}</li>`;
+  });
+  return `<ul>\n${items.join('\n')}\n</ul>`;
+}
+
+/**
+ * Helper function to wrap page content in an HTML document
+ */
+function sitePage(page, title, body) {
+  const root = relativeHref(page, 'index.html').replace(/index\.html$/, '');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="${root}style.css">
+</head>
+<body>
+<nav><a href="${root}index.html">Index</a></nav>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Helper function to get the site page of a note
+ */
+function notePage(entry) {
+  return `notes/${entry.relativePath.replace(/\.md$/, '')}.html`;
+}
+
+/**
+ * Helper function to get the site page of a category
+ */
+function categoryPage(category) {
+  return `categories/${category}.html`;
+}
+
+/**
+ * Helper function to get the site page of a tag
+ * Each level is percent-encoded, dots included, so a tag such as `../x`
+ * cannot name a file outside `tags/`.
+ */
+function tagPage(tag) {
+  const segments = String(tag).split('/').map(segment => encodeURIComponent(segment).replace(/\./g, '%2E'));
+  return `tags/${segments.join('/')}.html`;
+}
+
+/**
+ * Helper function to link from one site page to another
+ */
+function relativeHref(fromPage, toPage) {
+  return path.posix.relative(path.posix.dirname(fromPage), toPage)
+    .split('/')
+    .map(encodeURIComponent)
+    .join('/');
+}
+
+/**
+ * Helper function to make a note ID safe for an HTML anchor
+ */
+function anchorId(id) {
+  return String(id).replace(/[^A-Za-z0-9_-]+/g, '-');
+}
+
+/**
+ * Helper function to escape text used as a markdown link label
+ */
+function escapeLinkText(text) {
+  return String(text).replace(/([\\[\]])/g, '\\$1');
+}
+
+/**
+ * Helper function to make sure a note starts with its title as a heading
+ */
+function withTitle(content, title) {
+  return content.trim().startsWith('# ') ? content : `# ${title}\n\n${content}`;
+}
+
+/**
+ * Helper function to move every heading down a level, leaving code blocks alone
+ */
+function demoteHeadings(content) {
+  let fence = null;
+  
+  return content.split('\n').map(line => {
+    const marker = line.match(/^ {0,3}(`{3,}|~{3,})/);
+    if (marker) {
+      if (!fence) {
+        fence = marker[1];
+      } else if (marker[1][0] === fence[0] && marker[1].length >= fence.length) {
+        fence = null;
+      }
+      return line;
+    }
+    
+    return !fence && /^#{1,5}(\s|$)/.test(line) ? `#${line}` : line;
+  }).join('\n');
+}
+
+/**
+ * Helper function to get when a note last changed, for zip entries
+ */
+function lastModified(note) {
+  const value = note.metadata.lastModified || note.metadata.date;
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date : new Date();
+}
+
+/**
+ * Helper function to write to a stream, waiting if it is full
+ */
+function writeChunk(stream, chunk) {
+  if (stream.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      stream.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      stream.off('drain', onDrain);
+      reject(new Error('Stream closed before the export was written'));
+    };
+    stream.once('drain', onDrain);
+    stream.once('close', onClose);
+  });
+}
+
+/**
+ * Helper function to format a date as YYYY-MM-DD
+ */
+function formatDate(date) {
+  if (date instanceof Date) {
+    return date.toISOString().split('T')[0];
+  }
+  return String(date);
+}
@@ -0,0 +1,208 @@
+/**
+ * Graph Model
+ * 
+ * Builds a knowledge graph from the notes store: notes, tags, categories and
+ * authors are nodes; `related` links, shared tags and note metadata are edges.
+ */
+
+const path = require('path');
+const noteModel = require('./noteModel');
+const { isAuthorized } = require('../utils/authorization');
+const { createLinkResolver } = require('../utils/noteLinks');
+
+// Edges between two notes, as opposed to edges from a note to its metadata
+const NOTE_EDGE_TYPES = ['related', 'shared-tag'];
+
+/**
+ * Build the knowledge graph
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {Object} filters - Same filters as listing notes
+ * @param {string} filters.tags - Comma-separated list of tags to filter by
+ * @param {string} filters.category - Category to filter by
+ * @param {boolean} filters.recursive - Include notes in subcategories of the category
+ * @returns {Promise<Object>} Graph as `{ nodes, edges, metrics }`
+ */
+exports.buildGraph = async (role, { tags, category, recursive = false } = {}) => {
+  if (!isAuthorized(role, 'read')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const notes = await noteModel.getAllNotes(role, tags, category, undefined, { recursive });
+  const resolve = createLinkResolver(notes);
+  
+  const nodes = new Map();
+  const edges = [];
+  
+  const addNode = (id, type, label, extra = {}) => {
+    if (!nodes.has(id)) {
+      nodes.set(id, { id, type, label, ...extra });
+    }
+    return id;
+  };
+  
+  for (const note of notes) {
+    addNode(note.id, 'note', note.title, {
+      relativePath: note.relativePath,
+      date: formatDate(note.metadata.date)
+    });
+  }
+  
+  for (const note of notes) {
+    const noteTags = Array.isArray(note.metadata.tags) ? note.metadata.tags.map(String) : [];
+    for (const tag of new Set(noteTags)) {
+      edges.push({ source: note.id, target: addNode(`tag:${tag}`, 'tag', tag), type: 'tagged' });
+    }
+    
+    const noteCategory = path.posix.dirname(note.relativePath);
+    if (noteCategory !== '.') {
+      edges.push({ source: note.id, target: addNode(`category:${noteCategory}`, 'category', noteCategory), type: 'in-category' });
+    }
+    
+    if (note.metadata.author) {
+      const author = String(note.metadata.author);
+      edges.push({ source: note.id, target: addNode(`author:${author}`, 'author', author), type: 'authored-by' });
+    }
+    
+    // Related entries outside the filtered notes are left out
+    const linked = new Set();
+    for (const entry of Array.isArray(note.metadata.related) ? note.metadata.related : []) {
+      const target = resolve(String(entry));
+      if (target && target.id !== note.id && !linked.has(target.id)) {
+        linked.add(target.id);
+        edges.push({ source: note.id, target: target.id, type: 'related' });
+      }
+    }
+  }
+  
+  edges.push(...sharedTagEdges(notes));
+  
+  return {
+    nodes: [...nodes.values()],
+    edges,
+    metrics: computeMetrics(nodes, edges)
+  };
+};
+
+/**
+ * Helper function to link every pair of notes that share a tag
+ * 
+ * @param {Array} notes - Parsed notes
+ * @returns {Array} Undirected edges with the shared tags and their count as weight
+ */
+function sharedTagEdges(notes) {
+  const notesByTag = new Map();
+  for (const note of notes) {
+    const noteTags = Array.isArray(note.metadata.tags) ? note.metadata.tags.map(String) : [];
+    for (const tag of new Set(noteTags)) {
+      if (!notesByTag.has(tag)) notesByTag.set(tag, []);
+      notesByTag.get(tag).push(note.id);
+    }
+  }
+  
+  const pairs = new Map();
+  for (const [tag, noteIds] of notesByTag) {
+    for (let i = 0; i < noteIds.length; i++) {
+      for (let j = i + 1; j < noteIds.length; j++) {
+        const [source, target] = [noteIds[i], noteIds[j]].sort();
+        const pairKey = `${source}\n${target}`;
+        if (!pairs.has(pairKey)) {
+          pairs.set(pairKey, { source, target, type: 'shared-tag', directed: false, tags: [] });
+        }
+        pairs.get(pairKey).tags.push(tag);
+      }
+    }
+  }
+  
+  return [...pairs.values()].map(edge => ({ ...edge, weight: edge.tags.length }));
+}
+
+/**
+ * Helper function to compute graph metrics
+ * Degree counts every edge; orphans and components only consider edges
+ * between notes, since tag, category and author nodes would connect nearly
+ * everything.
+ * 
+ * @param {Map} nodes - Nodes by ID; each node gets a `degree`
+ * @param {Array} edges - Graph edges
+ * @returns {Object} Metrics
+ */
+function computeMetrics(nodes, edges) {
+  const neighbours = new Map();
+  
+  for (const node of nodes.values()) {
+    node.degree = 0;
+    if (node.type === 'note') {
+      neighbours.set(node.id, new Set());
+    }
+  }
+  
+  for (const edge of edges) {
+    nodes.get(edge.source).degree++;
+    nodes.get(edge.target).degree++;
+    
+    if (NOTE_EDGE_TYPES.includes(edge.type)) {
+      neighbours.get(edge.source).add(edge.target);
+      neighbours.get(edge.target).add(edge.source);
+    }
+  }
+  
+  const orphans = [...neighbours.keys()].filter(id => neighbours.get(id).size === 0);
+  
+  // Connected components over note-to-note edges, largest first
+  const components = [];
+  const visited = new Set();
+  for (const start of neighbours.keys()) {
+    if (visited.has(start)) continue;
+    
+    const component = [];
+    const stack = [start];
+    visited.add(start);
+    while (stack.length > 0) {
+      const id = stack.pop();
+      component.push(id);
+      for (const next of neighbours.get(id)) {
+        if (!visited.has(next)) {
+          visited.add(next);
+          stack.push(next);
+        }
+      }
+    }
+    components.push(component);
+  }
+  components.sort((a, b) => b.length - a.length);
+  
+  const countByType = type => [...nodes.values()].filter(node => node.type === type).length;
+  const noteDegrees = [...neighbours.values()].map(linked => linked.size);
+  
+  return {
+    nodes: nodes.size,
+    edges: edges.length,
+    notes: countByType('note'),
+    tags: countByType('tag'),
+    categories: countByType('category'),
+    authors: countByType('author'),
+    averageNoteDegree: noteDegrees.length > 0
+      ? Number((noteDegrees.reduce((sum, degree) => sum + degree, 0) / noteDegrees.length).toFixed(2))
+      : 0,
+    orphans,
+    components: {
+      count: components.length,
+      largest: components.length > 0 ? components[0].length : 0,
+      members: components
+    }
+  };
+}
+
+/**
+ * Helper function to format a frontmatter date as YYYY-MM-DD
+ * 
+ * @param {string|Date} date - Date from note metadata
+ * @returns {string|null} The date, or null if it is missing
+ */
+function formatDate(date) {
+  if (date instanceof Date) {
+    return date.toISOString().split('T')[0];
+  }
+  return date ? String(date) : null;
+}
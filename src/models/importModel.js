@@ -0,0 +1,504 @@
+/**
+ * Import Model
+ * 
+ * Imports notes from an Obsidian vault (a folder or a zip of one) or from a
+ * JSON dump of notes. Folders become categories, frontmatter is kept and
+ * filled in where it is missing, wikilinks between imported notes are pointed
+ * at their new paths, and other files are stored under `attachments/`. Notes
+ * that are already in the store are skipped.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { isAuthorized } = require('../utils/authorization');
+const { parseNoteContent, formatNoteContent } = require('../utils/noteFormatter');
+const { getStorage } = require('../storage');
+const { readZip } = require('../utils/zip');
+const { replaceWikilinks, remapLinks, createLinkResolver } = require('../utils/noteLinks');
+const { isValidTag } = require('../utils/tags');
+const noteModel = require('./noteModel');
+const categoryModel = require('./categoryModel');
+
+// Category for notes at the top of an import
+const DEFAULT_CATEGORY = 'topics';
+
+// Folder non-markdown files are stored under
+const ATTACHMENTS_DIR = 'attachments';
+
+// Folders added by archiving tools rather than by the vault's owner
+const IGNORED_FOLDERS = ['__MACOSX'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Obsidian uses the alias of an embedded image for its size, e.g. ![[photo.png|300]]
+const IMAGE_SIZE_PATTERN = /^\d+(x\d+)?$/;
+
+/**
+ * Read the files of a zip archive for import
+ * A single folder wrapping the whole archive, as when a vault folder is
+ * zipped, is left out of the paths.
+ * 
+ * @param {Buffer} buffer - Zip archive
+ * @returns {Array} Files as `{ path, data, modified }`
+ */
+exports.readZipSource = (buffer) => {
+  const files = readZip(buffer).map(({ name, data, modified }) => ({ path: name, data, modified }));
+  return stripWrappingFolder(files);
+};
+
+/**
+ * Read the files of a vault folder for import
+ * 
+ * @param {string} directory - Folder on this machine
+ * @returns {Promise<Array>} Files as `{ path, data, modified }`
+ */
+exports.readDirectorySource = async (directory) => {
+  const files = [];
+  
+  async function readFolder(folder) {
+    for (const entry of await fs.readdir(path.join(directory, folder), { withFileTypes: true })) {
+      if (entry.name.startsWith('.')) continue;
+      
+      const relative = folder ? `${folder}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        await readFolder(relative);
+      } else if (entry.isFile()) {
+        const filePath = path.join(directory, relative);
+        const [data, stats] = await Promise.all([fs.readFile(filePath), fs.stat(filePath)]);
+        files.push({ path: relative, data, modified: stats.mtime });
+      }
+    }
+  }
+  
+  await readFolder('');
+  return files;
+};
+
+/**
+ * Turn a JSON dump of notes into files for import
+ * Each note needs `content`, and may have `title`, `tags`, `category`, `id`,
+ * `metadata` and `relativePath`, the form notes take in `GET /notes`.
+ * 
+ * @param {Array|Object} dump - Array of notes, or an object with a `notes` array
+ * @returns {Array} Files as `{ path, data, modified }`
+ * @throws {Error} 400 if the dump is not a list of notes
+ */
+exports.readJsonSource = (dump) => {
+  const records = Array.isArray(dump) ? dump : dump && dump.notes;
+  if (!Array.isArray(records)) {
+    throw importError('A JSON import must be an array of notes or an object with a notes array');
+  }
+  
+  return records.map((record, index) => {
+    if (!record || typeof record.content !== 'string') {
+      throw importError(`Note ${index} in the import has no content`);
+    }
+    
+    const metadata = { ...(record.metadata && typeof record.metadata === 'object' ? record.metadata : {}) };
+    if (record.id) metadata.id = record.id;
+    if (record.tags) metadata.tags = record.tags;
+    
+    const sourcePath = typeof record.relativePath === 'string' && record.relativePath.endsWith('.md')
+      ? record.relativePath
+      : path.posix.join(record.category || '', `${record.title || `note-${index + 1}`}.md`);
+    const title = record.title || path.posix.basename(sourcePath, '.md');
+    
+    return {
+      path: sourcePath,
+      data: Buffer.from(formatNoteContent(metadata, title, record.content)),
+      modified: null
+    };
+  });
+};
+
+/**
+ * Parse a JSON Lines dump, one note per line
+ * 
+ * @param {string} text - JSON Lines text
+ * @returns {Array} Parsed notes
+ * @throws {Error} 400 naming the first line that is not valid JSON
+ */
+exports.parseJsonLines = (text) => {
+  return String(text).split('\n').map((line, index) => {
+    if (!line.trim()) return null;
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw importError(`Line ${index + 1} of the import is not valid JSON`);
+    }
+  }).filter(Boolean);
+};
+
+/**
+ * Import files read by one of the read*Source functions
+ * Nothing is written on a dry run; the report describes what would be.
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {Array} files - Files as `{ path, data, modified }`
+ * @param {string} author - Agent running the import, the author of notes that name none
+ * @param {Object} options - Import options
+ * @param {boolean} options.dryRun - Only report what would be imported
+ * @param {string} options.category - Category to import under; folders become its subcategories
+ * @returns {Promise<Object>} Report of the notes, attachments and categories imported and what was skipped
+ */
+exports.importFiles = async (role, files, author, { dryRun = false, category } = {}) => {
+  if (!isAuthorized(role, 'create')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const report = {
+    dryRun,
+    notes: [],
+    attachments: [],
+    categories: [],
+    duplicates: [],
+    unresolvedLinks: [],
+    failed: []
+  };
+  
+  const markdown = [];
+  const others = [];
+  for (const file of files) {
+    const segments = file.path.split('/');
+    if (segments.some(segment => segment.startsWith('.') || IGNORED_FOLDERS.includes(segment))) continue;
+    
+    (/\.md$/i.test(file.path) ? markdown : others).push(file);
+  }
+  
+  const existing = await noteModel.getAllNotes(role);
+  const takenKeys = new Set(await getStorage().list());
+  
+  // Where every non-markdown file is stored; a file imported before keeps its key
+  const attachmentKeys = new Map();
+  const newAttachments = [];
+  for (const file of others) {
+    const key = path.posix.join(ATTACHMENTS_DIR, file.path);
+    const exists = takenKeys.has(key);
+    attachmentKeys.set(file.path, key);
+    takenKeys.add(key);
+    report.attachments.push({ source: file.path, relativePath: key, size: file.data.length, exists });
+    if (!exists) {
+      newAttachments.push(file);
+    }
+  }
+  
+  const plans = planNotes(markdown, existing, takenKeys, { author, category }, report);
+  
+  // Links resolve the way Obsidian resolves them: by path, or by file name
+  const resolveSource = createLinkResolver(markdown.map(file => ({
+    id: file.path,
+    relativePath: file.path,
+    title: path.posix.basename(file.path).replace(/\.md$/i, '')
+  })));
+  const resolveExisting = createLinkResolver(existing);
+  const resolveAttachment = createAttachmentResolver(others);
+  
+  // Links to a duplicate go to the note it duplicates
+  const destinations = new Map(plans.map(plan => [plan.source, plan]));
+  for (const duplicate of report.duplicates) {
+    const original = duplicate.existing || destinations.get(duplicate.duplicateOf);
+    destinations.set(duplicate.source, original);
+  }
+  const keyMap = new Map([...attachmentKeys]);
+  for (const [source, plan] of destinations) {
+    keyMap.set(source, plan.relativePath);
+  }
+  
+  const missingCategories = new Set();
+  
+  for (const plan of plans) {
+    const linked = new Set();
+    
+    let body = replaceWikilinks(plan.body, ({ embed, target, heading, alias }) => {
+      const source = resolveSource(target);
+      if (source && destinations.has(source.id)) {
+        const destination = destinations.get(source.id);
+        linked.add(destination.id);
+        return `${embed ? '!' : ''}[[${destination.relativePath.replace(/\.md$/, '')}${heading ? `#${heading}` : ''}|${alias || target}]]`;
+      }
+      
+      const attachment = resolveAttachment(target);
+      if (attachment) {
+        const href = path.posix.relative(path.posix.dirname(plan.relativePath), attachmentKeys.get(attachment.path));
+        const text = alias && !IMAGE_SIZE_PATTERN.test(alias) ? alias : path.posix.basename(attachment.path);
+        return `${embed ? '!' : ''}[${text}](${encodeURI(href)})`;
+      }
+      
+      const note = resolveExisting(target);
+      if (note) {
+        linked.add(note.id);
+      } else {
+        report.unresolvedLinks.push({ source: plan.source, target });
+      }
+      return null;
+    });
+    
+    body = remapLinks(body, plan.source, plan.relativePath, keyMap);
+    
+    const related = Array.isArray(plan.metadata.related) ? plan.metadata.related : [];
+    linked.delete(plan.id);
+    plan.metadata.related = [...new Set([...related, ...linked])];
+    plan.content = formatNoteContent(plan.metadata, plan.title, body);
+    
+    const categoryPath = path.posix.dirname(plan.relativePath);
+    if (!missingCategories.has(categoryPath) && !(await categoryModel.findCategory(categoryPath))) {
+      missingCategories.add(categoryPath);
+    }
+    
+    report.notes.push({
+      source: plan.source,
+      id: plan.id,
+      title: plan.title,
+      relativePath: plan.relativePath,
+      tags: plan.metadata.tags
+    });
+  }
+  
+  report.categories = [...missingCategories].sort();
+  
+  if (!dryRun) {
+    await commitImport(role, author, { categories: report.categories, attachments: newAttachments, attachmentKeys, plans }, report);
+  }
+  
+  report.summary = {
+    notes: report.notes.length,
+    attachments: newAttachments.length,
+    categories: report.categories.length,
+    duplicates: report.duplicates.length,
+    unresolvedLinks: report.unresolvedLinks.length,
+    failed: report.failed.length
+  };
+  
+  return report;
+};
+
+/**
+ * Helper function to decide where each note goes and fill in its frontmatter
+ * Notes already in the store, or repeated within the import, are reported as
+ * duplicates and left out.
+ * 
+ * @param {Array} files - Markdown files
+ * @param {Array} existing - Notes already in the store
+ * @param {Set} takenKeys - Keys in use, added to as notes are placed
+ * @param {Object} options - Import author and base category
+ * @param {Object} report - Import report to add duplicates to
+ * @returns {Array} Planned notes as `{ source, id, title, relativePath, metadata, body }`
+ */
+function planNotes(files, existing, takenKeys, { author, category }, report) {
+  const byId = new Map(existing.map(note => [note.id, note]));
+  const bySource = new Map(existing
+    .filter(note => note.metadata.importedFrom)
+    .map(note => [`${note.metadata.importedFrom}\n${note.title}`, note]));
+  const byContent = new Map(existing.map(note => [fingerprint(note.title, note.content), note]));
+  
+  const seenIds = new Set();
+  const seenContent = new Map();
+  const plans = [];
+  
+  for (const file of files) {
+    const text = file.data.toString('utf8').replace(/\r\n/g, '\n');
+    const parsed = parseNoteContent(text, file.path, '.');
+    const metadata = { ...parsed.metadata };
+    const contentKey = fingerprint(parsed.title, parsed.content);
+    
+    const sourceId = metadata.id ? String(metadata.id) : null;
+    const match = (sourceId && byId.has(sourceId) && { note: byId.get(sourceId), reason: 'id' })
+      || (bySource.has(`${file.path}\n${parsed.title}`) && { note: bySource.get(`${file.path}\n${parsed.title}`), reason: 'source' })
+      || (byContent.has(contentKey) && { note: byContent.get(contentKey), reason: 'content' });
+    
+    if (match) {
+      seenContent.set(contentKey, file.path);
+      report.duplicates.push({
+        source: file.path,
+        title: parsed.title,
+        reason: match.reason,
+        existing: { id: match.note.id, relativePath: match.note.relativePath }
+      });
+      continue;
+    }
+    
+    if (seenContent.has(contentKey)) {
+      report.duplicates.push({
+        source: file.path,
+        title: parsed.title,
+        reason: 'content',
+        duplicateOf: seenContent.get(contentKey)
+      });
+      continue;
+    }
+    seenContent.set(contentKey, file.path);
+    
+    const id = sourceId && UUID_PATTERN.test(sourceId) && !seenIds.has(sourceId) ? sourceId : crypto.randomUUID();
+    seenIds.add(id);
+    
+    const date = importDate(metadata.date || metadata.created, file.modified);
+    const relativePath = claimKey(takenKeys, path.posix.join(
+      categoryFor(file.path, category),
+      `${date}_${slugify(parsed.title)}.md`
+    ));
+    
+    plans.push({
+      source: file.path,
+      id,
+      title: parsed.title,
+      relativePath,
+      metadata: {
+        ...metadata,
+        id,
+        date,
+        tags: importTags(metadata.tags),
+        author: metadata.author || author,
+        importedFrom: file.path
+      },
+      body: parsed.content
+    });
+  }
+  
+  return plans;
+}
+
+/**
+ * Helper function to write a planned import
+ * Failures are recorded in the report and do not stop the other notes.
+ */
+async function commitImport(role, author, { categories, attachments, attachmentKeys, plans }, report) {
+  const storage = getStorage();
+  
+  for (const categoryPath of categories) {
+    try {
+      await categoryModel.createCategory(role, categoryPath, { description: 'Imported' });
+    } catch (error) {
+      // Created earlier in this loop as the parent of another category
+      if (error.statusCode !== 409) throw error;
+    }
+  }
+  
+  for (const file of attachments) {
+    try {
+      await storage.write(attachmentKeys.get(file.path), file.data);
+    } catch (error) {
+      report.failed.push({ source: file.path, error: error.message });
+    }
+  }
+  
+  for (const plan of plans) {
+    try {
+      await noteModel.importNote(role, plan.relativePath, plan.content, author);
+    } catch (error) {
+      report.failed.push({ source: plan.source, error: error.message });
+    }
+  }
+}
+
+/**
+ * Helper function to find attachments by path or file name, ignoring case
+ */
+function createAttachmentResolver(files) {
+  const byPath = new Map();
+  for (const file of files) {
+    const lowered = file.path.toLowerCase();
+    if (!byPath.has(lowered)) byPath.set(lowered, file);
+    const basename = path.posix.basename(lowered);
+    if (!byPath.has(basename)) byPath.set(basename, file);
+  }
+  
+  return target => byPath.get(target.trim().toLowerCase()) || null;
+}
+
+/**
+ * Helper function to leave out a folder that wraps every file of an import
+ */
+function stripWrappingFolder(files) {
+  const tops = new Set(files.map(file => (file.path.includes('/') ? file.path.split('/')[0] : null)));
+  if (tops.size !== 1 || tops.has(null)) {
+    return files;
+  }
+  
+  const [top] = tops;
+  return files.map(file => ({ ...file, path: file.path.slice(top.length + 1) }));
+}
+
+/**
+ * Helper function to map a file's folder to a category
+ * Each folder name is made into a valid category level; files at the top of
+ * the import go into the base category, or `topics` without one.
+ */
+function categoryFor(sourcePath, base) {
+  const folder = path.posix.dirname(sourcePath);
+  const levels = folder === '.' ? [] : folder.split('/')
+    .map(name => name.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^[-_]+|[-_]+$/g, ''))
+    .filter(Boolean);
+  
+  if (base) {
+    return [base, ...levels].join('/');
+  }
+  return levels.length > 0 ? levels.join('/') : DEFAULT_CATEGORY;
+}
+
+/**
+ * Helper function to give a key a number suffix while it is taken
+ */
+function claimKey(takenKeys, key) {
+  const extension = path.posix.extname(key);
+  const base = key.slice(0, key.length - extension.length);
+  let candidate = key;
+  
+  for (let n = 2; takenKeys.has(candidate); n++) {
+    candidate = `${base}_${n}${extension}`;
+  }
+  
+  takenKeys.add(candidate);
+  return candidate;
+}
+
+/**
+ * Helper function to read tags written as a list or as a comma or space
+ * separated string, with or without Obsidian's leading `#`
+ */
+function importTags(tags) {
+  const list = Array.isArray(tags) ? tags : typeof tags === 'string' ? tags.split(/[,\s]+/) : [];
+  return [...new Set(list.map(tag => String(tag).trim().replace(/^#/, '')).filter(isValidTag))];
+}
+
+/**
+ * Helper function to pick a note's date as YYYY-MM-DD
+ * The frontmatter date wins, then the file's modification time, then today.
+ */
+function importDate(value, modified) {
+  for (const candidate of [value, modified]) {
+    if (!candidate) continue;
+    const date = candidate instanceof Date ? candidate : new Date(String(candidate));
+    if (!Number.isNaN(date.getTime())) {
+      return date.toISOString().split('T')[0];
+    }
+  }
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Helper function to compare notes by title and text, ignoring the title
+ * heading and whitespace
+ */
+function fingerprint(title, content) {
+  const heading = `# ${title}`;
+  const body = content.trim().startsWith(heading) ? content.trim().slice(heading.length) : content;
+  return `${title.trim().toLowerCase()}\n${body.replace(/\s+/g, ' ').trim()}`;
+}
+
+/**
+ * Helper function to turn a title into a file name slug, as for notes
+ * created through the API
+ */
+function slugify(title) {
+  return title.toLowerCase().replace(/[^a-z0-9]+/g, '_');
+}
+
+/**
+ * Helper function to create a 400 error for a bad import
+ */
+function importError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
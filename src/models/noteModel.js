@@ -4,13 +4,79 @@
  * Handles interaction with the notes data storage.
  */
 
-const fs = require('fs/promises');
+const crypto = require('crypto');
 const path = require('path');
-const yaml = require('js-yaml');
 const { isAuthorized } = require('../utils/authorization');
 const { parseNoteContent, formatNoteContent } = require('../utils/noteFormatter');
+const { getStorage } = require('../storage');
+const { normalizeKey } = require('../storage/errors');
+const searchIndex = require('../search/searchIndex');
+const vectorStore = require('../search/vectorStore');
+const idIndex = require('../search/idIndex');
+const { parseQuery } = require('../search/queryParser');
+const { matchesQuery, collectTerms } = require('../search/queryMatcher');
+const revisionModel = require('./revisionModel');
+const categoryModel = require('./categoryModel');
+const { createUnifiedDiff } = require('../utils/diff');
+const { computeEtag, matchesIfMatch } = require('../utils/etag');
+const { createKeyedQueue } = require('../utils/keyedQueue');
+const { encodeCursor, decodeCursor } = require('../utils/pagination');
+const { createNoteRenderer } = require('../utils/noteRenderer');
+const { parseSections, findSections, toOutline, headingLevels } = require('../utils/sections');
+const { matchesTag, tagAncestors, renameTag, isValidTag } = require('../utils/tags');
+const { applyMergePatch, applyJsonPatch, deepEqual } = require('../utils/jsonPatch');
+const { validate: validateSchema } = require('../utils/jsonSchema');
+const {
+  retargetLinks,
+  rebaseLinks,
+  retargetRelated,
+  retargetWikilinks,
+  extractWikilinks,
+  extractMarkdownLinks,
+  createLinkResolver
+} = require('../utils/noteLinks');
 
-const NOTES_DIR = process.env.NOTES_DIR || './notes';
+// Default number of results for semantic searches and similar notes
+const DEFAULT_SIMILAR_LIMIT = 10;
+
+// Rank constant for reciprocal rank fusion in hybrid search
+const RRF_K = 60;
+
+// Length of the excerpt returned instead of the body in summary listings
+const EXCERPT_LENGTH = 200;
+
+// Archived notes keep their original path under this folder, e.g. `archive/projects/alpha/...`
+const ARCHIVE_DIR = 'archive';
+
+// Deleted notes wait here until the trash is purged; hidden, so never listed as notes
+const TRASH_DIR = '.trash';
+
+// Days a deleted note stays in the trash
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Metadata fields recording where an archived or deleted note came from
+const REMOVAL_FIELDS = ['archivedAt', 'archivedBy', 'deletedAt', 'deletedBy', 'originalPath'];
+
+// Frontmatter fields the server maintains, which uploaded files cannot set
+const MANAGED_FIELDS = ['id', 'date', 'tags', 'related', 'author', 'lastModified', ...REMOVAL_FIELDS];
+
+// Frontmatter fields only admins may change through a patch
+const PROTECTED_FIELDS = ['id', 'date', 'author'];
+
+// Stable note IDs are UUIDs written into the frontmatter by createNote
+const STABLE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Changes to the same note run one at a time, so If-Match checks hold until the write
+const lockNote = createKeyedQueue();
+
+// Stable ID backfills in progress, by storage key
+const pendingBackfills = new Map();
+
+// Least time between ID index rebuilds for stable IDs it does not know
+const ID_INDEX_REBUILD_INTERVAL_MS = 60 * 1000;
+
+// When an unknown stable ID last rebuilt the ID index
+let lastIdIndexRebuild = 0;
 
 /**
  * Get all notes with optional filtering
@@ -19,9 +85,11 @@ const NOTES_DIR = process.env.NOTES_DIR || './notes';
  * @param {string} tags - Comma-separated list of tags to filter by
  * @param {string} category - Category to filter by
  * @param {string} keyword - Text to search for in note content
+ * @param {Object} options - Filter options
+ * @param {boolean} options.recursive - Include notes in subcategories of the category
  * @returns {Promise<Array>} Filtered notes array
  */
-exports.getAllNotes = async (role, tags, category, keyword) => {
+exports.getAllNotes = async (role, tags, category, keyword, { recursive = false } = {}) => {
   if (!isAuthorized(role, 'read')) {
     throw new Error('Insufficient permissions');
   }
@@ -32,57 +100,166 @@ exports.getAllNotes = async (role, tags, category, keyword) => {
   // Get all notes
   const allNotes = await getAllNotesInternal();
   
-  let filteredNotes = allNotes;
-  
-  // Apply tag filtering
-  if (tags) {
-    const tagList = tags.split(',');
-    filteredNotes = filteredNotes.filter(note => 
-      tagList.some(tag => note.metadata.tags && note.metadata.tags.includes(tag))
-    );
+  return allNotes.filter(note => matchesListFilters(note, { tags, category, keyword, recursive }));
+};
+
+/**
+ * Visit the notes matching the getAllNotes filters one at a time
+ * Only one note is held in memory at once, so large stores can be streamed.
+ * Notes are visited in storage order.
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {Object} filters - Filters, as for getAllNotes
+ * @param {string} filters.tags - Comma-separated tags to filter by
+ * @param {string} filters.category - Category to filter by
+ * @param {string} filters.keyword - Keyword to search for
+ * @param {boolean} filters.recursive - Include notes in subcategories of the category
+ * @param {Function} visit - Async function called with each note and its raw content
+ * @returns {Promise<number>} Number of notes visited
+ */
+exports.eachNote = async (role, { tags, category, keyword, recursive = false } = {}, visit) => {
+  if (!isAuthorized(role, 'read')) {
+    throw new Error('Insufficient permissions');
   }
   
-  // Apply category filtering
-  if (category) {
-    filteredNotes = filteredNotes.filter(note => 
-      note.path.includes(`/${category}/`)
-    );
+  let count = 0;
+  
+  await forEachStoredNote(async (note, content) => {
+    if (matchesListFilters(note, { tags, category, keyword, recursive })) {
+      count++;
+      await visit(note, content);
+    }
+  });
+  
+  return count;
+};
+
+/**
+ * List notes a page at a time
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {Object} options - Listing options
+ * @param {string} options.tags - Comma-separated list of tags to filter by
+ * @param {string} options.category - Category to filter by
+ * @param {boolean} options.recursive - Include notes in subcategories of the category
+ * @param {string} options.keyword - Text to search for in note content
+ * @param {string} options.sort - 'date' (default), 'lastModified' or 'title'
+ * @param {string} options.order - 'asc' or 'desc' (default: 'asc' for title, otherwise 'desc')
+ * @param {number} options.limit - Maximum notes per page (default: all)
+ * @param {string} options.cursor - Cursor from the previous page
+ * @param {Array} options.fields - Fields to include in each note (default: all)
+ * @param {boolean} options.summary - Return an excerpt instead of the full content
+ * @param {Function} options.noteUrl - If given, each note also gets its rendered `html` and
+ *   `outline`, with links to other notes pointing at `noteUrl(linkedNote)`
+ * @returns {Promise<Object>} Page as `{ notes, total, nextCursor }`
+ */
+exports.listNotes = async (role, {
+  tags,
+  category,
+  recursive = false,
+  keyword,
+  sort = 'date',
+  order,
+  limit,
+  cursor,
+  fields,
+  summary = false,
+  noteUrl
+} = {}) => {
+  const notes = await exports.getAllNotes(role, tags, category, keyword, { recursive });
+  
+  const direction = order || (sort === 'title' ? 'asc' : 'desc');
+  const sign = direction === 'asc' ? 1 : -1;
+  const keyOf = note => ({ value: sortValue(note, sort), id: note.id });
+  
+  // Ties are broken by ID so every note has a fixed place in the order
+  const compare = (a, b) => sign * (compareValues(a.value, b.value, sort) || compareValues(a.id, b.id));
+  const sorted = notes
+    .map(note => ({ note, key: keyOf(note) }))
+    .sort((a, b) => compare(a.key, b.key));
+  
+  let start = 0;
+  if (cursor) {
+    const position = decodeCursor(cursor, sort, direction);
+    start = sorted.findIndex(entry => compare(entry.key, position) > 0);
+    if (start === -1) start = sorted.length;
   }
   
-  // Apply keyword filtering
-  if (keyword) {
-    filteredNotes = filteredNotes.filter(note => 
-      note.content.toLowerCase().includes(keyword.toLowerCase()) ||
-      note.title.toLowerCase().includes(keyword.toLowerCase())
-    );
+  const page = limit ? sorted.slice(start, start + limit) : sorted.slice(start);
+  const hasMore = start + page.length < sorted.length;
+  
+  // Links may point at any note, not only those passing the filters
+  let render = null;
+  if (noteUrl) {
+    const linkable = tags || category || keyword ? await getAllNotesInternal() : notes;
+    render = createNoteRenderer(linkable, { noteUrl });
   }
   
-  return filteredNotes;
+  return {
+    notes: page.map(entry => projectNote(entry.note, fields, summary, render)),
+    total: notes.length,
+    nextCursor: hasMore && page.length > 0
+      ? encodeCursor({ sort, order: direction, ...page[page.length - 1].key })
+      : null
+  };
 };
 
 /**
  * Get a specific note by ID
  * 
  * @param {string} role - Agent role for authorization
- * @param {string} noteId - The ID of the note to retrieve
- * @returns {Promise<Object>} The note or null if not found
+ * @param {string} noteId - Stable ID or path of the note to retrieve
+ * @returns {Promise<Object>} The note with its ETag, or null if not found
  */
 exports.getNoteById = async (role, noteId) => {
   if (!isAuthorized(role, 'read')) {
     throw new Error('Insufficient permissions');
   }
   
-  const notePath = path.join(NOTES_DIR, noteId);
+  const noteKey = await resolveNoteKey(noteId);
+  if (!noteKey) {
+    return null;
+  }
+  
+  try {
+    const { note, content } = await readNote(noteKey);
+    return {
+      ...note,
+      etag: computeEtag(content)
+    };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get a note's file exactly as stored, frontmatter included
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} noteId - Stable ID or path of the note to retrieve
+ * @returns {Promise<Object>} `{ id, relativePath, content, etag }`, or null if not found
+ */
+exports.getNoteSource = async (role, noteId) => {
+  if (!isAuthorized(role, 'read')) {
+    throw new Error('Insufficient permissions');
+  }
   
-  // Validate the path is within NOTES_DIR to prevent directory traversal attacks
-  const resolvedPath = path.resolve(notePath);
-  if (!resolvedPath.startsWith(path.resolve(NOTES_DIR))) {
-    throw new Error('Invalid note path');
+  const noteKey = await resolveNoteKey(noteId);
+  if (!noteKey) {
+    return null;
   }
   
   try {
-    const content = await fs.readFile(notePath, 'utf8');
-    return parseNoteContent(content, notePath, NOTES_DIR);
+    const { note, content } = await readNote(noteKey);
+    return {
+      id: note.id,
+      relativePath: noteKey,
+      content,
+      etag: computeEtag(content)
+    };
   } catch (error) {
     if (error.code === 'ENOENT') {
       return null;
@@ -91,18 +268,49 @@ exports.getNoteById = async (role, noteId) => {
   }
 };
 
+/**
+ * Render a note as sanitised HTML with a table of contents
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} noteId - Stable ID or path of the note to render
+ * @param {Object} options - Rendering options
+ * @param {Function} options.noteUrl - Returns the URL that links to another note point at
+ * @returns {Promise<Object>} The note's `html` and `outline` with its ID, title and ETag, or null if not found
+ */
+exports.renderNote = async (role, noteId, { noteUrl }) => {
+  const note = await exports.getNoteById(role, noteId);
+  if (!note) {
+    return null;
+  }
+  
+  const render = createNoteRenderer(await getAllNotesInternal(), { noteUrl });
+  const { html, outline } = render(note);
+  
+  return {
+    id: note.id,
+    title: note.title,
+    relativePath: note.relativePath,
+    etag: note.etag,
+    html,
+    outline
+  };
+};
+
 /**
  * Create a new note
  * 
  * @param {string} role - Agent role for authorization
  * @param {string} title - Note title
  * @param {string} content - Note content
- * @param {Array} tags - Array of tags
- * @param {string} category - Category folder
+ * @param {Array} tags - Array of tags, added to the category's default tags
+ * @param {string} category - Category folder; must be a known category
  * @param {string} author - Author name
+ * @param {Object} options - Create options
+ * @param {Object} options.metadata - Further frontmatter fields, such as those of an uploaded
+ *   file; fields the server maintains (`id`, `date`, `author` and so on) are ignored
  * @returns {Promise<Object>} Created note information
  */
-exports.createNote = async (role, title, content, tags, category, author) => {
+exports.createNote = async (role, title, content, tags, category, author, { metadata: extraMetadata } = {}) => {
   if (!isAuthorized(role, 'create')) {
     throw new Error('Insufficient permissions');
   }
@@ -110,333 +318,2928 @@ exports.createNote = async (role, title, content, tags, category, author) => {
   // Ensure notes directory exists
   await ensureNotesDirectory();
   
+  const { defaultTags } = await requireCategory(category);
+  
   const today = new Date();
   const dateStr = today.toISOString().split('T')[0]; // YYYY-MM-DD
-  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '_');
-  const filename = `${dateStr}_${slug}.md`;
-  const categoryDir = path.join(NOTES_DIR, category);
-  
-  // Ensure category directory exists
-  await fs.mkdir(categoryDir, { recursive: true });
-  
-  const filePath = path.join(categoryDir, filename);
+  const noteKey = newNoteKey(category, title, dateStr);
+  const id = crypto.randomUUID();
   
   // Create metadata
   const metadata = {
+    id,
     date: dateStr,
-    tags: tags,
-    related: [],
-    author: author
+    tags: [...new Set([...(defaultTags || []), ...(tags || [])])],
+    related: await resolveRelated(id, content, []),
+    author: author,
+    ...customFields(extraMetadata)
   };
   
   // Format note with metadata
   const fullContent = formatNoteContent(metadata, title, content);
+  await checkSchemas(noteKey, fullContent);
   
-  await fs.writeFile(filePath, fullContent, 'utf8');
+  const storage = getStorage();
+  await storage.write(noteKey, fullContent);
+  await indexNote(parseNote(noteKey, fullContent));
+  await recordRevision(noteKey, fullContent, author, 'create');
   
   return { 
-    id: path.relative(NOTES_DIR, filePath),
+    id: metadata.id,
     title,
-    path: filePath,
+    path: storage.locate(noteKey),
+    relativePath: noteKey,
     created: dateStr
   };
 };
 
+/**
+ * Store an imported note as written, keeping its frontmatter
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} noteKey - Storage key for the note; its category must exist
+ * @param {string} content - Full note content, including frontmatter with an `id`
+ * @param {string} author - Agent running the import
+ * @returns {Promise<Object>} Imported note information
+ */
+exports.importNote = async (role, noteKey, content, author) => {
+  if (!isAuthorized(role, 'create')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const key = normalizeKey(noteKey);
+  const storage = getStorage();
+  
+  return lockNote(key, async () => {
+    if (await noteExists(key)) {
+      const error = new Error(`A note already exists at ${key}`);
+      error.statusCode = 409;
+      throw error;
+    }
+    
+    await checkSchemas(key, content);
+    
+    const note = parseNote(key, content);
+    await storage.write(key, content);
+    await indexNote(note);
+    await recordRevision(key, content, author, 'import');
+    
+    return {
+      id: note.id,
+      title: note.title,
+      path: storage.locate(key),
+      relativePath: key
+    };
+  });
+};
+
 /**
  * Update an existing note
  * 
  * @param {string} role - Agent role for authorization
- * @param {string} noteId - The ID of the note to update
+ * @param {string} noteId - Stable ID or path of the note to update
  * @param {string} title - New title (optional)
  * @param {string} content - New content (optional)
  * @param {Array} tags - New tags (optional)
+ * @param {string} author - Agent making the change
+ * @param {Object} options - Write options
+ * @param {string} options.ifMatch - If-Match header value; the change fails with 412 unless it matches
+ * @param {Object} options.metadata - Frontmatter fields to replace the note's own with, such as
+ *   those of an uploaded file; fields the server maintains are kept as they are
  * @returns {Promise<Object>} Updated note information or null if not found
  */
-exports.updateNote = async (role, noteId, title, content, tags) => {
+exports.updateNote = async (role, noteId, title, content, tags, author, { ifMatch, metadata } = {}) => {
   if (!isAuthorized(role, 'update')) {
     throw new Error('Insufficient permissions');
   }
   
-  const notePath = path.join(NOTES_DIR, noteId);
-  
-  // Validate the path is within NOTES_DIR
-  const resolvedPath = path.resolve(notePath);
-  if (!resolvedPath.startsWith(path.resolve(NOTES_DIR))) {
-    throw new Error('Invalid note path');
+  const noteKey = await resolveNoteKey(noteId);
+  if (!noteKey) {
+    return null;
   }
   
-  try {
-    // Check if file exists
-    await fs.access(notePath);
-    
-    // Read existing file
-    const existingContent = await fs.readFile(notePath, 'utf8');
-    const note = parseNoteContent(existingContent, notePath, NOTES_DIR);
-    
-    // Update metadata
-    const updatedMetadata = {
-      ...note.metadata,
-      lastModified: new Date().toISOString().split('T')[0]
-    };
-    
-    if (tags) {
-      updatedMetadata.tags = tags;
-    }
-    
-    // Format updated note
-    const updatedTitle = title || note.title;
-    const updatedContent = content || note.content;
-    
-    const fullContent = formatNoteContent(updatedMetadata, updatedTitle, updatedContent);
-    
-    await fs.writeFile(notePath, fullContent, 'utf8');
-    
-    return {
-      id: noteId,
-      title: updatedTitle,
-      updated: updatedMetadata.lastModified
-    };
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      return null;
+  const storage = getStorage();
+  
+  return lockNote(noteKey, async () => {
+    try {
+      // Read existing note
+      const { note, content: existingContent } = await readNote(noteKey);
+      checkPrecondition(noteKey, existingContent, ifMatch);
+      
+      // Update metadata; an uploaded file's fields replace the note's own
+      const updatedMetadata = {
+        ...(metadata ? withoutFields(note.metadata, Object.keys(customFields(note.metadata))) : note.metadata),
+        ...customFields(metadata),
+        lastModified: new Date().toISOString().split('T')[0]
+      };
+      
+      if (tags) {
+        updatedMetadata.tags = tags;
+      }
+      
+      // Format updated note
+      const updatedTitle = title || note.title;
+      const updatedContent = content || note.content;
+      updatedMetadata.related = await resolveRelated(note.id, updatedContent, note.metadata.related);
+      
+      const fullContent = formatNoteContent(updatedMetadata, updatedTitle, updatedContent);
+      await checkSchemas(noteKey, fullContent);
+      
+      await recordBaseline(noteKey, existingContent, note);
+      await storage.write(noteKey, fullContent);
+      await indexNote(parseNote(noteKey, fullContent));
+      await recordRevision(noteKey, fullContent, author, 'update');
+      
+      return {
+        id: note.id,
+        title: updatedTitle,
+        path: storage.locate(noteKey),
+        relativePath: noteKey,
+        updated: updatedMetadata.lastModified,
+        etag: computeEtag(fullContent)
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
     }
-    throw error;
+  });
+};
+
+/**
+ * Patch a note as the document `{ title, content, metadata }`
+ * The content is the body below the title heading. Any frontmatter field can
+ * be set or removed, but `id`, `date` and `author` only by admins;
+ * `lastModified` is always set by the server.
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} noteId - Stable ID or path of the note to patch
+ * @param {Object} patch - The patch
+ * @param {string} patch.type - 'merge' for a JSON Merge Patch, 'json' for a JSON Patch
+ * @param {*} patch.document - The patch document
+ * @param {string} author - Agent making the change
+ * @param {Object} options - Write options
+ * @param {string} options.ifMatch - If-Match header value; the change fails with 412 unless it matches
+ * @returns {Promise<Object>} Updated note information or null if not found
+ * @throws {Error} 400 for a malformed patch, 403 for protected fields, 409 if a JSON Patch cannot be
+ *   applied, 422 if the patched note is invalid
+ */
+exports.patchNote = async (role, noteId, { type, document: patch }, author, { ifMatch } = {}) => {
+  if (!isAuthorized(role, 'update')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const noteKey = await resolveNoteKey(noteId);
+  if (!noteKey) {
+    return null;
   }
+  
+  const storage = getStorage();
+  
+  return lockNote(noteKey, async () => {
+    try {
+      const { note, content: existingContent } = await readNote(noteKey);
+      checkPrecondition(noteKey, existingContent, ifMatch);
+      
+      // Patches see the metadata as JSON, so dates are strings
+      const original = {
+        title: note.title,
+        content: bodyWithoutTitle(note.content),
+        metadata: JSON.parse(JSON.stringify(note.metadata))
+      };
+      const patched = type === 'json' ? applyJsonPatch(original, patch) : applyMergePatch(original, patch);
+      validatePatchedNote(patched);
+      
+      const changed = PROTECTED_FIELDS.filter(field => !deepEqual(original.metadata[field], patched.metadata[field]));
+      if (changed.length > 0 && !isAuthorized(role, 'manage')) {
+        const error = new Error(`Only admins can change ${changed.join(', ')}`);
+        error.statusCode = 403;
+        throw error;
+      }
+      
+      const newId = patched.metadata.id === undefined ? undefined : String(patched.metadata.id);
+      if (changed.includes('id')) {
+        if (!newId) {
+          throw patchedNoteError('metadata.id cannot be removed');
+        }
+        const existingKey = await resolveNoteKey(newId);
+        if (existingKey && await noteExists(existingKey)) {
+          const error = new Error(`Another note already has the ID ${newId}`);
+          error.statusCode = 409;
+          throw error;
+        }
+      }
+      
+      // Unchanged fields keep their stored form, such as unquoted YAML dates
+      const updatedMetadata = {};
+      for (const [field, value] of Object.entries(patched.metadata)) {
+        updatedMetadata[field] = deepEqual(original.metadata[field], value) ? note.metadata[field] : value;
+      }
+      updatedMetadata.lastModified = new Date().toISOString().split('T')[0];
+      updatedMetadata.related = await resolveRelated(newId || note.id, patched.content, updatedMetadata.related);
+      
+      const title = patched.title.trim();
+      const body = patched.content.trim() ? `# ${title}\n\n${patched.content.trim()}` : `# ${title}`;
+      const fullContent = formatNoteContent(updatedMetadata, title, body);
+      await checkSchemas(noteKey, fullContent);
+      
+      await recordBaseline(noteKey, existingContent, note);
+      await storage.write(noteKey, fullContent);
+      
+      const updated = parseNote(noteKey, fullContent);
+      if (updated.id !== note.id) {
+        await unindexNote(note.id);
+      }
+      await indexNote(updated);
+      await recordRevision(noteKey, fullContent, author, 'update');
+      
+      return {
+        id: updated.id,
+        title,
+        path: storage.locate(noteKey),
+        relativePath: noteKey,
+        metadata: updated.metadata,
+        updated: updatedMetadata.lastModified,
+        etag: computeEtag(fullContent)
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  });
 };
 
 /**
  * Delete or archive a note
+ * Archived notes move to the same path under `archive/` and record their
+ * original path; deleted notes move to the trash until it is purged, unless
+ * deleted permanently.
  * 
  * @param {string} role - Agent role for authorization
- * @param {string} noteId - The ID of the note to delete/archive
+ * @param {string} noteId - Stable ID or path of the note to delete/archive
  * @param {boolean} shouldArchive - If true, move to archive instead of deleting
+ * @param {string} author - Agent making the change
+ * @param {Object} options - Write options
+ * @param {boolean} options.permanent - Delete at once instead of moving to the trash
+ * @param {string} options.ifMatch - If-Match header value; the change fails with 412 unless it matches
  * @returns {Promise<Object>} Result information or null if not found
  */
-exports.deleteNote = async (role, noteId, shouldArchive) => {
+exports.deleteNote = async (role, noteId, shouldArchive, author, { permanent = false, ifMatch } = {}) => {
   if (!isAuthorized(role, 'delete')) {
     throw new Error('Insufficient permissions');
   }
   
-  const notePath = path.join(NOTES_DIR, noteId);
-  
-  // Validate the path is within NOTES_DIR
-  const resolvedPath = path.resolve(notePath);
-  if (!resolvedPath.startsWith(path.resolve(NOTES_DIR))) {
-    throw new Error('Invalid note path');
+  const noteKey = await resolveNoteKey(noteId);
+  if (!noteKey) {
+    return null;
   }
   
-  try {
-    // Check if file exists
-    await fs.access(notePath);
-    
-    if (shouldArchive) {
-      // Move to archive directory instead of deleting
-      const fileName = path.basename(notePath);
-      const archivePath = path.join(NOTES_DIR, 'archive', fileName);
+  const storage = getStorage();
+  
+  return lockNote(noteKey, async () => {
+    try {
+      // Check if note exists
+      const { note, content } = await readNote(noteKey);
+      checkPrecondition(noteKey, content, ifMatch);
+      
+      if (shouldArchive) {
+        if (noteKey.startsWith(`${ARCHIVE_DIR}/`)) {
+          const error = new Error('Note is already archived');
+          error.statusCode = 409;
+          throw error;
+        }
+        
+        const archiveKey = path.posix.join(ARCHIVE_DIR, noteKey);
+        if (await noteExists(archiveKey)) {
+          const error = new Error(`A note is already archived at ${archiveKey}`);
+          error.statusCode = 409;
+          throw error;
+        }
+        
+        // Move to archive instead of deleting; the note keeps its ID
+        await recordBaseline(noteKey, content, note);
+        const archivedContent = formatNoteContent({
+          ...note.metadata,
+          archivedAt: new Date().toISOString(),
+          archivedBy: author,
+          originalPath: noteKey
+        }, note.title, note.content);
+        
+        await relocateNote(noteKey, archiveKey, archivedContent);
+        await indexNote(parseNote(archiveKey, archivedContent));
+        await recordRevision(archiveKey, archivedContent, author, 'archive');
+        
+        return { 
+          message: 'Note archived',
+          id: note.id,
+          path: storage.locate(archiveKey),
+          relativePath: archiveKey,
+          originalPath: noteKey
+        };
+      }
+      
+      if (permanent) {
+        await storage.delete(noteKey);
+        await revisionModel.deleteRevisions(noteKey);
+        await unindexNote(note.id);
+        return { message: 'Note deleted', id: note.id };
+      }
       
-      // Ensure archive directory exists
-      await fs.mkdir(path.join(NOTES_DIR, 'archive'), { recursive: true });
+      // Soft delete: the note and its history wait in the trash
+      await recordBaseline(noteKey, content, note);
+      const deletedAt = new Date();
+      const trashKey = await availableKey(path.posix.join(TRASH_DIR, path.posix.basename(noteKey)));
+      const trashedContent = formatNoteContent({
+        ...note.metadata,
+        deletedAt: deletedAt.toISOString(),
+        deletedBy: author,
+        originalPath: noteKey
+      }, note.title, note.content);
       
-      // Move file to archive
-      await fs.rename(notePath, archivePath);
+      await relocateNote(noteKey, trashKey, trashedContent);
+      await unindexNote(note.id);
+      await recordRevision(trashKey, trashedContent, author, 'delete');
       
-      return { 
-        message: 'Note archived',
-        id: path.relative(NOTES_DIR, archivePath)
+      return {
+        message: 'Note moved to trash',
+        id: note.id,
+        originalPath: noteKey,
+        purgeAfter: purgeDate(deletedAt).toISOString()
       };
-    } else {
-      // Delete the file
-      await fs.unlink(notePath);
-      return { message: 'Note deleted' };
-    }
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      return null;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
     }
-    throw error;
-  }
+  });
 };
 
 /**
- * Append content to an existing note
+ * Restore an archived or deleted note to where it came from
  * 
  * @param {string} role - Agent role for authorization
- * @param {string} noteId - The ID of the note to append to
- * @param {string} content - Content to append
- * @returns {Promise<Object>} Result information or null if not found
+ * @param {string} noteId - Stable ID or path of the archived note, or ID of the deleted note
+ * @param {string} author - Agent making the change
+ * @param {Object} options - Restore options
+ * @param {string} options.category - Category to restore into instead of the original one
+ * @param {string} options.ifMatch - If-Match header value; the change fails with 412 unless it matches
+ * @returns {Promise<Object>} Restored note information or null if not found
  */
-exports.appendToNote = async (role, noteId, content) => {
+exports.restoreNote = async (role, noteId, author, { category, ifMatch } = {}) => {
   if (!isAuthorized(role, 'update')) {
     throw new Error('Insufficient permissions');
   }
   
-  const notePath = path.join(NOTES_DIR, noteId);
+  const noteKey = await resolveNoteKey(noteId) || await findTrashedKey(noteId);
+  if (!noteKey) {
+    return null;
+  }
   
-  // Validate the path is within NOTES_DIR
-  const resolvedPath = path.resolve(notePath);
-  if (!resolvedPath.startsWith(path.resolve(NOTES_DIR))) {
-    throw new Error('Invalid note path');
+  const fromTrash = noteKey.startsWith(`${TRASH_DIR}/`);
+  if (!fromTrash && !noteKey.startsWith(`${ARCHIVE_DIR}/`)) {
+    const error = new Error('Note is not archived or deleted');
+    error.statusCode = 409;
+    throw error;
   }
   
-  try {
-    // Check if file exists
-    await fs.access(notePath);
+  const storage = getStorage();
+  
+  return lockNote(noteKey, async () => {
+    let note, content;
+    try {
+      ({ note, content } = await readNote(noteKey));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
     
-    // Read existing file
-    const existingContent = await fs.readFile(notePath, 'utf8');
+    checkPrecondition(noteKey, content, ifMatch);
     
-    // Update metadata to include lastModified
-    const note = parseNoteContent(existingContent, notePath, NOTES_DIR);
-    const updatedMetadata = {
-      ...note.metadata,
-      lastModified: new Date().toISOString().split('T')[0]
-    };
+    // Notes archived before original paths were kept only have their file name
+    const originalPath = note.metadata.originalPath || path.posix.basename(noteKey);
+    const targetKey = normalizeKey(category
+      ? path.posix.join(category, path.posix.basename(originalPath))
+      : originalPath);
+    
+    const targetCategory = path.posix.dirname(targetKey);
+    if (targetCategory === '.') {
+      const error = new Error('The note\'s original category is unknown; pass a category to restore it into');
+      error.statusCode = 400;
+      throw error;
+    }
     
-    // Append content
-    const updatedContent = `${note.content}\n\n${content}`;
+    if (!(await categoryModel.findCategory(targetCategory))) {
+      const error = new Error(`Category ${targetCategory} no longer exists; create it or pass another category`);
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    if (await noteExists(targetKey)) {
+      const error = new Error(`A note already exists at ${targetKey}`);
+      error.statusCode = 409;
+      throw error;
+    }
     
-    // Format updated note
-    const fullContent = formatNoteContent(updatedMetadata, note.title, updatedContent);
+    const restoredMetadata = { ...note.metadata };
+    for (const field of REMOVAL_FIELDS) {
+      delete restoredMetadata[field];
+    }
+    const restoredContent = formatNoteContent(restoredMetadata, note.title, note.content);
+    await checkSchemas(targetKey, restoredContent);
+    await recordBaseline(noteKey, content, note);
     
-    await fs.writeFile(notePath, fullContent, 'utf8');
+    await relocateNote(noteKey, targetKey, restoredContent);
+    await indexNote(parseNote(targetKey, restoredContent));
+    await recordRevision(targetKey, restoredContent, author, 'recover');
     
     return {
-      id: noteId,
-      message: 'Content appended successfully'
+      message: 'Note restored',
+      id: note.id,
+      title: note.title,
+      path: storage.locate(targetKey),
+      relativePath: targetKey,
+      restoredFrom: fromTrash ? 'trash' : 'archive',
+      etag: computeEtag(restoredContent)
     };
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      return null;
-    }
-    throw error;
-  }
+  });
 };
 
 /**
- * Advanced search functionality
+ * List archived notes, most recently archived first
  * 
  * @param {string} role - Agent role for authorization
- * @param {string} query - Search query
- * @param {Object} filters - Additional filters
- * @returns {Promise<Array>} Search results
+ * @returns {Promise<Array>} Archived notes with where they came from
  */
-exports.searchNotes = async (role, query, filters = {}) => {
+exports.listArchive = async (role) => {
   if (!isAuthorized(role, 'read')) {
     throw new Error('Insufficient permissions');
   }
   
-  // Get all notes
-  const allNotes = await getAllNotesInternal();
-  
-  // Basic search implementation
-  let results = allNotes.filter(note => {
-    // Search in title and content
-    const matchesQuery = 
-      note.title.toLowerCase().includes(query.toLowerCase()) ||
-      note.content.toLowerCase().includes(query.toLowerCase());
-    
-    if (!matchesQuery) return false;
-    
-    // Apply additional filters
-    if (filters.tags && filters.tags.length > 0) {
-      if (!note.metadata.tags) return false;
-      
-      const hasMatchingTag = filters.tags.some(tag => 
-        note.metadata.tags.includes(tag)
-      );
-      
-      if (!hasMatchingTag) return false;
-    }
-    
-    if (filters.category) {
-      if (!note.path.includes(`/${filters.category}/`)) {
-        return false;
-      }
-    }
-    
-    if (filters.dateRange) {
-      const { start, end } = filters.dateRange;
-      const noteDate = note.metadata.date;
-      
-      if (start && noteDate < start) return false;
-      if (end && noteDate > end) return false;
-    }
-    
-    return true;
-  });
-  
-  // Sort by relevance (simple implementation)
-  results.sort((a, b) => {
-    // Count occurrences of query in title and content
-    const countA = 
-      (a.title.toLowerCase().match(new RegExp(query.toLowerCase(), 'g')) || []).length +
-      (a.content.toLowerCase().match(new RegExp(query.toLowerCase(), 'g')) || []).length;
-      
-    const countB = 
-      (b.title.toLowerCase().match(new RegExp(query.toLowerCase(), 'g')) || []).length +
-      (b.content.toLowerCase().match(new RegExp(query.toLowerCase(), 'g')) || []).length;
-    
-    return countB - countA;
-  });
+  const archived = (await getAllNotesInternal())
+    .filter(note => note.relativePath.startsWith(`${ARCHIVE_DIR}/`))
+    .map(note => ({
+      id: note.id,
+      title: note.title,
+      relativePath: note.relativePath,
+      originalPath: note.metadata.originalPath || null,
+      archivedAt: note.metadata.archivedAt || null,
+      archivedBy: note.metadata.archivedBy || null,
+      tags: note.metadata.tags || []
+    }));
   
-  return results;
+  return sortByNewest(archived, 'archivedAt');
 };
 
 /**
- * Helper function to ensure the notes directory exists
+ * List deleted notes waiting in the trash, most recently deleted first
+ * 
+ * @param {string} role - Agent role for authorization
+ * @returns {Promise<Array>} Deleted notes with when they will be purged
  */
-async function ensureNotesDirectory() {
-  try {
-    await fs.access(NOTES_DIR);
-  } catch (error) {
-    // Create directory if it doesn't exist
-    await fs.mkdir(NOTES_DIR, { recursive: true });
-    
-    // Create subdirectories
-    const subdirs = ['topics', 'projects', 'references', 'archive'];
-    for (const dir of subdirs) {
-      await fs.mkdir(path.join(NOTES_DIR, dir), { recursive: true });
-    }
+exports.listTrash = async (role) => {
+  if (!isAuthorized(role, 'read')) {
+    throw new Error('Insufficient permissions');
   }
-}
+  
+  const trashed = (await getTrashedNotes()).map(({ note, deletedAt }) => ({
+    id: note.id,
+    title: note.title,
+    originalPath: note.metadata.originalPath || null,
+    deletedAt: deletedAt.toISOString(),
+    deletedBy: note.metadata.deletedBy || null,
+    purgeAfter: purgeDate(deletedAt).toISOString()
+  }));
+  
+  return sortByNewest(trashed, 'deletedAt');
+};
 
 /**
- * Helper function to get all notes
+ * Permanently delete a note from the trash
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} noteId - Stable ID of the deleted note
+ * @returns {Promise<Object>} Result information or null if it is not in the trash
  */
-async function getAllNotesInternal() {
-  const notes = [];
+exports.deleteTrashedNote = async (role, noteId) => {
+  if (!isAuthorized(role, 'delete')) {
+    throw new Error('Insufficient permissions');
+  }
   
-  // Ensure notes directory exists
-  await ensureNotesDirectory();
+  const trashKey = await findTrashedKey(noteId);
+  if (!trashKey) {
+    return null;
+  }
   
-  async function processDirectory(dirPath) {
-    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+  return lockNote(trashKey, async () => {
+    try {
+      await getStorage().delete(trashKey);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+    
+    await revisionModel.deleteRevisions(trashKey);
+    return { message: 'Note deleted', id: noteId };
+  });
+};
+
+/**
+ * Permanently delete notes that have been in the trash past the retention period
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {Object} options - Purge options
+ * @param {number} options.retentionDays - Days to keep deleted notes (default: TRASH_RETENTION_DAYS)
+ * @returns {Promise<Object>} IDs of the purged notes and the number left
+ */
+exports.purgeTrash = async (role, { retentionDays = trashRetentionDays() } = {}) => {
+  if (!isAuthorized(role, 'delete')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  const purged = [];
+  let remaining = 0;
+  
+  for (const { noteKey, note, deletedAt } of await getTrashedNotes()) {
+    if (deletedAt.getTime() > cutoff) {
+      remaining++;
+      continue;
+    }
+    
+    try {
+      await lockNote(noteKey, async () => {
+        await getStorage().delete(noteKey);
+        await revisionModel.deleteRevisions(noteKey);
+      });
+      purged.push(note.id);
+    } catch (error) {
+      console.error(`Error purging ${noteKey}:`, error);
+      remaining++;
+    }
+  }
+  
+  return { purged, remaining };
+};
+
+/**
+ * Run a list of create, update, append, delete and tag operations in order
+ * By default the batch is all-or-nothing: when an operation fails, the
+ * changes made by the earlier ones are undone. With continueOnError every
+ * operation runs and failures are only reported.
+ * 
+ * @param {string} role - Agent role for authorization, checked for each operation
+ * @param {Array} operations - Operations such as `{ op: 'append', id, content }`
+ * @param {string} author - Agent making the changes
+ * @param {Object} options - Batch options
+ * @param {boolean} options.continueOnError - Keep going past failed operations instead of rolling back
+ * @returns {Promise<Object>} `{ succeeded, failed, results }` with a result for each operation
+ * @throws {Error} The failed operation's status, with every result in `details`, when an all-or-nothing batch is rolled back
+ */
+exports.executeBatch = async (role, operations, author, { continueOnError = false } = {}) => {
+  const results = [];
+  const applied = [];
+  
+  for (const [index, operation] of operations.entries()) {
+    try {
+      const { result, changes } = await runBatchOperation(role, operation, author);
+      applied.push(...changes);
+      results.push({ index, op: operation.op, status: operation.op === 'create' ? 201 : 200, result });
+    } catch (error) {
+      const status = batchErrorStatus(error);
+      if (status >= 500) {
+        console.error(`Error in batch operation ${index}:`, error);
+      }
+      results.push({ index, op: operation.op, status, error: error.message, ...error.details });
+      
+      if (continueOnError) {
+        continue;
+      }
+      
+      const rollbackFailed = await rollbackBatch(applied, author);
+      for (const done of results.slice(0, -1)) {
+        done.rolledBack = true;
+      }
+      operations.slice(index + 1).forEach((skipped, offset) => {
+        results.push({ index: index + 1 + offset, op: skipped.op, skipped: true });
+      });
+      
+      const outcome = rollbackFailed.length > 0 ? 'Some changes could not be rolled back.' : 'No changes were kept.';
+      const batchError = new Error(`Operation ${index} failed: ${error.message}. ${outcome}`);
+      batchError.statusCode = status;
+      batchError.details = {
+        failedIndex: index,
+        results,
+        ...(rollbackFailed.length > 0 && { rollbackFailed })
+      };
+      throw batchError;
+    }
+  }
+  
+  const failed = results.filter(result => result.error).length;
+  return { succeeded: results.length - failed, failed, results };
+};
+
+/**
+ * Append content to an existing note
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} noteId - Stable ID or path of the note to append to
+ * @param {string} content - Content to append
+ * @param {string} author - Agent making the change
+ * @param {Object} options - Write options
+ * @param {string} options.ifMatch - If-Match header value; the change fails with 412 unless it matches
+ * @returns {Promise<Object>} Result information or null if not found
+ */
+exports.appendToNote = async (role, noteId, content, author, { ifMatch } = {}) => {
+  if (!isAuthorized(role, 'update')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const noteKey = await resolveNoteKey(noteId);
+  if (!noteKey) {
+    return null;
+  }
+  
+  const storage = getStorage();
+  
+  return lockNote(noteKey, async () => {
+    try {
+      // Read existing note
+      const { note, content: existingContent } = await readNote(noteKey);
+      checkPrecondition(noteKey, existingContent, ifMatch);
+      
+      // Update metadata to include lastModified
+      const updatedMetadata = {
+        ...note.metadata,
+        lastModified: new Date().toISOString().split('T')[0]
+      };
+      
+      // Append content
+      const updatedContent = `${note.content}\n\n${content}`;
+      updatedMetadata.related = await resolveRelated(note.id, updatedContent, note.metadata.related);
+      
+      // Format updated note
+      const fullContent = formatNoteContent(updatedMetadata, note.title, updatedContent);
+      await checkSchemas(noteKey, fullContent);
+      await recordBaseline(noteKey, existingContent, note);
+      
+      await storage.write(noteKey, fullContent);
+      await indexNote(parseNote(noteKey, fullContent));
+      await recordRevision(noteKey, fullContent, author, 'append');
+      
+      return {
+        id: note.id,
+        path: storage.locate(noteKey),
+        relativePath: noteKey,
+        message: 'Content appended successfully',
+        etag: computeEtag(fullContent)
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  });
+};
+
+/**
+ * List a note's sections as a tree of headings
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} noteId - Stable ID or path of the note
+ * @returns {Promise<Object>} The note's ID, title and ETag with its `sections`, or null if not found
+ */
+exports.getSections = async (role, noteId) => {
+  const note = await exports.getNoteById(role, noteId);
+  if (!note) {
+    return null;
+  }
+  
+  return {
+    id: note.id,
+    title: note.title,
+    relativePath: note.relativePath,
+    etag: note.etag,
+    sections: toOutline(parseSections(note.content).sections)
+  };
+};
+
+/**
+ * Read one section of a note, with its subsections
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} noteId - Stable ID or path of the note
+ * @param {Array} headingPath - Headings leading to the section, from the outermost in
+ * @returns {Promise<Object>} The section's heading, level, full path and content, or null if the note is not found
+ * @throws {Error} 404 if no section matches, 409 if several do
+ */
+exports.getSection = async (role, noteId, headingPath) => {
+  const note = await exports.getNoteById(role, noteId);
+  if (!note) {
+    return null;
+  }
+  
+  const { lines, sections } = parseSections(note.content);
+  const section = locateSection(sections, headingPath);
+  
+  return {
+    id: note.id,
+    heading: section.heading,
+    level: section.level,
+    path: section.path,
+    content: lines.slice(section.start, section.end).join('\n').trim(),
+    etag: note.etag
+  };
+};
+
+/**
+ * Replace a section's content, or add to the end of it
+ * The section's heading stays; replacing also replaces its subsections.
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} noteId - Stable ID or path of the note
+ * @param {Array} headingPath - Headings leading to the section, from the outermost in
+ * @param {string} content - New content, which may only hold headings deeper than the section's
+ * @param {string} author - Agent making the change
+ * @param {Object} options - Write options
+ * @param {string} options.mode - 'replace' (default) or 'append'
+ * @param {string} options.ifMatch - If-Match header value; the change fails with 412 unless it matches
+ * @returns {Promise<Object>} Result information or null if the note is not found
+ * @throws {Error} 404 if no section matches, 409 if several do, 400 if the content has headings that would end the section
+ */
+exports.updateSection = async (role, noteId, headingPath, content, author, { mode = 'replace', ifMatch } = {}) => {
+  return editNoteBody(role, noteId, author, mode === 'append' ? 'append' : 'update', ifMatch, (body) => {
+    const { lines, sections } = parseSections(body);
+    const section = locateSection(sections, headingPath);
+    checkSectionContent(content, section.level);
+    
+    const kept = mode === 'append'
+      ? trimTrailingBlankLines(lines.slice(section.start, section.end))
+      : [lines[section.start]];
+    const added = content.trim() ? ['', content.trim()] : [];
+    
+    return {
+      body: [...lines.slice(0, section.start), ...kept, ...added, '', ...lines.slice(section.end)].join('\n'),
+      path: section.path
+    };
+  });
+};
+
+/**
+ * Add a new section to a note
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} noteId - Stable ID or path of the note
+ * @param {Object} section - The new section
+ * @param {string} section.heading - Heading text
+ * @param {string} section.content - Content under the heading
+ * @param {Array} section.after - Headings leading to the section to insert after; the new section
+ *   gets the same level. Without it the section is added at the end of the note.
+ * @param {number} section.level - Heading level when added at the end of the note (default: 2)
+ * @param {string} author - Agent making the change
+ * @param {Object} options - Write options
+ * @param {string} options.ifMatch - If-Match header value; the change fails with 412 unless it matches
+ * @returns {Promise<Object>} Result information or null if the note is not found
+ * @throws {Error} 404 if no section matches `after`, 409 if several do, 400 if the content has headings that would end the section
+ */
+exports.insertSection = async (role, noteId, { heading, content = '', after, level = 2 }, author, { ifMatch } = {}) => {
+  return editNoteBody(role, noteId, author, 'update', ifMatch, (body) => {
+    const { lines, sections } = parseSections(body);
+    
+    let position = lines.length;
+    let parentPath = lastSectionPath(sections, level);
+    if (after) {
+      const previous = locateSection(sections, after);
+      position = previous.end;
+      level = previous.level;
+      parentPath = previous.path.slice(0, -1);
+    }
+    checkSectionContent(content, level);
+    
+    const inserted = [`${'#'.repeat(level)} ${heading.trim()}`];
+    if (content.trim()) {
+      inserted.push('', content.trim());
+    }
+    
+    return {
+      body: [...trimTrailingBlankLines(lines.slice(0, position)), '', ...inserted, '', ...lines.slice(position)].join('\n'),
+      path: [...parentPath, heading.trim()]
+    };
+  });
+};
+
+/**
+ * Move a note to another category and/or give it a new title
+ * The file name is regenerated from the title, and markdown links,
+ * wikilinks and `related` entries in other notes are rewritten to the new
+ * location and title. Every write is undone if any step fails.
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} noteId - Stable ID or path of the note to move
+ * @param {Object} target - Where to move the note
+ * @param {string} target.category - New category folder; must be a known category (optional)
+ * @param {string} target.title - New title (optional)
+ * @param {string} author - Agent making the change
+ * @param {Object} options - Write options
+ * @param {string} options.ifMatch - If-Match header value; the change fails with 412 unless it matches
+ * @returns {Promise<Object>} New location of the note or null if not found
+ */
+exports.moveNote = async (role, noteId, { category, title } = {}, author, { ifMatch } = {}) => {
+  if (!isAuthorized(role, 'update')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const noteKey = await resolveNoteKey(noteId);
+  if (!noteKey) {
+    return null;
+  }
+  
+  if (category) {
+    await requireCategory(category);
+  }
+  
+  const storage = getStorage();
+  
+  return lockNote(noteKey, async () => {
+    let note, content;
+    try {
+      ({ note, content } = await readNote(noteKey));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+    
+    checkPrecondition(noteKey, content, ifMatch);
+    
+    // Keep the date prefix of the current file name
+    const updatedTitle = title || note.title;
+    const prefixMatch = path.posix.basename(noteKey).match(/^(\d{4}-\d{2}-\d{2})_/);
+    const datePrefix = prefixMatch ? prefixMatch[1] : formatDate(note.metadata.date);
+    const newKey = normalizeKey(path.posix.join(
+      category || path.posix.dirname(noteKey),
+      `${datePrefix}_${slugify(updatedTitle)}.md`
+    ));
+    
+    if (newKey !== noteKey && await noteExists(newKey)) {
+      const error = new Error(`A note already exists at ${newKey}`);
+      error.statusCode = 409;
+      throw error;
+    }
+    
+    // The moved note gets its new title and keeps its own relative links working
+    let updatedContent = title ? note.content.replace(/^# .*$/m, `# ${title}`) : note.content;
+    updatedContent = rebaseLinks(updatedContent, noteKey, newKey);
+    
+    const updatedMetadata = {
+      ...note.metadata,
+      lastModified: new Date().toISOString().split('T')[0]
+    };
+    const movedContent = formatNoteContent(updatedMetadata, updatedTitle, updatedContent);
+    if (path.posix.dirname(newKey) !== path.posix.dirname(noteKey)) {
+      await checkSchemas(newKey, movedContent);
+    }
+    
+    // Plan every change before writing anything
+    const referenceUpdates = await planReferenceUpdates(note, newKey, updatedTitle);
+    
+    const applied = [];
+    try {
+      await storage.write(newKey, movedContent);
+      applied.push({ noteKey: newKey, original: newKey === noteKey ? content : null });
+      
+      for (const update of referenceUpdates) {
+        // Give up rather than overwrite a note edited since it was planned
+        if ((await storage.read(update.noteKey)) !== update.original) {
+          const error = new Error(`Note ${update.noteKey} changed during the move; try again`);
+          error.statusCode = 409;
+          throw error;
+        }
+        
+        await storage.write(update.noteKey, update.updated);
+        applied.push(update);
+      }
+      
+      if (newKey !== noteKey) {
+        await storage.delete(noteKey);
+      }
+    } catch (error) {
+      await rollbackWrites(applied);
+      throw error;
+    }
+    
+    // The move is complete; history and indexes follow
+    if (newKey !== noteKey) {
+      try {
+        await revisionModel.moveRevisions(noteKey, newKey);
+      } catch (error) {
+        console.error(`Error moving revisions of ${noteKey}:`, error);
+      }
+    }
+    
+    const moved = parseNote(newKey, movedContent);
+    await indexNote(moved);
+    await recordRevision(newKey, movedContent, author, 'move');
+    
+    const updatedReferences = [];
+    for (const update of referenceUpdates) {
+      const referencing = parseNote(update.noteKey, update.updated);
+      await indexNote(referencing);
+      await recordBaseline(update.noteKey, update.original, parseNote(update.noteKey, update.original));
+      await recordRevision(update.noteKey, update.updated, author, 'update');
+      updatedReferences.push(referencing.id);
+    }
+    
+    return {
+      id: moved.id,
+      title: updatedTitle,
+      path: storage.locate(newKey),
+      relativePath: newKey,
+      previousPath: noteKey,
+      updatedReferences,
+      etag: computeEtag(movedContent)
+    };
+  });
+};
+
+/**
+ * List the notes that link to a note
+ * Wikilinks and markdown links both count. The note's own links that point
+ * at notes that do not exist are reported as dangling.
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} noteId - Stable ID or path of the note
+ * @returns {Promise<Object>} Backlinks and dangling links or null if not found
+ */
+exports.getBacklinks = async (role, noteId) => {
+  if (!isAuthorized(role, 'read')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const found = await findNote(noteId);
+  if (!found) {
+    return null;
+  }
+  
+  const { noteKey, note } = found;
+  const notes = await getAllNotesInternal();
+  const resolve = createLinkResolver(notes);
+  const noteKeys = new Set(notes.map(other => other.relativePath));
+  
+  const backlinks = [];
+  for (const other of notes) {
+    if (other.id === note.id) continue;
+    
+    const links = [
+      ...extractWikilinks(other.content)
+        .filter(link => (resolve(link.target) || {}).id === note.id)
+        .map(link => ({ type: 'wikilink', target: link.target, alias: link.alias })),
+      ...extractMarkdownLinks(other.content, other.relativePath)
+        .filter(link => link.key === noteKey)
+        .map(link => ({ type: 'markdown', target: link.target }))
+    ];
+    
+    if (links.length > 0) {
+      backlinks.push({
+        id: other.id,
+        title: other.title,
+        relativePath: other.relativePath,
+        links
+      });
+    }
+  }
+  
+  const dangling = [
+    ...extractWikilinks(note.content)
+      .filter(link => !resolve(link.target))
+      .map(link => ({ type: 'wikilink', target: link.target, alias: link.alias })),
+    ...extractMarkdownLinks(note.content, noteKey)
+      .filter(link => !noteKeys.has(link.key))
+      .map(link => ({ type: 'markdown', target: link.target }))
+  ];
+  
+  return {
+    id: note.id,
+    title: note.title,
+    relativePath: noteKey,
+    backlinks,
+    dangling
+  };
+};
+
+/**
+ * List the revisions of a note
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} noteId - Stable ID or path of the note
+ * @returns {Promise<Object>} The note ID and its revisions, newest first, or null if not found
+ */
+exports.getRevisions = async (role, noteId) => {
+  if (!isAuthorized(role, 'read')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const found = await findNote(noteId);
+  if (!found) {
+    return null;
+  }
+  
+  // Notes written before revisions were kept have no history until their next change
+  const revisions = await revisionModel.listRevisions(found.noteKey);
+  
+  return {
+    id: found.note.id,
+    revisions: revisions.reverse()
+  };
+};
+
+/**
+ * Get one revision of a note
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} noteId - Stable ID or path of the note
+ * @param {number} rev - Revision number
+ * @returns {Promise<Object>} The revision with its full content, or null if not found
+ */
+exports.getRevision = async (role, noteId, rev) => {
+  if (!isAuthorized(role, 'read')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const found = await findNote(noteId);
+  if (!found) {
+    return null;
+  }
+  
+  const revision = await revisionModel.getRevision(found.noteKey, rev);
+  if (!revision) {
+    return null;
+  }
+  
+  return {
+    id: found.note.id,
+    ...revision
+  };
+};
+
+/**
+ * Compare two revisions of a note
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} noteId - Stable ID or path of the note
+ * @param {number} from - Older revision; defaults to the one before `to`, 0 is an empty note
+ * @param {number} to - Newer revision; defaults to the latest
+ * @returns {Promise<Object>} The revisions compared and a unified diff, or null if not found
+ */
+exports.diffRevisions = async (role, noteId, from, to) => {
+  if (!isAuthorized(role, 'read')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const found = await findNote(noteId);
+  if (!found) {
+    return null;
+  }
+  
+  const { noteKey } = found;
+  const revisions = await revisionModel.listRevisions(noteKey);
+  
+  if (revisions.length === 0) {
+    return null;
+  }
+  
+  const toRev = to === undefined ? revisions[revisions.length - 1].rev : to;
+  const fromRev = from === undefined ? toRev - 1 : from;
+  
+  const newer = await revisionModel.getRevision(noteKey, toRev);
+  const older = fromRev === 0 ? { content: '' } : await revisionModel.getRevision(noteKey, fromRev);
+  
+  if (!newer || !older) {
+    return null;
+  }
+  
+  return {
+    id: found.note.id,
+    from: fromRev,
+    to: toRev,
+    diff: createUnifiedDiff(older.content, newer.content, {
+      fromLabel: `${noteKey}@${fromRev}`,
+      toLabel: `${noteKey}@${toRev}`
+    })
+  };
+};
+
+/**
+ * Restore a note to an earlier revision
+ * The restore is itself recorded as a new revision.
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} noteId - Stable ID or path of the note
+ * @param {number} rev - Revision to restore
+ * @param {string} author - Agent making the change
+ * @param {Object} options - Write options
+ * @param {string} options.ifMatch - If-Match header value; the change fails with 412 unless it matches
+ * @returns {Promise<Object>} Restored note information or null if not found
+ */
+exports.restoreRevision = async (role, noteId, rev, author, { ifMatch } = {}) => {
+  if (!isAuthorized(role, 'update')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const noteKey = await resolveNoteKey(noteId);
+  if (!noteKey) {
+    return null;
+  }
+  
+  const storage = getStorage();
+  
+  return lockNote(noteKey, async () => {
+    try {
+      const revision = await revisionModel.getRevision(noteKey, rev);
+      if (!revision) {
+        return null;
+      }
+      
+      // Keep the current content in the history before replacing it
+      const { note, content: existingContent } = await readNote(noteKey);
+      checkPrecondition(noteKey, existingContent, ifMatch);
+      
+      // Revisions from before the note had a stable ID keep its current one
+      const restored = parseNote(noteKey, revision.content);
+      const restoredMetadata = {
+        ...restored.metadata,
+        id: note.id,
+        related: await resolveRelated(note.id, restored.content, restored.metadata.related),
+        lastModified: new Date().toISOString().split('T')[0]
+      };
+      
+      const fullContent = formatNoteContent(restoredMetadata, restored.title, restored.content);
+      await checkSchemas(noteKey, fullContent);
+      await recordBaseline(noteKey, existingContent, note);
+      
+      await storage.write(noteKey, fullContent);
+      await indexNote(parseNote(noteKey, fullContent));
+      const entry = await recordRevision(noteKey, fullContent, author, 'restore', rev);
+      
+      return {
+        id: note.id,
+        title: restored.title,
+        path: storage.locate(noteKey),
+        relativePath: noteKey,
+        restoredFrom: rev,
+        rev: entry ? entry.rev : null,
+        updated: restoredMetadata.lastModified,
+        etag: computeEtag(fullContent)
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  });
+};
+
+/**
+ * Check every note in categories with a schema against it
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {Object} options - Validation options
+ * @param {string} options.category - Only check notes in this category and its subcategories
+ * @returns {Promise<Object>} `{ checked, valid, invalid, notes }`, where `notes` lists the
+ *   invalid notes with their violations
+ */
+exports.validateNotes = async (role, { category } = {}) => {
+  if (!isAuthorized(role, 'read')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  let checked = 0;
+  const invalid = [];
+  
+  await forEachStoredNote(async (note) => {
+    if (category && !matchesListFilters(note, { category, recursive: true })) return;
+    
+    const schemas = await categoryModel.findSchemas(path.posix.dirname(note.relativePath));
+    if (schemas.length === 0) return;
+    
+    checked++;
+    const violations = schemaViolations(schemas, note.metadata);
+    if (violations.length > 0) {
+      invalid.push({ id: note.id, title: note.title, relativePath: note.relativePath, violations });
+    }
+  });
+  
+  return { checked, valid: checked - invalid.length, invalid: invalid.length, notes: invalid };
+};
+
+/**
+ * Advanced search functionality
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} query - Search query; plain text in semantic mode, otherwise
+ *                         the query language (see search/queryParser.js)
+ * @param {Object} filters - Additional filters
+ * @param {Object} options - Search options
+ * @param {string} options.mode - 'keyword' (default), 'semantic' or 'hybrid'
+ * @param {number} options.limit - Maximum results in semantic and hybrid mode
+ * @returns {Promise<Array>} Search results
+ */
+exports.searchNotes = async (role, query, filters = {}, { mode = 'keyword', limit = DEFAULT_SIMILAR_LIMIT } = {}) => {
+  if (!isAuthorized(role, 'read')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  if (mode === 'semantic') {
+    return semanticSearch(query, filters, limit);
+  }
+  
+  if (mode === 'hybrid') {
+    return hybridSearch(query, filters, limit);
+  }
+  
+  return keywordSearch(query, filters);
+};
+
+/**
+ * Find the notes most similar to a note
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} noteId - Stable ID or path of the note to compare against
+ * @param {number} limit - Maximum number of neighbours
+ * @returns {Promise<Object>} The note ID and its neighbours, or null if not found
+ */
+exports.getSimilarNotes = async (role, noteId, limit = DEFAULT_SIMILAR_LIMIT) => {
+  if (!isAuthorized(role, 'read')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const found = await findNote(noteId);
+  if (!found) {
+    return null;
+  }
+  
+  const { note } = found;
+  
+  await ensureSearchIndex();
+  await ensureVectorStore();
+  
+  let matches = await vectorStore.similar(note.id);
+  if (!matches) {
+    // Notes added outside the API have no vector yet
+    await vectorStore.indexNote(note);
+    matches = (await vectorStore.similar(note.id)) || [];
+  }
+  
+  const neighbours = [];
+  for (const { id, score } of matches) {
+    if (neighbours.length >= limit) break;
+    
+    const [neighbour] = await readIndexedNotes([id]);
+    if (neighbour) {
+      neighbours.push({
+        id: neighbour.id,
+        title: neighbour.title,
+        path: neighbour.path,
+        relativePath: neighbour.relativePath,
+        metadata: neighbour.metadata,
+        score
+      });
+    }
+  }
+  
+  return {
+    id: note.id,
+    similar: neighbours
+  };
+};
+
+/**
+ * Helper function for keyword search with the query language
+ * 
+ * @param {string} query - Search query
+ * @param {Object} filters - Additional filters
+ * @returns {Promise<Array>} Matching notes with BM25 scores, best first
+ */
+async function keywordSearch(query, filters) {
+  // Parse first so syntax errors are reported before any work is done
+  const expression = parseQuery(query);
+  const { required, positive } = collectTerms(expression);
+  
+  await ensureSearchIndex();
+  
+  // Relevance from the full-text index for every non-negated term
+  const scores = new Map();
+  if (positive.length > 0) {
+    const ranked = await searchIndex.search(positive.join(' '), { matchAll: false });
+    for (const { id, score } of ranked) {
+      scores.set(id, score);
+    }
+  }
+  
+  // Narrow the candidates through the index when some terms are required;
+  // queries made only of field qualifiers have to look at every note
+  let candidates;
+  if (required.length > 0) {
+    const matches = await searchIndex.search(required.join(' '));
+    candidates = await readIndexedNotes(matches.map(match => match.id));
+  } else {
+    candidates = await getAllNotesInternal();
+  }
+  
+  const results = candidates
+    .filter(note => matchesQuery(expression, note) && matchesFilters(note, filters))
+    .map(note => ({ ...note, score: scores.get(note.id) || 0 }));
+  
+  return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Helper function for semantic search over note embeddings
+ * 
+ * @param {string} text - Natural language query
+ * @param {Object} filters - Additional filters
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Array>} Matching notes with cosine similarity scores
+ */
+async function semanticSearch(text, filters, limit) {
+  // The offline embeddings weight terms with statistics from the full-text index
+  await ensureSearchIndex();
+  await ensureVectorStore();
+  
+  const matches = await vectorStore.search(text);
+  const results = [];
+  
+  for (const { id, score } of matches) {
+    if (results.length >= limit) break;
+    
+    const [note] = await readIndexedNotes([id]);
+    if (note && matchesFilters(note, filters)) {
+      results.push({ ...note, score });
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Helper function combining keyword and semantic results
+ * Uses reciprocal rank fusion, so neither score scale dominates
+ * 
+ * @param {string} query - Search query in the query language
+ * @param {Object} filters - Additional filters
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Array>} Fused results with both underlying scores
+ */
+async function hybridSearch(query, filters, limit) {
+  const keywordResults = await keywordSearch(query, filters);
+  
+  // Embed only the free text, not field qualifiers or operators
+  const { positive } = collectTerms(parseQuery(query));
+  const semanticResults = await semanticSearch(
+    positive.length > 0 ? positive.join(' ') : query,
+    filters,
+    Math.max(limit * 5, 50)
+  );
+  
+  const fused = new Map();
+  
+  function addRanking(results, kind) {
+    results.forEach((note, rank) => {
+      const entry = fused.get(note.id) || { note, score: 0, scores: { keyword: 0, semantic: 0 } };
+      entry.score += 1 / (RRF_K + rank + 1);
+      entry.scores[kind] = note.score;
+      fused.set(note.id, entry);
+    });
+  }
+  
+  addRanking(keywordResults, 'keyword');
+  addRanking(semanticResults, 'semantic');
+  
+  return [...fused.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ note, score, scores }) => ({ ...note, score, scores }));
+}
+
+/**
+ * List every tag with its usage
+ * Parents of hierarchical tags are listed even if no note uses them directly.
+ * 
+ * @param {string} role - Agent role for authorization
+ * @returns {Promise<Array>} Tags as `{ tag, count, total }`, where count is the
+ *                           number of notes with the tag itself and total also
+ *                           counts notes with its children
+ */
+exports.listTags = async (role) => {
+  if (!isAuthorized(role, 'read')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const usage = new Map();
+  const entry = tag => {
+    if (!usage.has(tag)) usage.set(tag, { tag, count: 0, total: 0 });
+    return usage.get(tag);
+  };
+  
+  for (const note of await getAllNotesInternal()) {
+    const noteTags = new Set(noteTagList(note));
+    const counted = new Set();
+    
+    for (const tag of noteTags) {
+      entry(tag).count++;
+      
+      // A note tagged both `ml` and `ml/nlp` counts once towards `ml`
+      for (const ancestor of tagAncestors(tag)) {
+        if (!counted.has(ancestor)) {
+          counted.add(ancestor);
+          entry(ancestor).total++;
+        }
+      }
+    }
+  }
+  
+  return [...usage.values()].sort((a, b) => a.tag.localeCompare(b.tag));
+};
+
+/**
+ * Rename a tag on every note that has it
+ * Child tags are renamed along with it, so renaming `ml` to `machine-learning`
+ * turns `ml/nlp` into `machine-learning/nlp`.
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} from - Tag to rename
+ * @param {string} to - New tag name
+ * @param {string} author - Agent making the change
+ * @returns {Promise<Object>} Updated notes or null if no note has the tag
+ */
+exports.renameTag = async (role, from, to, author) => {
+  return retagNotes(role, tag => renameTag(tag, from, to), author);
+};
+
+/**
+ * Merge several tags into one on every note that has them
+ * Child tags move under the target, as with renaming.
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {Array} sources - Tags to merge
+ * @param {string} target - Tag they are merged into
+ * @param {string} author - Agent making the change
+ * @returns {Promise<Object>} Updated notes or null if no note has any of the tags
+ */
+exports.mergeTags = async (role, sources, target, author) => {
+  return retagNotes(role, tag => {
+    for (const source of sources) {
+      const renamed = renameTag(tag, source, target);
+      if (renamed) return renamed;
+    }
+    return null;
+  }, author);
+};
+
+/**
+ * Rebuild the search indexes from every note in storage
+ * Needed after notes are added, edited or moved outside the API. Notes
+ * without a stable ID, and copies sharing another note's ID, are given one.
+ * 
+ * @param {string} role - Agent role for authorization
+ * @returns {Promise<Object>} Index statistics
+ */
+exports.reindexNotes = async (role) => {
+  if (!isAuthorized(role, 'update')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const notes = await getAllNotesInternal({ repairIds: true });
+  await idIndex.rebuild(notes);
+  const stats = await searchIndex.rebuild(notes);
+  const vectorStats = await vectorStore.rebuild(notes);
+  
+  return {
+    ...stats,
+    embeddings: vectorStats
+  };
+};
+
+/**
+ * Helper function to rewrite a note's body, keeping its frontmatter
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} noteId - Stable ID or path of the note
+ * @param {string} author - Agent making the change
+ * @param {string} action - Revision action to record
+ * @param {string} ifMatch - If-Match header value
+ * @param {Function} edit - Takes the body and returns `{ body, path }`, the new body and the edited section's path
+ * @returns {Promise<Object>} Result information or null if the note is not found
+ */
+async function editNoteBody(role, noteId, author, action, ifMatch, edit) {
+  if (!isAuthorized(role, 'update')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const noteKey = await resolveNoteKey(noteId);
+  if (!noteKey) {
+    return null;
+  }
+  
+  const storage = getStorage();
+  
+  return lockNote(noteKey, async () => {
+    try {
+      const { note, content: existingContent } = await readNote(noteKey);
+      checkPrecondition(noteKey, existingContent, ifMatch);
+      
+      const { body, path: sectionPath } = edit(note.content);
+      
+      const updatedMetadata = {
+        ...note.metadata,
+        lastModified: new Date().toISOString().split('T')[0]
+      };
+      updatedMetadata.related = await resolveRelated(note.id, body, note.metadata.related);
+      
+      const fullContent = formatNoteContent(updatedMetadata, note.title, body.trim());
+      await checkSchemas(noteKey, fullContent);
+      await recordBaseline(noteKey, existingContent, note);
+      
+      await storage.write(noteKey, fullContent);
+      await indexNote(parseNote(noteKey, fullContent));
+      await recordRevision(noteKey, fullContent, author, action);
+      
+      return {
+        id: note.id,
+        path: storage.locate(noteKey),
+        relativePath: noteKey,
+        section: sectionPath,
+        message: 'Section updated successfully',
+        etag: computeEtag(fullContent)
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  });
+}
+
+/**
+ * Helper function to find the one section a heading path points to
+ * 
+ * @param {Array} sections - Section tree from parseSections
+ * @param {Array} headingPath - Headings leading to the section
+ * @returns {Object} The section
+ * @throws {Error} 404 if no section matches, 409 with the matching paths if several do
+ */
+function locateSection(sections, headingPath) {
+  const matches = findSections(sections, headingPath);
+  
+  if (matches.length === 0) {
+    const error = new Error(`Section not found: ${headingPath.join(' > ')}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  if (matches.length > 1) {
+    const error = new Error(`${matches.length} sections match ${headingPath.join(' > ')}; add the headings above it to choose one`);
+    error.statusCode = 409;
+    error.details = { matches: matches.map(section => section.path) };
+    throw error;
+  }
+  
+  return matches[0];
+}
+
+/**
+ * Helper function to reject section content with headings that would end the section
+ * 
+ * @param {string} content - Content for a section
+ * @param {number} level - The section's heading level
+ * @throws {Error} 400 if the content has a heading of the section's level or higher
+ */
+function checkSectionContent(content, level) {
+  if (headingLevels(content).some(contentLevel => contentLevel <= level)) {
+    const error = new Error(`Section content can only contain headings deeper than level ${level}`);
+    error.statusCode = 400;
+    throw error;
+  }
+}
+
+/**
+ * Helper function to find the section a heading added at the end of a note falls under
+ * 
+ * @param {Array} sections - Section tree from parseSections
+ * @param {number} level - Level of the added heading
+ * @returns {Array} Heading path of the last section with a lower level, or an empty path
+ */
+function lastSectionPath(sections, level) {
+  let found = [];
+  let candidates = sections;
+  
+  while (candidates.length > 0 && candidates[candidates.length - 1].level < level) {
+    const last = candidates[candidates.length - 1];
+    found = last.path;
+    candidates = last.children;
+  }
+  
+  return found;
+}
+
+/**
+ * Helper function to drop the blank lines at the end of a list of lines
+ */
+function trimTrailingBlankLines(lines) {
+  let end = lines.length;
+  while (end > 0 && !lines[end - 1].trim()) {
+    end--;
+  }
+  return lines.slice(0, end);
+}
+
+/**
+ * Helper function to strip the title heading from the start of a note body
+ * 
+ * @param {string} content - Note body, as parsed
+ * @returns {string} The body below the title heading
+ */
+function bodyWithoutTitle(content) {
+  return content.startsWith('# ') ? content.replace(/^# .*(?:\n+|$)/, '') : content;
+}
+
+/**
+ * Helper function to check that a patch left a well-formed note
+ * 
+ * @param {*} patched - Patched `{ title, content, metadata }` document
+ * @throws {Error} 422 describing the first problem found
+ */
+function validatePatchedNote(patched) {
+  if (!patched || typeof patched !== 'object' || Array.isArray(patched)) {
+    throw patchedNoteError('The note must be an object with title, content and metadata');
+  }
+  
+  const unknown = Object.keys(patched).filter(field => !['title', 'content', 'metadata'].includes(field));
+  if (unknown.length > 0) {
+    throw patchedNoteError(`Unknown fields: ${unknown.join(', ')}. Put custom fields under metadata`);
+  }
+  
+  if (typeof patched.title !== 'string' || !patched.title.trim() || /[\r\n]/.test(patched.title)) {
+    throw patchedNoteError('title must be a non-empty single line');
+  }
+  
+  if (typeof patched.content !== 'string') {
+    throw patchedNoteError('content must be a string');
+  }
+  
+  if (!patched.metadata || typeof patched.metadata !== 'object' || Array.isArray(patched.metadata)) {
+    throw patchedNoteError('metadata must be an object');
+  }
+  
+  const { tags } = patched.metadata;
+  if (tags !== undefined && (!Array.isArray(tags) || !tags.every(isValidTag))) {
+    throw patchedNoteError('metadata.tags must be an array of tag names without commas or empty levels');
+  }
+}
+
+/**
+ * Helper function to create a 422 error for an invalid patched note
+ */
+function patchedNoteError(message) {
+  const error = new Error(`Invalid note after patch: ${message}`);
+  error.statusCode = 422;
+  return error;
+}
+
+/**
+ * Helper function to check a note about to be written against its category's schemas
+ * 
+ * @param {string} noteKey - Storage key the note will be written to
+ * @param {string} fullContent - Note content, including frontmatter
+ * @throws {Error} 422 listing the violations if the frontmatter does not match
+ */
+async function checkSchemas(noteKey, fullContent) {
+  const schemas = await categoryModel.findSchemas(path.posix.dirname(noteKey));
+  if (schemas.length === 0) return;
+  
+  const violations = schemaViolations(schemas, parseNote(noteKey, fullContent).metadata);
+  if (violations.length > 0) {
+    const categories = [...new Set(violations.map(violation => violation.category))];
+    const error = new Error(
+      `Note does not match the schema for ${categories.join(' and ')}: ${violations.map(violation => violation.message).join('; ')}`
+    );
+    error.statusCode = 422;
+    error.details = { violations };
+    throw error;
+  }
+}
+
+/**
+ * Helper function to validate frontmatter against category schemas
+ * The frontmatter is checked as JSON. Unquoted YAML dates become strings as
+ * written, such as `2025-03-15`, so they can match `format: date`.
+ * 
+ * @param {Array} schemas - `{ category, schema }` from categoryModel.findSchemas
+ * @param {Object} metadata - Frontmatter fields
+ * @returns {Array} Violations as `{ category, field, message }`
+ */
+function schemaViolations(schemas, metadata) {
+  const fields = JSON.parse(JSON.stringify(metadata, function (key, value) {
+    const raw = this[key];
+    return raw instanceof Date && raw.toISOString().endsWith('T00:00:00.000Z') ? formatDate(raw) : value;
+  }));
+  return schemas.flatMap(({ category, schema }) => validateSchema(schema, fields).map(violation => ({ category, ...violation })));
+}
+
+/**
+ * Helper function to pick the frontmatter fields the server does not maintain
+ * 
+ * @param {Object} metadata - Frontmatter fields
+ * @returns {Object} Fields other than MANAGED_FIELDS
+ */
+function customFields(metadata) {
+  return withoutFields(metadata || {}, MANAGED_FIELDS);
+}
+
+/**
+ * Helper function to copy an object without some of its fields
+ */
+function withoutFields(object, fields) {
+  return Object.fromEntries(Object.entries(object).filter(([field]) => !fields.includes(field)));
+}
+
+/**
+ * Helper function to check a note against the getAllNotes filters
+ * 
+ * @param {Object} note - Parsed note
+ * @param {Object} filters - Comma-separated tags (a tag also matches its children), category, keyword and recursive flag
+ * @returns {boolean} True if the note passes every filter
+ */
+function matchesListFilters(note, { tags, category, keyword, recursive }) {
+  if (tags && !tags.split(',').some(tag => hasTag(note, tag))) {
+    return false;
+  }
+  
+  if (category && !inCategory(note, category, recursive)) {
+    return false;
+  }
+  
+  if (keyword) {
+    const lowered = keyword.toLowerCase();
+    if (!note.content.toLowerCase().includes(lowered) && !note.title.toLowerCase().includes(lowered)) {
+      return false;
+    }
+  }
+  
+  return true;
+}
+
+/**
+ * Helper function to check a note against search filters
+ * 
+ * @param {Object} note - Parsed note
+ * @param {Object} filters - Tags, category and date range filters
+ * @returns {boolean} True if the note passes every filter
+ */
+function matchesFilters(note, filters) {
+  if (filters.tags && filters.tags.length > 0) {
+    if (!note.metadata.tags) return false;
+    
+    const hasMatchingTag = filters.tags.some(tag => 
+      hasTag(note, tag)
+    );
+    
+    if (!hasMatchingTag) return false;
+  }
+  
+  if (filters.category) {
+    if (!inCategory(note, filters.category, filters.recursive === true)) {
+      return false;
+    }
+  }
+  
+  if (filters.dateRange) {
+    const { start, end } = filters.dateRange;
+    const noteDate = note.metadata.date;
+    
+    if (start && noteDate < start) return false;
+    if (end && noteDate > end) return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Helper function to read notes found through the search index
+ * Notes removed outside the API are dropped from the index
+ * 
+ * @param {string[]} noteIds - IDs returned by the index
+ * @returns {Promise<Array>} Parsed notes that still exist
+ */
+async function readIndexedNotes(noteIds) {
+  const notes = [];
+  
+  for (const id of noteIds) {
+    const found = await findNote(id);
+    if (found) {
+      notes.push(found.note);
+    } else {
+      await unindexNote(id);
+    }
+  }
+  
+  return notes;
+}
+
+/**
+ * Helper function to build the search index on first use
+ */
+async function ensureSearchIndex() {
+  if (!(await searchIndex.load())) {
+    await searchIndex.rebuild(await getAllNotesInternal());
+  }
+}
+
+/**
+ * Helper function to build the note ID index on first use
+ * Building it backfills missing stable IDs and separates copies sharing one.
+ */
+async function ensureIdIndex() {
+  if (!(await idIndex.load())) {
+    await idIndex.rebuild(await getAllNotesInternal({ repairIds: true }));
+  }
+}
+
+/**
+ * Helper function to build the vector store on first use
+ */
+async function ensureVectorStore() {
+  if (!(await vectorStore.load())) {
+    await vectorStore.rebuild(await getAllNotesInternal());
+  }
+}
+
+/**
+ * Helper function to bring the search indexes up to date with a saved note
+ * 
+ * @param {Object} note - Parsed note
+ */
+async function indexNote(note) {
+  await updateSearchIndex(() => idIndex.set(note.id, note.relativePath));
+  await updateSearchIndex(() => searchIndex.indexNote(note));
+  await updateSearchIndex(() => vectorStore.indexNote(note));
+}
+
+/**
+ * Helper function to remove a note from the search indexes
+ * 
+ * @param {string} noteId - The ID of the removed note
+ */
+async function unindexNote(noteId) {
+  await updateSearchIndex(() => idIndex.remove(noteId));
+  await updateSearchIndex(() => searchIndex.removeNote(noteId));
+  await updateSearchIndex(() => vectorStore.removeNote(noteId));
+}
+
+/**
+ * Helper function to apply a search index change
+ * The note itself is already saved, so index failures are logged rather than
+ * failing the request; a reindex repairs the index afterwards.
+ * 
+ * @param {Function} change - Async function updating the index
+ */
+async function updateSearchIndex(change) {
+  try {
+    await change();
+  } catch (error) {
+    console.error('Error updating search index:', error);
+  }
+}
+
+/**
+ * Helper function to add a write to a note's history
+ * As with the search index, failures are logged rather than failing the
+ * request that already saved the note.
+ * 
+ * @param {string} noteKey - Storage key of the note
+ * @param {string} content - Full note content as written
+ * @param {string} author - Agent that made the change
+ * @param {string} action - Kind of change
+ * @param {number} [restoredFrom] - Revision a restore copied
+ * @returns {Promise<Object|null>} The new revision entry, if one was recorded
+ */
+async function recordRevision(noteKey, content, author, action, restoredFrom) {
+  try {
+    return await revisionModel.recordRevision(noteKey, content, { author, action, restoredFrom });
+  } catch (error) {
+    console.error(`Error recording revision of ${noteKey}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Helper function to record a note's content before it is changed
+ * Does nothing when the content is already the latest revision; otherwise it
+ * captures notes written before revisions were kept or edited outside the API.
+ * 
+ * @param {string} noteKey - Storage key of the note
+ * @param {string} content - Current note content
+ * @param {Object} note - Parsed current note
+ */
+async function recordBaseline(noteKey, content, note) {
+  await recordRevision(noteKey, content, note.metadata.author, 'baseline');
+}
+
+/**
+ * Helper function to enforce an If-Match precondition before a change
+ * 
+ * @param {string} noteKey - Storage key of the note
+ * @param {string} content - Current note content
+ * @param {string} [ifMatch] - If-Match header value; no check when absent
+ * @throws {Error} 412 error carrying the current version of the note
+ */
+function checkPrecondition(noteKey, content, ifMatch) {
+  if (!ifMatch) {
+    return;
+  }
+  
+  const etag = computeEtag(content);
+  if (matchesIfMatch(ifMatch, etag)) {
+    return;
+  }
+  
+  const error = new Error('Note has been modified since it was read');
+  error.statusCode = 412;
+  error.headers = { ETag: etag };
+  error.details = {
+    etag,
+    current: { ...parseNote(noteKey, content), etag }
+  };
+  throw error;
+}
+
+/**
+ * Helper function to check whether a note exists
+ * 
+ * @param {string} noteKey - Storage key of the note
+ * @returns {Promise<boolean>} True if the note exists
+ */
+async function noteExists(noteKey) {
+  try {
+    await getStorage().stat(noteKey);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Helper function to find where a note is stored
+ * Accepts a stable ID or a legacy path ID. An unknown stable ID is first
+ * looked up again in the stored ID index, which other instances sharing the
+ * store save to. A stable ID whose indexed note is gone (such as one moved
+ * outside the API) triggers a rebuild of the ID index; an unknown stable ID
+ * does so at most once a minute, so requests for IDs that do not exist cannot
+ * keep rescanning the store.
+ * 
+ * @param {string} noteId - Stable ID or path of the note
+ * @returns {Promise<string|null>} Storage key, or null if no note has the stable ID
+ */
+async function resolveNoteKey(noteId) {
+  await ensureIdIndex();
+  
+  let noteKey = await idIndex.lookup(noteId);
+  if (!noteKey && STABLE_ID_PATTERN.test(noteId)) {
+    // Another instance may have created the note and saved its index since
+    await idIndex.refresh();
+    noteKey = await idIndex.lookup(noteId);
+  }
+  
+  const stale = noteKey !== null && !(await noteExists(noteKey));
+  if (stale) {
+    noteKey = null;
+  }
+  
+  if (!noteKey && STABLE_ID_PATTERN.test(noteId)
+    && (stale || Date.now() - lastIdIndexRebuild >= ID_INDEX_REBUILD_INTERVAL_MS)) {
+    if (!stale) {
+      lastIdIndexRebuild = Date.now();
+    }
+    await idIndex.rebuild(await getAllNotesInternal());
+    noteKey = await idIndex.lookup(noteId);
+  }
+  
+  if (noteKey) {
+    return noteKey;
+  }
+  
+  if (STABLE_ID_PATTERN.test(noteId)) {
+    return null;
+  }
+  
+  // Anything else is a path; validate it stays within the store to prevent
+  // directory traversal attacks. Hidden folders hold system data, not notes.
+  const key = normalizeKey(noteId);
+  return key.split('/').some(segment => segment.startsWith('.')) ? null : key;
+}
+
+/**
+ * Helper function to read and parse a stored note
+ * Notes without a stable ID are given one.
+ * 
+ * @param {string} noteKey - Storage key of the note
+ * @returns {Promise<Object>} The parsed note and its raw content
+ */
+async function readNote(noteKey) {
+  const content = await getStorage().read(noteKey);
+  const note = parseNote(noteKey, content);
+  
+  if (needsStableId(note, content)) {
+    // Concurrent readers of the same note share one backfill, so it gets one ID
+    if (!pendingBackfills.has(noteKey)) {
+      const backfill = assignStableId(noteKey, note, content)
+        .finally(() => pendingBackfills.delete(noteKey));
+      pendingBackfills.set(noteKey, backfill);
+    }
+    return pendingBackfills.get(noteKey);
+  }
+  
+  return { note, content };
+}
+
+/**
+ * Helper function to look up a note by stable ID or path
+ * 
+ * @param {string} noteId - Stable ID or path of the note
+ * @returns {Promise<Object|null>} Storage key, parsed note and raw content, or null if not found
+ */
+async function findNote(noteId) {
+  const noteKey = await resolveNoteKey(noteId);
+  if (!noteKey) {
+    return null;
+  }
+  
+  try {
+    return { noteKey, ...(await readNote(noteKey)) };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Helper function to check whether a note should be given a stable ID
+ * Notes whose frontmatter could not be parsed are left alone rather than
+ * risk rewriting it.
+ * 
+ * @param {Object} note - Parsed note
+ * @param {string} content - Raw note content
+ * @returns {boolean} True if the note has no stable ID and can take one
+ */
+function needsStableId(note, content) {
+  if (note.metadata.id) {
+    return false;
+  }
+  
+  return !content.startsWith('---') || Object.keys(note.metadata).length > 0;
+}
+
+/**
+ * Helper function to write a new stable ID into a note's frontmatter
+ * Used to backfill notes created before stable IDs or outside the API, and to
+ * separate copies of a note that share an ID. Only the `id` line changes, so
+ * the rest of the frontmatter is kept exactly as written.
+ * 
+ * @param {string} noteKey - Storage key of the note
+ * @param {Object} note - Parsed note
+ * @param {string} content - Raw note content
+ * @returns {Promise<Object>} The updated note and its raw content
+ */
+async function assignStableId(noteKey, note, content) {
+  const idLine = `id: ${crypto.randomUUID()}`;
+  const frontmatter = content.match(/^---\n([\s\S]*?)\n---\n/);
+  
+  let updatedContent;
+  if (frontmatter) {
+    const lines = frontmatter[1].split('\n').filter(line => !/^id:/.test(line));
+    updatedContent = `---\n${[idLine, ...lines].join('\n')}\n---\n${content.slice(frontmatter[0].length)}`;
+  } else {
+    updatedContent = `---\n${idLine}\n---\n\n${content}`;
+  }
+  
+  await getStorage().write(noteKey, updatedContent);
+  const updated = parseNote(noteKey, updatedContent);
+  
+  // Index entries under the old ID belong to the note's path or to the copy it was made from
+  if (!note.metadata.id) {
+    await unindexNote(note.id);
+  }
+  await indexNote(updated);
+  
+  return { note: updated, content: updatedContent };
+}
+
+/**
+ * Helper function to build the storage key of a new note
+ * 
+ * @param {string} category - Category folder
+ * @param {string} title - Note title
+ * @param {string} dateStr - Creation date as YYYY-MM-DD
+ * @returns {string} Key such as `topics/2025-03-15_quantum_computing.md`
+ */
+function newNoteKey(category, title, dateStr) {
+  return normalizeKey(path.posix.join(category, `${dateStr}_${slugify(title)}.md`));
+}
+
+/**
+ * Helper function to run one operation of a batch
+ * The operation goes through the same exported function, and so the same
+ * permission check, as its single-note endpoint.
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {Object} operation - Batch operation
+ * @param {string} author - Agent making the change
+ * @returns {Promise<Object>} `{ result, changes }`, where changes are the undo entries for rollbackBatch
+ * @throws {Error} 404 if the note does not exist, or the error of the failed operation
+ */
+async function runBatchOperation(role, operation, author) {
+  const { op, id, ifMatch } = operation;
+  
+  if (op === 'create') {
+    const category = operation.category || 'topics';
+    const dateStr = new Date().toISOString().split('T')[0];
+    let noteKey;
+    try {
+      noteKey = newNoteKey(category, operation.title, dateStr);
+    } catch (error) {
+      noteKey = null;
+    }
+    const original = noteKey ? await readIfExists(noteKey) : null;
+    
+    const result = await exports.createNote(role, operation.title, operation.content, operation.tags || [], category, author);
+    return { result, changes: [{ noteKey: result.relativePath, original, id: result.id }] };
+  }
+  
+  const noteKey = await resolveNoteKey(id);
+  const original = noteKey ? await readIfExists(noteKey) : null;
+  let result;
+  
+  if (op === 'update') {
+    result = await exports.updateNote(role, id, operation.title, operation.content, operation.tags, author, { ifMatch });
+  } else if (op === 'append') {
+    result = await exports.appendToNote(role, id, operation.content, author, { ifMatch });
+  } else if (op === 'tag') {
+    if (!isAuthorized(role, 'update')) {
+      throw new Error('Insufficient permissions');
+    }
+    if (original !== null) {
+      const remove = operation.remove || [];
+      const tags = noteTagList(parseNote(noteKey, original)).filter(tag => !remove.includes(tag));
+      result = await exports.updateNote(role, id, undefined, undefined, [...new Set([...tags, ...(operation.add || [])])], author, { ifMatch });
+    }
+  } else if (op === 'delete') {
+    result = await exports.deleteNote(role, id, operation.archive === true, author, { ifMatch });
+  }
+  
+  if (!result || original === null) {
+    const error = new Error('Note not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  const changes = [{ noteKey, original }];
+  if (op === 'delete') {
+    const movedTo = operation.archive === true ? result.relativePath : await findTrashedKey(result.id);
+    changes.push({ noteKey: movedTo, original: null, movedFrom: noteKey });
+  }
+  
+  return { result, changes };
+}
+
+/**
+ * Helper function to undo the changes of a failed batch
+ * Notes created by the batch are removed, and changed, archived or deleted
+ * notes get their earlier content back, recorded as a `rollback` revision.
+ * 
+ * @param {Array} applied - Undo entries as `{ noteKey, original, id, movedFrom }`, in the order made
+ * @param {string} author - Agent whose batch is rolled back
+ * @returns {Promise<Array>} Keys that could not be rolled back
+ */
+async function rollbackBatch(applied, author) {
+  const storage = getStorage();
+  const failed = [];
+  
+  // The earliest change to each note holds its content from before the batch
+  const earliest = applied.filter((change, index) => (
+    applied.findIndex(other => other.noteKey === change.noteKey) === index
+  ));
+  
+  for (const { noteKey, original, id, movedFrom } of earliest.reverse()) {
+    try {
+      await lockNote(noteKey, async () => {
+        // A created note may have replaced an older one at the same key
+        if (id) {
+          await unindexNote(id);
+        }
+        
+        if (original !== null) {
+          await storage.write(noteKey, original);
+          await indexNote(parseNote(noteKey, original));
+          await recordRevision(noteKey, original, author, 'rollback');
+          return;
+        }
+        
+        try {
+          await storage.delete(noteKey);
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+        
+        if (movedFrom) {
+          await revisionModel.moveRevisions(noteKey, movedFrom);
+        } else {
+          await revisionModel.deleteRevisions(noteKey);
+        }
+      });
+    } catch (error) {
+      console.error(`Error rolling back ${noteKey}:`, error);
+      failed.push(noteKey);
+    }
+  }
+  
+  return failed;
+}
+
+/**
+ * Helper function to read a note's raw content if it exists
+ * 
+ * @param {string} noteKey - Storage key of the note
+ * @returns {Promise<string|null>} Content, or null if there is no note at the key
+ */
+async function readIfExists(noteKey) {
+  try {
+    return await getStorage().read(noteKey);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Helper function to get the HTTP status for a failed batch operation
+ * 
+ * @param {Error} error - Error thrown by the operation
+ * @returns {number} Status code
+ */
+function batchErrorStatus(error) {
+  if (error.statusCode) {
+    return error.statusCode;
+  }
+  return error.message === 'Insufficient permissions' ? 403 : 500;
+}
+
+/**
+ * Helper function to move a note to a new key with new content
+ * The new copy is written before the old one is removed, and the revision
+ * history follows the note.
+ * 
+ * @param {string} fromKey - Current storage key
+ * @param {string} toKey - New storage key
+ * @param {string} content - Content to write at the new key
+ */
+async function relocateNote(fromKey, toKey, content) {
+  const storage = getStorage();
+  
+  await storage.write(toKey, content);
+  await storage.delete(fromKey);
+  
+  try {
+    await revisionModel.moveRevisions(fromKey, toKey);
+  } catch (error) {
+    console.error(`Error moving revisions of ${fromKey}:`, error);
+  }
+}
+
+/**
+ * Helper function to find a free storage key
+ * A number is added to the file name while the key is taken.
+ * 
+ * @param {string} noteKey - Preferred storage key
+ * @returns {Promise<string>} The key, or the first free numbered variant
+ */
+async function availableKey(noteKey) {
+  const base = noteKey.replace(/\.md$/, '');
+  let candidate = noteKey;
+  
+  for (let n = 2; await noteExists(candidate); n++) {
+    candidate = `${base}_${n}.md`;
+  }
+  
+  return candidate;
+}
+
+/**
+ * Helper function to read every note in the trash
+ * Notes without a deletion time use the time the file was last written.
+ * 
+ * @returns {Promise<Array>} Trashed notes as `{ noteKey, note, deletedAt }`
+ */
+async function getTrashedNotes() {
+  const storage = getStorage();
+  const trashed = [];
+  
+  for (const noteKey of await storage.list(TRASH_DIR)) {
+    if (!noteKey.endsWith('.md')) continue;
+    
+    try {
+      const note = parseNote(noteKey, await storage.read(noteKey));
+      let deletedAt = new Date(note.metadata.deletedAt);
+      if (Number.isNaN(deletedAt.getTime())) {
+        deletedAt = new Date((await storage.stat(noteKey)).modified);
+      }
+      trashed.push({ noteKey, note, deletedAt });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading ${noteKey}:`, error);
+      }
+    }
+  }
+  
+  return trashed;
+}
+
+/**
+ * Helper function to find a note in the trash by its stable ID
+ * 
+ * @param {string} noteId - Stable note ID
+ * @returns {Promise<string|null>} Storage key in the trash, or null if it is not there
+ */
+async function findTrashedKey(noteId) {
+  const found = (await getTrashedNotes()).find(({ note }) => note.id === noteId);
+  return found ? found.noteKey : null;
+}
+
+/**
+ * Helper function to read the trash retention period
+ * 
+ * @returns {number} Days deleted notes are kept
+ */
+function trashRetentionDays() {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return process.env.TRASH_RETENTION_DAYS !== undefined && Number.isFinite(days) && days >= 0
+    ? days
+    : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Helper function to work out when a deleted note will be purged
+ * 
+ * @param {Date} deletedAt - When the note was deleted
+ * @returns {Date} Earliest time the purge job removes it
+ */
+function purgeDate(deletedAt) {
+  return new Date(deletedAt.getTime() + trashRetentionDays() * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Helper function to sort entries by a timestamp field, newest first
+ * Entries without the timestamp go last.
+ */
+function sortByNewest(entries, field) {
+  return entries.sort((a, b) => {
+    if (a[field] === b[field]) return 0;
+    if (!a[field]) return 1;
+    if (!b[field]) return -1;
+    return a[field] < b[field] ? 1 : -1;
+  });
+}
+
+/**
+ * Helper function to check whether a note is filed in a category
+ * 
+ * @param {Object} note - Parsed note
+ * @param {string} category - Category path
+ * @param {boolean} recursive - Also accept notes in subcategories
+ * @returns {boolean} True if the note is in the category
+ */
+function inCategory(note, category, recursive) {
+  const folder = path.posix.dirname(note.relativePath);
+  const wanted = category.replace(/^\/+|\/+$/g, '');
+  return folder === wanted || (recursive && folder.startsWith(`${wanted}/`));
+}
+
+/**
+ * Helper function to look up a category notes are written into
+ * 
+ * @param {string} category - Category path
+ * @returns {Promise<Object>} Category metadata
+ * @throws {Error} 400 if the category is not registered or only the system writes to it
+ */
+async function requireCategory(category) {
+  if (categoryModel.isSystemCategory(category)) {
+    const error = new Error(`Category ${category} is used by the system; notes cannot be written into it directly`);
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  const found = await categoryModel.findCategory(category);
+  if (!found) {
+    const error = new Error(`Unknown category: ${category}. Create it with POST /categories first`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return found;
+}
+
+/**
+ * Helper function to get a note's tags as strings
+ * 
+ * @param {Object} note - Parsed note
+ * @returns {Array} Tags, or an empty array if the note has none
+ */
+function noteTagList(note) {
+  return Array.isArray(note.metadata.tags) ? note.metadata.tags.map(String) : [];
+}
+
+/**
+ * Helper function to check whether a note has a tag or one of its children
+ * 
+ * @param {Object} note - Parsed note
+ * @param {string} tag - Tag to look for
+ * @returns {boolean} True if the note has the tag
+ */
+function hasTag(note, tag) {
+  return noteTagList(note).some(noteTag => matchesTag(noteTag, tag));
+}
+
+/**
+ * Helper function to change tags across all notes
+ * Each note is rewritten on its own, under its lock, with a revision.
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {Function} rename - Maps a tag to its new name, or returns null to keep it
+ * @param {string} author - Agent making the change
+ * @returns {Promise<Object>} Updated notes or null if no tag was renamed
+ */
+async function retagNotes(role, rename, author) {
+  if (!isAuthorized(role, 'update')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const storage = getStorage();
+  const candidates = (await getAllNotesInternal())
+    .filter(note => noteTagList(note).some(tag => rename(tag) !== null));
+  
+  if (candidates.length === 0) {
+    return null;
+  }
+  
+  const updated = [];
+  for (const candidate of candidates) {
+    const noteKey = candidate.relativePath;
     
-    for (const entry of entries) {
-      const fullPath = path.join(dirPath, entry.name);
+    await lockNote(noteKey, async () => {
+      let note, content;
+      try {
+        ({ note, content } = await readNote(noteKey));
+      } catch (error) {
+        // Deleted since the notes were listed
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
       
-      if (entry.isDirectory()) {
-        // Process subdirectories recursively
-        await processDirectory(fullPath);
-      } else if (entry.name.endsWith('.md')) {
-        // Process markdown files
-        try {
-          const content = await fs.readFile(fullPath, 'utf8');
-          const note = parseNoteContent(content, fullPath, NOTES_DIR);
-          notes.push(note);
-        } catch (error) {
-          console.error(`Error reading file ${fullPath}:`, error);
-        }
+      const currentTags = noteTagList(note);
+      const tags = [...new Set(currentTags.map(tag => rename(tag) || tag))];
+      if (tags.length === currentTags.length && tags.every((tag, i) => tag === currentTags[i])) {
+        return;
+      }
+      
+      await recordBaseline(noteKey, content, note);
+      
+      const updatedMetadata = {
+        ...note.metadata,
+        tags,
+        lastModified: new Date().toISOString().split('T')[0]
+      };
+      const fullContent = formatNoteContent(updatedMetadata, note.title, note.content);
+      
+      await storage.write(noteKey, fullContent);
+      await indexNote(parseNote(noteKey, fullContent));
+      await recordRevision(noteKey, fullContent, author, 'update');
+      
+      updated.push({ id: note.id, relativePath: noteKey, tags });
+    });
+  }
+  
+  return { updated, count: updated.length };
+}
+
+/**
+ * Helper function to work out the `related` field of a note
+ * Wikilinks are resolved to the stable IDs of the notes they point at;
+ * entries that are not stable IDs were written by hand and are kept.
+ * 
+ * @param {string} noteId - Stable ID of the note, which is never related to itself
+ * @param {string} content - Note body
+ * @param {Array} related - Current `related` entries
+ * @returns {Promise<Array>} New `related` entries
+ */
+async function resolveRelated(noteId, content, related) {
+  const kept = (Array.isArray(related) ? related : [])
+    .filter(entry => !STABLE_ID_PATTERN.test(String(entry)));
+  
+  const links = extractWikilinks(content);
+  if (links.length === 0) {
+    return kept;
+  }
+  
+  const candidates = await findLinkCandidates(links.map(link => link.target));
+  const resolve = createLinkResolver(candidates || await getAllNotesInternal());
+  const linked = [];
+  
+  for (const link of links) {
+    const target = resolve(link.target);
+    if (target && target.id !== noteId && !linked.includes(target.id)) {
+      linked.push(target.id);
+    }
+  }
+  
+  return [...kept, ...linked];
+}
+
+/**
+ * Helper function to find every note a wikilink target could resolve to
+ * Candidates are looked up by ID and storage key in the ID index and by title
+ * terms in the search index, so saving a note does not read the whole store.
+ * Resolving among them gives the same note as resolving among all notes.
+ * 
+ * @param {Array} targets - Wikilink targets
+ * @returns {Promise<Array|null>} Candidate notes, newest first, or null if a
+ *   target cannot be looked up this way
+ */
+async function findLinkCandidates(targets) {
+  await ensureIdIndex();
+  await ensureSearchIndex();
+  
+  const ids = new Set();
+  for (const target of targets) {
+    const trimmed = target.trim();
+    const name = trimmed.toLowerCase().replace(/\.md$/, '');
+    
+    const titled = await searchIndex.findTitleMatches(trimmed);
+    if (!titled) {
+      return null;
+    }
+    
+    const named = await idIndex.findIds(noteKey => {
+      const stripped = noteKey.replace(/\.md$/, '').toLowerCase();
+      return stripped === name || path.posix.basename(stripped) === name;
+    });
+    
+    [trimmed, ...named, ...titled].forEach(id => ids.add(id));
+  }
+  
+  const notes = [];
+  for (const id of ids) {
+    const noteKey = await idIndex.lookup(id);
+    if (!noteKey) continue;
+    
+    try {
+      notes.push(parseNote(noteKey, await getStorage().read(noteKey)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+  
+  // Ties on date go to the note listed first in storage, as in a full scan
+  notes.sort((a, b) => (a.relativePath < b.relativePath ? -1 : 1));
+  return sortNewestFirst(notes);
+}
+
+/**
+ * Helper function to find the notes that reference a moved note
+ * 
+ * @param {Object} moved - The moved note as parsed before the move
+ * @param {string} newKey - New storage key of the moved note
+ * @param {string} newTitle - New title of the moved note
+ * @returns {Promise<Array>} Planned writes as `{ noteKey, original, updated }`
+ */
+async function planReferenceUpdates(moved, newKey, newTitle) {
+  const storage = getStorage();
+  const oldKey = moved.relativePath;
+  const notes = await getAllNotesInternal();
+  const resolve = createLinkResolver(notes);
+  const updates = [];
+  
+  // Compare against the copy the resolver knows so identity checks work
+  const movedNote = notes.find(note => note.id === moved.id) || moved;
+  
+  for (const other of notes) {
+    if (other.id === moved.id) continue;
+    
+    const original = await storage.read(other.relativePath);
+    let updated = retargetLinks(original, other.relativePath, oldKey, newKey);
+    updated = retargetWikilinks(updated, resolve, movedNote, newKey, newTitle);
+    
+    const related = retargetRelated(other.metadata.related, oldKey, newKey);
+    if (related) {
+      const linked = parseNote(other.relativePath, updated);
+      updated = formatNoteContent({ ...linked.metadata, related }, linked.title, linked.content);
+    }
+    
+    if (updated !== original) {
+      updates.push({ noteKey: other.relativePath, original, updated });
+    }
+  }
+  
+  return updates;
+}
+
+/**
+ * Helper function to undo writes made by a failed multi-note change
+ * Keys written with no original are deleted; others get their original back.
+ * 
+ * @param {Array} applied - Writes as `{ noteKey, original }`, in the order made
+ */
+async function rollbackWrites(applied) {
+  const storage = getStorage();
+  
+  for (const { noteKey, original } of [...applied].reverse()) {
+    try {
+      if (original === null) {
+        await storage.delete(noteKey);
+      } else {
+        await storage.write(noteKey, original);
       }
+    } catch (error) {
+      console.error(`Error rolling back ${noteKey}:`, error);
+    }
+  }
+}
+
+/**
+ * Helper function to turn a title into a file name slug
+ * 
+ * @param {string} title - Note title
+ * @returns {string} Lowercase slug with underscores
+ */
+function slugify(title) {
+  return title.toLowerCase().replace(/[^a-z0-9]+/g, '_');
+}
+
+/**
+ * Helper function to format a frontmatter date as YYYY-MM-DD
+ * Unquoted YAML dates are parsed into Date objects.
+ * 
+ * @param {string|Date} date - Date from note metadata
+ * @returns {string} The date, or today if it is missing
+ */
+function formatDate(date) {
+  if (date instanceof Date) {
+    return date.toISOString().split('T')[0];
+  }
+  return date ? String(date) : new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Helper function to get the value a note is sorted by
+ * Notes never modified sort by their creation date.
+ * 
+ * @param {Object} note - Parsed note
+ * @param {string} sort - 'date', 'lastModified' or 'title'
+ * @returns {string} Sort value
+ */
+function sortValue(note, sort) {
+  if (sort === 'title') {
+    return note.title;
+  }
+  
+  const date = sort === 'lastModified'
+    ? note.metadata.lastModified || note.metadata.date
+    : note.metadata.date;
+  return date ? formatDate(date) : '';
+}
+
+/**
+ * Helper function to compare two sort values
+ * Titles are compared without regard to case.
+ */
+function compareValues(a, b, sort) {
+  if (sort === 'title') {
+    const byTitle = a.localeCompare(b, 'en', { sensitivity: 'base' });
+    if (byTitle !== 0) return byTitle;
+  }
+  
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+/**
+ * Helper function to shape a note for a listing
+ * Fields may be top-level note fields, `excerpt`, `html`, `outline`, or
+ * metadata fields such as `tags`, which are lifted to the top level.
+ * 
+ * @param {Object} note - Parsed note
+ * @param {Array} fields - Fields to include (default: all)
+ * @param {boolean} summary - Replace the content with an excerpt
+ * @param {Function} render - Note renderer adding `html` and `outline`, if rendering
+ * @returns {Object} Listed note
+ */
+function projectNote(note, fields, summary, render) {
+  const listed = render ? { ...note, ...render(note) } : { ...note };
+  if (summary) {
+    delete listed.content;
+    listed.excerpt = createExcerpt(note);
+  }
+  
+  if (!fields) {
+    return listed;
+  }
+  
+  const projected = {};
+  for (const field of fields) {
+    if (field === 'excerpt') {
+      projected.excerpt = listed.excerpt || createExcerpt(note);
+    } else if (field in listed) {
+      projected[field] = listed[field];
+    } else if (note.metadata[field] !== undefined) {
+      projected[field] = note.metadata[field];
     }
   }
   
-  await processDirectory(NOTES_DIR);
+  return projected;
+}
+
+/**
+ * Helper function to create a plain-text excerpt of a note
+ * 
+ * @param {Object} note - Parsed note
+ * @returns {string} Start of the body without the title heading, cut at a word
+ */
+function createExcerpt(note) {
+  const text = note.content
+    .replace(/^# .*$/m, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  
+  if (text.length <= EXCERPT_LENGTH) {
+    return text;
+  }
+  
+  const cut = text.slice(0, EXCERPT_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > EXCERPT_LENGTH / 2 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+}
+
+/**
+ * Helper function to ensure the notes store is initialized
+ */
+async function ensureNotesDirectory() {
+  await getStorage().init(categoryModel.DEFAULT_CATEGORIES);
+}
+
+/**
+ * Helper function to parse a stored note
+ * 
+ * @param {string} noteKey - Storage key of the note
+ * @param {string} content - Raw note content
+ * @returns {Object} Structured note data
+ */
+function parseNote(noteKey, content) {
+  const storage = getStorage();
+  return parseNoteContent(content, storage.locate(noteKey), storage.root);
+}
+
+/**
+ * Helper function to get all notes
+ * 
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.repairIds] - Give notes missing or sharing a stable ID their own
+ */
+async function getAllNotesInternal({ repairIds = false } = {}) {
+  const notes = [];
+  
+  await forEachStoredNote(async (note) => {
+    notes.push(note);
+  }, { repairIds });
   
-  // Sort by date, newest first
+  return sortNewestFirst(notes);
+}
+
+/**
+ * Helper function to sort notes by date, newest first
+ * 
+ * @param {Array} notes - Parsed notes, sorted in place
+ * @returns {Array} The sorted notes
+ */
+function sortNewestFirst(notes) {
   return notes.sort((a, b) => {
     if (a.metadata.date > b.metadata.date) return -1;
     if (a.metadata.date < b.metadata.date) return 1;
     return 0;
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Helper function to read every note, one at a time, in storage order
+ * Only category folders are listed. Notes are read as stored unless
+ * `repairIds` is set, which writes new stable IDs into notes that have none
+ * and into copies that share another note's ID; reindexing does this.
+ * 
+ * @param {Function} visit - Async function called with each parsed note and its raw content
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.repairIds] - Give notes missing or sharing a stable ID their own
+ */
+async function forEachStoredNote(visit, { repairIds = false } = {}) {
+  const storage = getStorage();
+  
+  // Ensure notes directory exists
+  await ensureNotesDirectory();
+  
+  const keys = await categoryModel.listNoteKeys();
+  const seenIds = new Set();
+  
+  for (const key of keys) {
+    let note, content;
+    try {
+      if (repairIds) {
+        ({ note, content } = await readNote(key));
+        
+        // A copied file shares its ID with the original; the copy gets a new one
+        if (note.metadata.id && (await isCopiedNote(key, note.id, seenIds))) {
+          ({ note, content } = await assignStableId(key, note, content));
+        }
+      } else {
+        content = await storage.read(key);
+        note = parseNote(key, content);
+      }
+    } catch (error) {
+      console.error(`Error reading note ${key}:`, error);
+      continue;
+    }
+    
+    seenIds.add(note.id);
+    await visit(note, content);
+  }
+}
+
+/**
+ * Helper function to tell a copied note from the original sharing its ID
+ * The original is the file the ID index points to; without an index entry,
+ * the first file seen with the ID is.
+ * 
+ * @param {string} noteKey - Storage key of the note
+ * @param {string} noteId - The note's stable ID
+ * @param {Set} seenIds - IDs of the notes read so far
+ * @returns {Promise<boolean>} True if the note should be given a new ID
+ */
+async function isCopiedNote(noteKey, noteId, seenIds) {
+  const indexedKey = await idIndex.lookup(noteId);
+  if (indexedKey === noteKey) {
+    return false;
+  }
+  
+  if (indexedKey && (await noteExists(indexedKey))) {
+    return true;
+  }
+  
+  return seenIds.has(noteId);
+}
+
+/**
+ * Helper function to initialize the notes store on startup
+ * Also backfills stable IDs when the ID index has not been built yet.
+ */
+exports.initializeStorage = async () => {
+  await ensureNotesDirectory();
+  await categoryModel.load();
+  await ensureIdIndex();
+};
+
+/**
+ * Save pending changes to the ID, search and embedding indexes
+ * Changes are otherwise saved shortly after they are made, so commands call
+ * this before exiting.
+ */
+exports.flushIndexes = async () => {
+  await idIndex.flush();
+  await searchIndex.flush();
+  await vectorStore.flush();
+};
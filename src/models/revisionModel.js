@@ -0,0 +1,198 @@
+/**
+ * Revision Model
+ * 
+ * Keeps the history of every note. Each note has a hidden folder in the
+ * notes store holding a manifest of its revisions and the full content of
+ * each one:
+ * 
+ *   .revisions/<note key>/index.json
+ *   .revisions/<note key>/<rev>.md
+ * 
+ * Revisions are numbered from 1 and never change once written.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { getStorage } = require('../storage');
+const { createKeyedQueue } = require('../utils/keyedQueue');
+
+const REVISIONS_DIR = '.revisions';
+const MANIFEST_VERSION = 1;
+
+// Manifest updates run one at a time per note, so concurrent writes keep every revision
+const enqueue = createKeyedQueue();
+
+/**
+ * Storage key of a note's revision folder
+ */
+function revisionsPrefix(noteKey) {
+  return path.posix.join(REVISIONS_DIR, noteKey);
+}
+
+function manifestKey(noteKey) {
+  return path.posix.join(revisionsPrefix(noteKey), 'index.json');
+}
+
+function contentKey(noteKey, rev) {
+  return path.posix.join(revisionsPrefix(noteKey), `${rev}.md`);
+}
+
+/**
+ * SHA-256 hash of note content
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Read a note's revision manifest
+ * 
+ * @param {string} noteKey - Storage key of the note
+ * @returns {Promise<Array>} Revision entries, oldest first
+ */
+async function readManifest(noteKey) {
+  try {
+    const manifest = JSON.parse(await getStorage().read(manifestKey(noteKey)));
+    return manifest.revisions;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Record a revision of a note
+ * Nothing is recorded when the content matches the latest revision.
+ * 
+ * @param {string} noteKey - Storage key of the note
+ * @param {string} content - Full note content, including frontmatter
+ * @param {Object} details - Revision details
+ * @param {string} details.author - Agent that made the change
+ * @param {string} details.action - Kind of change, such as 'create' or 'update'
+ * @param {number} [details.restoredFrom] - Revision a restore copied
+ * @returns {Promise<Object|null>} The new revision entry, or null if unchanged
+ */
+exports.recordRevision = (noteKey, content, { author, action, restoredFrom }) => enqueue(noteKey, async () => {
+  const storage = getStorage();
+  const revisions = await readManifest(noteKey);
+  const hash = hashContent(content);
+  
+  const latest = revisions[revisions.length - 1];
+  if (latest && latest.hash === hash) {
+    return null;
+  }
+  
+  const entry = {
+    rev: latest ? latest.rev + 1 : 1,
+    author: author || null,
+    timestamp: new Date().toISOString(),
+    action,
+    hash,
+    size: Buffer.byteLength(content)
+  };
+  
+  if (restoredFrom) {
+    entry.restoredFrom = restoredFrom;
+  }
+  
+  // Content first, so the manifest never lists a revision that is missing
+  await storage.write(contentKey(noteKey, entry.rev), content);
+  await storage.write(manifestKey(noteKey), JSON.stringify({
+    version: MANIFEST_VERSION,
+    revisions: [...revisions, entry]
+  }, null, 2));
+  
+  return entry;
+});
+
+/**
+ * List a note's revisions
+ * 
+ * @param {string} noteKey - Storage key of the note
+ * @returns {Promise<Array>} Revision entries, oldest first
+ */
+exports.listRevisions = (noteKey) => readManifest(noteKey);
+
+/**
+ * Get one revision of a note with its content
+ * 
+ * @param {string} noteKey - Storage key of the note
+ * @param {number} rev - Revision number
+ * @returns {Promise<Object|null>} The revision, or null if not found
+ */
+exports.getRevision = async (noteKey, rev) => {
+  const revisions = await readManifest(noteKey);
+  const entry = revisions.find(revision => revision.rev === rev);
+  
+  if (!entry) {
+    return null;
+  }
+  
+  const content = await getStorage().read(contentKey(noteKey, rev));
+  return { ...entry, content };
+};
+
+/**
+ * Move a note's history to follow the note to a new key
+ * Any history already at the new key is replaced.
+ * 
+ * @param {string} fromKey - Previous storage key of the note
+ * @param {string} toKey - New storage key of the note
+ */
+exports.moveRevisions = async (fromKey, toKey) => {
+  if (fromKey === toKey) {
+    return;
+  }
+  
+  await enqueue(fromKey, () => enqueue(toKey, () => moveKeys(fromKey, toKey)));
+};
+
+/**
+ * Move every key in a note's revision folder
+ */
+async function moveKeys(fromKey, toKey) {
+  const storage = getStorage();
+  const fromPrefix = revisionsPrefix(fromKey);
+  const keys = await storage.list(fromPrefix);
+  
+  if (keys.length === 0) {
+    return;
+  }
+  
+  await deleteKeys(await storage.list(revisionsPrefix(toKey)));
+  
+  // Move the manifest last, so an interrupted move leaves the history readable
+  const manifest = manifestKey(fromKey);
+  const ordered = [...keys.filter(key => key !== manifest), manifest];
+  
+  for (const key of ordered) {
+    const relative = key.slice(fromPrefix.length + 1);
+    await storage.move(key, path.posix.join(revisionsPrefix(toKey), relative));
+  }
+}
+
+/**
+ * Delete a note's history
+ * 
+ * @param {string} noteKey - Storage key of the note
+ */
+exports.deleteRevisions = (noteKey) => enqueue(noteKey, async () => {
+  await deleteKeys(await getStorage().list(revisionsPrefix(noteKey)));
+});
+
+/**
+ * Delete storage keys, ignoring keys that are already gone
+ */
+async function deleteKeys(keys) {
+  const storage = getStorage();
+  
+  for (const key of keys) {
+    try {
+      await storage.delete(key);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
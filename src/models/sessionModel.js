@@ -0,0 +1,419 @@
+/**
+ * Session Model
+ * 
+ * Keeps conversation sessions, so an agent can pick up a conversation where
+ * it left off. A session has a topic, participants and a status, a log of
+ * turns and the notes created while it was open. Each session has a hidden
+ * folder in the notes store:
+ * 
+ *   .sessions/<id>/session.json
+ *   .sessions/<id>/turns/<turn>.json
+ * 
+ * Turns are numbered from 1 and never change once written.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { isAuthorized } = require('../utils/authorization');
+const { getStorage } = require('../storage');
+const { createKeyedQueue } = require('../utils/keyedQueue');
+const noteModel = require('./noteModel');
+
+const SESSIONS_DIR = '.sessions';
+const SESSION_VERSION = 1;
+
+const SESSION_STATUSES = ['active', 'paused', 'closed'];
+
+// Turns returned by getContext unless the caller asks for another number
+const DEFAULT_CONTEXT_TURNS = 20;
+
+// Session IDs are UUIDs, which also keeps them safe to use in storage keys
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Changes to a session run one at a time, so concurrent turns get their own numbers
+const enqueue = createKeyedQueue();
+
+exports.SESSION_STATUSES = SESSION_STATUSES;
+exports.DEFAULT_CONTEXT_TURNS = DEFAULT_CONTEXT_TURNS;
+
+/**
+ * Storage keys of a session's files
+ */
+function sessionKey(sessionId) {
+  return path.posix.join(SESSIONS_DIR, sessionId.toLowerCase(), 'session.json');
+}
+
+function turnKey(sessionId, turn) {
+  return path.posix.join(SESSIONS_DIR, sessionId.toLowerCase(), 'turns', `${turn}.json`);
+}
+
+/**
+ * Open a session
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {Object} details - Session metadata
+ * @param {string} details.topic - What the conversation is about
+ * @param {Array} details.participants - Names of the people and agents taking part
+ * @param {string} details.status - 'active' (default), 'paused' or 'closed'
+ * @param {string} author - Agent opening the session
+ * @returns {Promise<Object>} Created session
+ */
+exports.createSession = async (role, { topic = '', participants = [], status = 'active' } = {}, author) => {
+  if (!isAuthorized(role, 'create')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const now = new Date().toISOString();
+  const session = {
+    id: crypto.randomUUID(),
+    topic,
+    participants: [...new Set([author, ...participants])],
+    status,
+    createdBy: author,
+    created: now,
+    updated: now,
+    turnCount: 0,
+    lastTurnAt: null,
+    notes: []
+  };
+  
+  await writeSession(session);
+  return describeSession(session);
+};
+
+/**
+ * List sessions, most recently updated first
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {Object} filters - Filters
+ * @param {string} filters.status - Only sessions with this status
+ * @param {string} filters.participant - Only sessions this participant takes part in
+ * @returns {Promise<Array>} Sessions
+ */
+exports.listSessions = async (role, { status, participant } = {}) => {
+  if (!isAuthorized(role, 'read')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const keys = (await getStorage().list(SESSIONS_DIR)).filter(key => key.endsWith('/session.json'));
+  const sessions = [];
+  
+  for (const key of keys) {
+    let session;
+    try {
+      session = await readSession(key.split('/')[1]);
+    } catch (error) {
+      console.error(`Error reading session ${key}:`, error);
+      continue;
+    }
+    
+    if (!session) continue;
+    if (status && session.status !== status) continue;
+    if (participant && !session.participants.includes(participant)) continue;
+    sessions.push(describeSession(session));
+  }
+  
+  return sessions.sort((a, b) => b.updated.localeCompare(a.updated));
+};
+
+/**
+ * Get a session's metadata and linked notes
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} Session or null if not found
+ */
+exports.getSession = async (role, sessionId) => {
+  if (!isAuthorized(role, 'read')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const session = await readSession(sessionId);
+  return session ? describeSession(session) : null;
+};
+
+/**
+ * Update a session's topic, participants or status
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} sessionId - Session ID
+ * @param {Object} details - Fields to change (each optional)
+ * @param {string} details.topic - What the conversation is about
+ * @param {Array} details.participants - Names of the people and agents taking part
+ * @param {string} details.status - 'active', 'paused' or 'closed'
+ * @returns {Promise<Object>} Updated session or null if not found
+ */
+exports.updateSession = async (role, sessionId, { topic, participants, status } = {}) => {
+  if (!isAuthorized(role, 'update')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  return changeSession(sessionId, session => ({
+    ...session,
+    ...(topic !== undefined && { topic }),
+    ...(participants !== undefined && { participants: [...new Set(participants)] }),
+    ...(status !== undefined && { status })
+  }));
+};
+
+/**
+ * Delete a session and its turns
+ * The notes created during the session are kept.
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} Result information or null if not found
+ */
+exports.deleteSession = async (role, sessionId) => {
+  if (!isAuthorized(role, 'delete')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  if (!isSessionId(sessionId)) {
+    return null;
+  }
+  
+  return enqueue(sessionId.toLowerCase(), async () => {
+    const session = await readSession(sessionId);
+    if (!session) {
+      return null;
+    }
+    
+    const storage = getStorage();
+    const keys = await storage.list(path.posix.dirname(sessionKey(sessionId)));
+    
+    // Delete the session file last, so an interrupted delete can be repeated
+    for (const key of [...keys.filter(key => key !== sessionKey(sessionId)), sessionKey(sessionId)]) {
+      try {
+        await storage.delete(key);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    
+    return { message: 'Session deleted', id: session.id };
+  });
+};
+
+/**
+ * Add a turn to a session's log
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} sessionId - Session ID
+ * @param {Object} turn - The turn
+ * @param {string} turn.speaker - Who said it
+ * @param {string} turn.content - What was said
+ * @returns {Promise<Object>} The turn as `{ turn, at, speaker, content }`, or null if the
+ *   session is not found
+ * @throws {Error} 409 if the session is closed
+ */
+exports.appendTurn = async (role, sessionId, { speaker, content }) => {
+  if (!isAuthorized(role, 'update')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  let entry = null;
+  
+  const session = await changeSession(sessionId, async (current) => {
+    requireOpen(current);
+    
+    entry = {
+      turn: current.turnCount + 1,
+      at: new Date().toISOString(),
+      speaker,
+      content
+    };
+    await getStorage().write(turnKey(current.id, entry.turn), JSON.stringify(entry));
+    
+    return { ...current, turnCount: entry.turn, lastTurnAt: entry.at };
+  });
+  
+  return session ? entry : null;
+};
+
+/**
+ * List a session's turns
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} sessionId - Session ID
+ * @param {Object} options - Listing options
+ * @param {number} options.after - Only turns after this turn number
+ * @param {number} options.limit - Maximum number of turns (default: all)
+ * @returns {Promise<Object>} `{ turns, turnCount }`, oldest turn first, or null if the
+ *   session is not found
+ */
+exports.listTurns = async (role, sessionId, { after = 0, limit } = {}) => {
+  if (!isAuthorized(role, 'read')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const session = await readSession(sessionId);
+  if (!session) {
+    return null;
+  }
+  
+  const last = limit ? Math.min(session.turnCount, after + limit) : session.turnCount;
+  return { turns: await readTurns(session, after + 1, last), turnCount: session.turnCount };
+};
+
+/**
+ * Gather what an agent needs to resume a session
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} sessionId - Session ID
+ * @param {Object} options - Context options
+ * @param {number} options.turns - Number of recent turns (default: DEFAULT_CONTEXT_TURNS)
+ * @returns {Promise<Object>} `{ session, notes, turns }`, where `notes` are the session's
+ *   notes that still exist, or null if the session is not found
+ */
+exports.getContext = async (role, sessionId, { turns = DEFAULT_CONTEXT_TURNS } = {}) => {
+  if (!isAuthorized(role, 'read')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const session = await readSession(sessionId);
+  if (!session) {
+    return null;
+  }
+  
+  const notes = [];
+  for (const linked of session.notes) {
+    const note = await noteModel.getNoteById(role, linked.id);
+    if (note) {
+      notes.push({ ...note, linkedAt: linked.linkedAt });
+    }
+  }
+  
+  return {
+    session: describeSession(session),
+    notes,
+    turns: await readTurns(session, Math.max(1, session.turnCount - turns + 1), session.turnCount)
+  };
+};
+
+/**
+ * Check that notes can be added to a session, for use by other controllers
+ * 
+ * @param {string} sessionId - Session ID
+ * @throws {Error} 400 if the session does not exist, 409 if it is closed
+ */
+exports.requireOpenSession = async (sessionId) => {
+  const session = await readSession(sessionId);
+  if (!session) {
+    const error = new Error(`Unknown session: ${sessionId}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  requireOpen(session);
+};
+
+/**
+ * Record that a note was created during a session
+ * 
+ * @param {string} sessionId - Session ID
+ * @param {Object} note - The created note's `id` and `title`
+ * @returns {Promise<Object>} Updated session or null if not found
+ */
+exports.linkNote = async (sessionId, { id, title }) => {
+  return changeSession(sessionId, session => ({
+    ...session,
+    notes: [
+      ...session.notes.filter(linked => linked.id !== id),
+      { id, title, linkedAt: new Date().toISOString() }
+    ]
+  }));
+};
+
+/**
+ * Helper function to check that a string is a session ID
+ */
+function isSessionId(sessionId) {
+  return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+/**
+ * Helper function to read a session
+ * 
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} Stored session or null if not found
+ */
+async function readSession(sessionId) {
+  if (!isSessionId(sessionId)) {
+    return null;
+  }
+  
+  try {
+    const { version, ...session } = JSON.parse(await getStorage().read(sessionKey(sessionId)));
+    return session;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Helper function to save a session
+ */
+async function writeSession(session) {
+  await getStorage().write(sessionKey(session.id), JSON.stringify({ ...session, version: SESSION_VERSION }));
+}
+
+/**
+ * Helper function to change a session one change at a time
+ * 
+ * @param {string} sessionId - Session ID
+ * @param {Function} change - Returns (or resolves to) the changed session
+ * @returns {Promise<Object>} Updated session or null if not found
+ */
+async function changeSession(sessionId, change) {
+  if (!isSessionId(sessionId)) {
+    return null;
+  }
+  
+  return enqueue(sessionId.toLowerCase(), async () => {
+    const session = await readSession(sessionId);
+    if (!session) {
+      return null;
+    }
+    
+    const updated = { ...(await change(session)), updated: new Date().toISOString() };
+    await writeSession(updated);
+    return describeSession(updated);
+  });
+}
+
+/**
+ * Helper function to read a range of turns
+ * 
+ * @param {Object} session - Stored session
+ * @param {number} first - First turn number
+ * @param {number} last - Last turn number
+ * @returns {Promise<Array>} Turns, oldest first
+ */
+async function readTurns(session, first, last) {
+  const turns = [];
+  for (let turn = first; turn <= last; turn++) {
+    turns.push(JSON.parse(await getStorage().read(turnKey(session.id, turn))));
+  }
+  return turns;
+}
+
+/**
+ * Helper function to refuse changes to a closed session
+ */
+function requireOpen(session) {
+  if (session.status === 'closed') {
+    const error = new Error(`Session ${session.id} is closed`);
+    error.statusCode = 409;
+    throw error;
+  }
+}
+
+/**
+ * Helper function to describe a session for a response
+ */
+function describeSession(session) {
+  return { ...session, noteCount: session.notes.length };
+}
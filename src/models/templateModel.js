@@ -0,0 +1,338 @@
+/**
+ * Template Model
+ * 
+ * Keeps the templates notes can be created from. A template gives a new note
+ * its category, tags, frontmatter fields and body, any of which may contain
+ * `{{placeholders}}` filled in when the note is created: the built-in
+ * `{{date}}`, `{{time}}`, `{{datetime}}`, `{{agent}}`, `{{title}}` and
+ * `{{category}}`, and variables supplied by the caller. Templates are saved
+ * at `.templates.json` in the active storage backend.
+ */
+
+const { isAuthorized } = require('../utils/authorization');
+const { createPersistentStore } = require('../search/persistentStore');
+const { createKeyedQueue } = require('../utils/keyedQueue');
+const { isValidTag } = require('../utils/tags');
+
+// Letters, digits, '-' or '_', starting with a letter or digit
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+// `{{name}}`, with optional spaces inside the braces
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_][a-z0-9_.-]*)\s*\}\}/gi;
+
+// Placeholders filled in by the server unless the caller supplies them
+const BUILT_IN_VARIABLES = ['date', 'time', 'datetime', 'agent', 'title', 'category'];
+
+const STORE_VERSION = 1;
+
+const store = createPersistentStore({
+  key: '.templates.json',
+  version: STORE_VERSION,
+  revive: stored => new Map(Object.entries(stored.templates)),
+  serialize: templates => ({ templates: Object.fromEntries(templates) })
+});
+
+// Template changes run one at a time
+const enqueue = createKeyedQueue();
+
+exports.BUILT_IN_VARIABLES = BUILT_IN_VARIABLES;
+
+/**
+ * Check that a template name is usable
+ * 
+ * @param {string} name - Template name such as `meeting-summary`
+ * @returns {boolean} True if the name is valid
+ */
+exports.isValidTemplateName = (name) => {
+  return typeof name === 'string' && NAME_PATTERN.test(name);
+};
+
+/**
+ * List all templates
+ * 
+ * @param {string} role - Agent role for authorization
+ * @returns {Promise<Array>} Templates sorted by name
+ */
+exports.listTemplates = async (role) => {
+  if (!isAuthorized(role, 'read')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const templates = await loadTemplates();
+  return [...templates.keys()].sort().map(name => describeTemplate(name, templates.get(name)));
+};
+
+/**
+ * Get a template
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} name - Template name
+ * @returns {Promise<Object>} Template or null if not found
+ */
+exports.getTemplate = async (role, name) => {
+  if (!isAuthorized(role, 'read')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const templates = await loadTemplates();
+  return templates.has(name) ? describeTemplate(name, templates.get(name)) : null;
+};
+
+/**
+ * Create a template
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} name - Template name
+ * @param {Object} details - Template fields
+ * @param {string} details.description - What the template is for
+ * @param {string} details.title - Title for notes that are not given one
+ * @param {string} details.category - Category for notes that are not given one
+ * @param {Array} details.tags - Tags added to every note created from it
+ * @param {Object} details.metadata - Frontmatter fields for notes created from it
+ * @param {string} details.body - Note body
+ * @returns {Promise<Object>} Created template
+ */
+exports.createTemplate = async (role, name, { description = '', title, category, tags = [], metadata = {}, body = '' } = {}) => {
+  if (!isAuthorized(role, 'create')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  return enqueue('templates', async () => {
+    const templates = await loadTemplates();
+    
+    if (templates.has(name)) {
+      const error = new Error(`Template ${name} already exists`);
+      error.statusCode = 409;
+      throw error;
+    }
+    
+    templates.set(name, {
+      description,
+      ...(title && { title }),
+      ...(category && { category }),
+      tags,
+      metadata,
+      body,
+      created: new Date().toISOString()
+    });
+    await store.set(templates);
+    
+    return describeTemplate(name, templates.get(name));
+  });
+};
+
+/**
+ * Update a template
+ * Fields left out keep their values; a `title` or `category` of null removes it.
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} name - Template name
+ * @param {Object} details - Fields to change, as for createTemplate
+ * @returns {Promise<Object>} Updated template or null if not found
+ */
+exports.updateTemplate = async (role, name, details = {}) => {
+  if (!isAuthorized(role, 'update')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  return enqueue('templates', async () => {
+    const templates = await loadTemplates();
+    const template = templates.get(name);
+    if (!template) {
+      return null;
+    }
+    
+    const updated = { ...template, updated: new Date().toISOString() };
+    for (const field of ['description', 'title', 'category', 'tags', 'metadata', 'body']) {
+      if (details[field] === null) {
+        delete updated[field];
+      } else if (details[field] !== undefined) {
+        updated[field] = details[field];
+      }
+    }
+    
+    templates.set(name, updated);
+    await store.set(templates);
+    
+    return describeTemplate(name, updated);
+  });
+};
+
+/**
+ * Delete a template
+ * Notes created from it are not affected.
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} name - Template name
+ * @returns {Promise<Object>} Result information or null if not found
+ */
+exports.deleteTemplate = async (role, name) => {
+  if (!isAuthorized(role, 'delete')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  return enqueue('templates', async () => {
+    const templates = await loadTemplates();
+    if (!templates.has(name)) {
+      return null;
+    }
+    
+    templates.delete(name);
+    await store.set(templates);
+    
+    return { message: 'Template deleted', name };
+  });
+};
+
+/**
+ * Fill in a template for a new note
+ * Fields given by the caller take precedence over the template's: the title,
+ * content and category replace the template's, the tags are added to its
+ * tags and the metadata fields replace its fields of the same name.
+ * 
+ * @param {string} role - Agent role for authorization
+ * @param {string} name - Template name
+ * @param {Object} note - The caller's note fields and variables
+ * @param {string} note.title - Note title (optional if the template has one)
+ * @param {string} note.content - Note body, instead of the template's (optional)
+ * @param {Array} note.tags - Further tags (optional)
+ * @param {string} note.category - Category, instead of the template's (optional)
+ * @param {Object} note.metadata - Further frontmatter fields (optional)
+ * @param {Object} note.variables - Values for the template's placeholders; these may
+ *   also replace the built-in values
+ * @param {string} note.agent - Agent creating the note
+ * @returns {Promise<Object>} `{ title, content, tags, category, metadata }` for createNote
+ * @throws {Error} 400 if the template does not exist, a placeholder has no value or a
+ *   variable makes a tag invalid
+ */
+exports.applyTemplate = async (role, name, { title, content, tags = [], category, metadata = {}, variables = {}, agent }) => {
+  if (!isAuthorized(role, 'read')) {
+    throw new Error('Insufficient permissions');
+  }
+  
+  const templates = await loadTemplates();
+  const template = templates.get(name);
+  if (!template) {
+    const error = new Error(`Unknown template: ${name}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  // No prototype, so placeholders such as `{{constructor}}` are reported as missing
+  const now = new Date().toISOString();
+  const values = Object.assign(Object.create(null), {
+    date: now.split('T')[0],
+    time: now.slice(11, 16),
+    datetime: now,
+    agent,
+    category: category || template.category || 'topics'
+  }, stringValues(variables));
+  
+  // The title may itself use placeholders, so it is filled in first
+  const titleTemplate = title || template.title || '';
+  const missing = new Set(listPlaceholders(titleTemplate).filter(variable => values[variable] === undefined));
+  const filledTitle = fillPlaceholders(titleTemplate, values);
+  if (values.title === undefined) {
+    values.title = filledTitle;
+  }
+  
+  const body = content === undefined ? template.body : content;
+  const templateFields = { body, tags: template.tags, metadata: template.metadata };
+  for (const variable of listPlaceholders(templateFields)) {
+    if (values[variable] === undefined) {
+      missing.add(variable);
+    }
+  }
+  
+  if (missing.size > 0) {
+    const error = new Error(`Template ${name} needs values for: ${[...missing].join(', ')}`);
+    error.statusCode = 400;
+    error.details = { missing: [...missing] };
+    throw error;
+  }
+  
+  const filled = fillPlaceholders(templateFields, values);
+  const invalidTags = filled.tags.filter(tag => !isValidTag(tag));
+  if (invalidTags.length > 0) {
+    const error = new Error(`Template ${name} gives invalid tags: ${invalidTags.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  return {
+    title: filledTitle,
+    content: filled.body,
+    tags: [...new Set([...filled.tags, ...tags])],
+    category: values.category,
+    metadata: { ...filled.metadata, ...metadata }
+  };
+};
+
+/**
+ * Helper function to load the templates, starting with none
+ * 
+ * @returns {Promise<Map>} Templates by name
+ */
+async function loadTemplates() {
+  return (await store.load()) || new Map();
+}
+
+/**
+ * Helper function to describe a template with the variables it needs
+ * 
+ * @param {string} name - Template name
+ * @param {Object} template - Stored template
+ * @returns {Object} Template
+ */
+function describeTemplate(name, template) {
+  const { title, tags, metadata, body } = template;
+  const variables = [...new Set(listPlaceholders([title || '', tags, metadata, body]))]
+    .filter(variable => !BUILT_IN_VARIABLES.includes(variable));
+  
+  return { name, ...template, variables };
+}
+
+/**
+ * Helper function to list the placeholders in a string or in the strings
+ * of an array or object
+ * 
+ * @param {*} value - Template text or JSON value
+ * @returns {Array} Placeholder names, in order and possibly repeated
+ */
+function listPlaceholders(value) {
+  if (typeof value === 'string') {
+    return [...value.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+  }
+  if (value && typeof value === 'object') {
+    return Object.values(value).flatMap(listPlaceholders);
+  }
+  return [];
+}
+
+/**
+ * Helper function to fill in the placeholders in a string or in the strings
+ * of an array or object
+ * 
+ * @param {*} value - Template text or JSON value
+ * @param {Object} values - Placeholder values by name
+ * @returns {*} The value with its placeholders filled in
+ */
+function fillPlaceholders(value, values) {
+  if (typeof value === 'string') {
+    return value.replace(PLACEHOLDER_PATTERN, (placeholder, variable) => values[variable]);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => fillPlaceholders(item, values));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillPlaceholders(item, values)]));
+  }
+  return value;
+}
+
+/**
+ * Helper function to turn variable values into strings
+ */
+function stringValues(variables) {
+  return Object.fromEntries(Object.entries(variables).map(([variable, value]) => [variable, String(value)]));
+}
@@ -0,0 +1,18 @@
+/**
+ * Archive Routes
+ * 
+ * Defines the API routes for browsing archived notes.
+ */
+
+const express = require('express');
+const router = express.Router();
+const notesController = require('../controllers/notesController');
+const { authenticateAgent, authorize, ROLES } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticateAgent);
+
+// GET /archive - List archived notes with their original paths
+router.get('/', authorize(ROLES.READERS), notesController.listArchive);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+/**
+ * Categories Routes
+ * 
+ * Defines the API routes for category management. Category paths may be
+ * nested, such as projects/alpha, so path parameters can contain slashes.
+ */
+
+const express = require('express');
+const router = express.Router();
+const categoriesController = require('../controllers/categoriesController');
+const { authenticateAgent, authorize, ROLES } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticateAgent);
+
+// GET /categories - List all categories
+router.get('/', authorize(ROLES.READERS), categoriesController.getCategories);
+
+// GET /categories/:path - Get a specific category
+router.get('/:path(*)', authorize(ROLES.READERS), categoriesController.getCategory);
+
+// POST /categories - Create a new category
+router.post('/', authorize(ROLES.CREATORS), categoriesController.createCategory);
+
+// PUT /categories/:path - Update a category's description or default tags
+router.put('/:path(*)', authorize(ROLES.EDITORS), categoriesController.updateCategory);
+
+// DELETE /categories/:path - Delete an empty category
+router.delete('/:path(*)', authorize(ROLES.DELETERS), categoriesController.deleteCategory);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+/**
+ * Export Routes
+ * 
+ * Defines the API routes for exporting notes.
+ */
+
+const express = require('express');
+const router = express.Router();
+const exportController = require('../controllers/exportController');
+const { authenticateAgent, authorize, ROLES } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticateAgent);
+
+// GET /export - Export notes as a zip archive, JSON Lines, a markdown document or a static site
+router.get('/', authorize(ROLES.READERS), exportController.exportNotes);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+/**
+ * Graph Routes
+ * 
+ * Defines the API routes for the knowledge graph.
+ */
+
+const express = require('express');
+const router = express.Router();
+const graphController = require('../controllers/graphController');
+const { authenticateAgent, authorize, ROLES } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticateAgent);
+
+// GET /graph - Knowledge graph of notes, tags, categories and authors
+router.get('/', authorize(ROLES.READERS), graphController.getGraph);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+/**
+ * Import Routes
+ * 
+ * Defines the API routes for importing notes in bulk.
+ */
+
+const express = require('express');
+const router = express.Router();
+const importController = require('../controllers/importController');
+const { authenticateAgent, authorize, ROLES } = require('../middleware/auth');
+
+// Largest zip archive or JSON Lines dump an import accepts
+const IMPORT_MAX_SIZE = process.env.IMPORT_MAX_SIZE || '50mb';
+
+// All routes require authentication
+router.use(authenticateAgent);
+
+// POST /import - Import a zipped Obsidian vault or a JSON dump of notes
+router.post(
+  '/',
+  authorize(ROLES.CREATORS),
+  express.raw({ type: ['application/zip', 'application/x-zip-compressed'], limit: IMPORT_MAX_SIZE }),
+  express.text({ type: 'application/x-ndjson', limit: IMPORT_MAX_SIZE }),
+  importController.importNotes
+);
+
+module.exports = router;
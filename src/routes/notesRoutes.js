@@ -9,6 +9,16 @@ const router = express.Router();
 const notesController = require('../controllers/notesController');
 const { authenticateAgent, authorize, ROLES } = require('../middleware/auth');
 
+// Notes may be written as raw markdown files, frontmatter included
+const markdownBody = express.text({ type: 'text/markdown', limit: process.env.MAX_REQUEST_SIZE || '5mb' });
+
+// Patches are JSON with their own media types
+const patchBody = express.json({
+  type: ['application/merge-patch+json', 'application/json-patch+json'],
+  strict: false,
+  limit: process.env.MAX_REQUEST_SIZE || '5mb'
+});
+
 // All routes require authentication
 router.use(authenticateAgent);
 
@@ -19,10 +29,13 @@ router.get('/', authorize(ROLES.READERS), notesController.getAllNotes);
 router.get('/:id', authorize(ROLES.READERS), notesController.getNoteById);
 
 // POST /notes - Create a new note
-router.post('/', authorize(ROLES.CREATORS), notesController.createNote);
+router.post('/', authorize(ROLES.CREATORS), markdownBody, notesController.createNote);
 
 // PUT /notes/:id - Update an existing note
-router.put('/:id', authorize(ROLES.EDITORS), notesController.updateNote);
+router.put('/:id', authorize(ROLES.EDITORS), markdownBody, notesController.updateNote);
+
+// PATCH /notes/:id - Partially update a note with a JSON Merge Patch or JSON Patch
+router.patch('/:id', authorize(ROLES.EDITORS), patchBody, notesController.patchNote);
 
 // DELETE /notes/:id - Delete or archive a note
 router.delete('/:id', authorize(ROLES.DELETERS), notesController.deleteNote);
@@ -30,7 +43,55 @@ router.delete('/:id', authorize(ROLES.DELETERS), notesController.deleteNote);
 // POST /notes/:id/append - Append content to an existing note
 router.post('/:id/append', authorize(ROLES.EDITORS), notesController.appendToNote);
 
+// GET /notes/:id/sections - List a note's sections as a tree of headings
+router.get('/:id/sections', authorize(ROLES.READERS), notesController.getSections);
+
+// POST /notes/:id/sections - Add a section after a named one or at the end
+router.post('/:id/sections', authorize(ROLES.EDITORS), notesController.insertSection);
+
+// GET /notes/:id/sections/:heading/... - Read a section by its heading path
+router.get('/:id/sections/*', authorize(ROLES.READERS), notesController.getSection);
+
+// PUT /notes/:id/sections/:heading/... - Replace a section's content
+router.put('/:id/sections/*', authorize(ROLES.EDITORS), notesController.updateSection);
+
+// POST /notes/:id/sections/:heading/... - Append to the end of a section
+router.post('/:id/sections/*', authorize(ROLES.EDITORS), notesController.updateSection);
+
+// GET /notes/:id/render - Note as sanitised HTML with a table of contents
+router.get('/:id/render', authorize(ROLES.READERS), notesController.renderNote);
+
+// GET /notes/:id/backlinks - List the notes that link to a note
+router.get('/:id/backlinks', authorize(ROLES.READERS), notesController.getBacklinks);
+
+// POST /notes/:id/move - Move a note to another category and/or rename it
+router.post('/:id/move', authorize(ROLES.EDITORS), notesController.moveNote);
+
+// POST /notes/:id/restore - Restore an archived or deleted note
+router.post('/:id/restore', authorize(ROLES.EDITORS), notesController.restoreNote);
+
 // POST /notes/search - Advanced search functionality
 router.post('/search', authorize(ROLES.READERS), notesController.searchNotes);
 
+// POST /notes/validate - Check notes against their categories' schemas
+router.post('/validate', authorize(ROLES.READERS), notesController.validateNotes);
+
+// POST /notes/batch - Create, update, append, delete and tag notes in one request
+router.post('/batch', authorize(ROLES.CREATORS), notesController.executeBatch);
+
+// GET /notes/:id/similar - Find notes with similar content
+router.get('/:id/similar', authorize(ROLES.READERS), notesController.getSimilarNotes);
+
+// GET /notes/:id/revisions - List the revisions of a note
+router.get('/:id/revisions', authorize(ROLES.READERS), notesController.getRevisions);
+
+// GET /notes/:id/revisions/:rev - Get one revision of a note
+router.get('/:id/revisions/:rev', authorize(ROLES.READERS), notesController.getRevision);
+
+// GET /notes/:id/diff - Unified diff between two revisions
+router.get('/:id/diff', authorize(ROLES.READERS), notesController.diffRevisions);
+
+// POST /notes/:id/revisions/:rev/restore - Restore a note to an earlier revision
+router.post('/:id/revisions/:rev/restore', authorize(ROLES.EDITORS), notesController.restoreRevision);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,39 @@
+/**
+ * Sessions Routes
+ * 
+ * Defines the API routes for conversation sessions.
+ */
+
+const express = require('express');
+const router = express.Router();
+const sessionsController = require('../controllers/sessionsController');
+const { authenticateAgent, authorize, ROLES } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticateAgent);
+
+// GET /sessions - List sessions, optionally by status or participant
+router.get('/', authorize(ROLES.READERS), sessionsController.getSessions);
+
+// POST /sessions - Open a new session
+router.post('/', authorize(ROLES.CREATORS), sessionsController.createSession);
+
+// GET /sessions/:id - Get a session's metadata and notes
+router.get('/:id', authorize(ROLES.READERS), sessionsController.getSession);
+
+// PUT /sessions/:id - Change a session's topic, participants or status
+router.put('/:id', authorize(ROLES.EDITORS), sessionsController.updateSession);
+
+// DELETE /sessions/:id - Delete a session and its turns
+router.delete('/:id', authorize(ROLES.DELETERS), sessionsController.deleteSession);
+
+// GET /sessions/:id/turns - List a session's turns
+router.get('/:id/turns', authorize(ROLES.READERS), sessionsController.getTurns);
+
+// POST /sessions/:id/turns - Add a turn to a session
+router.post('/:id/turns', authorize(ROLES.EDITORS), sessionsController.appendTurn);
+
+// GET /sessions/:id/context - A session's notes and recent turns, for resuming it
+router.get('/:id/context', authorize(ROLES.READERS), sessionsController.getContext);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+/**
+ * Tags Routes
+ * 
+ * Defines the API routes for tag management.
+ */
+
+const express = require('express');
+const router = express.Router();
+const tagsController = require('../controllers/tagsController');
+const { authenticateAgent, authorize, ROLES } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticateAgent);
+
+// GET /tags - List tags with usage counts
+router.get('/', authorize(ROLES.READERS), tagsController.getTags);
+
+// POST /tags/merge - Merge several tags into one
+router.post('/merge', authorize(ROLES.EDITORS), tagsController.mergeTags);
+
+// POST /tags/:tag/rename - Rename a tag; hierarchical tags such as ml/nlp may contain slashes
+router.post('/:tag(*)/rename', authorize(ROLES.EDITORS), tagsController.renameTag);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+/**
+ * Templates Routes
+ * 
+ * Defines the API routes for managing note templates.
+ */
+
+const express = require('express');
+const router = express.Router();
+const templatesController = require('../controllers/templatesController');
+const { authenticateAgent, authorize, ROLES } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticateAgent);
+
+// GET /templates - List all templates
+router.get('/', authorize(ROLES.READERS), templatesController.getTemplates);
+
+// GET /templates/:name - Get a specific template
+router.get('/:name', authorize(ROLES.READERS), templatesController.getTemplate);
+
+// POST /templates - Create a new template
+router.post('/', authorize(ROLES.CREATORS), templatesController.createTemplate);
+
+// PUT /templates/:name - Update a template
+router.put('/:name', authorize(ROLES.EDITORS), templatesController.updateTemplate);
+
+// DELETE /templates/:name - Delete a template
+router.delete('/:name', authorize(ROLES.DELETERS), templatesController.deleteTemplate);
+
+module.exports = router;
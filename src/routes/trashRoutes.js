@@ -0,0 +1,21 @@
+/**
+ * Trash Routes
+ * 
+ * Defines the API routes for deleted notes waiting to be purged.
+ */
+
+const express = require('express');
+const router = express.Router();
+const notesController = require('../controllers/notesController');
+const { authenticateAgent, authorize, ROLES } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticateAgent);
+
+// GET /trash - List deleted notes and when they will be purged
+router.get('/', authorize(ROLES.READERS), notesController.listTrash);
+
+// DELETE /trash/:id - Permanently delete a note from the trash
+router.delete('/:id', authorize(ROLES.DELETERS), notesController.deleteTrashedNote);
+
+module.exports = router;
@@ -0,0 +1,184 @@
+/**
+ * Embedding Providers
+ * 
+ * Turns text into vectors for semantic search. A provider is an object with:
+ * 
+ * - name - identifies the model; vectors from different providers are never mixed
+ * - embed(texts) - resolves to one numeric vector per text
+ * 
+ * Built-in providers, chosen with EMBEDDINGS_PROVIDER:
+ * 
+ * - hashed (default) - offline TF-IDF vectors using the hashing trick
+ * - http - any OpenAI-compatible embeddings endpoint (EMBEDDINGS_URL)
+ * 
+ * Other models can be plugged in with registerProvider().
+ */
+
+const searchIndex = require('./searchIndex');
+const { tokenize } = require('./tokenizer');
+
+const DEFAULT_DIMENSIONS = 256;
+
+// Longest text sent to a provider; the start of a note carries most meaning
+const MAX_TEXT_LENGTH = 8000;
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+}
+
+/**
+ * Offline provider: hashed, IDF-weighted term and bigram frequencies
+ * 
+ * @param {Object} options - Provider options
+ * @param {number} options.dimensions - Vector length
+ * @returns {Object} Embedding provider
+ */
+function createHashedProvider({ dimensions = DEFAULT_DIMENSIONS } = {}) {
+  return {
+    name: `hashed-${dimensions}`,
+    
+    async embed(texts) {
+      // IDF comes from the full-text index when it is available
+      const statistics = searchIndex.getTermStatistics();
+      
+      function idf(term) {
+        if (!statistics || statistics.documentCount === 0) return 1;
+        const frequency = statistics.documentFrequency(term);
+        return Math.log(1 + (statistics.documentCount + 1) / (frequency + 1));
+      }
+      
+      return texts.map(text => {
+        const terms = tokenize(text);
+        const features = new Map();
+        
+        terms.forEach((term, i) => {
+          const weight = idf(term);
+          features.set(term, (features.get(term) || 0) + weight);
+          
+          // Neighbouring word pairs capture a little phrasing
+          if (i > 0) {
+            const bigram = `${terms[i - 1]} ${term}`;
+            features.set(bigram, (features.get(bigram) || 0) + weight / 2);
+          }
+        });
+        
+        const vector = new Array(dimensions).fill(0);
+        for (const [feature, weight] of features) {
+          const value = hash(feature);
+          // One bit picks the sign so collisions tend to cancel out
+          const sign = value & 0x80000000 ? -1 : 1;
+          vector[value % dimensions] += sign * Math.log(1 + weight);
+        }
+        
+        return vector;
+      });
+    }
+  };
+}
+
+/**
+ * External provider: OpenAI-compatible `POST /embeddings` endpoint
+ * 
+ * @param {Object} options - Provider options
+ * @param {string} options.url - Endpoint URL
+ * @param {string} [options.apiKey] - Bearer token
+ * @param {string} [options.model] - Model name sent with each request
+ * @returns {Object} Embedding provider
+ */
+function createHttpProvider({ url, apiKey, model }) {
+  if (!url) {
+    throw new Error('EMBEDDINGS_URL is required for the http embeddings provider');
+  }
+  
+  return {
+    name: `http:${model || url}`,
+    
+    async embed(texts) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+      
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ input: texts, model })
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Embeddings request failed with status ${response.status}`);
+      }
+      
+      const body = await response.json();
+      return body.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    }
+  };
+}
+
+const PROVIDERS = {
+  hashed: () => createHashedProvider({
+    dimensions: parseInt(process.env.EMBEDDINGS_DIMENSIONS, 10) || DEFAULT_DIMENSIONS
+  }),
+  http: () => createHttpProvider({
+    url: process.env.EMBEDDINGS_URL,
+    apiKey: process.env.EMBEDDINGS_API_KEY,
+    model: process.env.EMBEDDINGS_MODEL
+  })
+};
+
+let provider = null;
+
+/**
+ * Register an embeddings provider factory
+ * 
+ * @param {string} name - Name used in EMBEDDINGS_PROVIDER
+ * @param {Function} factory - Returns a provider object
+ */
+exports.registerProvider = (name, factory) => {
+  PROVIDERS[name] = factory;
+  provider = null;
+};
+
+/**
+ * Get the active embeddings provider, creating it on first use
+ * 
+ * @returns {Object} Embedding provider
+ */
+exports.getProvider = () => {
+  if (!provider) {
+    const type = process.env.EMBEDDINGS_PROVIDER || 'hashed';
+    const factory = PROVIDERS[type];
+    if (!factory) {
+      throw new Error(`Unknown embeddings provider: ${type}`);
+    }
+    provider = factory();
+  }
+  return provider;
+};
+
+/**
+ * Embed texts with the active provider, returning unit-length vectors
+ * 
+ * @param {string[]} texts - Texts to embed
+ * @returns {Promise<Float32Array[]>} One normalized vector per text
+ */
+exports.embed = async (texts) => {
+  const vectors = await exports.getProvider().embed(
+    texts.map(text => text.slice(0, MAX_TEXT_LENGTH))
+  );
+  
+  return vectors.map(vector => {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return Float32Array.from(vector, value => (norm > 0 ? value / norm : 0));
+  });
+};
@@ -0,0 +1,132 @@
+/**
+ * Note ID Index
+ * 
+ * Maps each note's stable ID (the `id` in its frontmatter) to the storage key
+ * where the note currently lives, so notes can be found by ID after they move.
+ */
+
+const { createPersistentStore } = require('./persistentStore');
+
+const INDEX_VERSION = 1;
+
+const store = createPersistentStore({
+  key: '.index/ids.json',
+  version: INDEX_VERSION,
+  revive: stored => new Map(Object.entries(stored.keys)),
+  serialize: keys => ({ keys: Object.fromEntries(keys) }),
+  merge: (local, stored, changedIds) => {
+    const own = [...changedIds].map(id => [id, local.get(id)]);
+    
+    local.clear();
+    stored.forEach((noteKey, id) => local.set(id, noteKey));
+    for (const [id, noteKey] of own) {
+      if (noteKey === undefined) {
+        local.delete(id);
+      } else {
+        local.set(id, noteKey);
+      }
+    }
+  }
+});
+
+let keys = null;
+
+/**
+ * Load the index unless the in-memory copy is current
+ * 
+ * @returns {Promise<boolean>} True if an index is available
+ */
+exports.load = async () => {
+  keys = await store.load();
+  return keys !== null;
+};
+
+/**
+ * Reload the index, keeping local changes that are not saved yet
+ * Picks up notes that other instances have indexed and saved since.
+ * 
+ * @returns {Promise<boolean>} True if an index is available
+ */
+exports.refresh = async () => {
+  keys = await store.refresh();
+  return keys !== null;
+};
+
+/**
+ * Write pending changes to storage
+ */
+exports.flush = () => store.flush();
+
+/**
+ * Find the storage key of a note
+ * 
+ * @param {string} noteId - Stable note ID
+ * @returns {Promise<string|null>} Storage key, or null if the ID is unknown
+ */
+exports.lookup = async (noteId) => {
+  if (!(await exports.load())) {
+    return null;
+  }
+  
+  return keys.get(noteId) || null;
+};
+
+/**
+ * Find the notes whose storage key passes a test
+ * 
+ * @param {Function} test - Called with each storage key
+ * @returns {Promise<Array>} Stable IDs of the matching notes
+ */
+exports.findIds = async (test) => {
+  if (!(await exports.load())) {
+    return [];
+  }
+  
+  return [...keys].filter(([, noteKey]) => test(noteKey)).map(([noteId]) => noteId);
+};
+
+/**
+ * Record where a note lives
+ * Does nothing until the index has been built
+ * 
+ * @param {string} noteId - Stable note ID
+ * @param {string} noteKey - Storage key of the note
+ */
+exports.set = async (noteId, noteKey) => {
+  if (!(await exports.load())) {
+    return;
+  }
+  
+  if (keys.get(noteId) !== noteKey) {
+    keys.set(noteId, noteKey);
+    store.markDirty(noteId);
+  }
+};
+
+/**
+ * Forget a note
+ * 
+ * @param {string} noteId - Stable note ID
+ */
+exports.remove = async (noteId) => {
+  if (!(await exports.load())) {
+    return;
+  }
+  
+  if (keys.delete(noteId)) {
+    store.markDirty(noteId);
+  }
+};
+
+/**
+ * Rebuild the whole index from a list of notes and save it
+ * 
+ * @param {Array} notes - Parsed notes with their stable IDs
+ * @returns {Promise<Object>} Index statistics
+ */
+exports.rebuild = async (notes) => {
+  keys = new Map(notes.map(note => [note.id, note.relativePath]));
+  await store.set(keys);
+  
+  return { notes: keys.size };
+};
@@ -0,0 +1,199 @@
+/**
+ * Persistent Store
+ * 
+ * Keeps a JSON document in memory and saves it through the active storage
+ * adapter shortly after it changes. The stored copy is reloaded when another
+ * process (such as the reindex command) replaces it.
+ * 
+ * Several app instances can share one storage. Stores given a `merge` option
+ * re-read the stored copy before saving and keep the other instances' entries,
+ * so only the entries changed here overwrite what is stored.
+ */
+
+const { getStorage } = require('../storage');
+
+// Delay before changes are written back to storage
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * Create a persistent store for one storage key
+ * 
+ * @param {Object} options - Store options
+ * @param {string} options.key - Storage key of the JSON document
+ * @param {number} options.version - Format version; other versions are ignored
+ * @param {Function} [options.revive] - Converts parsed JSON into the in-memory form
+ * @param {Function} [options.serialize] - Converts the in-memory form back to JSON
+ * @param {Function} [options.merge] - `(local, stored, changedIds)` updates the
+ *   in-memory document in place from a newer stored copy, keeping the local
+ *   version of each changed entry
+ * @returns {Object} Store with load, refresh, set, markDirty and flush
+ */
+exports.createPersistentStore = ({ key, version, revive = data => data, serialize = data => data, merge = null }) => {
+  let data = null;
+  let loadedModified = null;
+  let dirty = false;
+  let replaced = false;
+  let changedIds = new Set();
+  let savingIds = new Set();
+  let saveTimer = null;
+  
+  async function getStoredModified() {
+    try {
+      const stats = await getStorage().stat(key);
+      return new Date(stats.modified).getTime();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+  
+  async function readStored() {
+    const stored = JSON.parse(await getStorage().read(key));
+    return stored.version === version ? revive(stored) : null;
+  }
+  
+  /**
+   * Bring in entries other instances saved since this copy was loaded
+   */
+  async function mergeStored(ownChanges) {
+    const storedModified = await getStoredModified();
+    if (storedModified === null || storedModified === loadedModified) {
+      return;
+    }
+    
+    const stored = await readStored();
+    if (stored) {
+      merge(data, stored, ownChanges);
+      loadedModified = storedModified;
+    }
+  }
+  
+  const store = {
+    /**
+     * Load the document unless the in-memory copy is current
+     * 
+     * @returns {Promise<Object|null>} The document, or null if none is stored
+     */
+    async load() {
+      // Unsaved local changes take precedence over the stored copy
+      if (data && dirty) {
+        return data;
+      }
+      
+      const storedModified = await getStoredModified();
+      if (storedModified === null || (data && storedModified === loadedModified)) {
+        return data;
+      }
+      
+      try {
+        const stored = await readStored();
+        if (!stored) {
+          return null;
+        }
+        
+        data = stored;
+        loadedModified = storedModified;
+        return data;
+      } catch (error) {
+        console.error(`Error loading ${key}:`, error);
+        return null;
+      }
+    },
+    
+    /**
+     * Load the document, bringing in entries other instances saved even while
+     * local changes are waiting to be saved
+     * 
+     * @returns {Promise<Object|null>} The document, or null if none is stored
+     */
+    async refresh() {
+      if (!data || !dirty || !merge || replaced) {
+        return store.load();
+      }
+      
+      await mergeStored(new Set([...changedIds, ...savingIds]));
+      return data;
+    },
+    
+    /**
+     * Replace the whole document and save it immediately
+     * 
+     * @param {Object} value - New document
+     */
+    async set(value) {
+      data = value;
+      dirty = true;
+      replaced = true;
+      await store.flush();
+    },
+    
+    /**
+     * Record an in-place change and schedule a save
+     * 
+     * @param {...string} entryIds - Entries that were added, changed or removed
+     */
+    markDirty(...entryIds) {
+      dirty = true;
+      entryIds.forEach(id => changedIds.add(id));
+      
+      if (saveTimer) {
+        return;
+      }
+      
+      saveTimer = setTimeout(() => {
+        saveTimer = null;
+        store.flush().catch(error => {
+          console.error(`Error saving ${key}:`, error);
+        });
+      }, SAVE_DELAY_MS);
+      
+      // Never keep the process alive just to save
+      if (saveTimer.unref) {
+        saveTimer.unref();
+      }
+    },
+    
+    /**
+     * Write pending changes to storage
+     */
+    async flush() {
+      if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+      }
+      
+      if (!data || !dirty) {
+        return;
+      }
+      
+      const ownChanges = changedIds;
+      const wasReplaced = replaced;
+      dirty = false;
+      replaced = false;
+      changedIds = new Set();
+      savingIds = ownChanges;
+      
+      try {
+        // A replaced document is written as is; otherwise keep other instances' entries
+        if (merge && !wasReplaced) {
+          await mergeStored(ownChanges);
+        }
+        
+        await getStorage().write(key, JSON.stringify({ ...serialize(data), version }));
+      } catch (error) {
+        dirty = true;
+        replaced = replaced || wasReplaced;
+        ownChanges.forEach(id => changedIds.add(id));
+        throw error;
+      } finally {
+        savingIds = new Set();
+      }
+      
+      loadedModified = await getStoredModified();
+    }
+  };
+  
+  return store;
+};
@@ -0,0 +1,243 @@
+/**
+ * Search Query Matcher
+ * 
+ * Evaluates expression trees from the query parser against parsed notes.
+ */
+
+const path = require('path');
+const { tokenize } = require('./tokenizer');
+const { matchesTag } = require('../utils/tags');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+// Tokenized title and body per note, computed once per note object
+const tokenCache = new WeakMap();
+
+function getNoteTokens(note) {
+  if (!tokenCache.has(note)) {
+    tokenCache.set(note, {
+      title: tokenize(note.title),
+      body: tokenize(note.content)
+    });
+  }
+  return tokenCache.get(note);
+}
+
+/**
+ * Check whether a token sequence appears contiguously in another
+ */
+function containsSequence(haystack, needle) {
+  if (needle.length === 0) return true;
+  
+  for (let i = 0; i + needle.length <= haystack.length; i++) {
+    if (needle.every((term, j) => haystack[i + j] === term)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Turn a frontmatter value into comparable text
+ */
+function toText(value) {
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    // YAML dates without a time load as midnight UTC
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+  return String(value);
+}
+
+/**
+ * Resolve the value a field qualifier refers to
+ * 
+ * @param {Object} note - Parsed note
+ * @param {string} field - Lowercase field name from the query
+ * @returns {*} Field value, or undefined if the note does not have it
+ */
+function getFieldValue(note, field) {
+  const metadata = note.metadata || {};
+  let value;
+  
+  switch (field) {
+    case 'title':
+      value = note.title;
+      break;
+    case 'content':
+    case 'body':
+      value = note.content;
+      break;
+    case 'id':
+      value = note.id;
+      break;
+    case 'path':
+      value = note.relativePath;
+      break;
+    case 'category':
+      value = path.posix.dirname(note.relativePath);
+      break;
+    case 'tag':
+    case 'tags':
+      value = metadata.tags;
+      break;
+    case 'modified':
+      value = metadata.lastModified || metadata.date;
+      break;
+    case 'created':
+      value = metadata.date;
+      break;
+    default: {
+      // Frontmatter keys are matched case-insensitively, with dots for nesting
+      const key = Object.keys(metadata).find(name => name.toLowerCase() === field);
+      if (key !== undefined) {
+        value = metadata[key];
+      } else {
+        value = field.split('.').reduce((object, part) => {
+          if (!object || typeof object !== 'object') return undefined;
+          const name = Object.keys(object).find(candidate => candidate.toLowerCase() === part);
+          return name === undefined ? undefined : object[name];
+        }, metadata);
+      }
+    }
+  }
+  
+  return value === null ? undefined : value;
+}
+
+/**
+ * Compare a field value with a query value using a comparison operator
+ */
+function compareValues(fieldValue, operator, queryValue) {
+  const text = toText(fieldValue);
+  let difference;
+  
+  const fieldNumber = Number(text);
+  const queryNumber = Number(queryValue);
+  
+  if (text.trim() !== '' && queryValue.trim() !== '' && Number.isFinite(fieldNumber) && Number.isFinite(queryNumber)) {
+    difference = fieldNumber - queryNumber;
+  } else if (DATE_PATTERN.test(queryValue) && DATE_PATTERN.test(text)) {
+    // Compare at the precision of the query, so 2026-01-01 equals any time that day
+    difference = text.slice(0, queryValue.length).localeCompare(queryValue);
+  } else {
+    difference = text.toLowerCase().localeCompare(queryValue.toLowerCase());
+  }
+  
+  switch (operator) {
+    case '>': return difference > 0;
+    case '>=': return difference >= 0;
+    case '<': return difference < 0;
+    case '<=': return difference <= 0;
+    default: return difference === 0;
+  }
+}
+
+/**
+ * Evaluate a single term against a note
+ */
+function matchesTerm(term, note) {
+  // Free text searches the title and body
+  if (!term.field) {
+    const terms = tokenize(term.value);
+    const tokens = getNoteTokens(note);
+    return containsSequence(tokens.title, terms) || containsSequence(tokens.body, terms);
+  }
+  
+  const value = getFieldValue(note, term.field);
+  const isList = Array.isArray(value);
+  const values = value === undefined ? [] : (isList ? value : [value]);
+  
+  if (term.operator !== ':') {
+    return values.some(entry => compareValues(entry, term.operator, term.value));
+  }
+  
+  // field:* only checks that the field is set
+  if (term.value === '*' && !term.phrase) {
+    return values.length > 0;
+  }
+  
+  const wanted = term.value.toLowerCase();
+  
+  // Categories and tags are hierarchical, so a parent matches its children
+  if (term.field === 'category') {
+    return values.some(entry => entry === wanted || entry.startsWith(`${wanted}/`));
+  }
+  
+  if (term.field === 'tag' || term.field === 'tags') {
+    return values.some(entry => matchesTag(toText(entry).toLowerCase(), wanted));
+  }
+  
+  return values.some(entry => {
+    const text = toText(entry).toLowerCase();
+    if (text === wanted) return true;
+    
+    // List entries such as tags must match whole
+    if (isList || typeof entry !== 'string') return false;
+    
+    const terms = tokenize(wanted);
+    return terms.length > 0 ? containsSequence(tokenize(text), terms) : text.includes(wanted);
+  });
+}
+
+/**
+ * Check whether a note satisfies a parsed query
+ * 
+ * @param {Object} expression - Expression tree from parseQuery
+ * @param {Object} note - Parsed note
+ * @returns {boolean} True if the note matches
+ */
+exports.matchesQuery = (expression, note) => {
+  switch (expression.type) {
+    case 'and':
+      return expression.children.every(child => exports.matchesQuery(child, note));
+    case 'or':
+      return expression.children.some(child => exports.matchesQuery(child, note));
+    case 'not':
+      return !exports.matchesQuery(expression.child, note);
+    default:
+      return matchesTerm(expression, note);
+  }
+};
+
+/**
+ * Collect the free-text terms of a query for use with the full-text index
+ * 
+ * `required` terms must appear in every match, so the index can narrow the
+ * candidates; `positive` terms are every non-negated term and drive ranking.
+ * 
+ * @param {Object} expression - Expression tree from parseQuery
+ * @returns {Object} `{ required, positive }` arrays of terms
+ */
+exports.collectTerms = (expression) => {
+  const required = [];
+  const positive = [];
+  
+  function walk(node, negated, mandatory) {
+    switch (node.type) {
+      case 'and':
+        node.children.forEach(child => walk(child, negated, mandatory));
+        break;
+      case 'or':
+        node.children.forEach(child => walk(child, negated, false));
+        break;
+      case 'not':
+        walk(node.child, !negated, false);
+        break;
+      default:
+        if (node.field || negated) return;
+        
+        positive.push(...tokenize(node.value));
+        if (mandatory) {
+          required.push(...tokenize(node.value));
+        }
+    }
+  }
+  
+  walk(expression, false, true);
+  
+  return {
+    required: [...new Set(required)],
+    positive: [...new Set(positive)]
+  };
+};
@@ -0,0 +1,238 @@
+/**
+ * Search Query Parser
+ * 
+ * Parses the search query language used by POST /notes/search:
+ * 
+ *   tag:ml AND (author:research OR category:projects) -draft "exact phrase" modified:>2026-01-01
+ * 
+ * - Words and "quoted phrases" match note titles and bodies
+ * - Terms next to each other must all match (implicit AND)
+ * - AND, OR and NOT (upper case) combine terms; parentheses group them
+ * - A leading '-' negates a term or group
+ * - field:value matches a frontmatter key (or tag, category, title, content, path)
+ * - field:>value, >=, <, <= and = compare dates, numbers or text
+ * 
+ * Syntax errors carry a 400 status code and the position (0-based) at fault.
+ */
+
+const COMPARISON_OPERATORS = ['>=', '<=', '>', '<', '='];
+const FIELD_PATTERN = /^([A-Za-z_][\w.-]*):(.*)$/s;
+
+/**
+ * Create a syntax error pointing at a position in the query
+ * 
+ * @param {string} message - Description of the problem
+ * @param {number} position - Offset into the query
+ * @returns {Error} Error with statusCode 400 and position details
+ */
+function syntaxError(message, position) {
+  const error = new Error(`Invalid search query: ${message} at position ${position}`);
+  error.statusCode = 400;
+  error.details = { position };
+  return error;
+}
+
+/**
+ * Split a query into tokens
+ * 
+ * @param {string} query - Raw query string
+ * @returns {Array} Tokens with type, value and position
+ */
+function lex(query) {
+  const tokens = [];
+  let i = 0;
+  
+  // Read a quoted phrase starting at the opening quote
+  function readPhrase(start) {
+    const end = query.indexOf('"', start + 1);
+    if (end === -1) {
+      throw syntaxError('unterminated phrase', start);
+    }
+    i = end + 1;
+    return query.slice(start + 1, end);
+  }
+  
+  while (i < query.length) {
+    const char = query[i];
+    
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+    
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i++;
+      continue;
+    }
+    
+    if (char === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+      tokens.push({ type: 'NOT', position: i });
+      i++;
+      continue;
+    }
+    
+    if (char === '"') {
+      const position = i;
+      tokens.push({ type: 'TERM', value: readPhrase(i), phrase: true, position });
+      continue;
+    }
+    
+    // Bare word, possibly a field qualifier
+    const position = i;
+    while (i < query.length && !/[\s()"]/.test(query[i])) {
+      i++;
+    }
+    const word = query.slice(position, i);
+    
+    if (word === 'AND' || word === 'OR' || word === 'NOT') {
+      tokens.push({ type: word, position });
+      continue;
+    }
+    
+    const fieldMatch = word.match(FIELD_PATTERN);
+    if (!fieldMatch) {
+      tokens.push({ type: 'TERM', value: word, phrase: false, position });
+      continue;
+    }
+    
+    const field = fieldMatch[1].toLowerCase();
+    let rest = fieldMatch[2];
+    const operator = COMPARISON_OPERATORS.find(op => rest.startsWith(op)) || ':';
+    if (operator !== ':') {
+      rest = rest.slice(operator.length);
+    }
+    
+    // field:"quoted value"
+    if (rest === '' && query[i] === '"') {
+      tokens.push({ type: 'TERM', field, operator, value: readPhrase(i), phrase: true, position });
+      continue;
+    }
+    
+    if (rest === '') {
+      throw syntaxError(`expected a value after '${word}'`, i);
+    }
+    
+    tokens.push({ type: 'TERM', field, operator, value: rest, phrase: false, position });
+  }
+  
+  return tokens;
+}
+
+/**
+ * Parse a query string into an expression tree
+ * 
+ * Nodes are `{ type: 'and' | 'or', children }`, `{ type: 'not', child }`
+ * and `{ type: 'term', field, operator, value, phrase }` (field is null for
+ * free text).
+ * 
+ * @param {string} query - Raw query string
+ * @returns {Object} Expression tree
+ */
+exports.parseQuery = (query) => {
+  if (typeof query !== 'string') {
+    throw syntaxError('query must be a string', 0);
+  }
+  
+  const tokens = lex(query);
+  let current = 0;
+  
+  function peek() {
+    return tokens[current];
+  }
+  
+  function endPosition() {
+    return query.length;
+  }
+  
+  function parseOr() {
+    const children = [parseAnd()];
+    
+    while (peek() && peek().type === 'OR') {
+      current++;
+      if (!peek() || peek().type === ')' || peek().type === 'OR' || peek().type === 'AND') {
+        throw syntaxError("expected a term after 'OR'", peek() ? peek().position : endPosition());
+      }
+      children.push(parseAnd());
+    }
+    
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+  
+  function parseAnd() {
+    const children = [parseUnary()];
+    
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') {
+        current++;
+        if (!peek() || peek().type === ')' || peek().type === 'OR' || peek().type === 'AND') {
+          throw syntaxError("expected a term after 'AND'", peek() ? peek().position : endPosition());
+        }
+      }
+      children.push(parseUnary());
+    }
+    
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+  
+  function parseUnary() {
+    const token = peek();
+    
+    if (token && token.type === 'NOT') {
+      current++;
+      if (!peek() || ['AND', 'OR', ')'].includes(peek().type)) {
+        throw syntaxError('expected a term to negate', peek() ? peek().position : endPosition());
+      }
+      return { type: 'not', child: parseUnary() };
+    }
+    
+    return parsePrimary();
+  }
+  
+  function parsePrimary() {
+    const token = peek();
+    
+    if (!token) {
+      throw syntaxError('unexpected end of query', endPosition());
+    }
+    
+    if (token.type === '(') {
+      current++;
+      if (peek() && peek().type === ')') {
+        throw syntaxError('empty group', peek().position);
+      }
+      const expression = parseOr();
+      if (!peek() || peek().type !== ')') {
+        throw syntaxError("missing ')' for '('", token.position);
+      }
+      current++;
+      return expression;
+    }
+    
+    if (token.type === 'TERM') {
+      current++;
+      return {
+        type: 'term',
+        field: token.field || null,
+        operator: token.operator || ':',
+        value: token.value,
+        phrase: token.phrase
+      };
+    }
+    
+    throw syntaxError(`unexpected '${token.type}'`, token.position);
+  }
+  
+  if (tokens.length === 0) {
+    throw syntaxError('query is empty', 0);
+  }
+  
+  const expression = parseOr();
+  
+  if (current < tokens.length) {
+    const token = peek();
+    throw syntaxError(`unexpected '${token.type === 'TERM' ? token.value : token.type}'`, token.position);
+  }
+  
+  return expression;
+};
@@ -0,0 +1,300 @@
+/**
+ * Full-Text Search Index
+ * 
+ * Persistent inverted index over note titles and bodies, ranked with BM25.
+ * Title matches are boosted over body matches (BM25F-style field weighting).
+ * 
+ * The index is stored through the active storage adapter so it follows the
+ * notes to whichever backend is configured.
+ */
+
+const { createPersistentStore } = require('./persistentStore');
+const { tokenize } = require('./tokenizer');
+
+// Version 2 keys documents by stable note ID rather than path
+const INDEX_VERSION = 2;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+const TITLE_BOOST = 3;
+
+// Lookup tables have no prototype so terms like "constructor" are safe keys
+const store = createPersistentStore({
+  key: '.index/search.json',
+  version: INDEX_VERSION,
+  revive: stored => ({
+    ...stored,
+    documents: Object.assign(Object.create(null), stored.documents),
+    postings: Object.assign(Object.create(null), stored.postings)
+  }),
+  merge: (local, stored, changedIds) => {
+    for (const noteId of changedIds) {
+      removeDocument(noteId, stored);
+      copyDocument(noteId, local, stored);
+    }
+    Object.assign(local, stored);
+  }
+});
+
+let index = null;
+
+/**
+ * Create an empty index
+ */
+function createEmptyIndex() {
+  return {
+    version: INDEX_VERSION,
+    totalLength: 0,
+    documents: Object.create(null),
+    postings: Object.create(null)
+  };
+}
+
+/**
+ * Load the index from storage unless the in-memory copy is current
+ * 
+ * @returns {Promise<boolean>} True if an index is available
+ */
+exports.load = async () => {
+  index = await store.load();
+  return index !== null;
+};
+
+/**
+ * Write pending changes to storage
+ */
+exports.flush = () => store.flush();
+
+/**
+ * Get corpus statistics for term weighting, from the loaded index
+ * 
+ * @returns {Object|null} `{ documentCount, documentFrequency(term) }`, or null before loading
+ */
+exports.getTermStatistics = () => {
+  if (!index) {
+    return null;
+  }
+  
+  const postings = index.postings;
+  return {
+    documentCount: Object.keys(index.documents).length,
+    documentFrequency: term => (postings[term] ? Object.keys(postings[term]).length : 0)
+  };
+};
+
+/**
+ * Split a note into separately weighted title and body terms
+ */
+function analyzeNote(note) {
+  // The body repeats the title as its first heading; count it only once
+  const body = note.content.replace(/^# .*$/m, '');
+  
+  return {
+    titleTerms: tokenize(note.title),
+    bodyTerms: tokenize(body)
+  };
+}
+
+/**
+ * Remove a document's postings from the index
+ */
+function removeDocument(noteId, target = index) {
+  const document = target.documents[noteId];
+  if (!document) {
+    return false;
+  }
+  
+  for (const term of document.terms) {
+    const posting = target.postings[term];
+    if (!posting) continue;
+    
+    delete posting[noteId];
+    if (Object.keys(posting).length === 0) {
+      delete target.postings[term];
+    }
+  }
+  
+  target.totalLength -= document.length;
+  delete target.documents[noteId];
+  return true;
+}
+
+/**
+ * Copy a document and its postings from one index into another
+ */
+function copyDocument(noteId, source, target) {
+  const document = source.documents[noteId];
+  if (!document) {
+    return;
+  }
+  
+  for (const term of document.terms) {
+    target.postings[term] = target.postings[term] || {};
+    target.postings[term][noteId] = source.postings[term][noteId];
+  }
+  
+  target.documents[noteId] = document;
+  target.totalLength += document.length;
+}
+
+/**
+ * Add a document's postings to the index
+ */
+function addDocument(note) {
+  const { titleTerms, bodyTerms } = analyzeNote(note);
+  const frequencies = Object.create(null);
+  
+  for (const term of titleTerms) {
+    frequencies[term] = frequencies[term] || [0, 0];
+    frequencies[term][0]++;
+  }
+  for (const term of bodyTerms) {
+    frequencies[term] = frequencies[term] || [0, 0];
+    frequencies[term][1]++;
+  }
+  
+  const terms = Object.keys(frequencies);
+  for (const term of terms) {
+    index.postings[term] = index.postings[term] || {};
+    index.postings[term][note.id] = frequencies[term];
+  }
+  
+  const length = TITLE_BOOST * titleTerms.length + bodyTerms.length;
+  index.documents[note.id] = { length, terms };
+  index.totalLength += length;
+}
+
+/**
+ * Add or replace a note in the index
+ * Does nothing until the index has been built
+ * 
+ * @param {Object} note - Parsed note with id, title and content
+ */
+exports.indexNote = async (note) => {
+  if (!(await exports.load())) {
+    return;
+  }
+  
+  removeDocument(note.id);
+  addDocument(note);
+  store.markDirty(note.id);
+};
+
+/**
+ * Remove a note from the index
+ * 
+ * @param {string} noteId - The ID of the note to remove
+ */
+exports.removeNote = async (noteId) => {
+  if (!(await exports.load())) {
+    return;
+  }
+  
+  if (removeDocument(noteId)) {
+    store.markDirty(noteId);
+  }
+};
+
+/**
+ * Rebuild the whole index from a list of notes and save it
+ * 
+ * @param {Array} notes - Parsed notes
+ * @returns {Promise<Object>} Index statistics
+ */
+exports.rebuild = async (notes) => {
+  index = createEmptyIndex();
+  
+  for (const note of notes) {
+    addDocument(note);
+  }
+  
+  await store.set(index);
+  
+  return {
+    documents: notes.length,
+    terms: Object.keys(index.postings).length
+  };
+};
+
+/**
+ * Find the notes whose title contains every term of a title
+ * Used to narrow down the notes a wikilink by title can point at.
+ * 
+ * @param {string} title - Title to look for
+ * @returns {Promise<Array|null>} Note IDs, or null if the title has no terms
+ *   to look up or no index is available
+ */
+exports.findTitleMatches = async (title) => {
+  if (!(await exports.load())) {
+    return null;
+  }
+  
+  const terms = [...new Set(tokenize(title))];
+  if (terms.length === 0) {
+    return null;
+  }
+  
+  const [first, ...rest] = terms.map(term => index.postings[term] || {});
+  return Object.keys(first).filter(id =>
+    first[id][0] > 0 && rest.every(posting => posting[id] && posting[id][0] > 0)
+  );
+};
+
+/**
+ * Rank notes containing the terms of a query
+ * 
+ * @param {string} query - Free-text query
+ * @param {Object} options - Search options
+ * @param {boolean} options.matchAll - Require every term (default) or any term
+ * @returns {Promise<Array>} Matches as `{ id, score }`, best first
+ */
+exports.search = async (query, { matchAll = true } = {}) => {
+  if (!(await exports.load())) {
+    return [];
+  }
+  
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) {
+    return [];
+  }
+  
+  const postingLists = terms.map(term => index.postings[term] || {});
+  const documentFrequencies = postingLists.map(posting => Object.keys(posting).length);
+  
+  let candidates;
+  if (matchAll) {
+    // Every term must match; start from the rarest one
+    const rarest = postingLists[documentFrequencies.indexOf(Math.min(...documentFrequencies))];
+    candidates = Object.keys(rarest).filter(id =>
+      postingLists.every(posting => posting[id])
+    );
+  } else {
+    candidates = [...new Set(postingLists.flatMap(posting => Object.keys(posting)))];
+  }
+  
+  const documentCount = Object.keys(index.documents).length;
+  const averageLength = documentCount > 0 ? index.totalLength / documentCount : 0;
+  const idfs = documentFrequencies.map(frequency =>
+    Math.log(1 + (documentCount - frequency + 0.5) / (frequency + 0.5))
+  );
+  
+  const results = candidates.map(id => {
+    const document = index.documents[id];
+    const normalization = 1 - B + B * (averageLength > 0 ? document.length / averageLength : 0);
+    
+    let score = 0;
+    postingLists.forEach((posting, i) => {
+      if (!posting[id]) return;
+      
+      const [titleFrequency, bodyFrequency] = posting[id];
+      const frequency = TITLE_BOOST * titleFrequency + bodyFrequency;
+      
+      score += idfs[i] * (frequency * (K1 + 1)) / (frequency + K1 * normalization);
+    });
+    
+    return { id, score };
+  });
+  
+  return results.sort((a, b) => b.score - a.score);
+};
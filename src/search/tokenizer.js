@@ -0,0 +1,30 @@
+/**
+ * Tokenizer
+ * 
+ * Splits note text into normalized search terms.
+ */
+
+// Common words that carry no meaning for ranking
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in',
+  'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was',
+  'were', 'will', 'with'
+]);
+
+// Letters and digits, keeping trailing '+' or '#' so "c++" and "c#" survive
+const TOKEN_PATTERN = /[\p{L}\p{N}]+[+#]*/gu;
+
+/**
+ * Tokenize text into lowercase terms
+ * 
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms in order of appearance, stop words removed
+ */
+exports.tokenize = (text) => {
+  if (!text) {
+    return [];
+  }
+  
+  const matches = String(text).normalize('NFKC').toLowerCase().match(TOKEN_PATTERN) || [];
+  return matches.filter(term => !STOP_WORDS.has(term));
+};
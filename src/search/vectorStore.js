@@ -0,0 +1,191 @@
+/**
+ * Vector Store
+ * 
+ * Persisted note embeddings for semantic search and related-note lookups.
+ * Vectors are unit length, so cosine similarity is a dot product. Vectors are
+ * tied to the provider that produced them; switching providers means the
+ * store is rebuilt.
+ */
+
+const { createPersistentStore } = require('./persistentStore');
+const embeddings = require('./embeddings');
+
+// Version 2 keys vectors by stable note ID rather than path
+const STORE_VERSION = 2;
+
+// Notes embedded per provider call while rebuilding
+const BATCH_SIZE = 32;
+
+// Vectors are stored as base64-encoded float32 arrays to keep the file small
+const store = createPersistentStore({
+  key: '.index/vectors.json',
+  version: STORE_VERSION,
+  revive: stored => ({
+    provider: stored.provider,
+    vectors: new Map(Object.entries(stored.vectors).map(([id, encoded]) => {
+      // Copy into a fresh, aligned buffer before viewing it as floats
+      const bytes = new Uint8Array(Buffer.from(encoded, 'base64'));
+      return [id, new Float32Array(bytes.buffer)];
+    }))
+  }),
+  serialize: data => ({
+    provider: data.provider,
+    vectors: Object.fromEntries([...data.vectors].map(([id, vector]) => [
+      id,
+      Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString('base64')
+    ]))
+  }),
+  // Vectors from another provider cannot be mixed in; the next rebuild settles it
+  merge: (local, stored, changedIds) => {
+    if (stored.provider !== local.provider) {
+      return;
+    }
+    
+    for (const id of changedIds) {
+      if (local.vectors.has(id)) {
+        stored.vectors.set(id, local.vectors.get(id));
+      } else {
+        stored.vectors.delete(id);
+      }
+    }
+    local.vectors = stored.vectors;
+  }
+});
+
+let data = null;
+
+/**
+ * Text a note is embedded from
+ */
+function noteText(note) {
+  return `${note.title}\n\n${note.content}`;
+}
+
+/**
+ * Dot product of two unit vectors
+ */
+function similarity(a, b) {
+  const length = Math.min(a.length, b.length);
+  let sum = 0;
+  for (let i = 0; i < length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+/**
+ * Rank stored vectors by similarity to a vector
+ */
+function rank(vector, exclude) {
+  const results = [];
+  
+  for (const [id, candidate] of data.vectors) {
+    if (id === exclude) continue;
+    
+    const score = similarity(vector, candidate);
+    if (score > 0) {
+      results.push({ id, score });
+    }
+  }
+  
+  return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Load the store unless the in-memory copy is current
+ * 
+ * @returns {Promise<boolean>} True if vectors from the active provider are available
+ */
+exports.load = async () => {
+  data = await store.load();
+  return data !== null && data.provider === embeddings.getProvider().name;
+};
+
+/**
+ * Write pending changes to storage
+ */
+exports.flush = () => store.flush();
+
+/**
+ * Embed a note and store its vector
+ * Does nothing until the store has been built
+ * 
+ * @param {Object} note - Parsed note with id, title and content
+ */
+exports.indexNote = async (note) => {
+  if (!(await exports.load())) {
+    return;
+  }
+  
+  const [vector] = await embeddings.embed([noteText(note)]);
+  data.vectors.set(note.id, vector);
+  store.markDirty(note.id);
+};
+
+/**
+ * Remove a note's vector
+ * 
+ * @param {string} noteId - The ID of the note to remove
+ */
+exports.removeNote = async (noteId) => {
+  if (!(await exports.load())) {
+    return;
+  }
+  
+  if (data.vectors.delete(noteId)) {
+    store.markDirty(noteId);
+  }
+};
+
+/**
+ * Embed every note and replace the store
+ * 
+ * @param {Array} notes - Parsed notes
+ * @returns {Promise<Object>} Store statistics
+ */
+exports.rebuild = async (notes) => {
+  const vectors = new Map();
+  
+  for (let i = 0; i < notes.length; i += BATCH_SIZE) {
+    const batch = notes.slice(i, i + BATCH_SIZE);
+    const embedded = await embeddings.embed(batch.map(noteText));
+    batch.forEach((note, j) => vectors.set(note.id, embedded[j]));
+  }
+  
+  data = { provider: embeddings.getProvider().name, vectors };
+  await store.set(data);
+  
+  return {
+    provider: data.provider,
+    vectors: vectors.size
+  };
+};
+
+/**
+ * Rank notes by similarity to a text
+ * 
+ * @param {string} text - Natural language query
+ * @returns {Promise<Array>} Matches as `{ id, score }`, most similar first
+ */
+exports.search = async (text) => {
+  if (!(await exports.load())) {
+    return [];
+  }
+  
+  const [vector] = await embeddings.embed([text]);
+  return rank(vector);
+};
+
+/**
+ * Rank notes by similarity to a stored note
+ * 
+ * @param {string} noteId - The ID of the note to compare against
+ * @returns {Promise<Array|null>} Matches as `{ id, score }`, or null if the note has no vector
+ */
+exports.similar = async (noteId) => {
+  if (!(await exports.load()) || !data.vectors.has(noteId)) {
+    return null;
+  }
+  
+  return rank(data.vectors.get(noteId), noteId);
+};
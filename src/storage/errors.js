@@ -0,0 +1,40 @@
+/**
+ * Storage Errors
+ * 
+ * Error helpers shared by the storage adapters.
+ */
+
+/**
+ * Create an error for a missing key
+ * Uses the same `ENOENT` code as fs so callers can handle every backend alike
+ * 
+ * @param {string} key - The storage key that was not found
+ * @returns {Error} Not found error
+ */
+exports.notFoundError = (key) => {
+  const error = new Error(`ENOENT: no such note '${key}'`);
+  error.code = 'ENOENT';
+  return error;
+};
+
+/**
+ * Normalize a storage key and reject keys that escape the storage root
+ * 
+ * @param {string} key - Relative key such as `topics/2025-03-15_example.md`
+ * @returns {string} Normalized key using forward slashes
+ */
+exports.normalizeKey = (key) => {
+  const normalized = String(key)
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter(segment => segment && segment !== '.')
+    .join('/');
+  
+  if (!normalized || normalized.split('/').includes('..')) {
+    const error = new Error('Invalid note path');
+    error.statusCode = 403;
+    throw error;
+  }
+  
+  return normalized;
+};
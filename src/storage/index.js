@@ -0,0 +1,75 @@
+/**
+ * Storage Backends
+ * 
+ * Selects the storage adapter named by STORAGE_TYPE. Every adapter exposes
+ * the same interface over keys relative to the notes root
+ * (e.g. `topics/2025-03-15_example.md`):
+ * 
+ * - read(key) / write(key, content) - content is text; write also takes a
+ *   Buffer for binary attachments
+ * - list(prefix) - all keys below a prefix, recursively
+ * - move(fromKey, toKey) / delete(key)
+ * - stat(key) - `{ size, modified }`
+ * 
+ * Missing keys are reported with an error whose `code` is `ENOENT`.
+ */
+
+const path = require('path');
+const createLocalAdapter = require('./localAdapter');
+const createMemoryAdapter = require('./memoryAdapter');
+const createSqliteAdapter = require('./sqliteAdapter');
+const createS3Adapter = require('./s3Adapter');
+
+const NOTES_DIR = process.env.NOTES_DIR || './notes';
+
+const ADAPTERS = {
+  local: () => createLocalAdapter({ directory: NOTES_DIR }),
+  memory: () => createMemoryAdapter(),
+  sqlite: () => createSqliteAdapter({
+    file: process.env.SQLITE_PATH || path.join(NOTES_DIR, 'notes.db')
+  }),
+  s3: () => createS3Adapter({
+    type: 's3',
+    bucket: process.env.AWS_S3_BUCKET,
+    prefix: process.env.S3_PREFIX,
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.AWS_REGION,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+  }),
+  // Google Cloud Storage through its S3-compatible XML API (HMAC keys)
+  gcs: () => createS3Adapter({
+    type: 'gcs',
+    bucket: process.env.GCS_BUCKET,
+    prefix: process.env.S3_PREFIX,
+    endpoint: process.env.S3_ENDPOINT || 'https://storage.googleapis.com',
+    region: 'auto'
+  })
+};
+
+let storage = null;
+
+/**
+ * Create a storage adapter by type
+ * 
+ * @param {string} type - Storage type ('local', 'memory', 'sqlite', 's3', 'gcs')
+ * @returns {Object} Storage adapter
+ */
+exports.createStorage = (type) => {
+  const factory = ADAPTERS[type];
+  if (!factory) {
+    throw new Error(`Unknown storage type: ${type}`);
+  }
+  return factory();
+};
+
+/**
+ * Get the active storage adapter, creating it on first use
+ * 
+ * @returns {Object} Storage adapter
+ */
+exports.getStorage = () => {
+  if (!storage) {
+    storage = exports.createStorage(process.env.STORAGE_TYPE || 'local');
+  }
+  return storage;
+};
@@ -0,0 +1,124 @@
+/**
+ * Local Filesystem Storage Adapter
+ * 
+ * Stores notes as markdown files under the notes directory.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { normalizeKey } = require('./errors');
+
+/**
+ * Create a local filesystem adapter
+ * 
+ * @param {Object} options - Adapter options
+ * @param {string} options.directory - Root notes directory
+ * @returns {Object} Storage adapter
+ */
+module.exports = function createLocalAdapter({ directory }) {
+  const root = directory;
+  
+  // Map a key to a file path, refusing anything outside the root
+  function resolve(key) {
+    const filePath = path.join(root, normalizeKey(key));
+    if (!path.resolve(filePath).startsWith(path.resolve(root))) {
+      const error = new Error('Invalid note path');
+      error.statusCode = 403;
+      throw error;
+    }
+    return filePath;
+  }
+  
+  return {
+    type: 'local',
+    root,
+    
+    describe() {
+      return { type: 'local', path: root };
+    },
+    
+    locate(key) {
+      return resolve(key);
+    },
+    
+    async init(directories = []) {
+      await fs.mkdir(root, { recursive: true });
+      for (const dir of directories) {
+        await fs.mkdir(path.join(root, dir), { recursive: true });
+      }
+    },
+    
+    async read(key) {
+      return fs.readFile(resolve(key), 'utf8');
+    },
+    
+    async write(key, content) {
+      const filePath = resolve(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      
+      // Write a hidden temporary file and rename it into place, so readers
+      // never see a partly written note
+      const tempPath = path.join(
+        path.dirname(filePath),
+        `.${path.basename(filePath)}.${crypto.randomBytes(6).toString('hex')}.tmp`
+      );
+      try {
+        await fs.writeFile(tempPath, content, 'utf8');
+        await fs.rename(tempPath, filePath);
+      } catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
+      }
+    },
+    
+    async list(prefix = '') {
+      const keys = [];
+      
+      async function processDirectory(dirPath) {
+        let entries;
+        try {
+          entries = await fs.readdir(dirPath, { withFileTypes: true });
+        } catch (error) {
+          if (error.code === 'ENOENT') return;
+          throw error;
+        }
+        
+        for (const entry of entries) {
+          const fullPath = path.join(dirPath, entry.name);
+          
+          if (entry.isDirectory()) {
+            await processDirectory(fullPath);
+          } else {
+            keys.push(path.relative(root, fullPath).split(path.sep).join('/'));
+          }
+        }
+      }
+      
+      await processDirectory(prefix ? resolve(prefix) : root);
+      return keys.sort();
+    },
+    
+    async move(fromKey, toKey) {
+      const fromPath = resolve(fromKey);
+      const toPath = resolve(toKey);
+      
+      // Surface a missing source before creating the destination directory
+      await fs.access(fromPath);
+      await fs.mkdir(path.dirname(toPath), { recursive: true });
+      await fs.rename(fromPath, toPath);
+    },
+    
+    async delete(key) {
+      await fs.unlink(resolve(key));
+    },
+    
+    async stat(key) {
+      const stats = await fs.stat(resolve(key));
+      return {
+        size: stats.size,
+        modified: stats.mtime
+      };
+    }
+  };
+};
@@ -0,0 +1,75 @@
+/**
+ * In-Memory Storage Adapter
+ * 
+ * Keeps notes in a Map. Nothing survives a restart, which makes it
+ * suitable for tests and throwaway instances.
+ */
+
+const { notFoundError, normalizeKey } = require('./errors');
+
+/**
+ * Create an in-memory adapter
+ * 
+ * @returns {Object} Storage adapter
+ */
+module.exports = function createMemoryAdapter() {
+  const root = 'memory:';
+  const entries = new Map();
+  
+  function getEntry(key) {
+    const entry = entries.get(normalizeKey(key));
+    if (!entry) {
+      throw notFoundError(key);
+    }
+    return entry;
+  }
+  
+  return {
+    type: 'memory',
+    root,
+    
+    describe() {
+      return { type: 'memory' };
+    },
+    
+    locate(key) {
+      return `${root}/${normalizeKey(key)}`;
+    },
+    
+    async init() {},
+    
+    async read(key) {
+      return getEntry(key).content;
+    },
+    
+    async write(key, content) {
+      entries.set(normalizeKey(key), { content, modified: new Date() });
+    },
+    
+    async list(prefix = '') {
+      const dir = prefix ? `${normalizeKey(prefix)}/` : '';
+      return [...entries.keys()]
+        .filter(key => key.startsWith(dir))
+        .sort();
+    },
+    
+    async move(fromKey, toKey) {
+      const entry = getEntry(fromKey);
+      entries.delete(normalizeKey(fromKey));
+      entries.set(normalizeKey(toKey), entry);
+    },
+    
+    async delete(key) {
+      getEntry(key);
+      entries.delete(normalizeKey(key));
+    },
+    
+    async stat(key) {
+      const entry = getEntry(key);
+      return {
+        size: Buffer.byteLength(entry.content, 'utf8'),
+        modified: entry.modified
+      };
+    }
+  };
+};
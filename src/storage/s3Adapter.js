@@ -0,0 +1,294 @@
+/**
+ * S3-Compatible Storage Adapter
+ * 
+ * Stores notes as objects in an S3-compatible bucket (AWS S3, MinIO,
+ * Google Cloud Storage interoperability mode), using the note's relative
+ * path as the object key so the bucket mirrors the local folder layout.
+ * 
+ * Object stores may lag behind their own writes, so the adapter remembers
+ * what this process wrote, moved or deleted for a short window and overlays
+ * that on reads and listings, and it retries lookups of recently written keys.
+ * Requests the service throttles are retried with exponential backoff.
+ */
+
+const { notFoundError, normalizeKey } = require('./errors');
+
+const DEFAULT_CONSISTENCY_WINDOW_MS = 10000;
+const DEFAULT_RETRIES = 4;
+const DEFAULT_THROTTLE_RETRIES = 5;
+const RETRY_DELAY_MS = 100;
+
+// Error codes S3 and S3-compatible services use to ask clients to slow down
+const THROTTLING_ERRORS = [
+  'SlowDown',
+  'Throttling',
+  'ThrottlingException',
+  'TooManyRequestsException',
+  'RequestLimitExceeded'
+];
+
+/**
+ * Create an S3-compatible adapter
+ * 
+ * @param {Object} options - Adapter options
+ * @param {string} options.type - Storage type to report ('s3' or 'gcs')
+ * @param {string} options.bucket - Bucket name
+ * @param {string} [options.prefix] - Key prefix inside the bucket
+ * @param {string} [options.endpoint] - Custom endpoint for S3-compatible services
+ * @param {string} [options.region] - Bucket region
+ * @param {boolean} [options.forcePathStyle] - Use path-style addressing (MinIO)
+ * @param {number} [options.consistencyWindowMs] - How long local writes are overlaid
+ * @param {number} [options.retries] - Lookup retries for recently written keys
+ * @param {number} [options.throttleRetries] - Retries for requests the service throttles
+ * @param {number} [options.retryDelayMs] - Delay before the first retry, doubled on each attempt
+ * @param {Object} [options.client] - Preconfigured S3 client
+ * @returns {Object} Storage adapter
+ */
+module.exports = function createS3Adapter(options) {
+  // Loaded lazily so the SDK is only needed when this backend is used
+  const {
+    S3Client,
+    GetObjectCommand,
+    PutObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+    CopyObjectCommand,
+    ListObjectsV2Command
+  } = require('@aws-sdk/client-s3');
+  
+  const {
+    type = 's3',
+    bucket,
+    endpoint,
+    region = 'us-east-1',
+    forcePathStyle = false,
+    consistencyWindowMs = DEFAULT_CONSISTENCY_WINDOW_MS,
+    retries = DEFAULT_RETRIES,
+    throttleRetries = DEFAULT_THROTTLE_RETRIES,
+    retryDelayMs = RETRY_DELAY_MS
+  } = options;
+  
+  if (!bucket) {
+    throw new Error(`A bucket is required for the ${type} storage backend`);
+  }
+  
+  const prefix = options.prefix ? `${normalizeKey(options.prefix)}/` : '';
+  const root = `${type}://${bucket}${prefix ? `/${prefix.slice(0, -1)}` : ''}`;
+  const client = options.client || new S3Client({
+    endpoint,
+    region,
+    forcePathStyle,
+    // Only send checksums when an operation requires them; most
+    // S3-compatible services reject the newer default checksum headers
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    responseChecksumValidation: 'WHEN_REQUIRED'
+  });
+  
+  // Keys this process changed recently: key -> { content, size, modified, deleted, expires }
+  const recent = new Map();
+  
+  function objectKey(key) {
+    return prefix + normalizeKey(key);
+  }
+  
+  function remember(key, entry) {
+    recent.set(key, { ...entry, expires: Date.now() + consistencyWindowMs });
+  }
+  
+  function recall(key) {
+    const entry = recent.get(key);
+    if (entry && entry.expires < Date.now()) {
+      recent.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+  
+  function backoff(attempt) {
+    return new Promise(resolve => setTimeout(resolve, retryDelayMs * 2 ** (attempt - 1)));
+  }
+  
+  function isThrottled(error) {
+    const status = error.$metadata && error.$metadata.httpStatusCode;
+    return THROTTLING_ERRORS.includes(error.name) || status === 429 || status === 503;
+  }
+  
+  // Send a request, backing off while the service throttles it
+  async function send(command) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await client.send(command);
+      } catch (error) {
+        if (!isThrottled(error) || attempt > throttleRetries) throw error;
+        await backoff(attempt);
+      }
+    }
+  }
+  
+  function isNotFound(error) {
+    return error.name === 'NoSuchKey' ||
+      error.name === 'NotFound' ||
+      Boolean(error.$metadata && error.$metadata.httpStatusCode === 404);
+  }
+  
+  // Retry a lookup that may be racing a write this process just made
+  async function withRetry(key, lookup) {
+    const attempts = recall(key) ? retries + 1 : 1;
+    
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await lookup();
+      } catch (error) {
+        if (!isNotFound(error)) throw error;
+        if (attempt >= attempts) throw notFoundError(key);
+        await backoff(attempt);
+      }
+    }
+  }
+  
+  async function head(key) {
+    return withRetry(key, () => send(new HeadObjectCommand({
+      Bucket: bucket,
+      Key: objectKey(key)
+    })));
+  }
+  
+  return {
+    type,
+    root,
+    
+    describe() {
+      return { type, bucket, prefix: prefix || undefined, endpoint };
+    },
+    
+    locate(key) {
+      return `${root}/${normalizeKey(key)}`;
+    },
+    
+    async init() {},
+    
+    async read(key) {
+      const normalized = normalizeKey(key);
+      const cached = recall(normalized);
+      if (cached) {
+        if (cached.deleted) throw notFoundError(key);
+        return cached.content;
+      }
+      
+      const response = await withRetry(normalized, () => send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(normalized)
+      })));
+      return response.Body.transformToString('utf8');
+    },
+    
+    async write(key, content) {
+      const normalized = normalizeKey(key);
+      await send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(normalized),
+        Body: content,
+        ContentType: 'text/markdown; charset=utf-8'
+      }));
+      remember(normalized, {
+        content,
+        size: Buffer.byteLength(content, 'utf8'),
+        modified: new Date()
+      });
+    },
+    
+    async list(listPrefix = '') {
+      const dir = listPrefix ? `${normalizeKey(listPrefix)}/` : '';
+      const keys = new Set();
+      let continuationToken;
+      
+      // Listings are paginated, 1000 keys at a time
+      do {
+        const response = await send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix + dir,
+          ContinuationToken: continuationToken
+        }));
+        
+        for (const object of response.Contents || []) {
+          keys.add(object.Key.slice(prefix.length));
+        }
+        
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+      
+      // Listings are the slowest to converge, so overlay recent local changes
+      for (const key of [...recent.keys()]) {
+        const entry = recall(key);
+        if (!entry || !key.startsWith(dir)) continue;
+        
+        if (entry.deleted) {
+          keys.delete(key);
+        } else {
+          keys.add(key);
+        }
+      }
+      
+      return [...keys].sort();
+    },
+    
+    async move(fromKey, toKey) {
+      const from = normalizeKey(fromKey);
+      const to = normalizeKey(toKey);
+      if (from === to) {
+        await head(from);
+        return;
+      }
+      
+      // S3 has no rename: copy, confirm the copy is visible, then delete
+      const content = await this.read(from);
+      const copySource = `${bucket}/${objectKey(from).split('/').map(encodeURIComponent).join('/')}`;
+      await send(new CopyObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(to),
+        CopySource: copySource
+      }));
+      remember(to, {
+        content,
+        size: Buffer.byteLength(content, 'utf8'),
+        modified: new Date()
+      });
+      await head(to);
+      
+      await this.delete(from);
+    },
+    
+    async delete(key) {
+      const normalized = normalizeKey(key);
+      const cached = recall(normalized);
+      if (cached && cached.deleted) {
+        throw notFoundError(key);
+      }
+      if (!cached) {
+        // DeleteObject succeeds for missing keys, so check first
+        await head(normalized);
+      }
+      
+      await send(new DeleteObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(normalized)
+      }));
+      remember(normalized, { deleted: true });
+    },
+    
+    async stat(key) {
+      const normalized = normalizeKey(key);
+      const cached = recall(normalized);
+      if (cached) {
+        if (cached.deleted) throw notFoundError(key);
+        return { size: cached.size, modified: cached.modified };
+      }
+      
+      const response = await head(normalized);
+      return {
+        size: response.ContentLength,
+        modified: response.LastModified
+      };
+    }
+  };
+};
@@ -0,0 +1,119 @@
+/**
+ * SQLite Storage Adapter
+ * 
+ * Stores each note as a row keyed by its relative path, so a whole
+ * knowledge base lives in a single database file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { notFoundError, normalizeKey } = require('./errors');
+
+/**
+ * Create a SQLite adapter
+ * 
+ * @param {Object} options - Adapter options
+ * @param {string} options.file - Path of the database file
+ * @returns {Object} Storage adapter
+ */
+module.exports = function createSqliteAdapter({ file }) {
+  // Loaded lazily so the native module is only needed when this backend is used
+  const Database = require('better-sqlite3');
+  
+  if (file !== ':memory:') {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+  
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS notes (
+      key TEXT PRIMARY KEY,
+      content TEXT NOT NULL,
+      modified TEXT NOT NULL
+    )
+  `);
+  
+  const statements = {
+    read: db.prepare('SELECT content FROM notes WHERE key = ?'),
+    write: db.prepare(`
+      INSERT INTO notes (key, content, modified) VALUES (?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET content = excluded.content, modified = excluded.modified
+    `),
+    list: db.prepare("SELECT key FROM notes WHERE key LIKE ? ESCAPE '\\' ORDER BY key"),
+    remove: db.prepare('DELETE FROM notes WHERE key = ?'),
+    rename: db.prepare('UPDATE notes SET key = ? WHERE key = ?'),
+    stat: db.prepare('SELECT length(CAST(content AS BLOB)) AS size, modified FROM notes WHERE key = ?')
+  };
+  
+  // Rename over an existing destination, matching fs.rename semantics
+  const moveRow = db.transaction((fromKey, toKey) => {
+    if (!statements.read.get(fromKey)) {
+      throw notFoundError(fromKey);
+    }
+    statements.remove.run(toKey);
+    statements.rename.run(toKey, fromKey);
+  });
+  
+  return {
+    type: 'sqlite',
+    root: file,
+    
+    describe() {
+      return { type: 'sqlite', path: file };
+    },
+    
+    locate(key) {
+      return `${file}/${normalizeKey(key)}`;
+    },
+    
+    async init() {},
+    
+    async read(key) {
+      const row = statements.read.get(normalizeKey(key));
+      if (!row) {
+        throw notFoundError(key);
+      }
+      return row.content;
+    },
+    
+    async write(key, content) {
+      statements.write.run(normalizeKey(key), content, new Date().toISOString());
+    },
+    
+    async list(prefix = '') {
+      const dir = prefix ? `${normalizeKey(prefix)}/` : '';
+      const pattern = `${dir.replace(/[\\%_]/g, '\\$&')}%`;
+      return statements.list.all(pattern).map(row => row.key);
+    },
+    
+    async move(fromKey, toKey) {
+      const from = normalizeKey(fromKey);
+      const to = normalizeKey(toKey);
+      if (from === to) {
+        await this.stat(from);
+        return;
+      }
+      
+      moveRow(from, to);
+    },
+    
+    async delete(key) {
+      const { changes } = statements.remove.run(normalizeKey(key));
+      if (changes === 0) {
+        throw notFoundError(key);
+      }
+    },
+    
+    async stat(key) {
+      const row = statements.stat.get(normalizeKey(key));
+      if (!row) {
+        throw notFoundError(key);
+      }
+      return {
+        size: row.size,
+        modified: new Date(row.modified)
+      };
+    }
+  };
+};
@@ -6,8 +6,8 @@
 
 // Role-based permissions map
 const PERMISSIONS = {
-  // Admin role has all permissions
-  admin: ['create', 'read', 'update', 'delete', 'search'],
+  // Admin role has all permissions, including changing the fields the system sets on notes
+  admin: ['create', 'read', 'update', 'delete', 'search', 'manage'],
   
   // Research role can create, read, update, and search, but cannot delete
   research: ['create', 'read', 'update', 'search'],
@@ -23,7 +23,7 @@ const PERMISSIONS = {
  * Check if a role is authorized for an operation
  * 
  * @param {string} role - Role to check
- * @param {string} operation - Operation to authorize ('create', 'read', 'update', 'delete', 'search')
+ * @param {string} operation - Operation to authorize ('create', 'read', 'update', 'delete', 'search', 'manage')
  * @returns {boolean} True if authorized, false otherwise
  */
 exports.isAuthorized = (role, operation) => {
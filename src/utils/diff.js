@@ -0,0 +1,180 @@
+/**
+ * Diff Utilities
+ * 
+ * Line-based diffs (Myers' algorithm) rendered in unified diff format.
+ */
+
+/**
+ * Compute the shortest edit script between two lists of lines
+ * 
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array} Edits of type 'equal', 'delete' or 'insert' with their line
+ */
+function diffLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+  
+  // Forward pass: furthest reaching path for each diagonal k, per edit distance d
+  search:
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      
+      v[offset + k] = x;
+      
+      if (x >= n && y >= m) {
+        break search;
+      }
+    }
+  }
+  
+  // Backtrack through the trace to recover the edits
+  const edits = [];
+  let x = n;
+  let y = m;
+  
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const previous = trace[d];
+    const k = x - y;
+    
+    let previousK;
+    if (k === -d || (k !== d && previous[offset + k - 1] < previous[offset + k + 1])) {
+      previousK = k + 1;
+    } else {
+      previousK = k - 1;
+    }
+    
+    const previousX = previous[offset + previousK];
+    const previousY = previousX - previousK;
+    
+    while (x > previousX && y > previousY) {
+      edits.push({ type: 'equal', line: a[x - 1] });
+      x--;
+      y--;
+    }
+    
+    if (d > 0) {
+      if (x === previousX) {
+        edits.push({ type: 'insert', line: b[y - 1] });
+      } else {
+        edits.push({ type: 'delete', line: a[x - 1] });
+      }
+    }
+    
+    x = previousX;
+    y = previousY;
+  }
+  
+  return edits.reverse();
+}
+
+/**
+ * Split text into lines; a final newline does not start another line
+ */
+function splitLines(text) {
+  if (text === '') {
+    return [];
+  }
+  
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Format a hunk range, following the unified diff convention for empty ranges
+ */
+function formatRange(start, length) {
+  if (length === 0) {
+    return `${start},0`;
+  }
+  return length === 1 ? `${start + 1}` : `${start + 1},${length}`;
+}
+
+/**
+ * Create a unified diff between two texts
+ * 
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @param {Object} options - Diff options
+ * @param {string} options.fromLabel - Label for the original text
+ * @param {string} options.toLabel - Label for the changed text
+ * @param {number} options.context - Unchanged lines around each change (default 3)
+ * @returns {string} Unified diff, empty if the texts are identical
+ */
+exports.createUnifiedDiff = (oldText, newText, { fromLabel = 'a', toLabel = 'b', context = 3 } = {}) => {
+  const edits = diffLines(splitLines(oldText), splitLines(newText));
+  
+  // Record each edit's position in both texts
+  let oldLine = 0;
+  let newLine = 0;
+  for (const edit of edits) {
+    edit.oldLine = oldLine;
+    edit.newLine = newLine;
+    if (edit.type !== 'insert') oldLine++;
+    if (edit.type !== 'delete') newLine++;
+  }
+  
+  const output = [];
+  let i = 0;
+  
+  while (i < edits.length) {
+    if (edits[i].type === 'equal') {
+      i++;
+      continue;
+    }
+    
+    // Extend the hunk until changes are separated by more than twice the context
+    let lastChange = i;
+    let j = i;
+    while (j < edits.length) {
+      if (edits[j].type !== 'equal') {
+        lastChange = j;
+      } else if (j - lastChange > 2 * context) {
+        break;
+      }
+      j++;
+    }
+    
+    const start = Math.max(0, i - context);
+    const end = Math.min(edits.length, lastChange + context + 1);
+    const hunk = edits.slice(start, end);
+    
+    const oldLength = hunk.filter(edit => edit.type !== 'insert').length;
+    const newLength = hunk.filter(edit => edit.type !== 'delete').length;
+    
+    output.push(`@@ -${formatRange(hunk[0].oldLine, oldLength)} +${formatRange(hunk[0].newLine, newLength)} @@`);
+    for (const edit of hunk) {
+      const prefix = edit.type === 'insert' ? '+' : edit.type === 'delete' ? '-' : ' ';
+      output.push(`${prefix}${edit.line}`);
+    }
+    
+    i = end;
+  }
+  
+  if (output.length === 0) {
+    return '';
+  }
+  
+  return [`--- ${fromLabel}`, `+++ ${toLabel}`, ...output].join('\n') + '\n';
+};
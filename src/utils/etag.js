@@ -0,0 +1,51 @@
+/**
+ * ETag Utilities
+ * 
+ * Entity tags for optimistic concurrency control. A note's ETag is derived
+ * from its full stored content, so any change to the file changes the tag.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Compute the ETag of note content
+ * 
+ * @param {string} content - Raw note content, including frontmatter
+ * @returns {string} Quoted strong ETag
+ */
+exports.computeEtag = (content) => {
+  const hash = crypto.createHash('sha256').update(content).digest('base64url');
+  return `"${hash}"`;
+};
+
+/**
+ * Split a conditional header into its entity tags
+ */
+function parseTags(header) {
+  return header.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Check an If-Match header against the current ETag
+ * Uses strong comparison, so weak tags never match.
+ * 
+ * @param {string} header - If-Match header value
+ * @param {string} etag - Current ETag
+ * @returns {boolean} True if the precondition holds
+ */
+exports.matchesIfMatch = (header, etag) => {
+  return parseTags(header).some(tag => tag === '*' || tag === etag);
+};
+
+/**
+ * Check an If-None-Match header against the current ETag
+ * Uses weak comparison, as reads do not need byte-for-byte identity.
+ * 
+ * @param {string} header - If-None-Match header value
+ * @param {string} etag - Current ETag
+ * @returns {boolean} True if the client already has the current version
+ */
+exports.matchesIfNoneMatch = (header, etag) => {
+  const strip = tag => tag.replace(/^W\//, '');
+  return parseTags(header).some(tag => tag === '*' || strip(tag) === strip(etag));
+};
@@ -0,0 +1,126 @@
+/**
+ * Graph Format Utilities
+ * 
+ * Serializers for the knowledge graph built by graphModel: Graphviz DOT and
+ * GraphML. JSON responses use the graph object as it is.
+ */
+
+// Node shapes in DOT output
+const DOT_SHAPES = {
+  note: 'box',
+  tag: 'ellipse',
+  category: 'folder',
+  author: 'diamond'
+};
+
+// Node and edge attributes written to GraphML, with their types
+const GRAPHML_NODE_KEYS = [
+  ['type', 'string'],
+  ['label', 'string'],
+  ['relativePath', 'string'],
+  ['date', 'string'],
+  ['degree', 'int']
+];
+const GRAPHML_EDGE_KEYS = [
+  ['type', 'string'],
+  ['weight', 'int'],
+  ['tags', 'string']
+];
+
+/**
+ * Quote a DOT identifier or attribute value
+ */
+function dotString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+/**
+ * Escape text for XML content and attribute values
+ */
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Serialize a graph as Graphviz DOT
+ * Related edges are directed; shared-tag edges are drawn without arrows.
+ * 
+ * @param {Object} graph - Graph as `{ nodes, edges }`
+ * @returns {string} DOT source
+ */
+exports.toDot = (graph) => {
+  const lines = ['digraph notes {', '  node [fontname="Helvetica"];'];
+  
+  for (const node of graph.nodes) {
+    const attributes = [
+      `label=${dotString(node.label)}`,
+      `shape=${DOT_SHAPES[node.type] || 'box'}`,
+      `type=${dotString(node.type)}`
+    ];
+    lines.push(`  ${dotString(node.id)} [${attributes.join(', ')}];`);
+  }
+  
+  for (const edge of graph.edges) {
+    const attributes = [`type=${dotString(edge.type)}`];
+    if (edge.directed === false) {
+      attributes.push('dir=none');
+    }
+    if (edge.weight) {
+      attributes.push(`weight=${edge.weight}`, `label=${dotString(edge.tags.join(', '))}`);
+    }
+    lines.push(`  ${dotString(edge.source)} -> ${dotString(edge.target)} [${attributes.join(', ')}];`);
+  }
+  
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Serialize a graph as GraphML
+ * 
+ * @param {Object} graph - Graph as `{ nodes, edges }`
+ * @returns {string} GraphML document
+ */
+exports.toGraphML = (graph) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'
+  ];
+  
+  for (const [name, type] of GRAPHML_NODE_KEYS) {
+    lines.push(`  <key id="n_${name}" for="node" attr.name="${name}" attr.type="${type}"/>`);
+  }
+  for (const [name, type] of GRAPHML_EDGE_KEYS) {
+    lines.push(`  <key id="e_${name}" for="edge" attr.name="${name}" attr.type="${type}"/>`);
+  }
+  
+  lines.push('  <graph id="notes" edgedefault="directed">');
+  
+  const data = (prefix, keys, item) => keys
+    .filter(([name]) => item[name] !== undefined && item[name] !== null)
+    .map(([name]) => {
+      const value = Array.isArray(item[name]) ? item[name].join(',') : item[name];
+      return `      <data key="${prefix}_${name}">${xmlEscape(value)}</data>`;
+    });
+  
+  for (const node of graph.nodes) {
+    lines.push(`    <node id="${xmlEscape(node.id)}">`, ...data('n', GRAPHML_NODE_KEYS, node), '    </node>');
+  }
+  
+  graph.edges.forEach((edge, index) => {
+    const directed = edge.directed === false ? ' directed="false"' : '';
+    lines.push(
+      `    <edge id="e${index}" source="${xmlEscape(edge.source)}" target="${xmlEscape(edge.target)}"${directed}>`,
+      ...data('e', GRAPHML_EDGE_KEYS, edge),
+      '    </edge>'
+    );
+  });
+  
+  lines.push('  </graph>', '</graphml>');
+  return `${lines.join('\n')}\n`;
+};
@@ -0,0 +1,231 @@
+/**
+ * JSON Patch Utilities
+ * 
+ * Applies JSON Merge Patch (RFC 7396) and JSON Patch (RFC 6902) documents.
+ * Neither function changes its input; both return a patched copy.
+ */
+
+const JSON_PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+/**
+ * Apply a JSON Merge Patch
+ * Objects in the patch are merged into the target, `null` removes a field,
+ * and any other value replaces the field.
+ * 
+ * @param {*} target - Document to patch
+ * @param {*} patch - Merge patch
+ * @returns {*} Patched document
+ */
+exports.applyMergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) {
+    return clone(patch);
+  }
+  
+  const result = isPlainObject(target) ? clone(target) : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = exports.applyMergePatch(result[key], value);
+    }
+  }
+  
+  return result;
+};
+
+/**
+ * Apply a JSON Patch
+ * The operations run in order and the patch applies as a whole or not at all.
+ * 
+ * @param {*} document - Document to patch
+ * @param {Array} operations - Operations such as `{ op: 'replace', path: '/title', value: 'New' }`
+ * @returns {*} Patched document
+ * @throws {Error} 400 if the patch is malformed, 409 if an operation cannot be
+ *   applied to the document or a `test` fails
+ */
+exports.applyJsonPatch = (document, operations) => {
+  if (!Array.isArray(operations)) {
+    throw patchError(400, 'A JSON Patch must be an array of operations');
+  }
+  
+  let result = clone(document);
+  
+  operations.forEach((operation, index) => {
+    const where = `Operation ${index}`;
+    if (!isPlainObject(operation) || !JSON_PATCH_OPERATIONS.includes(operation.op)) {
+      throw patchError(400, `${where}: op must be one of ${JSON_PATCH_OPERATIONS.join(', ')}`);
+    }
+    
+    const path = parsePointer(operation.path, `${where}: path`);
+    const needsValue = ['add', 'replace', 'test'].includes(operation.op);
+    if (needsValue && !('value' in operation)) {
+      throw patchError(400, `${where}: ${operation.op} needs a value`);
+    }
+    
+    switch (operation.op) {
+      case 'add':
+        result = addValue(result, path, clone(operation.value), where);
+        break;
+      case 'remove':
+        result = removeValue(result, path, where).document;
+        break;
+      case 'replace':
+        result = removeValue(result, path, where).document;
+        result = addValue(result, path, clone(operation.value), where);
+        break;
+      case 'move': {
+        const from = parsePointer(operation.from, `${where}: from`);
+        if (path.length > from.length && from.every((token, i) => token === path[i])) {
+          throw patchError(409, `${where}: cannot move a value into itself`);
+        }
+        const removed = removeValue(result, from, where);
+        result = addValue(removed.document, path, removed.value, where);
+        break;
+      }
+      case 'copy': {
+        const from = parsePointer(operation.from, `${where}: from`);
+        result = addValue(result, path, clone(getValue(result, from, where)), where);
+        break;
+      }
+      case 'test':
+        if (!deepEqual(getValue(result, path, where), operation.value)) {
+          throw patchError(409, `${where}: test failed at ${operation.path}`);
+        }
+        break;
+    }
+  });
+  
+  return result;
+};
+
+/**
+ * Compare two JSON values
+ * 
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are equal, ignoring object key order
+ */
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => key in b && deepEqual(a[key], b[key]));
+  }
+  return false;
+}
+
+/**
+ * Helper function to split a JSON Pointer (RFC 6901) into its tokens
+ */
+function parsePointer(pointer, label) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw patchError(400, `${label} must be a JSON Pointer such as /metadata/status`);
+  }
+  
+  return pointer === ''
+    ? []
+    : pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Helper function to read the value at a pointer
+ */
+function getValue(document, path, where) {
+  let value = document;
+  for (const token of path) {
+    if (Array.isArray(value) && isArrayIndex(token) && Number(token) < value.length) {
+      value = value[Number(token)];
+    } else if (isPlainObject(value) && Object.prototype.hasOwnProperty.call(value, token)) {
+      value = value[token];
+    } else {
+      throw patchError(409, `${where}: nothing at /${path.join('/')}`);
+    }
+  }
+  return value;
+}
+
+/**
+ * Helper function to add a value at a pointer
+ * Returns the new document, which is the value itself for the root pointer.
+ */
+function addValue(document, path, value, where) {
+  if (path.length === 0) {
+    return value;
+  }
+  
+  const parent = getValue(document, path.slice(0, -1), where);
+  const token = path[path.length - 1];
+  
+  if (Array.isArray(parent)) {
+    const index = token === '-' ? parent.length : Number(token);
+    if (!isArrayIndex(token) && token !== '-') {
+      throw patchError(409, `${where}: ${token} is not an array index`);
+    }
+    if (index > parent.length) {
+      throw patchError(409, `${where}: index ${index} is past the end of the array`);
+    }
+    parent.splice(index, 0, value);
+  } else if (isPlainObject(parent)) {
+    parent[token] = value;
+  } else {
+    throw patchError(409, `${where}: cannot add to a value that is not an object or array`);
+  }
+  
+  return document;
+}
+
+/**
+ * Helper function to remove the value at a pointer
+ * Returns the new document and the removed value.
+ */
+function removeValue(document, path, where) {
+  const value = getValue(document, path, where);
+  if (path.length === 0) {
+    return { document: null, value };
+  }
+  
+  const parent = getValue(document, path.slice(0, -1), where);
+  const token = path[path.length - 1];
+  if (Array.isArray(parent)) {
+    parent.splice(Number(token), 1);
+  } else {
+    delete parent[token];
+  }
+  
+  return { document, value };
+}
+
+/**
+ * Helper function to check for an array index token
+ */
+function isArrayIndex(token) {
+  return /^(0|[1-9][0-9]*)$/.test(token);
+}
+
+/**
+ * Helper function to check for a plain JSON object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Helper function to copy a JSON value
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Helper function to create an error with a status code
+ */
+function patchError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+exports.deepEqual = deepEqual;
@@ -0,0 +1,298 @@
+/**
+ * JSON Schema Validation
+ * 
+ * Validates JSON values against the commonly used subset of JSON Schema:
+ * types, enums and constants, object properties, arrays, string lengths,
+ * patterns and formats, number ranges and the allOf/anyOf/oneOf/not
+ * combinators. Schemas using other keywords, such as `$ref`, are rejected
+ * by checkSchema rather than silently ignored.
+ */
+
+const { deepEqual } = require('./jsonPatch');
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object', 'null'];
+
+// Keywords that describe a schema without constraining values
+const ANNOTATIONS = ['$schema', '$id', '$comment', 'title', 'description', 'default', 'examples'];
+
+const FORMATS = {
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/i.test(value)
+    && !Number.isNaN(Date.parse(value)),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: value => /^[a-z][a-z0-9+.-]*:/i.test(value) && isParsableUrl(value),
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+};
+
+// Checks on the value each keyword takes, by keyword
+const KEYWORDS = {
+  type: value => [value].flat().every(type => TYPES.includes(type)) || `must be one of ${TYPES.join(', ')}`,
+  enum: value => (Array.isArray(value) && value.length > 0) || 'must be a non-empty array',
+  const: () => true,
+  properties: value => isPlainObject(value) || 'must be an object of schemas',
+  required: value => (Array.isArray(value) && value.every(item => typeof item === 'string')) || 'must be an array of field names',
+  additionalProperties: value => typeof value === 'boolean' || isPlainObject(value) || 'must be a boolean or a schema',
+  items: value => isPlainObject(value) || 'must be a schema',
+  minItems: isCount,
+  maxItems: isCount,
+  uniqueItems: value => typeof value === 'boolean' || 'must be a boolean',
+  minLength: isCount,
+  maxLength: isCount,
+  pattern: value => isRegExp(value) || 'must be a valid regular expression',
+  format: value => Object.keys(FORMATS).includes(value) || `must be one of ${Object.keys(FORMATS).join(', ')}`,
+  minimum: isNumber,
+  maximum: isNumber,
+  exclusiveMinimum: isNumber,
+  exclusiveMaximum: isNumber,
+  allOf: isSchemaList,
+  anyOf: isSchemaList,
+  oneOf: isSchemaList,
+  not: value => isPlainObject(value) || 'must be a schema'
+};
+
+/**
+ * Check that a schema only uses supported keywords, with valid values
+ * 
+ * @param {*} schema - Schema to check
+ * @returns {Array} Problems found, such as `properties.status.type: must be one of ...`; empty if the schema is usable
+ */
+exports.checkSchema = (schema) => {
+  return checkSchemaAt(schema, '');
+};
+
+/**
+ * Validate a value against a schema
+ * 
+ * @param {Object} schema - Schema that passed checkSchema
+ * @param {*} value - JSON value to validate
+ * @returns {Array} Violations as `{ field, message }`, where `field` is a path such as
+ *   `links[0].url` (empty for the value itself); empty if the value is valid
+ */
+exports.validate = (schema, value) => {
+  return validateAt(schema, value, '');
+};
+
+/**
+ * Helper function to check a schema and the schemas nested in it
+ */
+function checkSchemaAt(schema, where) {
+  const label = where || 'schema';
+  if (!isPlainObject(schema)) {
+    return [`${label}: must be an object`];
+  }
+  
+  const problems = [];
+  for (const [keyword, value] of Object.entries(schema)) {
+    if (ANNOTATIONS.includes(keyword)) continue;
+    
+    const check = KEYWORDS[keyword];
+    const at = where ? `${where}.${keyword}` : keyword;
+    if (!check) {
+      problems.push(`${at}: unsupported keyword`);
+      continue;
+    }
+    
+    const result = check(value);
+    if (result !== true) {
+      problems.push(`${at}: ${result}`);
+      continue;
+    }
+    
+    if (keyword === 'properties') {
+      for (const [field, fieldSchema] of Object.entries(value)) {
+        problems.push(...checkSchemaAt(fieldSchema, `${at}.${field}`));
+      }
+    } else if (['items', 'not'].includes(keyword) || (keyword === 'additionalProperties' && isPlainObject(value))) {
+      problems.push(...checkSchemaAt(value, at));
+    } else if (['allOf', 'anyOf', 'oneOf'].includes(keyword)) {
+      value.forEach((item, index) => problems.push(...checkSchemaAt(item, `${at}[${index}]`)));
+    }
+  }
+  
+  return problems;
+}
+
+/**
+ * Helper function to validate a value at a field path
+ */
+function validateAt(schema, value, field) {
+  const label = field || 'value';
+  const violation = message => ({ field, message: `${label} ${message}` });
+  
+  if (schema.type !== undefined) {
+    const types = [schema.type].flat();
+    if (!types.some(type => hasType(value, type))) {
+      return [violation(`must be ${types.map(describeType).join(' or ')}`)];
+    }
+  }
+  
+  const violations = [];
+  
+  if (schema.enum && !schema.enum.some(allowed => deepEqual(allowed, value))) {
+    violations.push(violation(`must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`));
+  }
+  
+  if ('const' in schema && !deepEqual(schema.const, value)) {
+    violations.push(violation(`must be ${JSON.stringify(schema.const)}`));
+  }
+  
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      violations.push(violation(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`));
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      violations.push(violation(`must be at most ${schema.maxLength} characters`));
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      violations.push(violation(`must match ${schema.pattern}`));
+    }
+    if (schema.format !== undefined && !FORMATS[schema.format](value)) {
+      violations.push(violation(`must be a valid ${schema.format}`));
+    }
+  }
+  
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      violations.push(violation(`must be at least ${schema.minimum}`));
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      violations.push(violation(`must be at most ${schema.maximum}`));
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      violations.push(violation(`must be greater than ${schema.exclusiveMinimum}`));
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      violations.push(violation(`must be less than ${schema.exclusiveMaximum}`));
+    }
+  }
+  
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      violations.push(violation(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`));
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      violations.push(violation(`must have at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}`));
+    }
+    if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => deepEqual(other, item)) !== i)) {
+      violations.push(violation('must not contain duplicates'));
+    }
+    if (schema.items) {
+      value.forEach((item, index) => violations.push(...validateAt(schema.items, item, `${field}[${index}]`)));
+    }
+  }
+  
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+    const fieldPath = name => (field ? `${field}.${name}` : name);
+    
+    for (const name of schema.required || []) {
+      if (!(name in value)) {
+        violations.push({ field: fieldPath(name), message: `${fieldPath(name)} is required` });
+      }
+    }
+    
+    for (const [name, fieldValue] of Object.entries(value)) {
+      if (properties[name]) {
+        violations.push(...validateAt(properties[name], fieldValue, fieldPath(name)));
+      } else if (schema.additionalProperties === false) {
+        violations.push({ field: fieldPath(name), message: `${fieldPath(name)} is not an allowed field` });
+      } else if (isPlainObject(schema.additionalProperties)) {
+        violations.push(...validateAt(schema.additionalProperties, fieldValue, fieldPath(name)));
+      }
+    }
+  }
+  
+  for (const subschema of schema.allOf || []) {
+    violations.push(...validateAt(subschema, value, field));
+  }
+  
+  if (schema.anyOf && !schema.anyOf.some(subschema => validateAt(subschema, value, field).length === 0)) {
+    violations.push(violation('must match at least one of the allowed schemas'));
+  }
+  
+  if (schema.oneOf && schema.oneOf.filter(subschema => validateAt(subschema, value, field).length === 0).length !== 1) {
+    violations.push(violation('must match exactly one of the allowed schemas'));
+  }
+  
+  if (schema.not && validateAt(schema.not, value, field).length === 0) {
+    violations.push(violation('must not match the excluded schema'));
+  }
+  
+  return violations;
+}
+
+/**
+ * Helper function to check a value's JSON type
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Helper function to name a type for a violation message
+ */
+function describeType(type) {
+  if (type === 'null') return 'null';
+  return ['array', 'integer', 'object'].includes(type) ? `an ${type}` : `a ${type}`;
+}
+
+/**
+ * Helper function to check a keyword that takes a non-negative integer
+ */
+function isCount(value) {
+  return (Number.isInteger(value) && value >= 0) || 'must be a non-negative integer';
+}
+
+/**
+ * Helper function to check a keyword that takes a number
+ */
+function isNumber(value) {
+  return (typeof value === 'number' && Number.isFinite(value)) || 'must be a number';
+}
+
+/**
+ * Helper function to check a keyword that takes a list of schemas
+ */
+function isSchemaList(value) {
+  return (Array.isArray(value) && value.length > 0) || 'must be a non-empty array of schemas';
+}
+
+/**
+ * Helper function to check that a pattern compiles
+ */
+function isRegExp(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    new RegExp(value, 'u');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Helper function to check that a URI parses
+ */
+function isParsableUrl(value) {
+  try {
+    new URL(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Helper function to check for a plain JSON object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
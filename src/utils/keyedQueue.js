@@ -0,0 +1,29 @@
+/**
+ * Keyed Queue
+ * 
+ * Runs async tasks one at a time per key, so read-modify-write sequences on
+ * the same note cannot interleave within this process.
+ */
+
+/**
+ * Create a queue of tasks grouped by key
+ * 
+ * @returns {Function} enqueue(key, task) resolving to the task's result
+ */
+exports.createKeyedQueue = () => {
+  const queues = new Map();
+  
+  return function enqueue(key, task) {
+    const previous = queues.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    
+    queues.set(key, next);
+    next.catch(() => {}).then(() => {
+      if (queues.get(key) === next) {
+        queues.delete(key);
+      }
+    });
+    
+    return next;
+  };
+};
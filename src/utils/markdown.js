@@ -0,0 +1,427 @@
+/**
+ * Markdown Rendering
+ * 
+ * Turns note bodies into HTML. Raw HTML in a note is escaped rather than
+ * passed through, and links may only use safe URL schemes, so text written
+ * by agents cannot inject scripts into the page it is shown on.
+ * 
+ * Supported: ATX headings, paragraphs, emphasis, strikethrough, inline code,
+ * fenced code blocks, block quotes, nested and task lists, tables, horizontal
+ * rules, links, images, autolinks and wikilinks.
+ */
+
+// URL schemes links and images may use; anything else becomes '#'
+const SAFE_SCHEMES = ['http:', 'https:', 'mailto:'];
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const RULE_PATTERN = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE_PATTERN = /^ {0,3}> ?(.*)$/;
+const LIST_ITEM_PATTERN = /^( *)([-*+]|\d{1,9}[.)])(?:[ \t]+(.*))?$/;
+const TABLE_DIVIDER_PATTERN = /^ *\|? *:?-+:? *(\| *:?-+:? *)*\|? *$/;
+
+// Link destination, allowing one level of balanced parentheses
+const LINK_TARGET = '((?:[^()\\s]|\\([^()\\s]*\\))+)';
+
+// Characters a backslash can escape
+const ESCAPABLE_PATTERN = /\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g;
+
+/**
+ * Escape text for use in HTML
+ * 
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text, safe in element content and quoted attributes
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render markdown as HTML
+ * 
+ * @param {string} markdown - Markdown text
+ * @param {Object} options - Rendering options
+ * @param {Function} options.resolveLink - Receives `{ type, target, heading, alias }` for each
+ *   wikilink (`type: 'wikilink'`) and relative markdown link (`type: 'markdown'`), and returns the
+ *   URL to use, or null for an unresolved wikilink or to keep a markdown link as written
+ * @returns {string} HTML
+ */
+exports.renderMarkdown = (markdown, { resolveLink } = {}) => {
+  return exports.renderWithOutline(markdown, { resolveLink }).html;
+};
+
+/**
+ * Render markdown as HTML and list its headings as a table of contents
+ * 
+ * @param {string} markdown - Markdown text
+ * @param {Object} options - Rendering options, as for renderMarkdown
+ * @returns {Object} `{ html, outline }`, where the outline is a tree of
+ *   `{ level, text, id, children }` with each heading under the nearest
+ *   shallower heading before it
+ */
+exports.renderWithOutline = (markdown, { resolveLink } = {}) => {
+  const context = { resolveLink, headingIds: new Map(), headings: [] };
+  const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+  const html = renderBlocks(lines, context);
+  
+  const outline = [];
+  const open = [];
+  for (const heading of context.headings) {
+    const entry = { ...heading, children: [] };
+    while (open.length && open[open.length - 1].level >= heading.level) {
+      open.pop();
+    }
+    (open.length ? open[open.length - 1].children : outline).push(entry);
+    open.push(entry);
+  }
+  
+  return { html, outline };
+};
+
+/**
+ * Make a heading's text into an anchor ID
+ * 
+ * @param {string} text - Heading text
+ * @returns {string} Lowercase ID with words joined by hyphens
+ */
+exports.slugifyHeading = (text) => {
+  return String(text)
+    .toLowerCase()
+    .replace(/<[^>]*>/g, '')
+    .replace(/&[a-z0-9#]+;/g, '')
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .trim()
+    .replace(/\s+/g, '-');
+};
+
+exports.escapeHtml = escapeHtml;
+
+/**
+ * Helper function to render a list of lines as block elements
+ */
+function renderBlocks(lines, context) {
+  const html = [];
+  let i = 0;
+  
+  while (i < lines.length) {
+    const line = lines[i];
+    
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+    
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+      const code = [];
+      i++;
+      while (i < lines.length && !closing.test(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+      html.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}${code.length ? '\n' : ''}</code></pre>`);
+      continue;
+    }
+    
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      const level = heading[1].length;
+      const content = renderInline(heading[2] || '', context);
+      const id = uniqueHeadingId(content, context);
+      html.push(`<h${level} id="${id}">${content}</h${level}>`);
+      
+      // Headings inside block quotes and lists are not part of the outline
+      if (!context.nested) {
+        context.headings.push({ level, text: unescapeHtml(content.replace(/<[^>]*>/g, '')), id });
+      }
+      i++;
+      continue;
+    }
+    
+    if (RULE_PATTERN.test(line)) {
+      html.push('<hr>');
+      i++;
+      continue;
+    }
+    
+    if (QUOTE_PATTERN.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+        quoted.push(lines[i].match(QUOTE_PATTERN)[1]);
+        i++;
+      }
+      html.push(`<blockquote>\n${renderBlocks(quoted, { ...context, nested: true })}\n</blockquote>`);
+      continue;
+    }
+    
+    if (LIST_ITEM_PATTERN.test(line)) {
+      i = renderList(lines, i, context, html);
+      continue;
+    }
+    
+    if (line.includes('|') && i + 1 < lines.length && TABLE_DIVIDER_PATTERN.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      i = renderTable(lines, i, context, html);
+      continue;
+    }
+    
+    // Paragraph: runs until a blank line or the start of another block
+    const paragraph = [line];
+    i++;
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines[i])) {
+      paragraph.push(lines[i]);
+      i++;
+    }
+    html.push(`<p>${renderInline(paragraph.map(text => text.trimStart()).join('\n').trimEnd(), context)}</p>`);
+  }
+  
+  return html.join('\n');
+}
+
+/**
+ * Helper function to check whether a line interrupts a paragraph
+ */
+function startsBlock(line) {
+  return FENCE_PATTERN.test(line)
+    || HEADING_PATTERN.test(line)
+    || RULE_PATTERN.test(line)
+    || QUOTE_PATTERN.test(line)
+    || LIST_ITEM_PATTERN.test(line);
+}
+
+/**
+ * Helper function to render a list starting at a line
+ * Items continue on lines indented past the marker; deeper markers start
+ * nested lists.
+ * 
+ * @returns {number} Index of the first line after the list
+ */
+function renderList(lines, start, context, html) {
+  const first = lines[start].match(LIST_ITEM_PATTERN);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let i = start;
+  
+  while (i < lines.length) {
+    const match = lines[i].match(LIST_ITEM_PATTERN);
+    if (!match || match[1].length !== indent || /\d/.test(match[2]) !== ordered) {
+      break;
+    }
+    
+    const contentIndent = indent + match[2].length + 1;
+    const itemLines = [match[3] || ''];
+    i++;
+    
+    while (i < lines.length) {
+      const next = lines[i];
+      if (!next.trim()) {
+        // A blank line continues the item only if indented content follows
+        const following = lines.slice(i + 1).find(candidate => candidate.trim());
+        if (following !== undefined && leadingSpaces(following) >= contentIndent) {
+          itemLines.push('');
+          i++;
+          continue;
+        }
+        break;
+      }
+      if (leadingSpaces(next) <= indent && (LIST_ITEM_PATTERN.test(next) || startsBlock(next))) {
+        break;
+      }
+      itemLines.push(leadingSpaces(next) >= contentIndent ? next.slice(contentIndent) : next.trim());
+      i++;
+    }
+    
+    items.push(renderListItem(itemLines, context));
+    
+    // Blank lines between items of the same list
+    let j = i;
+    while (j < lines.length && !lines[j].trim()) j++;
+    const nextItem = j < lines.length && lines[j].match(LIST_ITEM_PATTERN);
+    if (!nextItem || nextItem[1].length !== indent) {
+      break;
+    }
+    i = j;
+  }
+  
+  const startNumber = ordered ? parseInt(first[2], 10) : 1;
+  const tag = ordered ? 'ol' : 'ul';
+  const startAttribute = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+  html.push(`<${tag}${startAttribute}>\n${items.join('\n')}\n</${tag}>`);
+  return i;
+}
+
+/**
+ * Helper function to render one list item, with an optional task checkbox
+ */
+function renderListItem(itemLines, context) {
+  let checkbox = '';
+  const task = itemLines[0].match(/^\[([ xX])\][ \t]+(.*)$/);
+  if (task) {
+    checkbox = `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> `;
+    itemLines[0] = task[2];
+  }
+  
+  let content = renderBlocks(itemLines, { ...context, nested: true });
+  
+  // Items holding a single paragraph are shown without the paragraph tags
+  const single = content.match(/^<p>([\s\S]*?)<\/p>(\n<(?:ul|ol)[\s\S]*)?$/);
+  if (single && !single[1].includes('<p>')) {
+    content = single[1] + (single[2] || '');
+  }
+  
+  return `<li>${checkbox}${content}</li>`;
+}
+
+/**
+ * Helper function to render a table starting at its header row
+ * 
+ * @returns {number} Index of the first line after the table
+ */
+function renderTable(lines, start, context, html) {
+  const splitRow = row => row.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim());
+  
+  const header = splitRow(lines[start]);
+  const alignments = splitRow(lines[start + 1]).map(cell => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    if (cell.startsWith(':')) return 'left';
+    return null;
+  });
+  const cell = (tag, text, index) => {
+    const align = alignments[index] ? ` style="text-align: ${alignments[index]}"` : '';
+    return `<${tag}${align}>${renderInline(text || '', context)}</${tag}>`;
+  };
+  
+  const rows = [];
+  let i = start + 2;
+  while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+    const cells = splitRow(lines[i]);
+    rows.push(`<tr>${header.map((_, index) => cell('td', cells[index], index)).join('')}</tr>`);
+    i++;
+  }
+  
+  html.push([
+    '<table>',
+    `<thead>\n<tr>${header.map((text, index) => cell('th', text, index)).join('')}</tr>\n</thead>`,
+    rows.length ? `<tbody>\n${rows.join('\n')}\n</tbody>` : '',
+    '</table>'
+  ].filter(Boolean).join('\n'));
+  return i;
+}
+
+/**
+ * Helper function to render inline markdown
+ * Code spans, escapes and generated tags are swapped for placeholders while
+ * the rest of the text is escaped and formatted, then put back. NUL marks
+ * placeholders, so NUL characters in the text become U+FFFD first.
+ */
+function renderInline(text, context) {
+  const stash = [];
+  const hold = html => `\u0000${stash.push(html) - 1}\u0000`;
+  
+  let output = text
+    .replace(/\u0000/g, '\ufffd')
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => hold(`<code>${escapeHtml(code.trim())}</code>`))
+    .replace(ESCAPABLE_PATTERN, (match, char) => hold(escapeHtml(char)));
+  
+  output = escapeHtml(output);
+  
+  // Images: ![alt](src "title")
+  output = output.replace(new RegExp(`!\\[([^\\]]*)\\]\\(${LINK_TARGET}(?:\\s+&quot;(.*?)&quot;)?\\)`, 'g'), (match, alt, src, title) => {
+    const titleAttribute = title ? ` title="${title}"` : '';
+    return hold(`<img src="${safeUrl(resolveMarkdownLink(src, context))}" alt="${alt}"${titleAttribute}>`);
+  });
+  
+  // Links: [text](href "title")
+  output = output.replace(new RegExp(`\\[([^\\]]+)\\]\\(${LINK_TARGET}(?:\\s+&quot;(.*?)&quot;)?\\)`, 'g'), (match, label, href, title) => {
+    const titleAttribute = title ? ` title="${title}"` : '';
+    return `${hold(`<a href="${safeUrl(resolveMarkdownLink(href, context))}"${titleAttribute}>`)}${label}${hold('</a>')}`;
+  });
+  
+  // Wikilinks and embeds: [[target#heading|alias]]
+  output = output.replace(/(!?)\[\[([^\[\]|#\n]+)(?:#([^\[\]|\n]*))?(?:\|([^\[\]\n]*))?\]\]/g, (match, embed, target, heading, alias) => {
+    const label = alias || (heading ? `${target.trim()} &gt; ${heading}` : target.trim());
+    const href = context.resolveLink
+      ? context.resolveLink({ type: 'wikilink', target: unescapeHtml(target.trim()), heading: heading ? unescapeHtml(heading) : null, alias: alias ? unescapeHtml(alias) : null })
+      : null;
+    if (!href) {
+      return hold(`<span class="wikilink unresolved">${label}</span>`);
+    }
+    return hold(`<a class="wikilink" href="${safeUrl(href)}">${label}</a>`);
+  });
+  
+  // Autolinks: <https://example.com>
+  output = output.replace(/&lt;((?:https?|mailto):[^\s&]+)&gt;/gi, (match, url) => hold(`<a href="${safeUrl(url)}">${url}</a>`));
+  
+  output = output
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/(^|[^\w*])\*(?=\S)([\s\S]*?\S)\*(?!\w)/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+  
+  // Placeholders may contain earlier ones, such as code inside a wikilink alias
+  const restore = html => html.replace(/\u0000(\d+)\u0000/g, (match, index) => restore(stash[index]));
+  return restore(output);
+}
+
+/**
+ * Helper function to let resolveLink rewrite a relative markdown link
+ */
+function resolveMarkdownLink(escapedTarget, context) {
+  const target = unescapeHtml(escapedTarget);
+  if (!context.resolveLink || /^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith('#')) {
+    return target;
+  }
+  return context.resolveLink({ type: 'markdown', target, heading: null, alias: null }) || target;
+}
+
+/**
+ * Helper function to allow only relative URLs and safe schemes
+ * Returns the URL escaped for an attribute.
+ */
+function safeUrl(url) {
+  const trimmed = String(url).trim();
+  const scheme = trimmed.replace(/[\u0000-\u001f\s]/g, '').match(/^([a-z][a-z0-9+.-]*:)/i);
+  if (scheme && !SAFE_SCHEMES.includes(scheme[1].toLowerCase())) {
+    return '#';
+  }
+  return escapeHtml(trimmed);
+}
+
+/**
+ * Helper function to undo escapeHtml
+ */
+function unescapeHtml(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Helper function to give a heading an ID not used earlier in the document
+ */
+function uniqueHeadingId(content, context) {
+  const base = exports.slugifyHeading(content) || 'section';
+  const count = context.headingIds.get(base) || 0;
+  context.headingIds.set(base, count + 1);
+  return count === 0 ? base : `${base}-${count}`;
+}
+
+/**
+ * Helper function to count the spaces a line starts with
+ */
+function leadingSpaces(line) {
+  return line.match(/^ */)[0].length;
+}
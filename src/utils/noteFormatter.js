@@ -12,10 +12,13 @@ const yaml = require('js-yaml');
  * 
  * @param {string} content - The raw note content
  * @param {string} filePath - The file path
- * @param {string} notesDir - The base notes directory for ID calculation
- * @returns {Object} Structured note data
+ * @param {string} notesDir - The base notes directory for path calculation
+ * @returns {Object} Structured note data; the ID is the stable `id` from the
+ *                   frontmatter, or the relative path for notes without one
  */
 exports.parseNoteContent = (content, filePath, notesDir) => {
+  const relativePath = path.relative(notesDir, filePath);
+  
   const metadataMatch = content.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
   
   if (!metadataMatch) {
@@ -24,8 +27,9 @@ exports.parseNoteContent = (content, filePath, notesDir) => {
     const title = titleMatch ? titleMatch[1] : path.basename(filePath, '.md');
     
     return {
-      id: path.relative(notesDir, filePath),
+      id: relativePath,
       path: filePath,
+      relativePath,
       title: title,
       content: content,
       metadata: {}
@@ -33,7 +37,7 @@ exports.parseNoteContent = (content, filePath, notesDir) => {
   }
   
   try {
-    const metadata = yaml.load(metadataMatch[1]);
+    const metadata = yaml.load(metadataMatch[1]) || {};
     const bodyContent = metadataMatch[2];
     
     // Extract title from first h1
@@ -41,8 +45,9 @@ exports.parseNoteContent = (content, filePath, notesDir) => {
     const title = titleMatch ? titleMatch[1] : path.basename(filePath, '.md');
     
     return {
-      id: path.relative(notesDir, filePath),
+      id: metadata.id ? String(metadata.id) : relativePath,
       path: filePath,
+      relativePath,
       title: title,
       content: bodyContent.trim(),
       metadata
@@ -50,8 +55,9 @@ exports.parseNoteContent = (content, filePath, notesDir) => {
   } catch (error) {
     console.error('Error parsing metadata:', error);
     return {
-      id: path.relative(notesDir, filePath),
+      id: relativePath,
       path: filePath,
+      relativePath,
       title: path.basename(filePath, '.md'),
       content: content,
       metadata: {}
@@ -59,6 +65,38 @@ exports.parseNoteContent = (content, filePath, notesDir) => {
   }
 };
 
+/**
+ * Parse an uploaded markdown file, such as the body of a `text/markdown` request
+ * 
+ * @param {string} text - File content, with or without YAML frontmatter
+ * @returns {Object} `{ metadata, title, content }`; the title is the first
+ *                   `# ` heading, or the frontmatter `title`, or null
+ * @throws {Error} 400 if the frontmatter is not a valid YAML mapping
+ */
+exports.parseMarkdownFile = (text) => {
+  const normalized = String(text).replace(/\r\n?/g, '\n');
+  const metadataMatch = normalized.match(/^---\n([\s\S]*?)\n---(?:\n([\s\S]*))?$/);
+  
+  let metadata = {};
+  let body = normalized;
+  if (metadataMatch) {
+    try {
+      metadata = yaml.load(metadataMatch[1]) || {};
+    } catch (error) {
+      throw badUpload(`Invalid frontmatter: ${error.reason || error.message}`);
+    }
+    if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+      throw badUpload('Frontmatter must be a YAML mapping of fields');
+    }
+    body = metadataMatch[2] || '';
+  }
+  
+  const titleMatch = body.match(/^# (.*?)$/m);
+  const title = titleMatch ? titleMatch[1].trim() : (metadata.title ? String(metadata.title) : null);
+  
+  return { metadata, title, content: body.trim() };
+};
+
 /**
  * Format a note's metadata and content into a string
  * 
@@ -76,4 +114,13 @@ exports.formatNoteContent = (metadata, title, content) => {
   } else {
     return `---\n${metadataYaml}---\n\n# ${title}\n\n${content}`;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Helper function to create a 400 error for an uploaded file that cannot be parsed
+ */
+function badUpload(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
\ No newline at end of file
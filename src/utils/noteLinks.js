@@ -0,0 +1,334 @@
+/**
+ * Note Link Utilities
+ * 
+ * Functions for finding and rewriting references between notes: markdown
+ * links such as `[text](../topics/2025-03-15_note.md)`, wikilinks such as
+ * `[[Note Title]]` or `[[id|alias]]`, and entries in the `related` metadata
+ * field. Links inside code blocks and inline code are ignored.
+ */
+
+const path = require('path');
+
+// Inline markdown links and images: [text](target "optional title")
+const MARKDOWN_LINK_PATTERN = /(!?\[[^\]]*\]\()([^)\s]+)((?:\s+"[^"]*")?\))/g;
+
+// Wikilinks and embeds: [[target]], [[target#heading|alias]], ![[target]]
+const WIKILINK_PATTERN = /(!?\[\[)([^\[\]|#\n]+)((?:#[^\[\]|\n]*)?)((?:\|[^\[\]\n]*)?)(\]\])/g;
+
+// Fenced code blocks and inline code spans
+const CODE_PATTERN = /^(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:^\1[^\S\n]*$|(?![\s\S]))|`[^`\n]+`/gm;
+
+// Targets with a scheme (https:, mailto:) point outside the notes store
+const EXTERNAL_TARGET_PATTERN = /^[a-z][a-z0-9+.-]*:/i;
+
+/**
+ * Apply a replacement to the parts of a note outside code
+ * 
+ * @param {string} content - Note content
+ * @param {RegExp} pattern - Global pattern to replace
+ * @param {Function} replacer - Replacement function, as for String.replace
+ * @returns {string} Content with replacements applied
+ */
+function replaceOutsideCode(content, pattern, replacer) {
+  let result = '';
+  let lastIndex = 0;
+  
+  for (const code of content.matchAll(CODE_PATTERN)) {
+    result += content.slice(lastIndex, code.index).replace(pattern, replacer);
+    result += code[0];
+    lastIndex = code.index + code[0].length;
+  }
+  
+  return result + content.slice(lastIndex).replace(pattern, replacer);
+}
+
+/**
+ * Resolve a markdown link target to a storage key
+ * 
+ * @param {string} target - Link target without fragment or query
+ * @param {string} fromKey - Storage key of the note containing the link
+ * @returns {string|null} Storage key, or null if the target is not a note path
+ */
+function resolveTarget(target, fromKey) {
+  if (!target || EXTERNAL_TARGET_PATTERN.test(target)) {
+    return null;
+  }
+  
+  let decoded;
+  try {
+    decoded = decodeURI(target);
+  } catch (error) {
+    return null;
+  }
+  
+  const resolved = decoded.startsWith('/')
+    ? path.posix.normalize(decoded.slice(1))
+    : path.posix.normalize(path.posix.join(path.posix.dirname(fromKey), decoded));
+  
+  return resolved.startsWith('..') ? null : resolved;
+}
+
+/**
+ * Rewrite the markdown links in a note
+ * 
+ * @param {string} content - Note content
+ * @param {string} fromKey - Storage key the links are currently relative to
+ * @param {Function} rewrite - Maps a linked storage key to its new key, or returns null to keep it
+ * @param {string} [toKey] - Storage key the links should be relative to (default: fromKey)
+ * @returns {string} Content with rewritten links
+ */
+function rewriteMarkdownLinks(content, fromKey, rewrite, toKey = fromKey) {
+  return replaceOutsideCode(content, MARKDOWN_LINK_PATTERN, (match, open, target, close) => {
+    // Keep fragments and queries as written
+    const suffixStart = target.search(/[#?]/);
+    const pathPart = suffixStart === -1 ? target : target.slice(0, suffixStart);
+    const suffix = suffixStart === -1 ? '' : target.slice(suffixStart);
+    
+    const linkedKey = resolveTarget(pathPart, fromKey);
+    if (!linkedKey) {
+      return match;
+    }
+    
+    // Links to unaffected notes only change when the linking note changes folder
+    const newKey = rewrite(linkedKey);
+    if (!newKey && path.posix.dirname(fromKey) === path.posix.dirname(toKey)) {
+      return match;
+    }
+    
+    const finalKey = newKey || linkedKey;
+    const newTarget = pathPart.startsWith('/')
+      ? `/${finalKey}`
+      : path.posix.relative(path.posix.dirname(toKey), finalKey);
+    
+    return `${open}${encodeURI(newTarget)}${suffix}${close}`;
+  });
+}
+
+/**
+ * List the notes a note links to with markdown links
+ * 
+ * @param {string} content - Note content
+ * @param {string} fromKey - Storage key of the note
+ * @returns {Array} Links as `{ target, key }`, where key is the linked storage key
+ */
+exports.extractMarkdownLinks = (content, fromKey) => {
+  const links = [];
+  
+  replaceOutsideCode(content, MARKDOWN_LINK_PATTERN, (match, open, target) => {
+    const pathPart = target.split(/[#?]/)[0];
+    const key = resolveTarget(pathPart, fromKey);
+    if (key && key.endsWith('.md')) {
+      links.push({ target, key });
+    }
+    return match;
+  });
+  
+  return links;
+};
+
+/**
+ * List the wikilinks in a note
+ * 
+ * @param {string} content - Note content
+ * @returns {Array} Links as `{ target, heading, alias }`
+ */
+exports.extractWikilinks = (content) => {
+  const links = [];
+  
+  replaceOutsideCode(content, WIKILINK_PATTERN, (match, open, target, heading, alias) => {
+    links.push({
+      target: target.trim(),
+      heading: heading ? heading.slice(1) : null,
+      alias: alias ? alias.slice(1) : null
+    });
+    return match;
+  });
+  
+  return links;
+};
+
+/**
+ * Rewrite the targets of wikilinks, keeping headings and aliases
+ * 
+ * @param {string} content - Note content
+ * @param {Function} rewrite - Maps a link target to its new target, or returns null to keep it
+ * @returns {string} Content with rewritten links
+ */
+exports.rewriteWikilinks = (content, rewrite) => {
+  return replaceOutsideCode(content, WIKILINK_PATTERN, (match, open, target, heading, alias, close) => {
+    const newTarget = rewrite(target.trim());
+    return newTarget ? `${open}${newTarget}${heading}${alias}${close}` : match;
+  });
+};
+
+/**
+ * Replace whole wikilinks and embeds
+ * 
+ * @param {string} content - Note content
+ * @param {Function} replace - Receives `{ embed, target, heading, alias }` and returns the replacement text, or null to keep the link
+ * @returns {string} Content with replaced links
+ */
+exports.replaceWikilinks = (content, replace) => {
+  return replaceOutsideCode(content, WIKILINK_PATTERN, (match, open, target, heading, alias) => {
+    const replacement = replace({
+      embed: open.startsWith('!'),
+      target: target.trim(),
+      heading: heading ? heading.slice(1) : null,
+      alias: alias ? alias.slice(1) : null
+    });
+    return replacement === null ? match : replacement;
+  });
+};
+
+/**
+ * Rewrite the markdown links of a note stored under a new key, pointing
+ * links at files that were given new keys too
+ * 
+ * @param {string} content - Note content
+ * @param {string} fromKey - Path the note's links were written relative to
+ * @param {string} toKey - New storage key of the note
+ * @param {Map} keyMap - New keys by old path, for the linked files that moved
+ * @returns {string} Content with rewritten links
+ */
+exports.remapLinks = (content, fromKey, toKey, keyMap) => {
+  return rewriteMarkdownLinks(content, fromKey, linkedKey => keyMap.get(linkedKey) || null, toKey);
+};
+
+/**
+ * Create a function that resolves wikilink targets to notes
+ * Targets are matched against stable IDs, then storage keys and file names
+ * (with or without the extension), then titles, ignoring case.
+ * 
+ * @param {Array} notes - Parsed notes
+ * @returns {Function} Resolver taking a target and returning a note or null
+ */
+exports.createLinkResolver = (notes) => {
+  const byId = new Map();
+  const byPath = new Map();
+  const byTitle = new Map();
+  
+  // Earlier notes win when names collide, so the newest note is preferred
+  const add = (map, key, note) => {
+    if (!map.has(key)) map.set(key, note);
+  };
+  
+  for (const note of notes) {
+    byId.set(note.id, note);
+    
+    const stripped = note.relativePath.replace(/\.md$/, '');
+    add(byPath, stripped.toLowerCase(), note);
+    add(byPath, path.posix.basename(stripped).toLowerCase(), note);
+    add(byTitle, note.title.trim().toLowerCase(), note);
+  }
+  
+  return (target) => {
+    const normalized = target.trim().toLowerCase();
+    return byId.get(target.trim())
+      || byPath.get(normalized.replace(/\.md$/, ''))
+      || byTitle.get(normalized)
+      || null;
+  };
+};
+
+/**
+ * Point markdown links to a moved note at its new location
+ * 
+ * @param {string} content - Content of the linking note
+ * @param {string} linkingKey - Storage key of the linking note
+ * @param {string} oldKey - Previous storage key of the moved note
+ * @param {string} newKey - New storage key of the moved note
+ * @returns {string} Content with rewritten links
+ */
+exports.retargetLinks = (content, linkingKey, oldKey, newKey) => {
+  return rewriteMarkdownLinks(content, linkingKey, linkedKey => (linkedKey === oldKey ? newKey : null));
+};
+
+/**
+ * Point wikilinks to a moved or renamed note at its new name
+ * Links by title get the new title and links by path get the new path, in
+ * the same form as written. Links by stable ID never change.
+ * 
+ * @param {string} content - Content of the linking note
+ * @param {Function} resolve - Link resolver built before the move (see createLinkResolver)
+ * @param {Object} moved - The moved note as parsed before the move
+ * @param {string} newKey - New storage key of the moved note
+ * @param {string} newTitle - New title of the moved note
+ * @returns {string} Content with rewritten links
+ */
+exports.retargetWikilinks = (content, resolve, moved, newKey, newTitle) => {
+  const stripExtension = key => key.replace(/\.md$/i, '');
+  const oldKey = moved.relativePath;
+  
+  return exports.rewriteWikilinks(content, target => {
+    if (target === moved.id || resolve(target) !== moved) {
+      return null;
+    }
+    
+    const withExtension = /\.md$/i.test(target);
+    const lowered = stripExtension(target).toLowerCase();
+    let replacement = null;
+    
+    if (lowered === stripExtension(oldKey).toLowerCase()) {
+      replacement = stripExtension(newKey);
+    } else if (lowered === stripExtension(path.posix.basename(oldKey)).toLowerCase()) {
+      replacement = stripExtension(path.posix.basename(newKey));
+    } else if (target.toLowerCase() === moved.title.trim().toLowerCase()) {
+      return target === newTitle ? null : newTitle;
+    }
+    
+    if (!replacement) {
+      return null;
+    }
+    
+    replacement = withExtension ? `${replacement}.md` : replacement;
+    return replacement === target ? null : replacement;
+  });
+};
+
+/**
+ * Keep a moved note's own relative links pointing at the same notes
+ * Links to the note itself follow it to its new location.
+ * 
+ * @param {string} content - Content of the moved note
+ * @param {string} oldKey - Previous storage key of the note
+ * @param {string} newKey - New storage key of the note
+ * @returns {string} Content with rewritten links
+ */
+exports.rebaseLinks = (content, oldKey, newKey) => {
+  return rewriteMarkdownLinks(content, oldKey, linkedKey => (linkedKey === oldKey ? newKey : null), newKey);
+};
+
+/**
+ * Point `related` entries for a moved note at its new location
+ * Entries may be full paths or file names, with or without the extension;
+ * stable IDs never change and are left alone.
+ * 
+ * @param {Array} related - Related note references
+ * @param {string} oldKey - Previous storage key of the moved note
+ * @param {string} newKey - New storage key of the moved note
+ * @returns {Array|null} Rewritten entries, or null if nothing referenced the note
+ */
+exports.retargetRelated = (related, oldKey, newKey) => {
+  if (!Array.isArray(related)) {
+    return null;
+  }
+  
+  const stripExtension = key => key.replace(/\.md$/, '');
+  const replacements = new Map([
+    [oldKey, newKey],
+    [stripExtension(oldKey), stripExtension(newKey)],
+    [path.posix.basename(oldKey), path.posix.basename(newKey)],
+    [stripExtension(path.posix.basename(oldKey)), stripExtension(path.posix.basename(newKey))]
+  ]);
+  
+  let changed = false;
+  const rewritten = related.map(entry => {
+    if (typeof entry === 'string' && replacements.has(entry)) {
+      changed = true;
+      return replacements.get(entry);
+    }
+    return entry;
+  });
+  
+  return changed ? rewritten : null;
+};
@@ -0,0 +1,81 @@
+/**
+ * Note Rendering
+ * 
+ * Renders notes as sanitised HTML with a table of contents, pointing links
+ * between notes at the URLs the caller serves them from.
+ */
+
+const path = require('path');
+const { createLinkResolver } = require('./noteLinks');
+const { renderWithOutline, slugifyHeading, escapeHtml } = require('./markdown');
+
+/**
+ * Create a function that renders notes
+ * Wikilinks are resolved as everywhere else (ID, path, file name or title)
+ * and relative markdown links by path; both then point at `noteUrl`.
+ * Wikilinks that resolve to no note are marked as unresolved.
+ * 
+ * @param {Array} notes - Parsed notes that links may point to
+ * @param {Object} options - Rendering options
+ * @param {Function} options.noteUrl - Takes the linked note and the note being
+ *   rendered, and returns the URL of the linked note
+ * @returns {Function} Renderer taking a parsed note and returning `{ html, outline }`
+ */
+exports.createNoteRenderer = (notes, { noteUrl }) => {
+  const resolve = createLinkResolver(notes);
+  const byKey = new Map(notes.map(note => [note.relativePath, note]));
+  
+  return (note) => renderWithOutline(note.content, {
+    resolveLink: ({ type, target, heading }) => {
+      if (type === 'wikilink') {
+        const linked = resolve(target);
+        return linked ? withFragment(noteUrl(linked, note), heading && encodeURIComponent(slugifyHeading(heading))) : null;
+      }
+      
+      const [linkPath, fragment] = target.split('#');
+      const linked = byKey.get(path.posix.join(path.posix.dirname(note.relativePath), decodeLinkPath(linkPath)));
+      return linked ? withFragment(noteUrl(linked, note), fragment) : null;
+    }
+  });
+};
+
+/**
+ * Wrap a rendered note in a standalone HTML page
+ * 
+ * @param {Object} rendered - Rendered note with its `title` and `html`
+ * @returns {string} HTML document
+ */
+exports.toHtmlDocument = ({ title, html }) => {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+</head>
+<body>
+<main>
+${html}
+</main>
+</body>
+</html>
+`;
+};
+
+/**
+ * Helper function to add a fragment to a URL
+ */
+function withFragment(url, fragment) {
+  return fragment ? `${url}#${fragment}` : url;
+}
+
+/**
+ * Helper function to decode a percent-encoded link path, keeping malformed ones as written
+ */
+function decodeLinkPath(linkPath) {
+  try {
+    return decodeURI(linkPath);
+  } catch (error) {
+    return linkPath;
+  }
+}
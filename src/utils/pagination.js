@@ -0,0 +1,53 @@
+/**
+ * Pagination Utilities
+ * 
+ * Opaque cursors for paging through sorted note lists. A cursor records the
+ * sort key and ID of the last note on a page, so the next page starts after
+ * that note even if notes are added or removed in between.
+ */
+
+/**
+ * Create a cursor pointing after a note
+ * 
+ * @param {Object} position - Sort order and position
+ * @param {string} position.sort - Sort field
+ * @param {string} position.order - 'asc' or 'desc'
+ * @param {string} position.value - Sort key of the last note on the page
+ * @param {string} position.id - ID of the last note on the page
+ * @returns {string} Cursor
+ */
+exports.encodeCursor = ({ sort, order, value, id }) => {
+  return Buffer.from(JSON.stringify({ sort, order, value, id })).toString('base64url');
+};
+
+/**
+ * Read a cursor created by encodeCursor
+ * 
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} sort - Sort field of the current request
+ * @param {string} order - Sort order of the current request
+ * @returns {Object} Position as `{ value, id }`
+ * @throws {Error} 400 if the cursor is malformed or was made for another sort order
+ */
+exports.decodeCursor = (cursor, sort, order) => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    position = null;
+  }
+  
+  if (!position || typeof position.value !== 'string' || typeof position.id !== 'string') {
+    const error = new Error('Invalid cursor');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  if (position.sort !== sort || position.order !== order) {
+    const error = new Error(`Cursor was created for sort=${position.sort}&order=${position.order}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  return { value: position.value, id: position.id };
+};
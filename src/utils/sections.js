@@ -0,0 +1,145 @@
+/**
+ * Note Sections
+ * 
+ * Splits a note body into a tree of sections by its markdown headings, so a
+ * single section can be read or edited. A section runs from its heading to
+ * the next heading of the same or a higher level, and contains the sections
+ * of the deeper headings in between. Headings inside code blocks are ignored.
+ */
+
+const HEADING_PATTERN = /^ {0,3}(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/;
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+
+/**
+ * Parse a note body into sections
+ * 
+ * @param {string} content - Note body
+ * @returns {Object} `{ lines, sections }`: the body's lines and a tree of
+ *   `{ heading, level, path, start, end, children }`, where `start` is the
+ *   heading's line and `end` the line after the section's last one
+ */
+exports.parseSections = (content) => {
+  const lines = String(content).replace(/\r\n?/g, '\n').split('\n');
+  const sections = [];
+  const open = [];
+  
+  for (const { index, level, heading } of findHeadings(lines)) {
+    while (open.length && open[open.length - 1].level >= level) {
+      open.pop().end = index;
+    }
+    
+    const parent = open[open.length - 1];
+    const section = {
+      heading,
+      level,
+      path: parent ? [...parent.path, heading] : [heading],
+      start: index,
+      end: lines.length,
+      children: []
+    };
+    
+    (parent ? parent.children : sections).push(section);
+    open.push(section);
+  }
+  
+  return { lines, sections };
+};
+
+/**
+ * Find the sections a heading path points to
+ * Each heading in the path is matched, ignoring case, against the sections
+ * directly within the previous one, or at any depth if none of those match.
+ * So `['Findings']` finds a Findings section wherever it is, `['Week 2',
+ * 'Findings']` only the one in Week 2, and `['Title', 'Findings']` the one
+ * directly under the title rather than those deeper down.
+ * 
+ * @param {Array} sections - Section tree from parseSections
+ * @param {Array} headingPath - Headings from the outermost in
+ * @returns {Array} Matching sections, in document order
+ */
+exports.findSections = (sections, headingPath) => {
+  let candidates = sections;
+  let matches = [];
+  
+  for (const heading of headingPath) {
+    const wanted = normalizeHeading(heading);
+    const isWanted = section => normalizeHeading(section.heading) === wanted;
+    
+    matches = candidates.filter(isWanted);
+    if (matches.length === 0) {
+      matches = flatten(candidates).filter(isWanted);
+    }
+    candidates = matches.flatMap(section => section.children);
+  }
+  
+  // A section nested in another match is found through its ancestor too
+  return [...new Map(matches.map(section => [section.start, section])).values()]
+    .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Describe a section tree without line positions
+ * 
+ * @param {Array} sections - Section tree from parseSections
+ * @returns {Array} Tree of `{ heading, level, path, children }`
+ */
+exports.toOutline = (sections) => {
+  return sections.map(section => ({
+    heading: section.heading,
+    level: section.level,
+    path: section.path,
+    children: exports.toOutline(section.children)
+  }));
+};
+
+/**
+ * List the levels of the headings in some markdown
+ * 
+ * @param {string} content - Markdown text
+ * @returns {Array} Heading levels, in order
+ */
+exports.headingLevels = (content) => {
+  const lines = String(content).replace(/\r\n?/g, '\n').split('\n');
+  return findHeadings(lines).map(heading => heading.level);
+};
+
+/**
+ * Helper function to find the headings outside code blocks
+ */
+function findHeadings(lines) {
+  const headings = [];
+  let fence = null;
+  
+  lines.forEach((line, index) => {
+    const marker = line.match(FENCE_PATTERN);
+    if (marker) {
+      if (!fence) {
+        fence = marker[1];
+      } else if (marker[1][0] === fence[0] && marker[1].length >= fence.length) {
+        fence = null;
+      }
+      return;
+    }
+    
+    const match = !fence && line.match(HEADING_PATTERN);
+    if (match && match[2]) {
+      headings.push({ index, level: match[1].length, heading: match[2] });
+    }
+  });
+  
+  return headings;
+}
+
+/**
+ * Helper function to list a section tree's sections in document order
+ */
+function flatten(sections) {
+  return sections.flatMap(section => [section, ...flatten(section.children)]);
+}
+
+/**
+ * Helper function to compare headings ignoring case and spacing
+ */
+function normalizeHeading(heading) {
+  return String(heading).trim().replace(/\s+/g, ' ').toLowerCase();
+}
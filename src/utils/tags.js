@@ -0,0 +1,62 @@
+/**
+ * Tag Utilities
+ * 
+ * Tags are hierarchical: `ml/nlp` is a child of `ml`, so filtering on `ml`
+ * also finds notes tagged `ml/nlp`.
+ */
+
+/**
+ * Check whether a note's tag matches a tag filter
+ * 
+ * @param {string} noteTag - Tag on the note
+ * @param {string} filterTag - Tag being filtered on
+ * @returns {boolean} True if the tag is the filter tag or one of its children
+ */
+exports.matchesTag = (noteTag, filterTag) => {
+  const tag = String(noteTag);
+  return tag === filterTag || tag.startsWith(`${filterTag}/`);
+};
+
+/**
+ * List a tag and its parents
+ * 
+ * @param {string} tag - Tag such as `ml/nlp/transformers`
+ * @returns {Array} The tag's ancestors and the tag itself, e.g. `ml`, `ml/nlp`, `ml/nlp/transformers`
+ */
+exports.tagAncestors = (tag) => {
+  const segments = String(tag).split('/');
+  return segments.map((segment, index) => segments.slice(0, index + 1).join('/'));
+};
+
+/**
+ * Rename a tag, carrying its children along
+ * 
+ * @param {string} tag - Tag on a note
+ * @param {string} from - Tag being renamed
+ * @param {string} to - New name
+ * @returns {string|null} Renamed tag, or null if the tag is not `from` or one of its children
+ */
+exports.renameTag = (tag, from, to) => {
+  const value = String(tag);
+  if (value === from) {
+    return to;
+  }
+  return value.startsWith(`${from}/`) ? `${to}${value.slice(from.length)}` : null;
+};
+
+/**
+ * Check that a tag name is usable
+ * Tags are non-empty, have no empty hierarchy levels and contain no commas,
+ * which separate tags in filters. A level may not be `.` or `..`, since tags
+ * become file names in exports.
+ * 
+ * @param {string} tag - Tag name
+ * @returns {boolean} True if the tag is valid
+ */
+exports.isValidTag = (tag) => {
+  return typeof tag === 'string'
+    && tag.trim() === tag
+    && tag !== ''
+    && !tag.includes(',')
+    && tag.split('/').every(segment => segment.trim() !== '' && segment !== '.' && segment !== '..');
+};
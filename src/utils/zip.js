@@ -0,0 +1,303 @@
+/**
+ * Zip Utilities
+ * 
+ * Reads and writes zip archives, such as a zipped Obsidian vault, without
+ * extra dependencies. Entries may be stored or deflated; encrypted and Zip64
+ * archives are not supported.
+ */
+
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+// Version 2.0 is needed for deflate; bit 11 marks UTF-8 file names
+const VERSION_NEEDED = 20;
+const FLAG_UTF8 = 0x0800;
+
+// Largest total size of the files in an archive, against zip bombs
+const MAX_UNCOMPRESSED_SIZE = 512 * 1024 * 1024;
+
+// CRC-32 lookup table (IEEE polynomial)
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+/**
+ * Compute the CRC-32 checksum of some data
+ * 
+ * @param {Buffer} data - Data to checksum
+ * @param {number} [crc] - Checksum of the data before this chunk
+ * @returns {number} Unsigned checksum
+ */
+function crc32(data, crc = 0) {
+  let c = ~crc;
+  for (let i = 0; i < data.length; i++) {
+    c = CRC_TABLE[(c ^ data[i]) & 0xff] ^ (c >>> 8);
+  }
+  return ~c >>> 0;
+}
+
+/**
+ * Read the files in a zip archive
+ * 
+ * @param {Buffer} buffer - The whole archive
+ * @returns {Array} Files as `{ name, data, modified }`; folders are left out
+ * @throws {Error} 400 if the archive is malformed or uses unsupported features
+ */
+exports.readZip = (buffer) => {
+  const end = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  
+  const files = [];
+  let totalSize = 0;
+  
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw zipError('Invalid zip archive: damaged central directory');
+    }
+    
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const modified = fromDosDateTime(buffer.readUInt16LE(offset + 14), buffer.readUInt16LE(offset + 12));
+    const checksum = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    
+    offset += 46 + nameLength + extraLength + commentLength;
+    
+    if (name.endsWith('/')) {
+      continue;
+    }
+    
+    if (flags & 0x1) {
+      throw zipError(`Encrypted zip entries are not supported: ${name}`);
+    }
+    
+    if (compressedSize === 0xffffffff || size === 0xffffffff || localOffset === 0xffffffff) {
+      throw zipError('Zip64 archives are not supported');
+    }
+    
+    totalSize += size;
+    if (totalSize > MAX_UNCOMPRESSED_SIZE) {
+      throw zipError('Zip archive is too large once uncompressed');
+    }
+    
+    const data = extractEntry(buffer, { name, method, localOffset, compressedSize, size });
+    if (crc32(data) !== checksum) {
+      throw zipError(`Invalid zip archive: checksum mismatch in ${name}`);
+    }
+    
+    files.push({ name, data, modified });
+  }
+  
+  return files;
+};
+
+/**
+ * Write a zip archive to a stream, one file at a time
+ * Each file is compressed and written as soon as it is added, so only the
+ * central directory, a few dozen bytes per file, is held until the end.
+ * 
+ * @param {stream.Writable} stream - Where to write the archive, such as an HTTP response
+ * @returns {Object} Writer with `addFile(name, data, modified)` and `finish()`,
+ *   both async and resolving once the stream can take more data
+ */
+exports.createZipWriter = (stream) => {
+  const entries = [];
+  let offset = 0;
+  
+  const write = (chunk) => {
+    offset += chunk.length;
+    if (stream.write(chunk)) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const onDrain = () => {
+        stream.off('close', onClose);
+        resolve();
+      };
+      const onClose = () => {
+        stream.off('drain', onDrain);
+        reject(new Error('Stream closed before the archive was written'));
+      };
+      stream.once('drain', onDrain);
+      stream.once('close', onClose);
+    });
+  };
+  
+  return {
+    async addFile(name, data, modified = new Date()) {
+      // Entries must stay inside the folder the archive is extracted to
+      if (name.startsWith('/') || name.split(/[\\/]/).includes('..')) {
+        throw new Error(`Unsafe zip entry name: ${name}`);
+      }
+      
+      const content = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+      const compressed = zlib.deflateRawSync(content);
+      
+      // Tiny or incompressible files are smaller stored as they are
+      const deflated = compressed.length < content.length;
+      const entry = {
+        name: Buffer.from(name, 'utf8'),
+        method: deflated ? METHOD_DEFLATED : METHOD_STORED,
+        ...toDosDateTime(modified),
+        checksum: crc32(content),
+        compressedSize: deflated ? compressed.length : content.length,
+        size: content.length,
+        localOffset: offset
+      };
+      
+      if (offset + entry.compressedSize > 0xffffffff || entries.length >= 0xffff) {
+        throw new Error('Archive is too large for a zip file without Zip64');
+      }
+      
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+      header.writeUInt16LE(VERSION_NEEDED, 4);
+      header.writeUInt16LE(FLAG_UTF8, 6);
+      header.writeUInt16LE(entry.method, 8);
+      header.writeUInt16LE(entry.time, 10);
+      header.writeUInt16LE(entry.date, 12);
+      header.writeUInt32LE(entry.checksum, 14);
+      header.writeUInt32LE(entry.compressedSize, 18);
+      header.writeUInt32LE(entry.size, 22);
+      header.writeUInt16LE(entry.name.length, 26);
+      header.writeUInt16LE(0, 28);
+      
+      entries.push(entry);
+      await write(Buffer.concat([header, entry.name]));
+      await write(deflated ? compressed : content);
+    },
+    
+    async finish() {
+      const start = offset;
+      
+      for (const entry of entries) {
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+        header.writeUInt16LE(VERSION_NEEDED, 4);
+        header.writeUInt16LE(VERSION_NEEDED, 6);
+        header.writeUInt16LE(FLAG_UTF8, 8);
+        header.writeUInt16LE(entry.method, 10);
+        header.writeUInt16LE(entry.time, 12);
+        header.writeUInt16LE(entry.date, 14);
+        header.writeUInt32LE(entry.checksum, 16);
+        header.writeUInt32LE(entry.compressedSize, 20);
+        header.writeUInt32LE(entry.size, 24);
+        header.writeUInt16LE(entry.name.length, 28);
+        header.writeUInt32LE(entry.localOffset, 42);
+        await write(Buffer.concat([header, entry.name]));
+      }
+      
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(offset - start, 12);
+      end.writeUInt32LE(start, 16);
+      await write(end);
+    }
+  };
+};
+
+/**
+ * Helper function to find the end of central directory record
+ * It is the last record in the archive, followed only by an optional comment.
+ */
+function findEndOfCentralDirectory(buffer) {
+  const earliest = Math.max(0, buffer.length - 22 - 0xffff);
+  
+  for (let offset = buffer.length - 22; offset >= earliest; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  
+  throw zipError('Invalid zip archive');
+}
+
+/**
+ * Helper function to decompress one entry
+ */
+function extractEntry(buffer, { name, method, localOffset, compressedSize, size }) {
+  if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+    throw zipError(`Invalid zip archive: damaged entry ${name}`);
+  }
+  
+  const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+  const compressed = buffer.subarray(start, start + compressedSize);
+  if (compressed.length !== compressedSize) {
+    throw zipError(`Invalid zip archive: truncated entry ${name}`);
+  }
+  
+  if (method === METHOD_STORED) {
+    return compressed;
+  }
+  
+  if (method !== METHOD_DEFLATED) {
+    throw zipError(`Unsupported compression method ${method} in ${name}`);
+  }
+  
+  try {
+    // Never inflate past the size the archive declares
+    return zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(size, 1) });
+  } catch (error) {
+    throw zipError(`Invalid zip archive: cannot decompress ${name}`);
+  }
+}
+
+/**
+ * Helper function to convert an MS-DOS date and time to a Date
+ */
+function fromDosDateTime(date, time) {
+  return new Date(
+    ((date >> 9) & 0x7f) + 1980,
+    ((date >> 5) & 0x0f) - 1,
+    date & 0x1f,
+    (time >> 11) & 0x1f,
+    (time >> 5) & 0x3f,
+    (time & 0x1f) * 2
+  );
+}
+
+/**
+ * Helper function to convert a Date to an MS-DOS date and time
+ * MS-DOS dates start in 1980, so earlier dates are clamped to it.
+ */
+function toDosDateTime(value) {
+  const date = value instanceof Date && !isNaN(value) ? value : new Date();
+  if (date.getFullYear() < 1980) {
+    return { date: (1 << 5) | 1, time: 0 };
+  }
+  
+  return {
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2)
+  };
+}
+
+/**
+ * Helper function to create a 400 error for a bad archive
+ */
+function zipError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+exports.crc32 = crc32;
@@ -0,0 +1,78 @@
+/**
+ * Archive and Trash Tests
+ */
+
+const request = require('supertest');
+const app = require('../src/index');
+const noteModel = require('../src/models/noteModel');
+
+const ADMIN = { 'X-API-Key': 'admin-key' };
+
+describe('Archive and trash', () => {
+  beforeAll(async () => {
+    await noteModel.initializeStorage();
+    await request(app).post('/categories').set(ADMIN).send({ path: 'projects/alpha' });
+  });
+  
+  const createNote = (title, category) => request(app).post('/notes').set(ADMIN)
+    .send({ title, content: 'Draft', category }).then(response => response.body);
+  
+  it('archives a note under its full path and restores it there', async () => {
+    const note = await createNote('Spec', 'projects/alpha');
+    
+    const archived = await request(app).delete(`/notes/${note.id}?archive=true`).set(ADMIN);
+    expect(archived.status).toBe(200);
+    expect(archived.body).toMatchObject({
+      relativePath: `archive/${note.relativePath}`,
+      originalPath: note.relativePath
+    });
+    
+    const listed = await request(app).get('/archive').set(ADMIN);
+    expect(listed.body).toEqual(expect.arrayContaining([
+      expect.objectContaining({ id: note.id, relativePath: `archive/${note.relativePath}`, originalPath: note.relativePath })
+    ]));
+    
+    const restored = await request(app).post(`/notes/${note.id}/restore`).set(ADMIN);
+    expect(restored.status).toBe(200);
+    expect(restored.body).toMatchObject({ relativePath: note.relativePath, restoredFrom: 'archive' });
+    
+    const read = await request(app).get(`/notes/${note.id}`).set(ADMIN);
+    expect(read.body.metadata).not.toHaveProperty('archivedAt');
+    expect(read.body.metadata).not.toHaveProperty('originalPath');
+  });
+  
+  it('refuses to archive over a note already archived at the same path', async () => {
+    const first = await createNote('Roadmap', 'projects/alpha');
+    await request(app).delete(`/notes/${first.id}?archive=true`).set(ADMIN);
+    const second = await createNote('Roadmap', 'projects/alpha');
+    expect(second.relativePath).toBe(first.relativePath);
+    
+    const response = await request(app).delete(`/notes/${second.id}?archive=true`).set(ADMIN);
+    
+    expect(response.status).toBe(409);
+    expect((await request(app).get(`/notes/${second.id}`).set(ADMIN)).status).toBe(200);
+  });
+  
+  it('moves deleted notes to the trash until they are restored', async () => {
+    const note = await createNote('Scratch', 'topics');
+    
+    const deleted = await request(app).delete(`/notes/${note.id}`).set(ADMIN);
+    expect(deleted.status).toBe(200);
+    expect(deleted.body.purgeAfter).toEqual(expect.any(String));
+    expect((await request(app).get(`/notes/${note.id}`).set(ADMIN)).status).toBe(404);
+    
+    const trash = await request(app).get('/trash').set(ADMIN);
+    expect(trash.body.map(item => item.id)).toContain(note.id);
+    
+    const restored = await request(app).post(`/notes/${note.id}/restore`).set(ADMIN);
+    expect(restored.status).toBe(200);
+    expect(restored.body).toMatchObject({ relativePath: note.relativePath, restoredFrom: 'trash' });
+  });
+  
+  it('rejects restoring a note that is neither archived nor deleted', async () => {
+    const note = await createNote('Current', 'topics');
+    
+    const response = await request(app).post(`/notes/${note.id}/restore`).set(ADMIN);
+    expect(response.status).toBe(409);
+  });
+});
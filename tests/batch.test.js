@@ -0,0 +1,114 @@
+/**
+ * Batch Operation Tests
+ */
+
+const request = require('supertest');
+const app = require('../src/index');
+const noteModel = require('../src/models/noteModel');
+
+const ADMIN = { 'X-API-Key': 'admin-key' };
+const RESEARCH = { 'X-API-Key': 'research-key' };
+
+const MISSING_ID = '00000000-0000-4000-8000-000000000000';
+
+describe('POST /notes/batch', () => {
+  let existing;
+  
+  beforeAll(async () => {
+    await noteModel.initializeStorage();
+  });
+  
+  beforeEach(async () => {
+    const created = await request(app).post('/notes').set(ADMIN)
+      .send({ title: 'Existing', content: 'Original body', tags: ['draft'] });
+    existing = created.body;
+  });
+  
+  const getNote = id => request(app).get(`/notes/${id}`).set(ADMIN);
+  
+  it('runs every operation in order', async () => {
+    const response = await request(app).post('/notes/batch').set(ADMIN).send({
+      operations: [
+        { op: 'create', title: 'Batch Created', content: 'New' },
+        { op: 'append', id: existing.id, content: 'Appended' },
+        { op: 'tag', id: existing.id, add: ['reviewed'], remove: ['draft'] }
+      ]
+    });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.succeeded).toBe(3);
+    expect(response.body.results.map(result => result.status)).toEqual([201, 200, 200]);
+    
+    const note = await getNote(existing.id);
+    expect(note.body.content).toContain('Appended');
+    expect(note.body.metadata.tags).toEqual(['reviewed']);
+  });
+  
+  it('undoes earlier operations when one fails', async () => {
+    const response = await request(app).post('/notes/batch').set(ADMIN).send({
+      operations: [
+        { op: 'create', title: 'Rolled Back', content: 'Gone again' },
+        { op: 'update', id: existing.id, content: 'Changed body' },
+        { op: 'delete', id: existing.id, archive: true },
+        { op: 'append', id: MISSING_ID, content: 'Fails' },
+        { op: 'append', id: existing.id, content: 'Never runs' }
+      ]
+    });
+    
+    expect(response.status).toBe(404);
+    expect(response.body.failedIndex).toBe(3);
+    expect(response.body.results.slice(0, 3).every(result => result.rolledBack)).toBe(true);
+    expect(response.body.results[4]).toEqual({ index: 4, op: 'append', skipped: true });
+    
+    const createdId = response.body.results[0].result.id;
+    expect((await getNote(createdId)).status).toBe(404);
+    
+    const note = await getNote(existing.id);
+    expect(note.status).toBe(200);
+    expect(note.body.relativePath).toBe(existing.relativePath);
+    expect(note.body.content).toContain('Original body');
+    
+    const revisions = await request(app).get(`/notes/${existing.id}/revisions`).set(ADMIN);
+    expect(revisions.body.revisions[0].action).toBe('rollback');
+  });
+  
+  it('fails on the first operation the agent may not run', async () => {
+    const response = await request(app).post('/notes/batch').set(RESEARCH).send({
+      operations: [
+        { op: 'append', id: existing.id, content: 'Allowed' },
+        { op: 'delete', id: existing.id }
+      ]
+    });
+    
+    expect(response.status).toBe(403);
+    expect(response.body.failedIndex).toBe(1);
+    expect((await getNote(existing.id)).body.content).not.toContain('Allowed');
+  });
+  
+  it('keeps going with continueOnError', async () => {
+    const response = await request(app).post('/notes/batch').set(ADMIN).send({
+      operations: [
+        { op: 'append', id: MISSING_ID, content: 'Fails' },
+        { op: 'append', id: existing.id, content: 'Kept' }
+      ],
+      continueOnError: true
+    });
+    
+    expect(response.status).toBe(207);
+    expect(response.body).toMatchObject({ succeeded: 1, failed: 1 });
+    expect((await getNote(existing.id)).body.content).toContain('Kept');
+  });
+  
+  it('rejects a malformed operation before anything runs', async () => {
+    const response = await request(app).post('/notes/batch').set(ADMIN).send({
+      operations: [
+        { op: 'append', id: existing.id, content: 'Valid' },
+        { op: 'update', id: existing.id, tags: 'not-a-list' }
+      ]
+    });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.index).toBe(1);
+    expect((await getNote(existing.id)).body.content).not.toContain('Valid');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Category and Tag Validation Tests
+ */
+
+const request = require('supertest');
+const app = require('../src/index');
+const noteModel = require('../src/models/noteModel');
+const { isSystemCategory } = require('../src/models/categoryModel');
+
+const ADMIN = { 'X-API-Key': 'admin-key' };
+
+describe('isSystemCategory', () => {
+  it('matches the archive and the categories nested in it', () => {
+    expect(isSystemCategory('archive')).toBe(true);
+    expect(isSystemCategory('archive/projects')).toBe(true);
+    expect(isSystemCategory('archived')).toBe(false);
+    expect(isSystemCategory('projects/archive')).toBe(false);
+  });
+});
+
+describe('Categories', () => {
+  beforeAll(async () => {
+    await noteModel.initializeStorage();
+  });
+  
+  it('creates nested categories with their parents and counts their notes', async () => {
+    const created = await request(app).post('/categories').set(ADMIN)
+      .send({ path: 'research/quantum', defaultTags: ['quantum'] });
+    expect(created.status).toBe(201);
+    
+    await request(app).post('/notes').set(ADMIN).send({ title: 'Qubits', content: 'Basics', category: 'research/quantum' });
+    
+    const parent = await request(app).get('/categories/research').set(ADMIN);
+    expect(parent.body).toMatchObject({ notes: 0, totalNotes: 1, subcategories: ['research/quantum'] });
+    
+    const nested = await request(app).get('/categories/research%2Fquantum').set(ADMIN);
+    expect(nested.body.notes).toBe(1);
+  });
+  
+  it('only deletes empty categories', async () => {
+    const response = await request(app).delete('/categories/research').set(ADMIN);
+    expect(response.status).toBe(409);
+  });
+  
+  it('rejects notes in categories that do not exist', async () => {
+    const response = await request(app).post('/notes').set(ADMIN)
+      .send({ title: 'Lost', content: 'Nowhere', category: 'research/unknown' });
+    expect(response.status).toBe(400);
+  });
+  
+  it('keeps notes out of the archive category', async () => {
+    await request(app).post('/categories').set(ADMIN).send({ path: 'archive/projects' });
+    
+    const created = await request(app).post('/notes').set(ADMIN)
+      .send({ title: 'Sneaky', content: 'Filed directly', category: 'archive' });
+    expect(created.status).toBe(400);
+    
+    const nested = await request(app).post('/notes').set(ADMIN)
+      .send({ title: 'Sneaky', content: 'Filed directly', category: 'archive/projects' });
+    expect(nested.status).toBe(400);
+    
+    const note = (await request(app).post('/notes').set(ADMIN).send({ title: 'Movable', content: 'Draft' })).body;
+    const moved = await request(app).post(`/notes/${note.id}/move`).set(ADMIN).send({ category: 'archive' });
+    expect(moved.status).toBe(400);
+  });
+  
+  it('does not delete the archive category', async () => {
+    const response = await request(app).delete('/categories/archive').set(ADMIN);
+    expect(response.status).toBe(409);
+    expect((await request(app).get('/categories/archive').set(ADMIN)).status).toBe(200);
+  });
+});
+
+describe('Note tags', () => {
+  let note;
+  
+  beforeAll(async () => {
+    await noteModel.initializeStorage();
+    note = (await request(app).post('/notes').set(ADMIN).send({ title: 'Tagged', content: 'Body', tags: ['ml/nlp'] })).body;
+  });
+  
+  it.each([
+    ['a string', 'physics'],
+    ['a tag with a comma', ['physics, chemistry']],
+    ['a non-string tag', [42]]
+  ])('rejects %s on create and update', async (description, tags) => {
+    const created = await request(app).post('/notes').set(ADMIN).send({ title: 'Bad Tags', content: 'Body', tags });
+    expect(created.status).toBe(400);
+    
+    const updated = await request(app).put(`/notes/${note.id}`).set(ADMIN).send({ tags });
+    expect(updated.status).toBe(400);
+  });
+  
+  it('finds notes by a parent of their hierarchical tags', async () => {
+    const response = await request(app).get('/notes?tags=ml').set(ADMIN);
+    expect(response.body.map(item => item.id)).toContain(note.id);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * ETag and Precondition Tests
+ */
+
+const request = require('supertest');
+const app = require('../src/index');
+const noteModel = require('../src/models/noteModel');
+const { computeEtag, matchesIfMatch, matchesIfNoneMatch } = require('../src/utils/etag');
+
+const ADMIN = { 'X-API-Key': 'admin-key' };
+
+describe('etag utilities', () => {
+  it('computes a strong, quoted tag that changes with the content', () => {
+    const etag = computeEtag('# Note');
+    expect(etag).toMatch(/^"[\w-]+"$/);
+    expect(computeEtag('# Note')).toBe(etag);
+    expect(computeEtag('# Note!')).not.toBe(etag);
+  });
+  
+  it('compares If-Match strongly and If-None-Match weakly', () => {
+    const etag = computeEtag('content');
+    expect(matchesIfMatch(`"other", ${etag}`, etag)).toBe(true);
+    expect(matchesIfMatch('*', etag)).toBe(true);
+    expect(matchesIfMatch(`W/${etag}`, etag)).toBe(false);
+    expect(matchesIfNoneMatch(`W/${etag}`, etag)).toBe(true);
+    expect(matchesIfNoneMatch('"other"', etag)).toBe(false);
+  });
+});
+
+describe('note preconditions', () => {
+  let id;
+  let etag;
+  
+  beforeAll(async () => {
+    await noteModel.initializeStorage();
+  });
+  
+  beforeEach(async () => {
+    const created = await request(app).post('/notes').set(ADMIN)
+      .send({ title: 'Concurrency', content: 'First version' });
+    id = encodeURIComponent(created.body.id);
+    
+    const read = await request(app).get(`/notes/${id}`).set(ADMIN);
+    etag = read.headers.etag;
+  });
+  
+  it('returns the ETag on reads and 304 when it still matches', async () => {
+    expect(etag).toBeDefined();
+    
+    const response = await request(app).get(`/notes/${id}`).set(ADMIN).set('If-None-Match', etag);
+    expect(response.status).toBe(304);
+  });
+  
+  it('applies a change whose If-Match is current and returns the new ETag', async () => {
+    const response = await request(app).put(`/notes/${id}`).set(ADMIN).set('If-Match', etag)
+      .send({ content: 'Second version' });
+    
+    expect(response.status).toBe(200);
+    expect(response.headers.etag).not.toBe(etag);
+    expect(response.body.etag).toBe(response.headers.etag);
+  });
+  
+  it('rejects a change with a stale If-Match and returns the current version', async () => {
+    await request(app).put(`/notes/${id}`).set(ADMIN).send({ content: 'Changed elsewhere' });
+    
+    const response = await request(app).put(`/notes/${id}`).set(ADMIN).set('If-Match', etag)
+      .send({ content: 'Lost update' });
+    
+    expect(response.status).toBe(412);
+    expect(response.headers.etag).toBe(response.body.etag);
+    expect(response.body.current.content).toContain('Changed elsewhere');
+    
+    const note = await request(app).get(`/notes/${id}`).set(ADMIN);
+    expect(note.body.content).toContain('Changed elsewhere');
+  });
+  
+  it('accepts If-Match: * for any version', async () => {
+    const response = await request(app).post(`/notes/${id}/append`).set(ADMIN).set('If-Match', '*')
+      .send({ content: 'More' });
+    expect(response.status).toBe(200);
+  });
+  
+  it('checks If-Match before deleting', async () => {
+    const response = await request(app).delete(`/notes/${id}`).set(ADMIN).set('If-Match', '"stale"');
+    expect(response.status).toBe(412);
+    
+    const note = await request(app).get(`/notes/${id}`).set(ADMIN);
+    expect(note.status).toBe(200);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Export Tests
+ */
+
+const request = require('supertest');
+const app = require('../src/index');
+const noteModel = require('../src/models/noteModel');
+const { getStorage } = require('../src/storage');
+const { readZip } = require('../src/utils/zip');
+
+const ADMIN = { 'X-API-Key': 'admin-key' };
+
+/**
+ * Collect a binary response body into a Buffer
+ */
+function binary(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('GET /export', () => {
+  let alpha;
+  let beta;
+  
+  beforeAll(async () => {
+    await noteModel.initializeStorage();
+    alpha = (await request(app).post('/notes').set(ADMIN)
+      .send({ title: 'Alpha', content: 'See [[Beta]]', tags: ['physics'], category: 'projects' })).body;
+    beta = (await request(app).post('/notes').set(ADMIN)
+      .send({ title: 'Beta', content: 'Second note' })).body;
+  });
+  
+  it('exports a zip archive laid out like the notes store', async () => {
+    const response = await request(app).get('/export').set(ADMIN).buffer(true).parse(binary);
+    
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/zip');
+    expect(response.headers['content-disposition']).toMatch(/^attachment; filename="notes-\d{4}-\d{2}-\d{2}\.zip"$/);
+    
+    const files = readZip(response.body);
+    expect(files.map(file => file.name).sort()).toEqual([alpha.relativePath, beta.relativePath].sort());
+    expect(files.find(file => file.name === alpha.relativePath).data.toString()).toContain(`id: ${alpha.id}`);
+  });
+  
+  it('exports JSON Lines that match the listing filters', async () => {
+    const response = await request(app).get('/export?format=jsonl&category=projects').set(ADMIN);
+    
+    expect(response.status).toBe(200);
+    const lines = response.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toEqual([
+      expect.objectContaining({ id: alpha.id, title: 'Alpha', category: 'projects', tags: ['physics'] })
+    ]);
+  });
+  
+  it('exports a single markdown document with a table of contents', async () => {
+    const response = await request(app).get('/export?format=markdown').set(ADMIN);
+    
+    expect(response.headers['content-type']).toBe('text/markdown; charset=utf-8');
+    expect(response.text).toContain(`- [Alpha](#note-${alpha.id})`);
+    expect(response.text).toContain('Second note');
+  });
+  
+  it('exports a static site with linked pages', async () => {
+    const response = await request(app).get('/export?format=html').set(ADMIN).buffer(true).parse(binary);
+    
+    const files = readZip(response.body);
+    const names = files.map(file => file.name);
+    expect(names).toEqual(expect.arrayContaining(['index.html', 'style.css', 'tags/physics.html', 'categories/projects.html']));
+    
+    const page = files.find(file => file.name === `notes/${alpha.relativePath.replace(/\.md$/, '.html')}`);
+    expect(page.data.toString()).toContain(`href="../${beta.relativePath.replace(/\.md$/, '.html')}"`);
+  });
+  
+  it('keeps tag pages inside tags/ whatever the tag name', async () => {
+    await getStorage().write('topics/2026-01-01_escape.md',
+      '---\ntitle: Escape\ntags:\n  - ../../escape\n  - a.b\n---\n\n# Escape\n\nBody\n');
+    
+    const response = await request(app).get('/export?format=html').set(ADMIN).buffer(true).parse(binary);
+    
+    const names = readZip(response.body).map(file => file.name);
+    expect(names.filter(name => name.split('/').includes('..'))).toEqual([]);
+    expect(names).toEqual(expect.arrayContaining(['tags/%2E%2E/%2E%2E/escape.html', 'tags/a%2Eb.html']));
+    
+    const index = readZip(response.body).find(file => file.name === 'index.html').data.toString();
+    expect(index).toContain('href="tags/%252E%252E/%252E%252E/escape.html"');
+    
+    await getStorage().delete('topics/2026-01-01_escape.md');
+  });
+  
+  it.each(['pdf', 'constructor', 'toString', '__proto__'])('rejects the format %j', async (format) => {
+    const response = await request(app).get(`/export?format=${format}`).set(ADMIN);
+    
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/^Invalid format/);
+  });
+});
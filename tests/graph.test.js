@@ -0,0 +1,114 @@
+/**
+ * Knowledge Graph Tests
+ */
+
+const request = require('supertest');
+const app = require('../src/index');
+const noteModel = require('../src/models/noteModel');
+const { toDot, toGraphML } = require('../src/utils/graphFormats');
+
+const ADMIN = { 'X-API-Key': 'admin-key' };
+const ANALYTICS = { 'X-API-Key': 'analytics-key' };
+
+describe('graph formats', () => {
+  const graph = {
+    nodes: [
+      { id: 'a', type: 'note', label: 'Say "hi" & <wave>', relativePath: 'topics/a.md', degree: 1 },
+      { id: 'tag:x', type: 'tag', label: 'x', degree: 1 }
+    ],
+    edges: [
+      { source: 'a', target: 'tag:x', type: 'tagged' },
+      { source: 'a', target: 'b', type: 'shared-tag', directed: false, tags: ['x', 'y'], weight: 2 }
+    ]
+  };
+  
+  it('writes Graphviz DOT with escaped labels and undirected shared-tag edges', () => {
+    const dot = toDot(graph);
+    
+    expect(dot).toMatch(/^digraph notes \{\n/);
+    expect(dot).toContain('"a" [label="Say \\"hi\\" & <wave>", shape=box, type="note"];');
+    expect(dot).toContain('"tag:x" [label="x", shape=ellipse, type="tag"];');
+    expect(dot).toContain('"a" -> "tag:x" [type="tagged"];');
+    expect(dot).toContain('"a" -> "b" [type="shared-tag", dir=none, weight=2, label="x, y"];');
+    expect(dot).toMatch(/\}\n$/);
+  });
+  
+  it('writes GraphML with typed keys and escaped data', () => {
+    const graphml = toGraphML(graph);
+    
+    expect(graphml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<graphml /);
+    expect(graphml).toContain('<key id="n_degree" for="node" attr.name="degree" attr.type="int"/>');
+    expect(graphml).toContain('<data key="n_label">Say &quot;hi&quot; &amp; &lt;wave&gt;</data>');
+    expect(graphml).toContain('<edge id="e1" source="a" target="b" directed="false">');
+    expect(graphml).toContain('<data key="e_tags">x,y</data>');
+    expect(graphml).not.toContain('<data key="n_date">');
+  });
+});
+
+describe('GET /graph', () => {
+  let first;
+  let second;
+  let loner;
+  
+  beforeAll(async () => {
+    await noteModel.initializeStorage();
+    await request(app).post('/categories').set(ADMIN).send({ path: 'graphlab' });
+    
+    const create = async (title, content, tags) => (await request(app).post('/notes').set(ADMIN)
+      .send({ title, content, tags, category: 'graphlab' })).body;
+    
+    first = await create('Graph First', 'Body', ['quantum', 'physics']);
+    second = await create('Graph Second', 'Builds on [[Graph First]].', ['quantum', 'physics']);
+    loner = await create('Graph Loner', 'Body', ['biology']);
+  });
+  
+  it('links notes to their tags, category, author and each other', async () => {
+    const response = await request(app).get('/graph?category=graphlab').set(ANALYTICS);
+    
+    expect(response.status).toBe(200);
+    
+    const nodeIds = response.body.nodes.map(node => node.id);
+    expect(nodeIds).toEqual(expect.arrayContaining([
+      first.id, second.id, loner.id, 'tag:quantum', 'tag:biology', 'category:graphlab', 'author:admin Agent'
+    ]));
+    
+    expect(response.body.edges).toEqual(expect.arrayContaining([
+      { source: first.id, target: 'tag:quantum', type: 'tagged' },
+      { source: first.id, target: 'category:graphlab', type: 'in-category' },
+      { source: first.id, target: 'author:admin Agent', type: 'authored-by' },
+      { source: second.id, target: first.id, type: 'related' },
+      expect.objectContaining({ type: 'shared-tag', directed: false, weight: 2, tags: ['quantum', 'physics'] })
+    ]));
+  });
+  
+  it('reports orphans and connected components', async () => {
+    const { metrics } = (await request(app).get('/graph?category=graphlab').set(ANALYTICS)).body;
+    
+    expect(metrics).toMatchObject({ notes: 3, tags: 3, categories: 1, authors: 1, orphans: [loner.id] });
+    expect(metrics.components.count).toBe(2);
+    expect(metrics.components.largest).toBe(2);
+    expect(metrics.components.members[0]).toEqual(expect.arrayContaining([first.id, second.id]));
+  });
+  
+  it('filters by tag', async () => {
+    const response = await request(app).get('/graph?category=graphlab&tags=biology').set(ANALYTICS);
+    
+    const notes = response.body.nodes.filter(node => node.type === 'note');
+    expect(notes.map(node => node.id)).toEqual([loner.id]);
+  });
+  
+  it('serves DOT and GraphML', async () => {
+    const dot = await request(app).get('/graph?category=graphlab&format=dot').set(ANALYTICS);
+    expect(dot.headers['content-type']).toMatch(/^text\/vnd\.graphviz/);
+    expect(dot.text).toContain(`"${second.id}" -> "${first.id}" [type="related"];`);
+    
+    const graphml = await request(app).get('/graph?category=graphlab&format=graphml').set(ANALYTICS);
+    expect(graphml.headers['content-type']).toMatch(/^application\/graphml\+xml/);
+    expect(graphml.text).toContain(`<node id="${loner.id}">`);
+  });
+  
+  it('rejects an unknown format', async () => {
+    const response = await request(app).get('/graph?format=svg').set(ANALYTICS);
+    expect(response.status).toBe(400);
+  });
+});
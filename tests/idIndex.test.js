@@ -0,0 +1,112 @@
+/**
+ * Stable ID Lookup Tests
+ */
+
+const request = require('supertest');
+const app = require('../src/index');
+const noteModel = require('../src/models/noteModel');
+const idIndex = require('../src/search/idIndex');
+const { getStorage } = require('../src/storage');
+
+const ADMIN = { 'X-API-Key': 'admin-key' };
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+const UNKNOWN_IDS = [
+  '00000000-0000-4000-8000-000000000001',
+  '00000000-0000-4000-8000-000000000002',
+  '00000000-0000-4000-8000-000000000003'
+];
+
+describe('Stable ID lookups', () => {
+  let rebuild;
+  
+  beforeAll(async () => {
+    await noteModel.initializeStorage();
+  });
+  
+  beforeEach(() => {
+    rebuild = jest.spyOn(idIndex, 'rebuild');
+  });
+  
+  afterEach(() => {
+    rebuild.mockRestore();
+  });
+  
+  it('gives new notes a UUID that is kept across updates', async () => {
+    const note = (await request(app).post('/notes').set(ADMIN).send({ title: 'Identified', content: 'Body' })).body;
+    expect(note.id).toMatch(UUID);
+    
+    await request(app).put(`/notes/${note.id}`).set(ADMIN).send({ content: 'New body' });
+    
+    const response = await request(app).get(`/notes/${note.id}`).set(ADMIN);
+    expect(response.status).toBe(200);
+    expect(response.body.id).toBe(note.id);
+    expect(response.body.content).toContain('New body');
+  });
+  
+  it('backfills one ID for a note written without one, even under concurrent reads', async () => {
+    await getStorage().write('topics/handwritten.md', '---\ntitle: Handwritten\n---\n\n# Handwritten\n\nBody\n');
+    
+    const notes = await Promise.all([1, 2, 3].map(() => noteModel.getNoteById('admin', 'topics/handwritten.md')));
+    
+    expect(notes[0].id).toMatch(UUID);
+    expect(new Set(notes.map(note => note.id)).size).toBe(1);
+    expect(await getStorage().read('topics/handwritten.md')).toContain(`id: ${notes[0].id}`);
+    expect(await getStorage().read('topics/handwritten.md')).toContain('Body');
+  });
+  
+  it('rebuilds the index at most once a minute for unknown IDs', async () => {
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+    
+    for (const id of UNKNOWN_IDS) {
+      expect((await request(app).get(`/notes/${id}`).set(ADMIN)).status).toBe(404);
+    }
+    expect(rebuild.mock.calls.length).toBeLessThanOrEqual(1);
+    
+    rebuild.mockClear();
+    clock.mockReturnValue(now + 61 * 1000);
+    
+    expect((await request(app).get(`/notes/${UNKNOWN_IDS[0]}`).set(ADMIN)).status).toBe(404);
+    expect(rebuild).toHaveBeenCalledTimes(1);
+    clock.mockRestore();
+  });
+  
+  it('rebuilds at once when the indexed path no longer holds the note', async () => {
+    const note = (await request(app).post('/notes').set(ADMIN).send({ title: 'Relocated', content: 'Body' })).body;
+    await idIndex.set(note.id, 'topics/somewhere_else.md');
+    
+    const response = await request(app).get(`/notes/${note.id}`).set(ADMIN);
+    
+    expect(response.status).toBe(200);
+    expect(response.body.relativePath).toBe(note.relativePath);
+    expect(rebuild).toHaveBeenCalledTimes(1);
+  });
+  
+  it('finds a note another instance indexed and saved, without a rebuild', async () => {
+    const id = '00000000-0000-4000-8000-000000000004';
+    expect((await request(app).get(`/notes/${id}`).set(ADMIN)).status).toBe(404);
+    
+    // An unsaved local change keeps the loaded index in memory
+    const local = (await request(app).post('/notes').set(ADMIN).send({ title: 'Local', content: 'Body' })).body;
+    rebuild.mockClear();
+    
+    // What another instance sharing the store writes
+    await getStorage().write('topics/elsewhere.md', `---\nid: ${id}\ntitle: Elsewhere\n---\n\n# Elsewhere\n\nBody\n`);
+    const stored = JSON.parse(await getStorage().read('.index/ids.json'));
+    stored.keys[id] = 'topics/elsewhere.md';
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await getStorage().write('.index/ids.json', JSON.stringify(stored));
+    
+    const response = await request(app).get(`/notes/${id}`).set(ADMIN);
+    expect(response.status).toBe(200);
+    expect(response.body.title).toBe('Elsewhere');
+    expect(rebuild).not.toHaveBeenCalled();
+    
+    await idIndex.flush();
+    const saved = JSON.parse(await getStorage().read('.index/ids.json')).keys;
+    expect(saved[id]).toBe('topics/elsewhere.md');
+    expect(saved[local.id]).toBe(local.relativePath);
+  });
+});
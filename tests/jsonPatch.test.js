@@ -0,0 +1,148 @@
+/**
+ * JSON Patch and PATCH /notes/:id Tests
+ */
+
+const request = require('supertest');
+const app = require('../src/index');
+const noteModel = require('../src/models/noteModel');
+const { applyMergePatch, applyJsonPatch, deepEqual } = require('../src/utils/jsonPatch');
+
+const ADMIN = { 'X-API-Key': 'admin-key' };
+const WRITING = { 'X-API-Key': 'writing-key' };
+
+describe('applyMergePatch', () => {
+  it('merges objects, removes null fields and replaces everything else', () => {
+    const target = { title: 'Goodbye!', author: { givenName: 'John', familyName: 'Doe' }, tags: ['example', 'sample'], content: 'text' };
+    const patch = { title: 'Hello!', phoneNumber: '+01-123-456-7890', author: { familyName: null }, tags: ['example'] };
+    
+    expect(applyMergePatch(target, patch)).toEqual({
+      title: 'Hello!',
+      author: { givenName: 'John' },
+      tags: ['example'],
+      content: 'text',
+      phoneNumber: '+01-123-456-7890'
+    });
+  });
+  
+  it('leaves its input unchanged', () => {
+    const target = { a: { b: 1 } };
+    applyMergePatch(target, { a: { b: 2 } });
+    expect(target).toEqual({ a: { b: 1 } });
+  });
+});
+
+describe('applyJsonPatch', () => {
+  const document = { title: 'Note', metadata: { tags: ['a', 'b'], status: 'draft' } };
+  
+  it('applies operations in order', () => {
+    expect(applyJsonPatch(document, [
+      { op: 'test', path: '/metadata/status', value: 'draft' },
+      { op: 'replace', path: '/metadata/status', value: 'reviewed' },
+      { op: 'add', path: '/metadata/tags/-', value: 'c' },
+      { op: 'remove', path: '/metadata/tags/0' },
+      { op: 'copy', from: '/title', path: '/metadata/heading' },
+      { op: 'move', from: '/metadata/heading', path: '/subtitle' }
+    ])).toEqual({ title: 'Note', subtitle: 'Note', metadata: { tags: ['b', 'c'], status: 'reviewed' } });
+    
+    expect(document.metadata.tags).toEqual(['a', 'b']);
+  });
+  
+  it('decodes ~0 and ~1 in paths', () => {
+    expect(applyJsonPatch({ 'a/b': 1, 'c~d': 2 }, [
+      { op: 'replace', path: '/a~1b', value: 3 },
+      { op: 'remove', path: '/c~0d' }
+    ])).toEqual({ 'a/b': 3 });
+  });
+  
+  it.each([
+    [{ op: 'launch', path: '/title' }, 400],
+    [{ op: 'add', path: 'title', value: 1 }, 400],
+    [{ op: 'add', path: '/title' }, 400],
+    [{ op: 'remove', path: '/missing' }, 409],
+    [{ op: 'add', path: '/metadata/tags/5', value: 'x' }, 409],
+    [{ op: 'test', path: '/title', value: 'Other' }, 409],
+    [{ op: 'move', from: '/metadata', path: '/metadata/inner' }, 409]
+  ])('rejects %j with %i', (operation, statusCode) => {
+    expect(() => applyJsonPatch(document, [operation])).toThrow(expect.objectContaining({ statusCode }));
+  });
+  
+  it('rejects a patch that is not an array', () => {
+    expect(() => applyJsonPatch(document, { op: 'remove', path: '/title' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('deepEqual', () => {
+  it('compares JSON values ignoring key order', () => {
+    expect(deepEqual({ a: [1, { b: 2 }], c: null }, { c: null, a: [1, { b: 2 }] })).toBe(true);
+    expect(deepEqual([1, 2], [2, 1])).toBe(false);
+    expect(deepEqual({ a: 1 }, { a: 1, b: undefined })).toBe(false);
+    expect(deepEqual('1', 1)).toBe(false);
+  });
+});
+
+describe('PATCH /notes/:id', () => {
+  let note;
+  
+  beforeAll(async () => {
+    await noteModel.initializeStorage();
+  });
+  
+  beforeEach(async () => {
+    const created = await request(app).post('/notes').set(ADMIN)
+      .send({ title: 'Quantum', content: 'Qubits', tags: ['physics'], metadata: { status: 'draft' } });
+    note = created.body;
+  });
+  
+  const patch = (headers, type, body) => request(app).patch(`/notes/${note.id}`).set(headers)
+    .set('Content-Type', type).send(JSON.stringify(body));
+  
+  it('applies a merge patch to the frontmatter', async () => {
+    const response = await patch(ADMIN, 'application/merge-patch+json', { metadata: { status: null, owner: 'alice' } });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.metadata).toMatchObject({ owner: 'alice', tags: ['physics'] });
+    expect(response.body.metadata).not.toHaveProperty('status');
+    expect(response.headers.etag).toBe(response.body.etag);
+  });
+  
+  it('applies a JSON Patch to the title, content and tags', async () => {
+    const response = await patch(ADMIN, 'application/json-patch+json', [
+      { op: 'test', path: '/metadata/status', value: 'draft' },
+      { op: 'replace', path: '/title', value: 'Quantum Computing' },
+      { op: 'add', path: '/metadata/tags/-', value: 'reviewed' },
+      { op: 'replace', path: '/content', value: 'Qubits and gates' }
+    ]);
+    
+    expect(response.status).toBe(200);
+    
+    const read = await request(app).get(`/notes/${note.id}`).set(ADMIN);
+    expect(read.body.title).toBe('Quantum Computing');
+    expect(read.body.content).toContain('Qubits and gates');
+    expect(read.body.metadata.tags).toEqual(['physics', 'reviewed']);
+  });
+  
+  it('changes nothing when a test fails', async () => {
+    const response = await patch(ADMIN, 'application/json-patch+json', [
+      { op: 'replace', path: '/title', value: 'Changed' },
+      { op: 'test', path: '/metadata/status', value: 'published' }
+    ]);
+    
+    expect(response.status).toBe(409);
+    expect((await request(app).get(`/notes/${note.id}`).set(ADMIN)).body.title).toBe('Quantum');
+  });
+  
+  it('only lets admins change the fields the server sets', async () => {
+    const response = await patch(WRITING, 'application/merge-patch+json', { metadata: { author: 'someone else' } });
+    expect(response.status).toBe(403);
+  });
+  
+  it('rejects a patch that leaves the note invalid', async () => {
+    const response = await patch(ADMIN, 'application/merge-patch+json', { metadata: { tags: 'physics' } });
+    expect(response.status).toBe(422);
+  });
+  
+  it('rejects other content types', async () => {
+    const response = await patch(ADMIN, 'text/plain', { title: 'x' });
+    expect(response.status).toBe(415);
+  });
+});
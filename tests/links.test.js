@@ -0,0 +1,151 @@
+/**
+ * Wikilink and Backlink Tests
+ */
+
+const request = require('supertest');
+const app = require('../src/index');
+const noteModel = require('../src/models/noteModel');
+const { getStorage } = require('../src/storage');
+const {
+  extractWikilinks,
+  extractMarkdownLinks,
+  createLinkResolver,
+  retargetWikilinks
+} = require('../src/utils/noteLinks');
+
+const ADMIN = { 'X-API-Key': 'admin-key' };
+
+describe('noteLinks wikilinks', () => {
+  const notes = [
+    { id: 'id-new', title: 'Shared Title', relativePath: 'topics/2026-02-02_shared_title.md' },
+    { id: 'id-old', title: 'Shared Title', relativePath: 'projects/2026-01-01_shared_title.md' },
+    { id: 'id-other', title: 'Other Note', relativePath: 'topics/2026-01-05_other_note.md' }
+  ];
+  
+  it('extracts targets, headings and aliases outside code', () => {
+    const content = 'See [[Other Note#Intro|the other]] and [[Shared Title]].\n\n```\n[[In Code]]\n```\nAnd `[[Inline]]`.';
+    
+    expect(extractWikilinks(content)).toEqual([
+      { target: 'Other Note', heading: 'Intro', alias: 'the other' },
+      { target: 'Shared Title', heading: null, alias: null }
+    ]);
+  });
+  
+  it('extracts markdown links to notes as storage keys', () => {
+    const content = '[a](2026-01-05_other_note.md#top) [b](../projects/2026-01-01_shared_title.md) [c](https://example.com/x.md) [d](image.png)';
+    
+    expect(extractMarkdownLinks(content, 'topics/2026-02-02_shared_title.md')).toEqual([
+      { target: '2026-01-05_other_note.md#top', key: 'topics/2026-01-05_other_note.md' },
+      { target: '../projects/2026-01-01_shared_title.md', key: 'projects/2026-01-01_shared_title.md' }
+    ]);
+  });
+  
+  it('resolves IDs, paths, file names and titles, preferring the first note listed', () => {
+    const resolve = createLinkResolver(notes);
+    
+    expect(resolve('id-old')).toBe(notes[1]);
+    expect(resolve('projects/2026-01-01_shared_title')).toBe(notes[1]);
+    expect(resolve('2026-01-05_OTHER_NOTE.md')).toBe(notes[2]);
+    expect(resolve('shared title')).toBe(notes[0]);
+    expect(resolve('Missing')).toBeNull();
+  });
+  
+  it('retargets links to a moved note in the form they were written', () => {
+    const resolve = createLinkResolver(notes);
+    const content = '[[Other Note]] [[topics/2026-01-05_other_note|path]] [[2026-01-05_other_note.md]] [[id-other]]';
+    
+    expect(retargetWikilinks(content, resolve, notes[2], 'archive/2026-01-05_renamed.md', 'Renamed'))
+      .toBe('[[Renamed]] [[archive/2026-01-05_renamed|path]] [[2026-01-05_renamed.md]] [[id-other]]');
+  });
+});
+
+describe('Links between notes', () => {
+  beforeAll(async () => {
+    await noteModel.initializeStorage();
+  });
+  
+  const create = async (title, content) =>
+    (await request(app).post('/notes').set(ADMIN).send({ title, content })).body;
+  
+  it('fills related with the IDs of linked notes', async () => {
+    const target = await create('Linked Target', 'Body');
+    const source = await create('Linking Source', 'See [[linked target]] and [[Not Written Yet]].');
+    
+    const response = await request(app).get(`/notes/${source.id}`).set(ADMIN);
+    
+    expect(response.body.metadata.related).toEqual([target.id]);
+  });
+  
+  it('picks up a link to a new note the next time the linking note is written', async () => {
+    const source = await create('Early Source', 'See [[Late Target]].');
+    const target = await create('Late Target', 'Body');
+    
+    await request(app).post(`/notes/${source.id}/append`).set(ADMIN).send({ content: 'More' });
+    
+    const response = await request(app).get(`/notes/${source.id}`).set(ADMIN);
+    expect(response.body.metadata.related).toEqual([target.id]);
+  });
+  
+  it('lists backlinks of both kinds and dangling links', async () => {
+    const target = await create('Backlinked', 'Links to [[Nowhere At All]].');
+    const fileName = target.relativePath.split('/').pop();
+    const source = await create('Backlinker', `[[Backlinked|here]] and [there](${fileName}#top)`);
+    
+    const response = await request(app).get(`/notes/${target.id}/backlinks`).set(ADMIN);
+    
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ id: target.id, title: 'Backlinked' });
+    expect(response.body.backlinks).toEqual([{
+      id: source.id,
+      title: 'Backlinker',
+      relativePath: source.relativePath,
+      links: [
+        { type: 'wikilink', target: 'Backlinked', alias: 'here' },
+        { type: 'markdown', target: `${fileName}#top` }
+      ]
+    }]);
+    expect(response.body.dangling).toEqual([{ type: 'wikilink', target: 'Nowhere At All', alias: null }]);
+  });
+  
+  it('renames wikilinks when the linked note is renamed', async () => {
+    const target = await create('Before Rename', 'Body');
+    const source = await create('Rename Watcher', 'See [[Before Rename#Body]].');
+    
+    const moved = await request(app).post(`/notes/${target.id}/move`).set(ADMIN).send({ title: 'After Rename' });
+    expect(moved.body.updatedReferences).toEqual([source.id]);
+    
+    const response = await request(app).get(`/notes/${source.id}`).set(ADMIN);
+    expect(response.body.content).toContain('[[After Rename#Body]]');
+  });
+  
+  it('resolves links by ID, path, file name and title without reading every note', async () => {
+    const target = await create('Looked Up', 'Body');
+    const stripped = target.relativePath.replace(/\.md$/, '');
+    const fileName = stripped.split('/').pop();
+    await create('Warm Up', 'See [[Looked Up]].');
+    
+    const list = jest.spyOn(getStorage(), 'list');
+    const read = jest.spyOn(getStorage(), 'read');
+    
+    const sources = [];
+    for (const link of [target.id, stripped, `${fileName.toUpperCase()}.md`, 'looked up']) {
+      sources.push(await create(`Lookup Via ${sources.length}`, `See [[${link}]].`));
+    }
+    
+    const readKeys = read.mock.calls.map(([key]) => key).filter(key => !key.startsWith('.'));
+    list.mockRestore();
+    read.mockRestore();
+    
+    for (const source of sources) {
+      const response = await request(app).get(`/notes/${source.id}`).set(ADMIN);
+      expect(response.body.metadata.related).toEqual([target.id]);
+    }
+    expect(list.mock.calls.filter(([prefix]) => prefix !== '.trash')).toEqual([]);
+    expect(new Set(readKeys)).toEqual(new Set([target.relativePath]));
+  });
+  
+  it('returns 404 for the backlinks of a missing note', async () => {
+    const response = await request(app).get('/notes/00000000-0000-4000-8000-000000000000/backlinks').set(ADMIN);
+    expect(response.status).toBe(404);
+  });
+});
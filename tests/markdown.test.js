@@ -0,0 +1,127 @@
+/**
+ * Markdown Rendering Tests
+ */
+
+const request = require('supertest');
+const app = require('../src/index');
+const noteModel = require('../src/models/noteModel');
+const { renderMarkdown, renderWithOutline, slugifyHeading } = require('../src/utils/markdown');
+
+const ADMIN = { 'X-API-Key': 'admin-key' };
+
+describe('renderMarkdown', () => {
+  it.each([
+    ['<script>alert(1)</script>', '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>'],
+    ['<img src=x onerror=alert(1)>', '<p>&lt;img src=x onerror=alert(1)&gt;</p>'],
+    ['`<b>`', '<p><code>&lt;b&gt;</code></p>'],
+    ['```\n<script>\n```', '<pre><code>&lt;script&gt;\n</code></pre>'],
+    ['# <script>h</script>', '<h1 id="scripthscript">&lt;script&gt;h&lt;/script&gt;</h1>']
+  ])('escapes raw HTML in %j', (markdown, html) => {
+    expect(renderMarkdown(markdown)).toBe(html);
+  });
+  
+  it.each([
+    '[x](javascript:alert(1))',
+    '[x](JaVaScRiPt:alert(1))',
+    '[x](vbscript:msgbox(1))',
+    '![i](data:image/svg+xml;base64,PHN2Zz4=)'
+  ])('replaces the unsafe URL in %j', (markdown) => {
+    expect(renderMarkdown(markdown)).toMatch(/ (href|src)="#"/);
+  });
+  
+  it('keeps safe URLs and escapes attribute values', () => {
+    expect(renderMarkdown('[x](https://example.com/?a=1&b=2)')).toBe('<p><a href="https://example.com/?a=1&amp;b=2">x</a></p>');
+    expect(renderMarkdown('[x](mailto:someone@example.com)')).toBe('<p><a href="mailto:someone@example.com">x</a></p>');
+    expect(renderMarkdown('![a"onerror="x](https://example.com/i.png)'))
+      .toBe('<p><img src="https://example.com/i.png" alt="a&quot;onerror=&quot;x"></p>');
+    expect(renderMarkdown('[a](https://example.com "t\\" onclick=\\"x")'))
+      .toBe('<p><a href="https://example.com" title="t&quot; onclick=&quot;x">a</a></p>');
+  });
+  
+  it('renders inline formatting, lists and tables', () => {
+    expect(renderMarkdown('**bold** _it_ ~~gone~~')).toBe('<p><strong>bold</strong> <em>it</em> <del>gone</del></p>');
+    expect(renderMarkdown('- [x] done\n- [ ] todo'))
+      .toBe('<ul>\n<li><input type="checkbox" disabled checked> done</li>\n<li><input type="checkbox" disabled> todo</li>\n</ul>');
+    expect(renderMarkdown('| a | b |\n|---|---|\n| <i>1</i> | 2 |')).toContain('<td>&lt;i&gt;1&lt;/i&gt;</td>');
+  });
+  
+  it('resolves wikilinks and marks unresolved ones', () => {
+    const resolveLink = link => (link.target === 'Beta' ? '/notes/beta' : null);
+    
+    expect(renderMarkdown('[[Beta|the <b>beta</b>]]', { resolveLink }))
+      .toBe('<p><a class="wikilink" href="/notes/beta">the &lt;b&gt;beta&lt;/b&gt;</a></p>');
+    expect(renderMarkdown('[[Missing]]', { resolveLink }))
+      .toBe('<p><span class="wikilink unresolved">Missing</span></p>');
+  });
+  
+  it('restores code spans nested in generated tags', () => {
+    expect(renderMarkdown('[[Missing|a `<b>` alias]]'))
+      .toBe('<p><span class="wikilink unresolved">a <code>&lt;b&gt;</code> alias</span></p>');
+  });
+  
+  it('renders NUL characters that look like placeholders as text', () => {
+    expect(renderMarkdown('`\u00000\u0000`')).toBe('<p><code>\ufffd0\ufffd</code></p>');
+    expect(renderMarkdown('a \u00001\u0000 b `c`')).toBe('<p>a \ufffd1\ufffd b <code>c</code></p>');
+  });
+});
+
+describe('renderWithOutline', () => {
+  it('nests headings and gives repeated headings unique IDs', () => {
+    const { outline } = renderWithOutline('# Title\n## Sub\n## Sub\n### Deep');
+    
+    expect(outline).toEqual([{
+      level: 1,
+      text: 'Title',
+      id: 'title',
+      children: [
+        { level: 2, text: 'Sub', id: 'sub', children: [] },
+        { level: 2, text: 'Sub', id: 'sub-1', children: [{ level: 3, text: 'Deep', id: 'deep', children: [] }] }
+      ]
+    }]);
+  });
+  
+  it('slugifies headings', () => {
+    expect(slugifyHeading('Hello, World: Ünïcode & more')).toBe('hello-world-ünïcode-more');
+  });
+});
+
+describe('GET /notes/:id/render', () => {
+  beforeAll(async () => {
+    await noteModel.initializeStorage();
+  });
+  
+  it('returns sanitised HTML, its outline and links to other notes', async () => {
+    const beta = (await request(app).post('/notes').set(ADMIN).send({ title: 'Beta', content: 'Linked' })).body;
+    const alpha = (await request(app).post('/notes').set(ADMIN)
+      .send({ title: 'Alpha', content: '## Part\n\nSee [[Beta]] <script>alert(1)</script>' })).body;
+    
+    const response = await request(app).get(`/notes/${alpha.id}/render`).set(ADMIN);
+    
+    expect(response.status).toBe(200);
+    expect(response.body.html).toContain(`<a class="wikilink" href="/notes/${beta.id}">Beta</a>`);
+    expect(response.body.html).toContain('&lt;script&gt;');
+    expect(response.body.html).not.toContain('<script>');
+    expect(response.body.outline).toEqual([
+      expect.objectContaining({ text: 'Alpha', children: [expect.objectContaining({ text: 'Part' })] })
+    ]);
+  });
+  
+  it('adds rendered HTML and outlines to listings when asked', async () => {
+    const note = (await request(app).post('/notes').set(ADMIN)
+      .send({ title: 'Listed Render', content: '## Section\n\n*Emphasised*' })).body;
+    
+    const response = await request(app).get('/notes?render=true&fields=id,html,outline').set(ADMIN);
+    const listed = response.body.find(item => item.id === note.id);
+    
+    expect(listed.html).toContain('<em>Emphasised</em>');
+    expect(listed.outline[0].children[0].text).toBe('Section');
+    
+    const plain = await request(app).get('/notes').set(ADMIN);
+    expect(plain.body.find(item => item.id === note.id).html).toBeUndefined();
+  });
+  
+  it('returns 404 for a missing note', async () => {
+    const response = await request(app).get('/notes/00000000-0000-4000-8000-000000000000/render').set(ADMIN);
+    expect(response.status).toBe(404);
+  });
+});
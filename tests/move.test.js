@@ -0,0 +1,123 @@
+/**
+ * Note Move and Link Rewriting Tests
+ */
+
+const request = require('supertest');
+const app = require('../src/index');
+const noteModel = require('../src/models/noteModel');
+const { getStorage } = require('../src/storage');
+const { retargetLinks, rebaseLinks, retargetRelated } = require('../src/utils/noteLinks');
+
+const ADMIN = { 'X-API-Key': 'admin-key' };
+
+describe('noteLinks', () => {
+  it('points links to a moved note at its new location', () => {
+    const content = 'See [old](../topics/2026-01-01_old.md "Old") and [web](https://example.com/topics/2026-01-01_old.md).';
+    
+    expect(retargetLinks(content, 'projects/2026-01-02_index.md', 'topics/2026-01-01_old.md', 'archive/2026-01-01_new.md'))
+      .toBe('See [old](../archive/2026-01-01_new.md "Old") and [web](https://example.com/topics/2026-01-01_old.md).');
+  });
+  
+  it('keeps a moved note\'s own links pointing at the same notes', () => {
+    const content = 'Sibling [a](2026-01-01_a.md) and [self](2026-01-01_old.md)';
+    
+    expect(rebaseLinks(content, 'topics/2026-01-01_old.md', 'projects/deep/2026-01-01_new.md'))
+      .toBe('Sibling [a](../../topics/2026-01-01_a.md) and [self](2026-01-01_new.md)');
+  });
+  
+  it('rewrites related entries in any of their forms', () => {
+    const related = ['topics/2026-01-01_old.md', '2026-01-01_old', 'unrelated', '3f2b8c1e-7d4a-4e5b-9c6f-1a2b3c4d5e6f'];
+    
+    expect(retargetRelated(related, 'topics/2026-01-01_old.md', 'projects/2026-01-01_new.md'))
+      .toEqual(['projects/2026-01-01_new.md', '2026-01-01_new', 'unrelated', '3f2b8c1e-7d4a-4e5b-9c6f-1a2b3c4d5e6f']);
+    expect(retargetRelated(['unrelated'], 'topics/2026-01-01_old.md', 'projects/2026-01-01_new.md')).toBeNull();
+    expect(retargetRelated(undefined, 'topics/a.md', 'topics/b.md')).toBeNull();
+  });
+});
+
+describe('POST /notes/:id/move', () => {
+  beforeAll(async () => {
+    await noteModel.initializeStorage();
+  });
+  
+  const create = async (title, content, category = 'topics') =>
+    (await request(app).post('/notes').set(ADMIN).send({ title, content, category })).body;
+  
+  it('moves and renames a note, keeping its ID and date prefix', async () => {
+    const note = await create('Wandering', 'Body');
+    const datePrefix = note.relativePath.match(/\/(\d{4}-\d{2}-\d{2})_/)[1];
+    
+    const response = await request(app).post(`/notes/${note.id}/move`).set(ADMIN)
+      .send({ category: 'projects', title: 'Settled' });
+    
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      id: note.id,
+      title: 'Settled',
+      relativePath: `projects/${datePrefix}_settled.md`,
+      previousPath: note.relativePath,
+      updatedReferences: []
+    });
+    expect(response.headers.etag).toBe(response.body.etag);
+    await expect(getStorage().read(note.relativePath)).rejects.toMatchObject({ code: 'ENOENT' });
+    
+    const read = await request(app).get(`/notes/${note.id}`).set(ADMIN);
+    expect(read.body.title).toBe('Settled');
+    expect(read.body.content).toMatch(/^# Settled/m);
+    
+    const revisions = await request(app).get(`/notes/${note.id}/revisions`).set(ADMIN);
+    expect(revisions.body.revisions.map(revision => revision.action)).toEqual(['move', 'create']);
+  });
+  
+  it('rewrites links and related entries in other notes', async () => {
+    const target = await create('Link Target', 'Body');
+    const linking = await create('Link Source', `Read [the target](${target.relativePath.split('/').pop()}).`);
+    const fileName = target.relativePath.split('/').pop().replace(/\.md$/, '');
+    const relatedKey = 'topics/2026-01-01_related_source.md';
+    await getStorage().write(relatedKey, `---\ntitle: Related Source\nrelated:\n  - ${fileName}\n---\n\n# Related Source\n`);
+    
+    const response = await request(app).post(`/notes/${target.id}/move`).set(ADMIN).send({ category: 'projects' });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.updatedReferences).toContain(linking.id);
+    expect(response.body.updatedReferences).toHaveLength(2);
+    
+    const linkingContent = await getStorage().read(linking.relativePath);
+    expect(linkingContent).toContain(`[the target](../${response.body.relativePath})`);
+    
+    const related = await getStorage().read(relatedKey);
+    expect(related).toContain(`- ${response.body.relativePath.split('/').pop().replace(/\.md$/, '')}`);
+  });
+  
+  it('refuses to overwrite an existing note', async () => {
+    const first = await create('Occupied', 'First', 'projects');
+    const second = await create('Occupant', 'Second', 'projects');
+    expect(first.relativePath.slice(9, 19)).toBe(second.relativePath.slice(9, 19));
+    
+    const response = await request(app).post(`/notes/${second.id}/move`).set(ADMIN).send({ title: 'Occupied' });
+    
+    expect(response.status).toBe(409);
+    expect(await getStorage().read(first.relativePath)).toContain('First');
+    expect(await getStorage().read(second.relativePath)).toContain('Second');
+  });
+  
+  it('requires a target and an existing note', async () => {
+    const note = await create('Stationary', 'Body');
+    
+    expect((await request(app).post(`/notes/${note.id}/move`).set(ADMIN).send({})).status).toBe(400);
+    expect((await request(app).post(`/notes/${note.id}/move`).set(ADMIN).send({ title: 7 })).status).toBe(400);
+    expect((await request(app).post('/notes/00000000-0000-4000-8000-000000000000/move').set(ADMIN)
+      .send({ category: 'projects' })).status).toBe(404);
+  });
+  
+  it('finds a note by its ID after it is moved', async () => {
+    const note = await create('Traveller', 'Body');
+    await request(app).post(`/notes/${note.id}/move`).set(ADMIN).send({ category: 'projects', title: 'Arrived' });
+    
+    const response = await request(app).get(`/notes/${note.id}`).set(ADMIN);
+    
+    expect(response.status).toBe(200);
+    expect(response.body.title).toBe('Arrived');
+    expect(response.body.relativePath).toMatch(/^projects\/.*_arrived\.md$/);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Content Negotiation and Markdown Upload Tests
+ */
+
+const request = require('supertest');
+const app = require('../src/index');
+const noteModel = require('../src/models/noteModel');
+const { getStorage } = require('../src/storage');
+
+const ADMIN = { 'X-API-Key': 'admin-key' };
+
+describe('Note content negotiation', () => {
+  let note;
+  
+  beforeAll(async () => {
+    await noteModel.initializeStorage();
+    note = (await request(app).post('/notes').set(ADMIN)
+      .send({ title: '<i>Odd</i> title', content: 'Body with *emphasis*' })).body;
+  });
+  
+  it('returns JSON by default and for */*', async () => {
+    const plain = await request(app).get(`/notes/${note.id}`).set(ADMIN);
+    const any = await request(app).get(`/notes/${note.id}`).set(ADMIN).set('Accept', '*/*');
+    
+    expect(plain.headers['content-type']).toMatch(/^application\/json/);
+    expect(any.body.id).toBe(note.id);
+  });
+  
+  it('returns the stored file as markdown', async () => {
+    const response = await request(app).get(`/notes/${note.id}`).set(ADMIN).set('Accept', 'text/markdown');
+    
+    expect(response.headers['content-type']).toMatch(/^text\/markdown/);
+    expect(response.text).toBe(await getStorage().read(note.relativePath));
+  });
+  
+  it('serves the note as an HTML page when asked for text/html', async () => {
+    const response = await request(app).get(`/notes/${note.id}`).set(ADMIN).set('Accept', 'text/html');
+    
+    expect(response.headers['content-type']).toMatch(/^text\/html/);
+    expect(response.text).toContain('<title>&lt;i&gt;Odd&lt;/i&gt; title</title>');
+    expect(response.text).toContain('<em>emphasis</em>');
+  });
+  
+  it('gives every representation the same ETag', async () => {
+    const etags = await Promise.all(['application/json', 'text/markdown', 'text/html'].map(async type =>
+      (await request(app).get(`/notes/${note.id}`).set(ADMIN).set('Accept', type)).headers.etag));
+    
+    expect(new Set(etags).size).toBe(1);
+  });
+  
+  it('returns 406 for other types', async () => {
+    const response = await request(app).get(`/notes/${note.id}`).set(ADMIN).set('Accept', 'application/pdf');
+    expect(response.status).toBe(406);
+  });
+});
+
+describe('Markdown file uploads', () => {
+  const upload = (method, url, body) => request(app)[method](url).set(ADMIN)
+    .set('Content-Type', 'text/markdown').send(body);
+  
+  it('creates a note from a markdown file, keeping extra frontmatter', async () => {
+    const response = await upload('post', '/notes',
+      '---\ntags: [quantum, physics]\ncategory: projects\nstatus: draft\nauthor: Someone Else\n---\n\n# Uploaded Note\n\nUploaded body\n');
+    
+    expect(response.status).toBe(201);
+    
+    const read = await request(app).get(`/notes/${response.body.id}`).set(ADMIN);
+    expect(read.body).toMatchObject({ title: 'Uploaded Note' });
+    expect(read.body.relativePath).toMatch(/^projects\//);
+    expect(read.body.content).toContain('Uploaded body');
+    expect(read.body.metadata).toMatchObject({ tags: ['quantum', 'physics'], status: 'draft', author: 'admin Agent' });
+  });
+  
+  it('takes the title and category from the query when given', async () => {
+    const response = await upload('post', '/notes?title=From%20Query&category=references', 'Just a body\n');
+    
+    expect(response.status).toBe(201);
+    expect(response.body.title).toBe('From Query');
+    expect(response.body.relativePath).toMatch(/^references\//);
+  });
+  
+  it('replaces a note from a markdown file, keeping its tags when the file has none', async () => {
+    const note = (await request(app).post('/notes').set(ADMIN)
+      .send({ title: 'Replaced', content: 'Old body', tags: ['kept'] })).body;
+    
+    const response = await upload('put', `/notes/${note.id}`, '---\nstatus: final\n---\n\n# Replaced Again\n\nNew body\n');
+    expect(response.status).toBe(200);
+    
+    const read = await request(app).get(`/notes/${note.id}`).set(ADMIN);
+    expect(read.body.title).toBe('Replaced Again');
+    expect(read.body.content).toContain('New body');
+    expect(read.body.metadata).toMatchObject({ tags: ['kept'], status: 'final', id: note.id });
+    expect(read.body.relativePath).toBe(note.relativePath);
+  });
+  
+  it('rejects frontmatter that is not valid YAML', async () => {
+    const response = await upload('post', '/notes', '---\ntags: [unclosed\n---\n\n# Broken\n\nBody\n');
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Note Listing Pagination Tests
+ */
+
+const request = require('supertest');
+const app = require('../src/index');
+const noteModel = require('../src/models/noteModel');
+const { encodeCursor, decodeCursor } = require('../src/utils/pagination');
+
+const ADMIN = { 'X-API-Key': 'admin-key' };
+
+describe('pagination cursors', () => {
+  it('round-trips a position for the same sort order', () => {
+    const cursor = encodeCursor({ sort: 'title', order: 'asc', value: 'beta', id: 'id-2' });
+    
+    expect(cursor).toMatch(/^[\w-]+$/);
+    expect(decodeCursor(cursor, 'title', 'asc')).toEqual({ value: 'beta', id: 'id-2' });
+  });
+  
+  it('rejects malformed cursors and cursors for another sort order', () => {
+    const cursor = encodeCursor({ sort: 'title', order: 'asc', value: 'beta', id: 'id-2' });
+    
+    expect(() => decodeCursor('not-a-cursor', 'title', 'asc')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => decodeCursor(cursor, 'date', 'desc')).toThrow('Cursor was created for sort=title&order=asc');
+  });
+});
+
+describe('GET /notes pagination', () => {
+  const TITLES = ['Echo', 'Alpha', 'Delta', 'Bravo', 'Charlie'];
+  
+  beforeAll(async () => {
+    await noteModel.initializeStorage();
+    await request(app).post('/categories').set(ADMIN).send({ path: 'pagelab' });
+    
+    for (const title of TITLES) {
+      await request(app).post('/notes').set(ADMIN)
+        .send({ title, content: `${title} is a word in the phonetic alphabet used by radio operators.`, tags: ['radio'], category: 'pagelab' });
+    }
+  });
+  
+  const list = query => request(app).get(`/notes?category=pagelab&${query}`).set(ADMIN);
+  
+  it('pages through notes in sort order with cursors', async () => {
+    const first = await list('sort=title&limit=2');
+    
+    expect(first.status).toBe(200);
+    expect(first.headers['x-total-count']).toBe('5');
+    expect(first.body.map(note => note.title)).toEqual(['Alpha', 'Bravo']);
+    expect(first.headers.link).toContain('rel="next"');
+    
+    const second = await list(`sort=title&limit=2&cursor=${first.headers['x-next-cursor']}`);
+    expect(second.body.map(note => note.title)).toEqual(['Charlie', 'Delta']);
+    
+    const third = await list(`sort=title&limit=2&cursor=${second.headers['x-next-cursor']}`);
+    expect(third.body.map(note => note.title)).toEqual(['Echo']);
+    expect(third.headers['x-next-cursor']).toBeUndefined();
+    expect(third.headers.link).toBeUndefined();
+  });
+  
+  it('does not repeat notes when a note is added between pages', async () => {
+    const first = await list('sort=title&order=desc&limit=2');
+    expect(first.body.map(note => note.title)).toEqual(['Echo', 'Delta']);
+    
+    await request(app).post('/notes').set(ADMIN).send({ title: 'Able', content: 'Added late', category: 'pagelab' });
+    
+    const second = await list(`sort=title&order=desc&limit=2&cursor=${first.headers['x-next-cursor']}`);
+    expect(second.body.map(note => note.title)).toEqual(['Charlie', 'Bravo']);
+    
+    await request(app).delete(`/notes/${(await list('keyword=late')).body[0].id}`).set(ADMIN);
+  });
+  
+  it('returns only the requested fields, lifting metadata fields', async () => {
+    const response = await list('sort=title&limit=1&fields=id,title,tags');
+    
+    expect(response.body).toEqual([{ id: expect.any(String), title: 'Alpha', tags: ['radio'] }]);
+  });
+  
+  it('returns an excerpt instead of the content in summary mode', async () => {
+    const response = await list('sort=title&limit=1&summary=true');
+    
+    expect(response.body[0].content).toBeUndefined();
+    expect(response.body[0].excerpt).toBe('Alpha is a word in the phonetic alphabet used by radio operators.');
+  });
+  
+  it('rejects invalid parameters', async () => {
+    const first = await list('sort=title&limit=2');
+    
+    expect((await list('sort=size')).status).toBe(400);
+    expect((await list('order=sideways')).status).toBe(400);
+    expect((await list('limit=0')).status).toBe(400);
+    expect((await list('limit=501')).status).toBe(400);
+    expect((await list('fields=id,secret')).status).toBe(400);
+    expect((await list(`sort=date&limit=2&cursor=${first.headers['x-next-cursor']}`)).status).toBe(400);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Search Query Matcher Tests
+ */
+
+const { parseQuery } = require('../src/search/queryParser');
+const { matchesQuery, collectTerms } = require('../src/search/queryMatcher');
+
+const note = {
+  id: '3f2b8c1e-7d4a-4e5b-9c6f-1a2b3c4d5e6f',
+  relativePath: 'projects/alpha/2026-02-01_quantum_computing.md',
+  title: 'Quantum Computing',
+  content: 'Qubits can be in a superposition of states.',
+  metadata: {
+    tags: ['physics', 'ml/nlp'],
+    author: 'research Agent',
+    date: new Date('2026-02-01T00:00:00Z'),
+    lastModified: '2026-03-10',
+    priority: 3,
+    Status: 'In Review',
+    owner: { team: 'Platform' }
+  }
+};
+
+const matches = query => matchesQuery(parseQuery(query), note);
+
+describe('matchesQuery', () => {
+  it('matches words and phrases in the title and body', () => {
+    expect(matches('qubits')).toBe(true);
+    expect(matches('"quantum computing"')).toBe(true);
+    expect(matches('"computing quantum"')).toBe(false);
+    expect(matches('classical')).toBe(false);
+  });
+  
+  it('combines terms with AND, OR and NOT', () => {
+    expect(matches('qubits superposition')).toBe(true);
+    expect(matches('qubits classical')).toBe(false);
+    expect(matches('qubits OR classical')).toBe(true);
+    expect(matches('qubits -superposition')).toBe(false);
+    expect(matches('NOT (classical OR biology)')).toBe(true);
+  });
+  
+  it('matches tags whole and by parent', () => {
+    expect(matches('tag:physics')).toBe(true);
+    expect(matches('tag:ml')).toBe(true);
+    expect(matches('tag:ml/nlp')).toBe(true);
+    expect(matches('tag:phys')).toBe(false);
+  });
+  
+  it('matches the category folder, path and ID', () => {
+    expect(matches('category:projects/alpha')).toBe(true);
+    expect(matches('category:projects')).toBe(true);
+    expect(matches('category:topics')).toBe(false);
+    expect(matches(`path:${note.relativePath}`)).toBe(true);
+    expect(matches(`id:${note.id}`)).toBe(true);
+  });
+  
+  it('matches frontmatter fields case-insensitively, including nested fields', () => {
+    expect(matches('status:"in review"')).toBe(true);
+    expect(matches('author:research')).toBe(true);
+    expect(matches('owner.team:platform')).toBe(true);
+    expect(matches('missing:anything')).toBe(false);
+  });
+  
+  it('compares numbers and dates', () => {
+    expect(matches('priority:>2')).toBe(true);
+    expect(matches('priority:<=2')).toBe(false);
+    expect(matches('created:=2026-02-01')).toBe(true);
+    expect(matches('modified:>2026-03-01')).toBe(true);
+    expect(matches('modified:<2026-03-01')).toBe(false);
+  });
+});
+
+describe('collectTerms', () => {
+  it('separates required terms from those that only rank', () => {
+    const terms = collectTerms(parseQuery('quantum (qubits OR bits) -classical tag:physics'));
+    expect(terms.required).toEqual(['quantum']);
+    expect(terms.positive).toEqual(['quantum', 'qubits', 'bits']);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Search Query Parser Tests
+ */
+
+const { parseQuery } = require('../src/search/queryParser');
+
+const term = (value, extra = {}) => ({ type: 'term', field: null, operator: ':', value, phrase: false, ...extra });
+
+describe('parseQuery', () => {
+  it('parses a single word', () => {
+    expect(parseQuery('quantum')).toEqual(term('quantum'));
+  });
+  
+  it('joins neighbouring terms with AND', () => {
+    expect(parseQuery('quantum computing')).toEqual({
+      type: 'and',
+      children: [term('quantum'), term('computing')]
+    });
+  });
+  
+  it('binds AND tighter than OR', () => {
+    expect(parseQuery('a OR b AND c')).toEqual({
+      type: 'or',
+      children: [term('a'), { type: 'and', children: [term('b'), term('c')] }]
+    });
+  });
+  
+  it('groups with parentheses and negates with NOT or -', () => {
+    expect(parseQuery('-(a OR b) NOT c')).toEqual({
+      type: 'and',
+      children: [
+        { type: 'not', child: { type: 'or', children: [term('a'), term('b')] } },
+        { type: 'not', child: term('c') }
+      ]
+    });
+  });
+  
+  it('parses phrases, fields and comparisons', () => {
+    const expression = parseQuery('"exact phrase" Tag:ml status:"in review" modified:>=2026-01-01');
+    expect(expression.children).toEqual([
+      term('exact phrase', { phrase: true }),
+      term('ml', { field: 'tag' }),
+      term('in review', { field: 'status', phrase: true }),
+      term('2026-01-01', { field: 'modified', operator: '>=' })
+    ]);
+  });
+  
+  it('keeps a hyphen inside a word', () => {
+    expect(parseQuery('state-of-the-art')).toEqual(term('state-of-the-art'));
+  });
+  
+  it.each([
+    ['(a', 0, "missing ')'"],
+    ['a)', 1, "unexpected ')'"],
+    ['a OR', 4, "expected a term after 'OR'"],
+    ['a AND OR b', 6, "expected a term after 'AND'"],
+    ['"abc', 0, 'unterminated phrase'],
+    ['tag:', 4, "expected a value after 'tag:'"],
+    ['NOT', 3, 'expected a term to negate']
+  ])('rejects %j with the position at fault', (query, position, message) => {
+    let error;
+    try {
+      parseQuery(query);
+    } catch (caught) {
+      error = caught;
+    }
+    
+    expect(error.message).toContain(message);
+    expect(error.statusCode).toBe(400);
+    expect(error.details).toEqual({ position });
+  });
+  
+  it('rejects a query that is not a string', () => {
+    expect(() => parseQuery(['a'])).toThrow('query must be a string');
+  });
+});
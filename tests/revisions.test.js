@@ -0,0 +1,120 @@
+/**
+ * Revision History and Diff Tests
+ */
+
+const request = require('supertest');
+const app = require('../src/index');
+const noteModel = require('../src/models/noteModel');
+const { getStorage } = require('../src/storage');
+const { createUnifiedDiff } = require('../src/utils/diff');
+
+const ADMIN = { 'X-API-Key': 'admin-key' };
+const ANALYTICS = { 'X-API-Key': 'analytics-key' };
+
+describe('createUnifiedDiff', () => {
+  it('shows changed lines with three lines of context', () => {
+    const diff = createUnifiedDiff('a\nb\nc\nd\ne\nf\ng\nh\n', 'a\nb\nc\nD\ne\nf\ng\nh\n', { fromLabel: 'note@1', toLabel: 'note@2' });
+    expect(diff).toBe('--- note@1\n+++ note@2\n@@ -1,7 +1,7 @@\n a\n b\n c\n-d\n+D\n e\n f\n g\n');
+  });
+  
+  it('diffs against an empty text', () => {
+    expect(createUnifiedDiff('', 'one\ntwo\n')).toBe('--- a\n+++ b\n@@ -0,0 +1,2 @@\n+one\n+two\n');
+  });
+  
+  it('returns nothing for identical texts', () => {
+    expect(createUnifiedDiff('same\n', 'same\n')).toBe('');
+  });
+});
+
+describe('Revision history', () => {
+  let note;
+  let noteUrl;
+  
+  beforeAll(async () => {
+    await noteModel.initializeStorage();
+  });
+  
+  beforeEach(async () => {
+    note = (await request(app).post('/notes').set(ADMIN)
+      .send({ title: `Revised ${Date.now()}`, content: 'First draft' })).body;
+    noteUrl = `/notes/${encodeURIComponent(note.id)}`;
+  });
+  
+  it('records a revision for every write, newest first', async () => {
+    await request(app).put(noteUrl).set(ADMIN).send({ content: 'Second draft' });
+    await request(app).post(`${noteUrl}/append`).set(ADMIN).send({ content: 'Appendix' });
+    
+    const response = await request(app).get(`${noteUrl}/revisions`).set(ANALYTICS);
+    
+    expect(response.status).toBe(200);
+    expect(response.body.revisions.map(revision => [revision.rev, revision.action])).toEqual([
+      [3, 'append'],
+      [2, 'update'],
+      [1, 'create']
+    ]);
+    expect(response.body.revisions[0]).toMatchObject({
+      author: 'admin Agent',
+      hash: expect.stringMatching(/^[0-9a-f]{64}$/),
+      size: expect.any(Number)
+    });
+  });
+  
+  it('returns the full content of a revision', async () => {
+    await request(app).put(noteUrl).set(ADMIN).send({ content: 'Second draft' });
+    
+    const response = await request(app).get(`${noteUrl}/revisions/1`).set(ADMIN);
+    
+    expect(response.status).toBe(200);
+    expect(response.body.content).toMatch(/^---\n/);
+    expect(response.body.content).toContain('First draft');
+    expect((await request(app).get(`${noteUrl}/revisions/9`).set(ADMIN)).status).toBe(404);
+  });
+  
+  it('diffs two revisions, defaulting to the latest change', async () => {
+    await request(app).put(noteUrl).set(ADMIN).send({ content: 'Second draft' });
+    
+    const response = await request(app).get(`${noteUrl}/diff`).set(ADMIN);
+    
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ from: 1, to: 2 });
+    expect(response.body.diff).toContain('-First draft');
+    expect(response.body.diff).toContain('+Second draft');
+    
+    const fromEmpty = await request(app).get(`${noteUrl}/diff?from=0&to=1`).set(ADMIN);
+    expect(fromEmpty.body.diff).toContain('+First draft');
+  });
+  
+  it('rejects unknown or malformed revision numbers', async () => {
+    expect((await request(app).get(`${noteUrl}/revisions/first`).set(ADMIN)).status).toBe(400);
+    expect((await request(app).get(`${noteUrl}/diff?from=1&to=5`).set(ADMIN)).status).toBe(404);
+  });
+  
+  it('restores an earlier revision as a new revision', async () => {
+    await request(app).put(noteUrl).set(ADMIN).send({ content: 'Second draft' });
+    
+    const response = await request(app).post(`${noteUrl}/revisions/1/restore`).set(ADMIN);
+    
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ restoredFrom: 1, rev: 3 });
+    
+    const read = await request(app).get(noteUrl).set(ADMIN);
+    expect(read.body.content).toContain('First draft');
+    expect(read.body.content).not.toContain('Second draft');
+    
+    const revisions = await request(app).get(`${noteUrl}/revisions`).set(ADMIN);
+    expect(revisions.body.revisions[0]).toMatchObject({ rev: 3, action: 'restore', restoredFrom: 1 });
+  });
+  
+  it('captures changes made outside the API as a baseline before the next write', async () => {
+    const stored = await getStorage().read(note.relativePath || note.id);
+    await getStorage().write(note.relativePath || note.id, stored.replace('First draft', 'Edited by hand'));
+    
+    await request(app).put(noteUrl).set(ADMIN).send({ content: 'Third draft' });
+    
+    const revisions = await request(app).get(`${noteUrl}/revisions`).set(ADMIN);
+    expect(revisions.body.revisions.map(revision => revision.action)).toEqual(['update', 'baseline', 'create']);
+    
+    const baseline = await request(app).get(`${noteUrl}/revisions/2`).set(ADMIN);
+    expect(baseline.body.content).toContain('Edited by hand');
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * S3 Storage Adapter Tests
+ * Run against an in-memory stand-in for the S3 client.
+ */
+
+const createS3Adapter = require('../src/storage/s3Adapter');
+
+/**
+ * Minimal S3 client keeping objects in memory
+ * `stale` keys are hidden from reads and listings until `settle()`, as in
+ * an eventually consistent bucket, and `throttle(n)` fails the next n requests.
+ */
+function createFakeClient({ pageSize = 1000 } = {}) {
+  const objects = new Map();
+  const stale = new Set();
+  const calls = [];
+  let throttled = 0;
+  let lagging = false;
+  
+  const notFound = (name) => Object.assign(new Error(name), { name, $metadata: { httpStatusCode: 404 } });
+  const visible = key => objects.has(key) && !stale.has(key);
+  
+  const handlers = {
+    PutObjectCommand({ Key, Body }) {
+      objects.set(Key, { body: Body, modified: new Date() });
+      if (lagging) stale.add(Key);
+      return {};
+    },
+    GetObjectCommand({ Key }) {
+      if (!visible(Key)) throw notFound('NoSuchKey');
+      const { body } = objects.get(Key);
+      return { Body: { transformToString: async () => body } };
+    },
+    HeadObjectCommand({ Key }) {
+      if (!visible(Key)) throw notFound('NotFound');
+      const { body, modified } = objects.get(Key);
+      return { ContentLength: Buffer.byteLength(body), LastModified: modified };
+    },
+    CopyObjectCommand({ Key, CopySource }) {
+      const source = decodeURIComponent(CopySource.slice(CopySource.indexOf('/') + 1));
+      objects.set(Key, { ...objects.get(source), modified: new Date() });
+      if (lagging) stale.add(Key);
+      return {};
+    },
+    DeleteObjectCommand({ Key }) {
+      // A lagging bucket keeps listing deleted keys for a while
+      if (lagging && objects.has(Key)) {
+        stale.delete(Key);
+        objects.get(Key).deleted = true;
+      } else {
+        objects.delete(Key);
+      }
+      return {};
+    },
+    ListObjectsV2Command({ Prefix, ContinuationToken }) {
+      const keys = [...objects.keys()]
+        .filter(key => key.startsWith(Prefix) && !stale.has(key))
+        .sort();
+      const start = ContinuationToken ? Number(ContinuationToken) : 0;
+      const page = keys.slice(start, start + pageSize);
+      const truncated = start + pageSize < keys.length;
+      return {
+        Contents: page.map(Key => ({ Key })),
+        IsTruncated: truncated,
+        NextContinuationToken: truncated ? String(start + pageSize) : undefined
+      };
+    }
+  };
+  
+  return {
+    objects,
+    calls,
+    lag() {
+      lagging = true;
+    },
+    settle() {
+      lagging = false;
+      stale.clear();
+      for (const [key, object] of objects) {
+        if (object.deleted) objects.delete(key);
+      }
+    },
+    throttle(count) {
+      throttled = count;
+    },
+    async send(command) {
+      const name = command.constructor.name;
+      calls.push(name);
+      if (throttled > 0) {
+        throttled--;
+        throw Object.assign(new Error('Please reduce your request rate.'), {
+          name: 'SlowDown',
+          $metadata: { httpStatusCode: 503 }
+        });
+      }
+      return handlers[name](command.input);
+    }
+  };
+}
+
+describe('s3 adapter', () => {
+  let client;
+  let storage;
+  
+  const createAdapter = (options = {}) => createS3Adapter({
+    bucket: 'notes-bucket',
+    prefix: 'vault',
+    client,
+    retryDelayMs: 1,
+    ...options
+  });
+  
+  beforeEach(() => {
+    client = createFakeClient({ pageSize: 2 });
+    storage = createAdapter();
+  });
+  
+  it('requires a bucket', () => {
+    expect(() => createS3Adapter({ client })).toThrow('A bucket is required for the s3 storage backend');
+  });
+  
+  it('stores notes under the prefix and describes its location', async () => {
+    await storage.write('topics/2025-03-15_alpha.md', '# Alpha\n\nCafé');
+    
+    expect([...client.objects.keys()]).toEqual(['vault/topics/2025-03-15_alpha.md']);
+    expect(storage.locate('topics/2025-03-15_alpha.md')).toBe('s3://notes-bucket/vault/topics/2025-03-15_alpha.md');
+    expect(storage.describe()).toMatchObject({ type: 's3', bucket: 'notes-bucket', prefix: 'vault/' });
+    expect(await createAdapter().read('topics/2025-03-15_alpha.md')).toBe('# Alpha\n\nCafé');
+    expect(await createAdapter().stat('topics/2025-03-15_alpha.md')).toMatchObject({ size: 14 });
+  });
+  
+  it('lists every page of a listing, sorted and without the prefix', async () => {
+    for (const name of ['e', 'c', 'a', 'd', 'b']) {
+      await storage.write(`topics/${name}.md`, name);
+    }
+    await storage.write('projects/f.md', 'f');
+    
+    client.calls.length = 0;
+    const keys = await createAdapter().list('topics');
+    
+    expect(keys).toEqual(['topics/a.md', 'topics/b.md', 'topics/c.md', 'topics/d.md', 'topics/e.md']);
+    expect(client.calls).toEqual(['ListObjectsV2Command', 'ListObjectsV2Command', 'ListObjectsV2Command']);
+    expect(await createAdapter().list()).toHaveLength(6);
+  });
+  
+  it('retries requests the service throttles', async () => {
+    client.throttle(3);
+    await storage.write('topics/a.md', 'a');
+    
+    client.throttle(2);
+    expect(await createAdapter().list('topics')).toEqual(['topics/a.md']);
+    expect(client.calls.filter(name => name === 'PutObjectCommand')).toHaveLength(4);
+  });
+  
+  it('gives up once the throttling retries run out', async () => {
+    storage = createAdapter({ throttleRetries: 2 });
+    client.throttle(3);
+    
+    await expect(storage.write('topics/a.md', 'a')).rejects.toMatchObject({ name: 'SlowDown' });
+    expect(client.calls).toHaveLength(3);
+  });
+  
+  it('does not retry other errors', async () => {
+    await expect(createAdapter().read('topics/missing.md')).rejects.toMatchObject({ code: 'ENOENT' });
+    expect(client.calls).toEqual(['GetObjectCommand']);
+  });
+  
+  it('overlays its own recent writes and deletes while the bucket catches up', async () => {
+    await storage.write('topics/old.md', 'old');
+    client.settle();
+    client.lag();
+    
+    await storage.write('topics/new.md', 'new');
+    await storage.delete('topics/old.md');
+    
+    expect(await storage.read('topics/new.md')).toBe('new');
+    expect(await storage.list('topics')).toEqual(['topics/new.md']);
+    await expect(storage.read('topics/old.md')).rejects.toMatchObject({ code: 'ENOENT' });
+    
+    // Another process sees only what the bucket shows
+    expect(await createAdapter().list('topics')).toEqual(['topics/old.md']);
+  });
+  
+  it('stops overlaying once the consistency window has passed', async () => {
+    storage = createAdapter({ consistencyWindowMs: 1000 });
+    client.lag();
+    await storage.write('topics/new.md', 'new');
+    
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2000);
+    try {
+      expect(await storage.list('topics')).toEqual([]);
+    } finally {
+      clock.mockRestore();
+    }
+  });
+  
+  it('moves an object by copying it and deleting the original', async () => {
+    await storage.write('topics/my note.md', 'content');
+    client.settle();
+    
+    await storage.move('topics/my note.md', 'projects/my note.md');
+    
+    expect([...client.objects.keys()]).toEqual(['vault/projects/my note.md']);
+    expect(await createAdapter().read('projects/my note.md')).toBe('content');
+    expect(await storage.list()).toEqual(['projects/my note.md']);
+  });
+  
+  it('waits for a moved copy to become visible before deleting the original', async () => {
+    await storage.write('topics/a.md', 'a');
+    client.settle();
+    
+    const send = client.send.bind(client);
+    let heads = 0;
+    client.lag();
+    client.send = async (command) => {
+      if (command.constructor.name === 'HeadObjectCommand' && ++heads === 2) {
+        client.settle();
+      }
+      return send(command);
+    };
+    
+    await storage.move('topics/a.md', 'topics/b.md');
+    
+    expect(heads).toBe(2);
+    expect(client.calls.slice(-2)).toEqual(['HeadObjectCommand', 'DeleteObjectCommand']);
+  });
+  
+  it('reports missing keys like the other adapters', async () => {
+    await expect(storage.move('topics/missing.md', 'topics/b.md')).rejects.toMatchObject({ code: 'ENOENT' });
+    await expect(storage.delete('topics/missing.md')).rejects.toMatchObject({ code: 'ENOENT' });
+    await expect(storage.stat('topics/missing.md')).rejects.toMatchObject({ code: 'ENOENT' });
+    
+    await storage.write('topics/a.md', 'a');
+    await storage.delete('topics/a.md');
+    await expect(storage.delete('topics/a.md')).rejects.toMatchObject({ code: 'ENOENT' });
+    await expect(storage.read('../secret')).rejects.toMatchObject({ statusCode: 403 });
+  });
+});
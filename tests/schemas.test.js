@@ -0,0 +1,195 @@
+/**
+ * Category Schema Tests
+ */
+
+const request = require('supertest');
+const app = require('../src/index');
+const noteModel = require('../src/models/noteModel');
+const { checkSchema, validate } = require('../src/utils/jsonSchema');
+
+const ADMIN = { 'X-API-Key': 'admin-key' };
+
+const PROJECT_SCHEMA = {
+  type: 'object',
+  required: ['status', 'owner'],
+  properties: {
+    status: { enum: ['planned', 'active', 'done'] },
+    owner: { type: 'string', minLength: 1 }
+  }
+};
+
+describe('checkSchema', () => {
+  it('accepts the supported keywords and annotations', () => {
+    expect(checkSchema({
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      title: 'Project',
+      ...PROJECT_SCHEMA,
+      additionalProperties: { type: 'string' },
+      anyOf: [{ required: ['owner'] }, { not: { type: 'null' } }]
+    })).toEqual([]);
+  });
+  
+  it('reports unsupported keywords and invalid values with their paths', () => {
+    expect(checkSchema({
+      $ref: '#/definitions/project',
+      properties: { status: { type: 'text' }, owner: { pattern: '(' } },
+      minItems: -1
+    })).toEqual([
+      '$ref: unsupported keyword',
+      'properties.status.type: must be one of string, number, integer, boolean, array, object, null',
+      'properties.owner.pattern: must be a valid regular expression',
+      'minItems: must be a non-negative integer'
+    ]);
+  });
+  
+  it('rejects a schema that is not an object', () => {
+    expect(checkSchema([])).toEqual(['schema: must be an object']);
+  });
+});
+
+describe('validate', () => {
+  it('accepts a matching value', () => {
+    expect(validate(PROJECT_SCHEMA, { status: 'active', owner: 'alice', extra: true })).toEqual([]);
+  });
+  
+  it('lists every violation with its field', () => {
+    expect(validate(PROJECT_SCHEMA, { status: 'paused', owner: '' })).toEqual([
+      { field: 'status', message: 'status must be one of "planned", "active", "done"' },
+      { field: 'owner', message: 'owner must not be empty' }
+    ]);
+    expect(validate(PROJECT_SCHEMA, {})).toEqual([
+      { field: 'status', message: 'status is required' },
+      { field: 'owner', message: 'owner is required' }
+    ]);
+  });
+  
+  it('checks nested arrays, formats and closed objects', () => {
+    const schema = {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        links: { type: 'array', uniqueItems: true, items: { type: 'object', properties: { url: { format: 'uri' } } } },
+        due: { type: 'string', format: 'date' }
+      }
+    };
+    
+    expect(validate(schema, { links: [{ url: 'not a url' }], due: '2026-13-45', notes: 1 })).toEqual([
+      { field: 'links[0].url', message: 'links[0].url must be a valid uri' },
+      { field: 'due', message: 'due must be a valid date' },
+      { field: 'notes', message: 'notes is not an allowed field' }
+    ]);
+  });
+  
+  it('reports a type mismatch alone', () => {
+    expect(validate({ type: ['integer', 'null'], minimum: 1 }, 'one')).toEqual([
+      { field: '', message: 'value must be an integer or null' }
+    ]);
+  });
+});
+
+describe('Category schemas over the API', () => {
+  beforeAll(async () => {
+    await noteModel.initializeStorage();
+  });
+  
+  const setSchema = schema => request(app).put('/categories/projects').set(ADMIN).send({ schema });
+  const createProject = (title, metadata) => request(app).post('/notes').set(ADMIN)
+    .send({ title, content: 'Plan', category: 'projects', metadata });
+  
+  afterEach(async () => {
+    await setSchema(null);
+  });
+  
+  it('rejects an unsupported schema', async () => {
+    const response = await setSchema({ $ref: '#/definitions/project' });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.problems).toEqual(['$ref: unsupported keyword']);
+  });
+  
+  it('checks new notes against the schema', async () => {
+    await setSchema(PROJECT_SCHEMA);
+    
+    const rejected = await createProject('Alpha Migration', { status: 'active' });
+    expect(rejected.status).toBe(422);
+    expect(rejected.body.violations).toEqual([
+      { category: 'projects', field: 'owner', message: 'owner is required' }
+    ]);
+    
+    const accepted = await createProject('Alpha Migration', { status: 'active', owner: 'alice' });
+    expect(accepted.status).toBe(201);
+  });
+  
+  it('checks the notes of subcategories against their parents\' schemas', async () => {
+    await request(app).post('/categories').set(ADMIN).send({ path: 'projects/beta' });
+    await setSchema(PROJECT_SCHEMA);
+    
+    const response = await request(app).post('/notes').set(ADMIN)
+      .send({ title: 'Beta Plan', content: 'Plan', category: 'projects/beta' });
+    
+    expect(response.status).toBe(422);
+  });
+  
+  it('checks appends, moves, archive restores and revision restores', async () => {
+    const note = (await createProject('Beta Rollout', {})).body;
+    await request(app).patch(`/notes/${note.id}`).set(ADMIN).set('Content-Type', 'application/merge-patch+json')
+      .send(JSON.stringify({ metadata: { status: 'active', owner: 'alice' } }));
+    const legacy = (await createProject('Delta Draft', {})).body;
+    const archived = (await createProject('Gamma Retired', {})).body;
+    await request(app).delete(`/notes/${archived.id}?archive=true`).set(ADMIN);
+    const topic = (await request(app).post('/notes').set(ADMIN).send({ title: 'Epsilon Idea', content: 'Plan' })).body;
+    
+    await setSchema(PROJECT_SCHEMA);
+    
+    const append = await request(app).post(`/notes/${legacy.id}/append`).set(ADMIN).send({ content: 'More' });
+    expect(append.status).toBe(422);
+    expect(append.body.violations).toHaveLength(2);
+    
+    const move = await request(app).post(`/notes/${topic.id}/move`).set(ADMIN).send({ category: 'projects' });
+    expect(move.status).toBe(422);
+    
+    const restore = await request(app).post(`/notes/${archived.id}/restore`).set(ADMIN);
+    expect(restore.status).toBe(422);
+    
+    const revision = await request(app).post(`/notes/${note.id}/revisions/1/restore`).set(ADMIN);
+    expect(revision.status).toBe(422);
+    
+    const valid = await request(app).post(`/notes/${note.id}/append`).set(ADMIN).send({ content: 'More' });
+    expect(valid.status).toBe(200);
+  });
+  
+  it('reports imported notes that do not match under failed', async () => {
+    await setSchema(PROJECT_SCHEMA);
+    
+    const response = await request(app).post('/import').set(ADMIN).send([
+      { title: 'Imported Valid', content: 'Plan', category: 'projects', metadata: { status: 'done', owner: 'bob' } },
+      { title: 'Imported Invalid', content: 'Plan', category: 'projects' }
+    ]);
+    
+    expect(response.status).toBe(201);
+    expect(response.body.failed).toEqual([
+      expect.objectContaining({ error: expect.stringContaining('does not match the schema for projects') })
+    ]);
+    
+    const [imported, rejected] = response.body.notes;
+    expect((await request(app).get(`/notes/${imported.id}`).set(ADMIN)).status).toBe(200);
+    expect((await request(app).get(`/notes/${rejected.id}`).set(ADMIN)).status).toBe(404);
+  });
+  
+  it('finds the notes written before the schema that do not match it', async () => {
+    await request(app).post('/categories').set(ADMIN).send({ path: 'projects/gamma' });
+    const valid = (await request(app).post('/notes').set(ADMIN)
+      .send({ title: 'Gamma Valid', content: 'Plan', category: 'projects/gamma', metadata: { status: 'planned', owner: 'carol' } })).body;
+    const invalid = (await request(app).post('/notes').set(ADMIN)
+      .send({ title: 'Gamma Invalid', content: 'Plan', category: 'projects/gamma' })).body;
+    
+    await setSchema(PROJECT_SCHEMA);
+    
+    const response = await request(app).post('/notes/validate').set(ADMIN).send({ category: 'projects/gamma' });
+    
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ checked: 2, valid: 1, invalid: 1 });
+    expect(response.body.notes.map(note => note.id)).toEqual([invalid.id]);
+    expect(response.body.notes.map(note => note.id)).not.toContain(valid.id);
+  });
+});
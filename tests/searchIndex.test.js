@@ -0,0 +1,117 @@
+/**
+ * Full-Text Search Index Tests
+ */
+
+const noteModel = require('../src/models/noteModel');
+const searchIndex = require('../src/search/searchIndex');
+const { getStorage } = require('../src/storage');
+
+const notes = [
+  {
+    id: 'quantum',
+    title: 'Quantum Computing',
+    content: '# Quantum Computing\n\nQubits and entanglement make quantum algorithms fast.'
+  },
+  {
+    id: 'classical',
+    title: 'Classical Algorithms',
+    content: '# Classical Algorithms\n\nSorting algorithms such as quicksort. Quantum comes up once.'
+  },
+  {
+    id: 'cooking',
+    title: 'Bread',
+    content: '# Bread\n\nFlour, water, salt and yeast.'
+  }
+];
+
+describe('searchIndex', () => {
+  beforeEach(async () => {
+    await searchIndex.rebuild(notes);
+  });
+  
+  it('reports what it indexed', async () => {
+    const stats = await searchIndex.rebuild(notes);
+    expect(stats.documents).toBe(3);
+    expect(stats.terms).toBeGreaterThan(10);
+  });
+  
+  it('ranks title matches above body matches', async () => {
+    const results = await searchIndex.search('quantum');
+    expect(results.map(result => result.id)).toEqual(['quantum', 'classical']);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+  
+  it('requires every term by default', async () => {
+    const results = await searchIndex.search('quantum sorting');
+    expect(results.map(result => result.id)).toEqual(['classical']);
+  });
+  
+  it('matches any term when asked', async () => {
+    const results = await searchIndex.search('qubits yeast', { matchAll: false });
+    expect(results.map(result => result.id).sort()).toEqual(['cooking', 'quantum']);
+  });
+  
+  it('weights rare terms above common ones', async () => {
+    const results = await searchIndex.search('algorithms entanglement', { matchAll: false });
+    expect(results[0].id).toBe('quantum');
+  });
+  
+  it('ignores stop words and unknown terms', async () => {
+    expect(await searchIndex.search('the and of')).toEqual([]);
+    expect(await searchIndex.search('nonexistent')).toEqual([]);
+  });
+  
+  it('replaces and removes notes', async () => {
+    await searchIndex.indexNote({ id: 'cooking', title: 'Bread', content: 'Sourdough needs a starter.' });
+    expect(await searchIndex.search('yeast')).toEqual([]);
+    expect((await searchIndex.search('sourdough')).map(result => result.id)).toEqual(['cooking']);
+    
+    await searchIndex.removeNote('quantum');
+    expect((await searchIndex.search('quantum')).map(result => result.id)).toEqual(['classical']);
+  });
+  
+  it('saves the index through the storage adapter', async () => {
+    await searchIndex.flush();
+    const stored = JSON.parse(await getStorage().read('.index/search.json'));
+    expect(Object.keys(stored.documents).sort()).toEqual(['classical', 'cooking', 'quantum']);
+  });
+});
+
+describe('Reading notes to index', () => {
+  let original;
+  
+  beforeAll(async () => {
+    await noteModel.initializeStorage();
+    original = await noteModel.createNote('admin', 'Original', 'Body', [], 'topics', 'Tester');
+    await noteModel.updateNote('admin', original.id, undefined, 'Second body', undefined, 'Tester');
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  it('lists only category folders, not revisions or indexes', async () => {
+    const list = jest.spyOn(getStorage(), 'list');
+    
+    await noteModel.reindexNotes('admin');
+    
+    const prefixes = list.mock.calls.map(([prefix]) => prefix);
+    expect(prefixes).toEqual(expect.arrayContaining(['topics', 'projects']));
+    expect(prefixes.every(prefix => prefix && !prefix.startsWith('.'))).toBe(true);
+  });
+  
+  it('leaves a copied note alone while listing and gives it its own ID on reindex', async () => {
+    const copy = await getStorage().read(original.relativePath);
+    await getStorage().write('projects/copy.md', copy);
+    const write = jest.spyOn(getStorage(), 'write');
+    
+    await noteModel.getAllNotes('admin');
+    expect(write.mock.calls.map(([key]) => key)).not.toContain('projects/copy.md');
+    expect(await getStorage().read('projects/copy.md')).toBe(copy);
+    
+    await noteModel.reindexNotes('admin');
+    const copied = await noteModel.getNoteById('admin', 'projects/copy.md');
+    expect(copied.id).not.toBe(original.id);
+    expect((await noteModel.getNoteById('admin', original.id)).relativePath).toBe(original.relativePath);
+  });
+});
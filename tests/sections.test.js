@@ -0,0 +1,151 @@
+/**
+ * Note Section Tests
+ */
+
+const request = require('supertest');
+const app = require('../src/index');
+const noteModel = require('../src/models/noteModel');
+const { parseSections, findSections, toOutline, headingLevels } = require('../src/utils/sections');
+
+const ADMIN = { 'X-API-Key': 'admin-key' };
+
+const BODY = [
+  '# Memory',
+  'Intro',
+  '## Open Questions',
+  'Why?',
+  '## Week 2',
+  '### Findings',
+  'Nested finding',
+  '## Findings',
+  'First finding.',
+  '```',
+  '# Not a heading',
+  '```'
+].join('\n');
+
+describe('parseSections', () => {
+  it('builds a tree of sections, ignoring headings in code blocks', () => {
+    const { sections } = parseSections(BODY);
+    
+    expect(toOutline(sections)).toEqual([{
+      heading: 'Memory',
+      level: 1,
+      path: ['Memory'],
+      children: [
+        { heading: 'Open Questions', level: 2, path: ['Memory', 'Open Questions'], children: [] },
+        {
+          heading: 'Week 2',
+          level: 2,
+          path: ['Memory', 'Week 2'],
+          children: [{ heading: 'Findings', level: 3, path: ['Memory', 'Week 2', 'Findings'], children: [] }]
+        },
+        { heading: 'Findings', level: 2, path: ['Memory', 'Findings'], children: [] }
+      ]
+    }]);
+  });
+  
+  it('records where each section starts and ends', () => {
+    const { sections } = parseSections(BODY);
+    const [weekTwo] = findSections(sections, ['Week 2']);
+    
+    expect(weekTwo.start).toBe(4);
+    expect(weekTwo.end).toBe(7);
+    expect(sections[0].end).toBe(12);
+  });
+  
+  it('lists heading levels outside code blocks', () => {
+    expect(headingLevels(BODY)).toEqual([1, 2, 2, 3, 2]);
+  });
+});
+
+describe('findSections', () => {
+  const { sections } = parseSections(BODY);
+  const paths = headingPath => findSections(sections, headingPath).map(section => section.path);
+  
+  it('finds a heading at any depth, ignoring case', () => {
+    expect(paths(['findings'])).toEqual([['Memory', 'Week 2', 'Findings'], ['Memory', 'Findings']]);
+  });
+  
+  it('prefers sections directly within the previous heading', () => {
+    expect(paths(['Memory', 'Findings'])).toEqual([['Memory', 'Findings']]);
+    expect(paths(['Week 2', 'Findings'])).toEqual([['Memory', 'Week 2', 'Findings']]);
+  });
+  
+  it('finds nothing for an unknown heading', () => {
+    expect(paths(['Summary'])).toEqual([]);
+  });
+});
+
+describe('section endpoints', () => {
+  let id;
+  
+  beforeAll(async () => {
+    await noteModel.initializeStorage();
+  });
+  
+  beforeEach(async () => {
+    const created = await request(app).post('/notes').set(ADMIN)
+      .send({ title: 'Memory', content: BODY.split('\n').slice(1).join('\n') });
+    id = created.body.id;
+  });
+  
+  const section = headingPath => `/notes/${id}/sections/${headingPath.map(encodeURIComponent).join('/')}`;
+  
+  it('lists the sections', async () => {
+    const response = await request(app).get(`/notes/${id}/sections`).set(ADMIN);
+    
+    expect(response.status).toBe(200);
+    expect(response.body.sections[0].children.map(child => child.heading)).toEqual(['Open Questions', 'Week 2', 'Findings']);
+  });
+  
+  it('reads a section by its heading path', async () => {
+    const response = await request(app).get(section(['Memory', 'Findings'])).set(ADMIN);
+    
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ heading: 'Findings', level: 2, path: ['Memory', 'Findings'] });
+    expect(response.body.content).toMatch(/^## Findings\nFirst finding\./);
+  });
+  
+  it('answers 409 with the matches when a path is ambiguous, and 404 when it matches nothing', async () => {
+    const ambiguous = await request(app).get(section(['Findings'])).set(ADMIN);
+    expect(ambiguous.status).toBe(409);
+    expect(ambiguous.body.matches).toEqual([['Memory', 'Week 2', 'Findings'], ['Memory', 'Findings']]);
+    
+    const missing = await request(app).get(section(['Summary'])).set(ADMIN);
+    expect(missing.status).toBe(404);
+  });
+  
+  it('appends to and replaces a section, keeping the rest of the note', async () => {
+    const appended = await request(app).post(section(['Week 2'])).set(ADMIN).send({ content: 'Late note' });
+    expect(appended.status).toBe(200);
+    
+    let note = await request(app).get(`/notes/${id}`).set(ADMIN);
+    expect(note.body.content).toContain('Nested finding\n\nLate note\n\n## Findings');
+    
+    const replaced = await request(app).put(section(['Open Questions'])).set(ADMIN).send({ content: 'None left' });
+    expect(replaced.status).toBe(200);
+    
+    note = await request(app).get(`/notes/${id}`).set(ADMIN);
+    expect(note.body.content).toContain('## Open Questions\n\nNone left');
+    expect(note.body.content).not.toContain('Why?');
+    expect(note.body.content).toContain('First finding.');
+  });
+  
+  it('rejects content with a heading that would end the section', async () => {
+    const response = await request(app).put(section(['Week 2'])).set(ADMIN).send({ content: '## Sneaky' });
+    expect(response.status).toBe(400);
+  });
+  
+  it('adds a section after another one', async () => {
+    const response = await request(app).post(`/notes/${id}/sections`).set(ADMIN)
+      .send({ heading: 'Summary', content: 'All done', after: ['Memory', 'Open Questions'] });
+    
+    expect(response.status).toBe(201);
+    expect(response.body.section).toEqual(['Memory', 'Summary']);
+    
+    const note = await request(app).get(`/notes/${id}/sections`).set(ADMIN);
+    expect(note.body.sections[0].children.map(child => child.heading))
+      .toEqual(['Open Questions', 'Summary', 'Week 2', 'Findings']);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Embeddings, Vector Store and Semantic Search Tests
+ */
+
+const request = require('supertest');
+const app = require('../src/index');
+const noteModel = require('../src/models/noteModel');
+const embeddings = require('../src/search/embeddings');
+const vectorStore = require('../src/search/vectorStore');
+
+const ADMIN = { 'X-API-Key': 'admin-key' };
+
+const length = vector => Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+
+describe('embeddings', () => {
+  it('returns one unit vector per text, the same for the same text', async () => {
+    const [first, second, again] = await embeddings.embed(['quantum entanglement', 'sourdough starter', 'quantum entanglement']);
+    
+    expect(length(first)).toBeCloseTo(1, 5);
+    expect(length(second)).toBeCloseTo(1, 5);
+    expect([...again]).toEqual([...first]);
+    expect([...second]).not.toEqual([...first]);
+  });
+  
+  it('uses a registered provider named by EMBEDDINGS_PROVIDER', async () => {
+    const fixed = () => ({ name: 'fixed', embed: async texts => texts.map(() => [3, 4]) });
+    embeddings.registerProvider('fixed', fixed);
+    process.env.EMBEDDINGS_PROVIDER = 'fixed';
+    
+    try {
+      const [vector] = await embeddings.embed(['anything']);
+      expect(embeddings.getProvider().name).toBe('fixed');
+      expect([...vector]).toEqual([expect.closeTo(0.6, 5), expect.closeTo(0.8, 5)]);
+    } finally {
+      // Registering a provider also clears the cached one
+      delete process.env.EMBEDDINGS_PROVIDER;
+      embeddings.registerProvider('fixed', fixed);
+    }
+  });
+  
+  it('rejects an unknown provider', () => {
+    process.env.EMBEDDINGS_PROVIDER = 'missing';
+    try {
+      expect(() => embeddings.getProvider()).toThrow('Unknown embeddings provider: missing');
+    } finally {
+      delete process.env.EMBEDDINGS_PROVIDER;
+    }
+  });
+});
+
+describe('vectorStore', () => {
+  const notes = [
+    { id: 'quantum', title: 'Quantum Computing', content: 'Qubits, superposition and quantum entanglement.' },
+    { id: 'entanglement', title: 'Entanglement', content: 'Quantum entanglement links the states of qubits.' },
+    { id: 'bread', title: 'Sourdough', content: 'Feed the starter with flour and water before baking bread.' }
+  ];
+  
+  beforeAll(async () => {
+    await vectorStore.rebuild(notes);
+  });
+  
+  it('ranks notes by similarity to a text', async () => {
+    const results = await vectorStore.search('qubits and entanglement');
+    
+    expect(results.slice(0, 2).map(result => result.id).sort()).toEqual(['entanglement', 'quantum']);
+    expect(results.map(result => result.id)).not.toContain('bread');
+  });
+  
+  it('finds the neighbours of a stored note, leaving the note out', async () => {
+    const results = await vectorStore.similar('quantum');
+    
+    expect(results[0].id).toBe('entanglement');
+    expect(results.map(result => result.id)).not.toContain('quantum');
+    expect(await vectorStore.similar('unknown')).toBeNull();
+  });
+  
+  it('adds and removes single notes', async () => {
+    await vectorStore.indexNote({ id: 'rye', title: 'Rye Bread', content: 'A starter, rye flour and a long bake.' });
+    expect((await vectorStore.similar('bread'))[0].id).toBe('rye');
+    
+    await vectorStore.removeNote('rye');
+    expect(await vectorStore.similar('rye')).toBeNull();
+  });
+});
+
+describe('Semantic search over the API', () => {
+  let quantum;
+  
+  beforeAll(async () => {
+    await noteModel.initializeStorage();
+    quantum = (await request(app).post('/notes').set(ADMIN)
+      .send({ title: 'Quantum Computing', content: 'Qubits, superposition and quantum entanglement.', tags: ['physics'] })).body;
+    await request(app).post('/notes').set(ADMIN)
+      .send({ title: 'Entanglement', content: 'Quantum entanglement links the states of qubits.', tags: ['physics'] });
+    await request(app).post('/notes').set(ADMIN)
+      .send({ title: 'Sourdough', content: 'Feed the starter with flour and water before baking bread.', tags: ['cooking'] });
+  });
+  
+  it('ranks notes by meaning in semantic mode', async () => {
+    const response = await request(app).post('/notes/search').set(ADMIN)
+      .send({ query: 'qubits in superposition', mode: 'semantic', limit: 2 });
+    
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveLength(2);
+    expect(response.body[0].title).toBe('Quantum Computing');
+    expect(response.body.map(note => note.title)).not.toContain('Sourdough');
+  });
+  
+  it('reports keyword and semantic scores in hybrid mode', async () => {
+    const response = await request(app).post('/notes/search').set(ADMIN)
+      .send({ query: 'entanglement', mode: 'hybrid' });
+    
+    expect(response.status).toBe(200);
+    expect(response.body[0].scores).toEqual({ keyword: expect.any(Number), semantic: expect.any(Number) });
+  });
+  
+  it('rejects an unknown search mode', async () => {
+    const response = await request(app).post('/notes/search').set(ADMIN).send({ query: 'qubits', mode: 'fuzzy' });
+    expect(response.status).toBe(400);
+  });
+  
+  it('lists the notes similar to a note', async () => {
+    const response = await request(app).get(`/notes/${encodeURIComponent(quantum.id)}/similar?limit=1`).set(ADMIN);
+    
+    expect(response.status).toBe(200);
+    expect(response.body.similar).toEqual([expect.objectContaining({ title: 'Entanglement', score: expect.any(Number) })]);
+  });
+  
+  it('returns 404 for the neighbours of a missing note', async () => {
+    const response = await request(app).get(`/notes/${encodeURIComponent('topics/missing.md')}/similar`).set(ADMIN);
+    expect(response.status).toBe(404);
+  });
+});
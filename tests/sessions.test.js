@@ -0,0 +1,139 @@
+/**
+ * Session Tests
+ */
+
+const request = require('supertest');
+const app = require('../src/index');
+const noteModel = require('../src/models/noteModel');
+
+const ADMIN = { 'X-API-Key': 'admin-key' };
+const ANALYTICS = { 'X-API-Key': 'analytics-key' };
+
+describe('Sessions', () => {
+  let session;
+  
+  beforeAll(async () => {
+    await noteModel.initializeStorage();
+  });
+  
+  beforeEach(async () => {
+    session = (await request(app).post('/sessions').set(ADMIN)
+      .send({ topic: 'Quantum error correction', participants: ['alice'] })).body;
+  });
+  
+  it('opens a session with the agent as a participant', async () => {
+    expect(session).toMatchObject({
+      topic: 'Quantum error correction',
+      participants: expect.arrayContaining(['alice']),
+      status: 'active',
+      turnCount: 0,
+      notes: []
+    });
+    expect(session.participants).toHaveLength(2);
+    
+    const read = await request(app).get(`/sessions/${session.id}`).set(ANALYTICS);
+    expect(read.status).toBe(200);
+    expect(read.body.id).toBe(session.id);
+  });
+  
+  it('numbers turns and pages through them', async () => {
+    for (const content of ['First', 'Second', 'Third']) {
+      const turn = await request(app).post(`/sessions/${session.id}/turns`).set(ADMIN).send({ speaker: 'alice', content });
+      expect(turn.status).toBe(201);
+    }
+    
+    const response = await request(app).get(`/sessions/${session.id}/turns?after=1&limit=1`).set(ADMIN);
+    
+    expect(response.status).toBe(200);
+    expect(response.body.turnCount).toBe(3);
+    expect(response.body.turns).toEqual([expect.objectContaining({ turn: 2, speaker: 'alice', content: 'Second' })]);
+  });
+  
+  it('links notes created with X-Session-Id and returns them in the context', async () => {
+    const note = await request(app).post('/notes').set(ADMIN).set('X-Session-Id', session.id)
+      .send({ title: 'Surface Code Thresholds', content: 'About one percent' });
+    expect(note.status).toBe(201);
+    await request(app).post(`/sessions/${session.id}/turns`).set(ADMIN).send({ content: 'Saved the thresholds' });
+    await request(app).post(`/sessions/${session.id}/turns`).set(ADMIN).send({ content: 'Anything else?' });
+    
+    const stored = await request(app).get(`/notes/${note.body.id}`).set(ADMIN);
+    expect(stored.body.metadata.session).toBe(session.id);
+    
+    const context = await request(app).get(`/sessions/${session.id}/context?turns=1`).set(ADMIN);
+    
+    expect(context.status).toBe(200);
+    expect(context.body.session.noteCount).toBe(1);
+    expect(context.body.notes).toEqual([
+      expect.objectContaining({ id: note.body.id, title: 'Surface Code Thresholds', content: expect.stringContaining('About one percent') })
+    ]);
+    expect(context.body.turns.map(turn => turn.content)).toEqual(['Anything else?']);
+  });
+  
+  it('leaves notes deleted since the session out of the context', async () => {
+    const note = (await request(app).post('/notes').set(ADMIN).set('X-Session-Id', session.id)
+      .send({ title: 'Discarded Idea', content: 'Not needed' })).body;
+    await request(app).delete(`/notes/${note.id}?permanent=true`).set(ADMIN);
+    
+    const context = await request(app).get(`/sessions/${session.id}/context`).set(ADMIN);
+    expect(context.body.notes).toEqual([]);
+  });
+  
+  it('rejects turns and notes for a closed session until it is reopened', async () => {
+    const closed = await request(app).put(`/sessions/${session.id}`).set(ADMIN).send({ status: 'closed' });
+    expect(closed.body.status).toBe('closed');
+    
+    const turn = await request(app).post(`/sessions/${session.id}/turns`).set(ADMIN).send({ content: 'Late' });
+    expect(turn.status).toBe(409);
+    
+    const note = await request(app).post('/notes').set(ADMIN).set('X-Session-Id', session.id)
+      .send({ title: 'Late Note', content: 'Late' });
+    expect(note.status).toBe(409);
+    
+    await request(app).put(`/sessions/${session.id}`).set(ADMIN).send({ status: 'active' });
+    const reopened = await request(app).post(`/sessions/${session.id}/turns`).set(ADMIN).send({ content: 'Back' });
+    expect(reopened.status).toBe(201);
+  });
+  
+  it('rejects notes for an unknown session', async () => {
+    const response = await request(app).post('/notes').set(ADMIN).set('X-Session-Id', 'no-such-session')
+      .send({ title: 'Orphan Note', content: 'Nowhere' });
+    expect(response.status).toBe(400);
+  });
+  
+  it('filters sessions by status and participant', async () => {
+    await request(app).put(`/sessions/${session.id}`).set(ADMIN).send({ status: 'paused', participants: ['bob'] });
+    
+    const paused = await request(app).get('/sessions?status=paused&participant=bob').set(ADMIN);
+    expect(paused.body.map(item => item.id)).toEqual([session.id]);
+    
+    const invalid = await request(app).get('/sessions?status=sleeping').set(ADMIN);
+    expect(invalid.status).toBe(400);
+  });
+  
+  it('deletes a session and its turns', async () => {
+    const response = await request(app).delete(`/sessions/${session.id}`).set(ADMIN);
+    expect(response.status).toBe(200);
+    
+    expect((await request(app).get(`/sessions/${session.id}`).set(ADMIN)).status).toBe(404);
+    expect((await request(app).get(`/sessions/${session.id}/turns`).set(ADMIN)).status).toBe(404);
+  });
+  
+  it.each([
+    ['POST', '/sessions', { topic: 42 }],
+    ['POST', '/sessions', { participants: 'alice' }],
+    ['POST', '/sessions', { status: 'sleeping' }],
+    ['PUT', '/sessions/:id', {}],
+    ['POST', '/sessions/:id/turns', { content: '  ' }],
+    ['POST', '/sessions/:id/turns', { speaker: '', content: 'Hi' }],
+    ['GET', '/sessions/:id/turns?limit=0', undefined],
+    ['GET', '/sessions/:id/context?turns=-1', undefined]
+  ])('rejects %s %s %j', async (method, url, body) => {
+    const response = await request(app)[method.toLowerCase()](url.replace(':id', session.id)).set(ADMIN).send(body);
+    expect(response.status).toBe(400);
+  });
+  
+  it('lets only editors add turns', async () => {
+    const response = await request(app).post(`/sessions/${session.id}/turns`).set(ANALYTICS).send({ content: 'Hi' });
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,17 @@
+/**
+ * Test Setup
+ * 
+ * Runs before each test file: notes are kept in memory, every role has an
+ * API key, and request logging is silenced.
+ */
+
+process.env.STORAGE_TYPE = 'memory';
+process.env.API_KEYS = JSON.stringify({
+  'admin-key': 'admin',
+  'research-key': 'research',
+  'writing-key': 'writing',
+  'analytics-key': 'analytics'
+});
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
@@ -0,0 +1,183 @@
+/**
+ * Storage Adapter Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const createLocalAdapter = require('../src/storage/localAdapter');
+const createMemoryAdapter = require('../src/storage/memoryAdapter');
+const createSqliteAdapter = require('../src/storage/sqliteAdapter');
+const { normalizeKey } = require('../src/storage/errors');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'notes-storage-'));
+
+afterAll(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe.each([
+  ['memory', () => createMemoryAdapter()],
+  ['local', () => createLocalAdapter({ directory: path.join(directory, 'local') })],
+  ['sqlite', () => createSqliteAdapter({ file: path.join(directory, 'notes.db') })]
+])('%s adapter', (type, createAdapter) => {
+  let storage;
+  
+  beforeAll(async () => {
+    storage = createAdapter();
+    await storage.init(['topics']);
+  });
+  
+  it('reports its type', () => {
+    expect(storage.type).toBe(type);
+    expect(storage.describe().type).toBe(type);
+  });
+  
+  it('reads back what it writes', async () => {
+    await storage.write('topics/2025-03-15_alpha.md', '# Alpha\n\nCafé');
+    
+    expect(await storage.read('topics/2025-03-15_alpha.md')).toBe('# Alpha\n\nCafé');
+    expect((await storage.stat('topics/2025-03-15_alpha.md')).size).toBe(Buffer.byteLength('# Alpha\n\nCafé'));
+    
+    await storage.write('topics/2025-03-15_alpha.md', '# Alpha\n\nRewritten');
+    expect(await storage.read('topics/2025-03-15_alpha.md')).toBe('# Alpha\n\nRewritten');
+  });
+  
+  it('lists keys below a prefix, recursively and sorted', async () => {
+    await storage.write('projects/alpha/b.md', 'b');
+    await storage.write('projects/alpha/a.md', 'a');
+    await storage.write('projects-old/c.md', 'c');
+    
+    expect(await storage.list('projects')).toEqual(['projects/alpha/a.md', 'projects/alpha/b.md']);
+    expect(await storage.list()).toEqual(expect.arrayContaining(['projects-old/c.md', 'topics/2025-03-15_alpha.md']));
+  });
+  
+  it('moves and deletes keys', async () => {
+    await storage.write('topics/move-me.md', 'moving');
+    await storage.move('topics/move-me.md', 'archive/moved.md');
+    
+    expect(await storage.read('archive/moved.md')).toBe('moving');
+    await expect(storage.read('topics/move-me.md')).rejects.toMatchObject({ code: 'ENOENT' });
+    
+    await storage.delete('archive/moved.md');
+    await expect(storage.stat('archive/moved.md')).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+  
+  it('reports missing keys with ENOENT', async () => {
+    await expect(storage.read('topics/missing.md')).rejects.toMatchObject({ code: 'ENOENT' });
+    await expect(storage.move('topics/missing.md', 'topics/other.md')).rejects.toMatchObject({ code: 'ENOENT' });
+    await expect(storage.delete('topics/missing.md')).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+  
+  it('refuses keys outside the store', async () => {
+    await expect(storage.read('../secrets.md')).rejects.toMatchObject({ statusCode: 403 });
+    await expect(storage.write('topics/../../secrets.md', 'x')).rejects.toMatchObject({ statusCode: 403 });
+  });
+});
+
+describe('normalizeKey', () => {
+  it('uses forward slashes and drops empty and . segments', () => {
+    expect(normalizeKey('topics\\./2025-03-15_alpha.md')).toBe('topics/2025-03-15_alpha.md');
+    expect(normalizeKey('/topics//a.md')).toBe('topics/a.md');
+  });
+  
+  it.each(['', '/', '..', 'topics/../..'])('rejects %j', (key) => {
+    expect(() => normalizeKey(key)).toThrow(expect.objectContaining({ statusCode: 403 }));
+  });
+});
+
+describe('Notes on the active adapter', () => {
+  const app = require('../src/index');
+  const noteModel = require('../src/models/noteModel');
+  
+  it('reports the active backend in the health check', async () => {
+    const response = await request(app).get('/health');
+    
+    expect(response.status).toBe(200);
+    expect(response.body.storage.type).toBe('memory');
+  });
+  
+  it('creates, appends to and deletes notes through the adapter', async () => {
+    const note = await noteModel.createNote('admin', 'Storage Note', 'First line', ['storage'], 'topics', 'Tester');
+    await noteModel.appendToNote('admin', note.id, 'Second line', 'Tester');
+    
+    const read = await noteModel.getNoteById('admin', note.id);
+    expect(read.title).toBe('Storage Note');
+    expect(read.content).toContain('First line');
+    expect(read.content).toContain('Second line');
+    
+    await noteModel.deleteNote('admin', note.id);
+    expect(await noteModel.getNoteById('admin', note.id)).toBeNull();
+  });
+});
+
+describe('Two app instances on one store', () => {
+  const shared = path.join(directory, 'shared');
+  let first;
+  let second;
+  
+  /**
+   * Load a separate copy of the app, as another replica would run it
+   */
+  function startInstance() {
+    let noteModel;
+    jest.isolateModules(() => {
+      require('../src/storage').getStorage();
+      noteModel = require('../src/models/noteModel');
+    });
+    return noteModel;
+  }
+  
+  function readIndex(name) {
+    return JSON.parse(fs.readFileSync(path.join(shared, '.index', name), 'utf8'));
+  }
+  
+  beforeAll(async () => {
+    const environment = { type: process.env.STORAGE_TYPE, dir: process.env.NOTES_DIR };
+    process.env.STORAGE_TYPE = 'local';
+    process.env.NOTES_DIR = shared;
+    
+    try {
+      first = startInstance();
+      second = startInstance();
+    } finally {
+      process.env.STORAGE_TYPE = environment.type;
+      if (environment.dir === undefined) {
+        delete process.env.NOTES_DIR;
+      } else {
+        process.env.NOTES_DIR = environment.dir;
+      }
+    }
+    
+    await first.initializeStorage();
+    await first.reindexNotes('admin');
+    await second.initializeStorage();
+  });
+  
+  it('keeps notes indexed by either instance when both save their indexes', async () => {
+    const a = await first.createNote('admin', 'Replica One', 'Written by the first instance', [], 'topics', 'Tester');
+    const b = await second.createNote('admin', 'Replica Two', 'Written by the second instance', [], 'topics', 'Tester');
+    await first.flushIndexes();
+    await second.flushIndexes();
+    
+    expect(Object.keys(readIndex('ids.json').keys)).toEqual(expect.arrayContaining([a.id, b.id]));
+    expect(Object.keys(readIndex('search.json').documents)).toEqual(expect.arrayContaining([a.id, b.id]));
+    expect(Object.keys(readIndex('vectors.json').vectors)).toEqual(expect.arrayContaining([a.id, b.id]));
+  });
+  
+  it('keeps a note removed by one instance out of the other instance\'s save', async () => {
+    const note = await first.createNote('admin', 'Short Lived', 'Removed soon', [], 'topics', 'Tester');
+    await first.flushIndexes();
+    
+    await second.deleteNote('admin', note.id);
+    await second.flushIndexes();
+    const kept = await first.createNote('admin', 'Kept', 'Still here', [], 'topics', 'Tester');
+    await first.flushIndexes();
+    
+    const ids = readIndex('ids.json').keys;
+    expect(ids[note.id]).toBeUndefined();
+    expect(ids[kept.id]).toBeDefined();
+    expect(readIndex('search.json').documents[note.id]).toBeUndefined();
+  });
+});
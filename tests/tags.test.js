@@ -0,0 +1,129 @@
+/**
+ * Tag Management Tests
+ */
+
+const request = require('supertest');
+const app = require('../src/index');
+const noteModel = require('../src/models/noteModel');
+const { matchesTag, tagAncestors, renameTag, isValidTag } = require('../src/utils/tags');
+
+const ADMIN = { 'X-API-Key': 'admin-key' };
+const ANALYTICS = { 'X-API-Key': 'analytics-key' };
+
+describe('tag utilities', () => {
+  it('matches a tag and its children only', () => {
+    expect(matchesTag('ml', 'ml')).toBe(true);
+    expect(matchesTag('ml/nlp', 'ml')).toBe(true);
+    expect(matchesTag('mlops', 'ml')).toBe(false);
+    expect(matchesTag('ml', 'ml/nlp')).toBe(false);
+  });
+  
+  it('lists a tag\'s ancestors', () => {
+    expect(tagAncestors('ml/nlp/transformers')).toEqual(['ml', 'ml/nlp', 'ml/nlp/transformers']);
+  });
+  
+  it('renames a tag together with its children', () => {
+    expect(renameTag('ml', 'ml', 'machine-learning')).toBe('machine-learning');
+    expect(renameTag('ml/nlp', 'ml', 'machine-learning')).toBe('machine-learning/nlp');
+    expect(renameTag('mlops', 'ml', 'machine-learning')).toBeNull();
+  });
+  
+  it('rejects empty or dot levels, commas and surrounding spaces', () => {
+    expect(isValidTag('ml/nlp')).toBe(true);
+    expect(isValidTag('')).toBe(false);
+    expect(isValidTag('ml//nlp')).toBe(false);
+    expect(isValidTag('a,b')).toBe(false);
+    expect(isValidTag(' ml')).toBe(false);
+    expect(isValidTag('../../x')).toBe(false);
+    expect(isValidTag('ml/./nlp')).toBe(false);
+    expect(isValidTag('..')).toBe(false);
+    expect(isValidTag('v1.2/...')).toBe(true);
+    expect(isValidTag(7)).toBe(false);
+  });
+});
+
+describe('Tag endpoints', () => {
+  beforeAll(async () => {
+    await noteModel.initializeStorage();
+  });
+  
+  const create = async (title, tags) =>
+    (await request(app).post('/notes').set(ADMIN).send({ title, content: 'Body', tags })).body;
+  
+  const tagsOf = async (id) => (await request(app).get(`/notes/${id}`).set(ADMIN)).body.metadata.tags;
+  
+  it('lists tags with their own and total counts, including implied parents', async () => {
+    await create('Counted One', ['count', 'count/child']);
+    await create('Counted Two', ['count/child/leaf']);
+    
+    const response = await request(app).get('/tags').set(ANALYTICS);
+    
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual(expect.arrayContaining([
+      { tag: 'count', count: 1, total: 2 },
+      { tag: 'count/child', count: 1, total: 2 },
+      { tag: 'count/child/leaf', count: 1, total: 1 }
+    ]));
+  });
+  
+  it('filters notes by a parent tag', async () => {
+    const note = await create('Nested Filter', ['filter/deep']);
+    
+    const response = await request(app).get('/notes?tags=filter').set(ADMIN);
+    
+    expect(response.body.map(item => item.id)).toEqual([note.id]);
+  });
+  
+  it('renames a tag and its children, with slashes raw or encoded', async () => {
+    const note = await create('Renamed Tags', ['old', 'old/child', 'kept']);
+    
+    const response = await request(app).post('/tags/old/rename').set(ADMIN).send({ to: 'new' });
+    
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ from: 'old', to: 'new', count: 1 });
+    expect(response.body.updated[0]).toMatchObject({ id: note.id, tags: ['new', 'new/child', 'kept'] });
+    
+    expect((await request(app).post('/tags/new/child/rename').set(ADMIN).send({ to: 'new/kid' })).status).toBe(200);
+    expect((await request(app).post('/tags/new%2Fkid/rename').set(ADMIN).send({ to: 'new/young' })).status).toBe(200);
+    expect(await tagsOf(note.id)).toEqual(['new', 'new/young', 'kept']);
+    
+    const revisions = await request(app).get(`/notes/${note.id}/revisions`).set(ADMIN);
+    expect(revisions.body.revisions).toHaveLength(4);
+  });
+  
+  it('merges tags, removing duplicates', async () => {
+    const note = await create('Merged Tags', ['ml', 'machine_learning/nlp', 'machine-learning']);
+    
+    const response = await request(app).post('/tags/merge').set(ADMIN)
+      .send({ from: ['ml', 'machine_learning'], into: 'machine-learning' });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.count).toBe(1);
+    expect(await tagsOf(note.id)).toEqual(['machine-learning', 'machine-learning/nlp']);
+  });
+  
+  it('returns 404 for unused tags and 400 for invalid names', async () => {
+    expect((await request(app).post('/tags/unused/rename').set(ADMIN).send({ to: 'other' })).status).toBe(404);
+    expect((await request(app).post('/tags/merge').set(ADMIN).send({ from: ['unused'], into: 'other' })).status).toBe(404);
+    expect((await request(app).post('/tags/kept/rename').set(ADMIN).send({ to: 'a,b' })).status).toBe(400);
+    expect((await request(app).post('/tags/merge').set(ADMIN).send({ from: 'kept', into: 'other' })).status).toBe(400);
+  });
+  
+  it('rejects notes whose tags are not an array of tag names', async () => {
+    const created = await request(app).post('/notes').set(ADMIN).send({ title: 'Bad Tags', content: 'Body', tags: 'a,b' });
+    expect(created.status).toBe(400);
+    
+    const dotted = await request(app).post('/notes').set(ADMIN).send({ title: 'Bad Tags', content: 'Body', tags: ['../../x'] });
+    expect(dotted.status).toBe(400);
+    
+    const note = await create('Good Tags', ['fine']);
+    const updated = await request(app).put(`/notes/${note.id}`).set(ADMIN).send({ tags: ['fine', 'bad//tag'] });
+    expect(updated.status).toBe(400);
+    expect(await tagsOf(note.id)).toEqual(['fine']);
+  });
+  
+  it('requires edit permission to change tags', async () => {
+    const response = await request(app).post('/tags/kept/rename').set(ANALYTICS).send({ to: 'other' });
+    expect(response.status).toBe(403);
+  });
+});
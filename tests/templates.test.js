@@ -0,0 +1,146 @@
+/**
+ * Template Tests
+ */
+
+const request = require('supertest');
+const app = require('../src/index');
+const noteModel = require('../src/models/noteModel');
+
+const ADMIN = { 'X-API-Key': 'admin-key' };
+const RESEARCH = { 'X-API-Key': 'research-key' };
+
+const MEETING_SUMMARY = {
+  name: 'meeting-summary',
+  description: 'Summary of a meeting with a client',
+  title: 'Meeting {{date}}: {{topic}}',
+  category: 'projects',
+  tags: ['meeting', 'client/{{client}}'],
+  metadata: { attendees: '{{attendees}}', status: 'draft' },
+  body: '## Attendees\n\n{{attendees}}\n\n## Summary\n\nWritten by {{agent}} on {{date}}.\n'
+};
+
+describe('Templates', () => {
+  beforeAll(async () => {
+    await noteModel.initializeStorage();
+    await request(app).post('/templates').set(ADMIN).send(MEETING_SUMMARY);
+  });
+  
+  describe('/templates', () => {
+    it('lists templates with the variables callers must supply', async () => {
+      const response = await request(app).get('/templates').set(ADMIN);
+      
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([
+        expect.objectContaining({ name: 'meeting-summary', variables: ['topic', 'client', 'attendees'] })
+      ]);
+    });
+    
+    it('creates, updates and deletes a template', async () => {
+      const created = await request(app).post('/templates').set(ADMIN)
+        .send({ name: 'finding', title: 'Finding: {{subject}}', category: 'topics', body: '{{summary}}' });
+      expect(created.status).toBe(201);
+      
+      const duplicate = await request(app).post('/templates').set(ADMIN).send({ name: 'finding' });
+      expect(duplicate.status).toBe(409);
+      
+      const updated = await request(app).put('/templates/finding').set(ADMIN)
+        .send({ category: null, body: '{{summary}} ({{source}})' });
+      expect(updated.status).toBe(200);
+      expect(updated.body).not.toHaveProperty('category');
+      expect(updated.body.variables).toEqual(['subject', 'summary', 'source']);
+      
+      const deleted = await request(app).delete('/templates/finding').set(ADMIN);
+      expect(deleted.status).toBe(200);
+      expect((await request(app).get('/templates/finding').set(ADMIN)).status).toBe(404);
+    });
+    
+    it.each([
+      [{ name: 'meeting summary' }],
+      [{ name: 'notes', category: '../secrets' }],
+      [{ name: 'notes', tags: 'meeting' }],
+      [{ name: 'notes', metadata: ['status'] }],
+      [{ name: 'notes', title: 'Two\nlines' }]
+    ])('rejects an invalid template %j', async (template) => {
+      const response = await request(app).post('/templates').set(ADMIN).send(template);
+      expect(response.status).toBe(400);
+    });
+    
+    it('leaves deleting templates to admins', async () => {
+      const response = await request(app).delete('/templates/meeting-summary').set(RESEARCH);
+      expect(response.status).toBe(403);
+    });
+  });
+  
+  describe('POST /notes with a template', () => {
+    it('fills in the placeholders from the variables and built-in values', async () => {
+      const response = await request(app).post('/notes').set(ADMIN).send({
+        template: 'meeting-summary',
+        variables: { topic: 'Kickoff', client: 'acme', attendees: 'Ann, Bob' },
+        tags: ['urgent']
+      });
+      
+      expect(response.status).toBe(201);
+      expect(response.body.title).toMatch(/^Meeting \d{4}-\d{2}-\d{2}: Kickoff$/);
+      expect(response.body.relativePath).toMatch(/^projects\//);
+      
+      const note = await request(app).get(`/notes/${response.body.id}`).set(ADMIN);
+      expect(note.body.metadata).toMatchObject({
+        tags: ['meeting', 'client/acme', 'urgent'],
+        attendees: 'Ann, Bob',
+        status: 'draft'
+      });
+      expect(note.body.content).toContain('Ann, Bob');
+      expect(note.body.content).toContain('Written by admin');
+    });
+    
+    it('lets the request replace the title, content and category', async () => {
+      const response = await request(app).post('/notes').set(ADMIN).send({
+        template: 'meeting-summary',
+        title: 'Retrospective',
+        content: 'Went well',
+        category: 'topics',
+        variables: { client: 'acme', attendees: 'Ann' }
+      });
+      
+      expect(response.status).toBe(201);
+      expect(response.body.title).toBe('Retrospective');
+      expect(response.body.relativePath).toMatch(/^topics\//);
+    });
+    
+    it('lists the variables that have no value', async () => {
+      const response = await request(app).post('/notes').set(ADMIN)
+        .send({ template: 'meeting-summary', variables: { topic: 'Kickoff' } });
+      
+      expect(response.status).toBe(400);
+      expect(response.body.missing.sort()).toEqual(['attendees', 'client']);
+    });
+    
+    it('does not fill placeholders from object prototype names', async () => {
+      await request(app).post('/templates').set(ADMIN)
+        .send({ name: 'prototype', title: 'Prototype', body: '{{constructor}} and {{toString}}' });
+      
+      const response = await request(app).post('/notes').set(ADMIN).send({ template: 'prototype' });
+      
+      expect(response.status).toBe(400);
+      expect(response.body.missing).toEqual(['constructor', 'toString']);
+    });
+    
+    it('rejects an unknown template and variables that are not an object', async () => {
+      const unknown = await request(app).post('/notes').set(ADMIN).send({ template: 'missing' });
+      expect(unknown.status).toBe(400);
+      
+      const variables = await request(app).post('/notes').set(ADMIN)
+        .send({ template: 'meeting-summary', variables: ['Kickoff'] });
+      expect(variables.status).toBe(400);
+    });
+    
+    it('rejects a variable that makes a tag invalid', async () => {
+      const response = await request(app).post('/notes').set(ADMIN).send({
+        template: 'meeting-summary',
+        variables: { topic: 'Kickoff', client: 'acme, inc', attendees: 'Ann' }
+      });
+      
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Zip Archive and Import Tests
+ */
+
+process.env.IMPORT_MAX_SIZE = '16kb';
+
+const { PassThrough } = require('stream');
+const request = require('supertest');
+const app = require('../src/index');
+const noteModel = require('../src/models/noteModel');
+const { createZipWriter, readZip } = require('../src/utils/zip');
+
+const ADMIN = { 'X-API-Key': 'admin-key' };
+
+/**
+ * Write files into a zip archive held in memory
+ */
+async function createZip(files) {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  
+  const writer = createZipWriter(stream);
+  for (const [name, data] of Object.entries(files)) {
+    await writer.addFile(name, data, new Date('2026-02-01T10:30:00Z'));
+  }
+  await writer.finish();
+  
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Collect a binary response body into a Buffer
+ */
+function binary(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('zip archives', () => {
+  it('reads back what was written, stored or deflated', async () => {
+    const files = {
+      'notes/empty.md': '',
+      'notes/long.md': 'repeated text '.repeat(200),
+      'images/pixel.bin': Buffer.from([0, 255, 1, 254]),
+      'notes/unicodé.md': '# Ünïcode'
+    };
+    
+    const entries = readZip(await createZip(files));
+    
+    expect(entries.map(entry => entry.name)).toEqual(Object.keys(files));
+    entries.forEach(entry => {
+      const expected = files[entry.name];
+      expect(entry.data.equals(Buffer.isBuffer(expected) ? expected : Buffer.from(expected))).toBe(true);
+    });
+    expect(entries[0].modified.toISOString()).toBe('2026-02-01T10:30:00.000Z');
+  });
+  
+  it.each(['../escape.md', 'notes/../../escape.md', 'notes\\..\\escape.md', '/etc/escape.md'])('refuses to write the entry %j', async (name) => {
+    await expect(createZip({ [name]: 'x' })).rejects.toThrow('Unsafe zip entry name');
+  });
+  
+  it('rejects data that is not a zip archive', () => {
+    expect(() => readZip(Buffer.from('not a zip'))).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+  
+  it('rejects an entry whose checksum does not match', async () => {
+    const zip = await createZip({ 'note.md': 'stored as is' });
+    zip.write('STORED', 30 + 'note.md'.length);
+    
+    expect(() => readZip(zip)).toThrow('checksum mismatch in note.md');
+  });
+  
+  it('rejects archives that would be too large once uncompressed', async () => {
+    const zip = await createZip({ 'a.md': 'a', 'b.md': 'b' });
+    
+    // Claim 300MB for each entry in the central directory
+    let offset = zip.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    while (offset !== -1) {
+      zip.writeUInt32LE(300 * 1024 * 1024, offset + 24);
+      offset = zip.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]), offset + 4);
+    }
+    
+    expect(() => readZip(zip)).toThrow('too large once uncompressed');
+  });
+});
+
+describe('POST /import', () => {
+  beforeAll(async () => {
+    await noteModel.initializeStorage();
+  });
+  
+  const importZip = (zip, query = '') => request(app).post(`/import${query}`).set(ADMIN)
+    .set('Content-Type', 'application/zip').send(zip);
+  
+  it('restores notes from an export, keeping their IDs and paths', async () => {
+    const alpha = (await request(app).post('/notes').set(ADMIN)
+      .send({ title: 'Alpha', content: 'Links to [[Beta]]', tags: ['physics'], category: 'projects' })).body;
+    const beta = (await request(app).post('/notes').set(ADMIN)
+      .send({ title: 'Beta', content: 'Second note' })).body;
+    
+    const exported = await request(app).get('/export?format=zip').set(ADMIN).buffer(true).parse(binary);
+    expect(exported.status).toBe(200);
+    
+    await request(app).delete(`/notes/${alpha.id}?permanent=true`).set(ADMIN);
+    
+    const response = await request(app).post('/import').set(ADMIN)
+      .set('Content-Type', 'application/zip').send(exported.body);
+    
+    expect(response.status).toBe(201);
+    expect(response.body.notes.map(note => note.relativePath)).toEqual([alpha.relativePath]);
+    expect(response.body.duplicates).toEqual([
+      expect.objectContaining({ reason: 'id', existing: { id: beta.id, relativePath: beta.relativePath } })
+    ]);
+    
+    const restored = await request(app).get(`/notes/${alpha.id}`).set(ADMIN);
+    expect(restored.status).toBe(200);
+    expect(restored.body.relativePath).toBe(alpha.relativePath);
+    expect(restored.body.metadata.tags).toEqual(['physics']);
+    expect(restored.body.metadata.related).toEqual([beta.id]);
+  });
+  
+  it('imports a vault, mapping folders to categories and rewriting links', async () => {
+    const zip = await createZip({
+      'Vault/Home.md': '# Home\n\nSee [[Project Plan]], ![[diagram.png]] and [[Missing Note]].',
+      'Vault/Projects/Alpha/Project Plan.md': '---\ntags: "#work, planning"\n---\n# Project Plan\n\nPlan the work.',
+      'Vault/img/diagram.png': Buffer.from([137, 80, 78, 71]),
+      'Vault/.obsidian/app.json': '{}'
+    });
+    
+    const response = await importZip(zip);
+    
+    expect(response.status).toBe(201);
+    expect(response.body.summary).toEqual({
+      notes: 2, attachments: 1, categories: 1, duplicates: 0, unresolvedLinks: 1, failed: 0
+    });
+    expect(response.body.categories).toEqual(['projects/alpha']);
+    expect(response.body.unresolvedLinks).toEqual([{ source: 'Home.md', target: 'Missing Note' }]);
+    
+    const plan = response.body.notes.find(note => note.title === 'Project Plan');
+    expect(plan.relativePath).toMatch(/^projects\/alpha\/2026-02-01_project_plan\.md$/);
+    expect(plan.tags).toEqual(['work', 'planning']);
+    
+    const home = response.body.notes.find(note => note.title === 'Home');
+    const read = await request(app).get(`/notes/${home.id}`).set(ADMIN);
+    expect(read.body.relativePath).toMatch(/^topics\//);
+    expect(read.body.content).toContain(`[[${plan.relativePath.replace(/\.md$/, '')}|Project Plan]]`);
+    expect(read.body.content).toContain('](../attachments/img/diagram.png)');
+    expect(read.body.metadata.importedFrom).toBe('Home.md');
+  });
+  
+  it('imports a JSON dump, keeping IDs and skipping duplicates', async () => {
+    const notes = [
+      { id: '11111111-1111-4111-8111-111111111111', title: 'From Dump', content: 'Dumped body', tags: ['dump'], category: 'references' },
+      { title: 'Copy', content: 'Same text' },
+      { title: 'Copy', content: 'Same text' }
+    ];
+    
+    const response = await request(app).post('/import').set(ADMIN).send(notes);
+    
+    expect(response.status).toBe(201);
+    expect(response.body.notes).toHaveLength(2);
+    expect(response.body.duplicates).toEqual([expect.objectContaining({ title: 'Copy', reason: 'content' })]);
+    
+    const read = await request(app).get('/notes/11111111-1111-4111-8111-111111111111').set(ADMIN);
+    expect(read.body.relativePath).toMatch(/^references\//);
+    
+    const again = await request(app).post('/import').set(ADMIN).send(notes.slice(0, 1));
+    expect(again.body.duplicates).toEqual([expect.objectContaining({ reason: 'id' })]);
+    
+    const revisions = await request(app).get('/notes/11111111-1111-4111-8111-111111111111/revisions').set(ADMIN);
+    expect(revisions.body.revisions.map(revision => revision.action)).toEqual(['import']);
+  });
+  
+  it('previews an import without writing it', async () => {
+    const response = await importZip(await createZip({ 'Vault/Idea.md': '# Idea\n\nWritten elsewhere' }), '?dryRun=true');
+    
+    expect(response.status).toBe(200);
+    expect(response.body.dryRun).toBe(true);
+    expect(response.body.summary.notes).toBe(1);
+    
+    const search = await request(app).get('/notes?keyword=elsewhere').set(ADMIN);
+    expect(search.body).toEqual([]);
+  });
+  
+  it('rejects archives larger than IMPORT_MAX_SIZE', async () => {
+    expect((await importZip(Buffer.alloc(17 * 1024))).status).toBe(413);
+  });
+  
+  it('rejects malformed archives and unsupported bodies', async () => {
+    expect((await importZip(Buffer.from('PK not really'))).status).toBe(400);
+    
+    const response = await request(app).post('/import').set(ADMIN).set('Content-Type', 'text/csv').send('a,b');
+    expect(response.status).toBe(415);
+  });
+});